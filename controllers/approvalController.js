@@ -0,0 +1,192 @@
+const db = require('../config/database');
+const approvals = require('../utils/approvals');
+const { NotificationService } = require('./notificationController');
+
+// Check that a user is an admin of a chama
+const isChamaAdmin = async (chamaId, userId) => {
+  const [adminCheck] = await db.execute(
+    `SELECT role FROM members
+     WHERE chama_id = ? AND user_id = ? AND role = 'admin'`,
+    [chamaId, userId]
+  );
+  return adminCheck.length > 0;
+};
+
+// @desc    Get approval requests for a chama
+// @route   GET /api/approvals/chama/:chamaId
+// @access  Private (Admin only)
+const getChamaApprovalRequests = async (req, res) => {
+  const { status = 'pending' } = req.query;
+
+  try {
+    if (!(await isChamaAdmin(req.params.chamaId, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    const requests = await approvals.listRequests(
+      req.params.chamaId,
+      status === 'all' ? null : status
+    );
+
+    res.json({
+      success: true,
+      data: requests
+    });
+  } catch (error) {
+    console.error('❌ Get approval requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching approval requests'
+    });
+  }
+};
+
+// @desc    Get an approval request
+// @route   GET /api/approvals/:requestId
+// @access  Private (Admin or affected member)
+const getApprovalRequest = async (req, res) => {
+  try {
+    const request = await approvals.getRequest(req.params.requestId);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval request not found'
+      });
+    }
+
+    const isAffectedMember = request.member_user_id === req.user.id;
+
+    if (!isAffectedMember && !(await isChamaAdmin(request.chama_id, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this request'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    console.error('❌ Get approval request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching approval request'
+    });
+  }
+};
+
+// @desc    Approve a pending request and apply the change
+// @route   POST /api/approvals/:requestId/approve
+// @access  Private (Admin only, not the requester)
+const approveRequest = async (req, res) => {
+  const { notes } = req.body;
+
+  try {
+    const request = await approvals.getRequest(req.params.requestId);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval request not found'
+      });
+    }
+
+    if (!(await isChamaAdmin(request.chama_id, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    const outcome = await approvals.approve(request.id, req.user.id, notes || null);
+
+    if (outcome.request) {
+      await NotificationService.onApprovalDecision(outcome.request);
+    }
+
+    if (!outcome.success) {
+      return res.status(outcome.status || 400).json({
+        success: false,
+        message: outcome.request
+          ? `Request approved but could not be applied: ${outcome.message}`
+          : outcome.message,
+        data: outcome.request || null
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Request approved and applied',
+      data: {
+        request: outcome.request,
+        result: outcome.data
+      }
+    });
+  } catch (error) {
+    console.error('❌ Approve request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error approving request'
+    });
+  }
+};
+
+// @desc    Reject a pending request
+// @route   POST /api/approvals/:requestId/reject
+// @access  Private (Admin only, not the requester)
+const rejectRequest = async (req, res) => {
+  const { reason } = req.body;
+
+  try {
+    const request = await approvals.getRequest(req.params.requestId);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval request not found'
+      });
+    }
+
+    if (!(await isChamaAdmin(request.chama_id, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    const outcome = await approvals.reject(request.id, req.user.id, reason);
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    await NotificationService.onApprovalDecision(outcome.request);
+
+    res.json({
+      success: true,
+      message: 'Request rejected',
+      data: outcome.request
+    });
+  } catch (error) {
+    console.error('❌ Reject request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error rejecting request'
+    });
+  }
+};
+
+module.exports = {
+  getChamaApprovalRequests,
+  getApprovalRequest,
+  approveRequest,
+  rejectRequest
+};
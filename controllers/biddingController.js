@@ -0,0 +1,439 @@
+const db = require('../config/database');
+const bidding = require('../utils/biddingRounds');
+const { createNotification } = require('./notificationController');
+
+// Get the user's membership of a chama, or null
+const getMembership = async (chamaId, userId) => {
+  const [membership] = await db.execute(
+    `SELECT id, role FROM members
+     WHERE chama_id = ? AND user_id = ?`,
+    [chamaId, userId]
+  );
+  return membership[0] || null;
+};
+
+// Send a bidding notification, logging rather than failing on errors
+const notifyUser = async (userId, title, message, round, type = 'info') => {
+  try {
+    await createNotification(userId, title, message, type, round.id, 'bidding_round');
+  } catch (notifyError) {
+    console.error('❌ Bidding notification error:', notifyError.message);
+  }
+};
+
+// @desc    Open a bidding round on the chama's active cycle
+// @route   POST /api/bidding/chama/:chamaId/rounds
+// @access  Private (Admin only)
+const openRound = async (req, res) => {
+  const { potAmount, closesAt, notes } = req.body;
+
+  try {
+    const membership = await getMembership(req.params.chamaId, req.user.id);
+
+    if (!membership || membership.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    const outcome = await bidding.openRound(req.params.chamaId, {
+      potAmount,
+      closesAt,
+      notes,
+      userId: req.user.id
+    });
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    const round = outcome.data;
+    const eligible = await bidding.getEligibleBidders(req.params.chamaId);
+
+    for (const member of eligible) {
+      await notifyUser(
+        member.user_id,
+        'Bidding Open',
+        `Bidding is open for the cycle ${round.cycle_number} pot of KES ${round.pot_amount}. ` +
+          'Bid the discount you would take to be paid this cycle.',
+        round
+      );
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Bidding round opened for cycle ${round.cycle_number}`,
+      data: {
+        round,
+        eligible_bidders: eligible
+      }
+    });
+  } catch (error) {
+    console.error('❌ Open bidding round error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error opening bidding round'
+    });
+  }
+};
+
+// @desc    Get a chama's bidding rounds
+// @route   GET /api/bidding/chama/:chamaId/rounds?status=
+// @access  Private (Members only)
+const getChamaRounds = async (req, res) => {
+  try {
+    const membership = await getMembership(req.params.chamaId, req.user.id);
+
+    if (!membership) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this chama'
+      });
+    }
+
+    const rounds = await bidding.listRounds(req.params.chamaId, req.query.status || null);
+
+    res.json({
+      success: true,
+      data: rounds
+    });
+  } catch (error) {
+    console.error('❌ Get bidding rounds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching bidding rounds'
+    });
+  }
+};
+
+// @desc    Get a bidding round. Bids stay sealed from members until it closes.
+// @route   GET /api/bidding/rounds/:roundId
+// @access  Private (Members only)
+const getRound = async (req, res) => {
+  try {
+    const round = await bidding.getRound(req.params.roundId);
+
+    if (!round) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bidding round not found'
+      });
+    }
+
+    const membership = await getMembership(round.chama_id, req.user.id);
+
+    if (!membership) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this chama'
+      });
+    }
+
+    const sealed = round.status === 'open' && membership.role !== 'admin';
+
+    res.json({
+      success: true,
+      data: {
+        ...round,
+        bid_count: round.bids.length,
+        bids: sealed ? round.bids.filter(bid => bid.member_id === membership.id) : round.bids
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get bidding round error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching bidding round'
+    });
+  }
+};
+
+// @desc    Place or change your bid on an open round
+// @route   POST /api/bidding/rounds/:roundId/bids
+// @access  Private (Members only)
+const placeBid = async (req, res) => {
+  try {
+    const round = await bidding.getRound(req.params.roundId);
+
+    if (!round) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bidding round not found'
+      });
+    }
+
+    const membership = await getMembership(round.chama_id, req.user.id);
+
+    if (!membership) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to bid in this chama'
+      });
+    }
+
+    const outcome = await bidding.placeBid(round.id, membership.id, req.body.discount, req.user.id);
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Bid placed: KES ${outcome.data.discount_amount} off the pot`,
+      data: outcome.data
+    });
+  } catch (error) {
+    console.error('❌ Place bid error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error placing bid'
+    });
+  }
+};
+
+// @desc    Withdraw your bid from an open round
+// @route   DELETE /api/bidding/rounds/:roundId/bids
+// @access  Private (Members only)
+const withdrawBid = async (req, res) => {
+  try {
+    const round = await bidding.getRound(req.params.roundId);
+
+    if (!round) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bidding round not found'
+      });
+    }
+
+    const membership = await getMembership(round.chama_id, req.user.id);
+
+    if (!membership) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to bid in this chama'
+      });
+    }
+
+    const outcome = await bidding.withdrawBid(round.id, membership.id);
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Bid withdrawn'
+    });
+  } catch (error) {
+    console.error('❌ Withdraw bid error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error withdrawing bid'
+    });
+  }
+};
+
+// Load a round and check that the user is an admin of its chama
+const loadRoundForAdmin = async (roundId, userId) => {
+  const round = await bidding.getRound(roundId);
+
+  if (!round) {
+    return { status: 404, message: 'Bidding round not found' };
+  }
+
+  const membership = await getMembership(round.chama_id, userId);
+
+  if (!membership || membership.role !== 'admin') {
+    return { status: 403, message: 'Not authorized as admin' };
+  }
+
+  return { round };
+};
+
+// @desc    Close a round: pay the winner and share the discount out
+// @route   POST /api/bidding/rounds/:roundId/close
+// @access  Private (Admin only)
+const closeRound = async (req, res) => {
+  try {
+    const { round, status, message } = await loadRoundForAdmin(req.params.roundId, req.user.id);
+
+    if (!round) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const outcome = await bidding.closeRound(round.id, req.user.id);
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    const closed = outcome.data.round;
+    const winningBid = closed.bids.find(bid => bid.id === closed.winning_bid_id);
+
+    await notifyUser(
+      winningBid.member_user_id,
+      'You Won the Bidding Round',
+      `Your bid of KES ${closed.discount_amount} won the cycle ${closed.cycle_number} pot. ` +
+        (outcome.data.netting
+          ? `After KES ${outcome.data.netting.total_deducted} deducted for what you owe, ` +
+            `a payout of KES ${outcome.data.netting.net_amount} has been created for you.`
+          : `A payout of KES ${closed.payout_amount} has been created for you.`),
+      closed,
+      'success'
+    );
+
+    if (outcome.data.dividends.length > 0) {
+      const [recipients] = await db.execute(
+        `SELECT id, user_id FROM members WHERE id IN (${outcome.data.dividends.map(() => '?').join(', ')})`,
+        outcome.data.dividends.map(share => share.memberId)
+      );
+
+      for (const share of outcome.data.dividends) {
+        const recipient = recipients.find(member => member.id === share.memberId);
+        if (recipient) {
+          await notifyUser(
+            recipient.user_id,
+            'Bidding Dividend Credited',
+            `${closed.winner_name} won the cycle ${closed.cycle_number} pot. ` +
+              `Your share of the discount, KES ${share.amount}, was credited to your balance.`,
+            closed,
+            'success'
+          );
+        }
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `${closed.winner_name} won with a discount of ${closed.discount_amount}`,
+      data: outcome.data
+    });
+  } catch (error) {
+    console.error('❌ Close bidding round error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error closing bidding round'
+    });
+  }
+};
+
+// @desc    Cancel an open round without a winner
+// @route   POST /api/bidding/rounds/:roundId/cancel
+// @access  Private (Admin only)
+const cancelRound = async (req, res) => {
+  try {
+    const { round, status, message } = await loadRoundForAdmin(req.params.roundId, req.user.id);
+
+    if (!round) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const outcome = await bidding.cancelRound(round.id, req.body.reason, req.user.id);
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    for (const bid of round.bids) {
+      await notifyUser(
+        bid.member_user_id,
+        'Bidding Round Cancelled',
+        `The cycle ${round.cycle_number} bidding round was cancelled: ${req.body.reason}`,
+        round,
+        'warning'
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'Bidding round cancelled',
+      data: outcome.data
+    });
+  } catch (error) {
+    console.error('❌ Cancel bidding round error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error cancelling bidding round'
+    });
+  }
+};
+
+// @desc    Get the dividends a member has received from bidding rounds
+// @route   GET /api/bidding/member/:memberId/dividends
+// @access  Private (Self or Admin)
+const getMemberDividends = async (req, res) => {
+  try {
+    const [members] = await db.execute(
+      'SELECT id, chama_id, user_id FROM members WHERE id = ?',
+      [req.params.memberId]
+    );
+
+    if (members.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    const member = members[0];
+    const membership = await getMembership(member.chama_id, req.user.id);
+
+    if (member.user_id !== req.user.id && (!membership || membership.role !== 'admin')) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view this member's dividends"
+      });
+    }
+
+    const dividends = await bidding.getMemberDividends(member.id);
+
+    res.json({
+      success: true,
+      data: {
+        dividends,
+        total_received: dividends
+          .filter(dividend => !dividend.reversed_at)
+          .reduce((sum, dividend) => sum + parseFloat(dividend.amount), 0)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get dividends error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching dividends'
+    });
+  }
+};
+
+module.exports = {
+  openRound,
+  getChamaRounds,
+  getRound,
+  placeBid,
+  withdrawBid,
+  closeRound,
+  cancelRound,
+  getMemberDividends
+};
@@ -1,6 +1,14 @@
 const db = require('../config/database');
-const axios = require('axios');
 const crypto = require('crypto');
+const jobRunner = require('../utils/jobRunner');
+const { getProvider } = require('../utils/paymentProviders');
+const { recordProviderTransaction } = require('../utils/providerTransactions');
+const { reconcileStkPayment } = require('../utils/mpesaPayments');
+const { recordCallback, processStkCallback } = require('../utils/mpesaCallbacks');
+const chamaSettings = require('../utils/chamaSettings');
+const approvals = require('../utils/approvals');
+const payoutSignatures = require('../utils/payoutSignatures');
+const { processOverdueCycles } = require('../utils/overdueProcessor');
 // @desc    Create a chama
 // @route   POST /api/chamas
 // @access  Private
@@ -1081,6 +1089,245 @@ const updateChama = async (req, res) => {
   }
 };
 
+// @desc    Get chama settings
+// @route   GET /api/chamas/:id/settings
+// @access  Private (Members only)
+const getChamaSettings = async (req, res) => {
+  try {
+    const [membership] = await db.execute(
+      'SELECT role FROM members WHERE chama_id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (membership.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not a member of this chama'
+      });
+    }
+
+    const settings = await chamaSettings.getSettings(req.params.id);
+
+    res.json({
+      success: true,
+      data: {
+        settings,
+        definitions: chamaSettings.SETTING_DEFINITIONS
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get chama settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching chama settings'
+    });
+  }
+};
+
+// @desc    Update chama settings
+// @route   PUT /api/chamas/:id/settings
+// @access  Private (Admin only)
+const updateChamaSettings = async (req, res) => {
+  const { settings } = req.body;
+
+  try {
+    const [membership] = await db.execute(
+      `SELECT role FROM members 
+       WHERE chama_id = ? AND user_id = ? AND role = 'admin'`,
+      [req.params.id, req.user.id]
+    );
+
+    if (membership.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    if (!settings || typeof settings !== 'object' || Object.keys(settings).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide settings to update'
+      });
+    }
+
+    const current = await chamaSettings.getSettings(req.params.id);
+    const errors = chamaSettings.validateSettings(settings, current);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('; ')
+      });
+    }
+
+    // Control settings wait for a second officer when four-eyes mode is on
+    const held = {};
+    const immediate = {};
+
+    for (const [key, value] of Object.entries(settings)) {
+      const changed = JSON.stringify(current[key]) !== JSON.stringify(value);
+      if (changed && chamaSettings.SETTING_DEFINITIONS[key].control) {
+        held[key] = value;
+      } else {
+        immediate[key] = value;
+      }
+    }
+
+    if (Object.keys(held).length > 0 && await approvals.isRequired(req.params.id)) {
+      const updated = Object.keys(immediate).length > 0
+        ? await chamaSettings.saveSettings(req.params.id, immediate, req.user.id)
+        : current;
+
+      const request = await approvals.createRequest({
+        chamaId: req.params.id,
+        action: 'update_settings',
+        targetId: req.params.id,
+        payload: { settings: held },
+        summary: `Change ${Object.entries(held).map(([key, value]) => `${key} to ${JSON.stringify(value)}`).join(', ')}`,
+        userId: req.user.id
+      });
+
+      return res.status(202).json({
+        success: true,
+        message: 'Control settings submitted for approval',
+        data: { settings: updated, approval_request: request }
+      });
+    }
+
+    const updated = await chamaSettings.saveSettings(req.params.id, settings, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Chama settings updated successfully',
+      data: updated
+    });
+  } catch (error) {
+    console.error('❌ Update chama settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating chama settings'
+    });
+  }
+};
+
+// @desc    Get the chama's officers
+// @route   GET /api/chamas/:id/officers
+// @access  Private (Members only)
+const getChamaOfficers = async (req, res) => {
+  try {
+    const [membership] = await db.execute(
+      'SELECT role FROM members WHERE chama_id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (membership.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not a member of this chama'
+      });
+    }
+
+    const officers = await payoutSignatures.getOfficers(req.params.id);
+
+    res.json({
+      success: true,
+      data: officers
+    });
+  } catch (error) {
+    console.error('❌ Get chama officers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching chama officers'
+    });
+  }
+};
+
+// @desc    Put a member in an office, or leave it vacant with memberId null
+// @route   PUT /api/chamas/:id/officers/:office
+// @access  Private (Admin only)
+const assignChamaOfficer = async (req, res) => {
+  const { memberId } = req.body;
+
+  try {
+    const [membership] = await db.execute(
+      `SELECT role FROM members 
+       WHERE chama_id = ? AND user_id = ? AND role = 'admin'`,
+      [req.params.id, req.user.id]
+    );
+
+    if (membership.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    if (memberId !== undefined && memberId !== null && !(parseInt(memberId) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'memberId must be a member ID or null'
+      });
+    }
+
+    if (!payoutSignatures.OFFICES.includes(req.params.office)) {
+      return res.status(400).json({
+        success: false,
+        message: `Office must be one of: ${payoutSignatures.OFFICES.join(', ')}`
+      });
+    }
+
+    const officerId = memberId === undefined || memberId === null ? null : parseInt(memberId);
+
+    // Officers sign for payouts, so changes wait for a second officer when four-eyes mode is on
+    if (await approvals.isRequired(req.params.id)) {
+      const request = await approvals.createRequest({
+        chamaId: req.params.id,
+        action: 'assign_officer',
+        targetId: req.params.id,
+        memberId: officerId,
+        payload: { office: req.params.office, member_id: officerId },
+        summary: officerId
+          ? `Assign member #${officerId} as ${req.params.office}`
+          : `Leave the ${req.params.office} office vacant`,
+        userId: req.user.id
+      });
+
+      return res.status(202).json({
+        success: true,
+        message: 'Officer change submitted for approval',
+        data: { approval_request: request }
+      });
+    }
+
+    const outcome = await payoutSignatures.assignOfficer(
+      req.params.id,
+      req.params.office,
+      officerId,
+      req.user.id
+    );
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: memberId ? `${req.params.office} assigned` : `${req.params.office} left vacant`,
+      data: outcome.data
+    });
+  } catch (error) {
+    console.error('❌ Assign chama officer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error assigning chama officer'
+    });
+  }
+};
+
 // @desc    Remove member from chama
 // @route   DELETE /api/chamas/:id/members/:memberId
 // @access  Private (Admin only)
@@ -1358,241 +1605,36 @@ const debugChama = async (req, res) => {
     res.status(500).json({ success: false, message: 'Debug error' });
   }
 };
-// M-Pesa Configuration
-const MPESA_CONFIG = {
-  consumerKey: process.env.MPESA_CONSUMER_KEY || '',
-  consumerSecret: process.env.MPESA_CONSUMER_SECRET || '',
-  shortCode: process.env.MPESA_SHORTCODE || '',
-  passkey: process.env.MPESA_PASSKEY || '',
-  callbackURL: process.env.MPESA_CALLBACK_URL || 'https://yourdomain.com/api/payments/callback',
-  environment: process.env.MPESA_ENVIRONMENT || 'sandbox', // sandbox or production
-  transactionType: 'CustomerPayBillOnline'
-};
 
-// M-Pesa STK Push Service
-class MpesaService {
-  constructor() {
-    this.isConfigured = false;
-    
-    if (MPESA_CONFIG.consumerKey && MPESA_CONFIG.consumerSecret) {
-      this.isConfigured = true;
-      console.log('✅ M-Pesa service configured');
-    } else {
-      console.warn('⚠️ M-Pesa credentials not found. Running in simulation mode.');
-    }
-  }
-
-  /**
-   * Get M-Pesa access token
-   */
-  async getAccessToken() {
-    try {
-      const auth = Buffer.from(`${MPESA_CONFIG.consumerKey}:${MPESA_CONFIG.consumerSecret}`).toString('base64');
-      
-      const response = await axios.get(
-        MPESA_CONFIG.environment === 'production' 
-          ? 'https://api.safaricom.co.ke/oauth/v1/generate?grant_type=client_credentials'
-          : 'https://sandbox.safaricom.co.ke/oauth/v1/generate?grant_type=client_credentials',
-        {
-          headers: {
-            Authorization: `Basic ${auth}`
-          }
-        }
-      );
-      
-      return response.data.access_token;
-    } catch (error) {
-      console.error('❌ M-Pesa access token error:', error.response?.data || error.message);
-      throw new Error('Failed to get M-Pesa access token');
-    }
-  }
-
-  /**
-   * Generate timestamp in M-Pesa format (YYYYMMDDHHmmss)
-   */
-  generateTimestamp() {
-    const now = new Date();
-    return now.getFullYear().toString() +
-           (now.getMonth() + 1).toString().padStart(2, '0') +
-           now.getDate().toString().padStart(2, '0') +
-           now.getHours().toString().padStart(2, '0') +
-           now.getMinutes().toString().padStart(2, '0') +
-           now.getSeconds().toString().padStart(2, '0');
-  }
-
-  /**
-   * Generate password for STK Push
-   */
-  generatePassword(shortCode, passkey, timestamp) {
-    const str = shortCode + passkey + timestamp;
-    return Buffer.from(str).toString('base64');
-  }
-
-  /**
-   * Initiate STK Push payment
-   */
-  async initiateSTKPush(phone, amount, reference, description = 'Chama Contribution') {
-    try {
-      if (!this.isConfigured) {
-        // Simulation mode
-        console.log(`📱 [SIMULATION] STK Push for ${phone}: KES ${amount}`);
-        console.log(`📱 Reference: ${reference}, Description: ${description}`);
-        
-        // Simulate successful payment after delay
-        return new Promise(resolve => {
-          setTimeout(() => {
-            resolve({
-              success: true,
-              mode: 'simulation',
-              checkoutRequestID: `SIM-${Date.now()}`,
-              merchantRequestID: `SIM-MR-${Date.now()}`,
-              customerMessage: 'Success. Request accepted for processing',
-              responseCode: '0',
-              phone: phone,
-              amount: amount,
-              reference: reference,
-              description: description
-            });
-          }, 2000);
-        });
-      }
-
-      const accessToken = await this.getAccessToken();
-      const timestamp = this.generateTimestamp();
-      const password = this.generatePassword(MPESA_CONFIG.shortCode, MPESA_CONFIG.passkey, timestamp);
-      
-      // Format phone number (remove + and leading 0)
-      let formattedPhone = phone.replace(/\D/g, '');
-      if (formattedPhone.startsWith('0')) {
-        formattedPhone = '254' + formattedPhone.substring(1);
-      } else if (formattedPhone.startsWith('254')) {
-        formattedPhone = formattedPhone;
-      } else {
-        formattedPhone = '254' + formattedPhone;
-      }
-
-      const requestData = {
-        BusinessShortCode: MPESA_CONFIG.shortCode,
-        Password: password,
-        Timestamp: timestamp,
-        TransactionType: MPESA_CONFIG.transactionType,
-        Amount: Math.round(amount), // Amount in whole shillings
-        PartyA: formattedPhone,
-        PartyB: MPESA_CONFIG.shortCode,
-        PhoneNumber: formattedPhone,
-        CallBackURL: MPESA_CONFIG.callbackURL,
-        AccountReference: reference.substring(0, 12), // Max 12 chars
-        TransactionDesc: description.substring(0, 13) // Max 13 chars
-      };
-
-      console.log('🔍 Initiating STK Push with data:', requestData);
-
-      const response = await axios.post(
-        MPESA_CONFIG.environment === 'production'
-          ? 'https://api.safaricom.co.ke/mpesa/stkpush/v1/processrequest'
-          : 'https://sandbox.safaricom.co.ke/mpesa/stkpush/v1/processrequest',
-        requestData,
-        {
-          headers: {
-            Authorization: `Bearer ${accessToken}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      console.log('✅ STK Push initiated:', response.data);
+// @desc    Mark overdue contributions late and complete due cycles
+// @route   GET /api/chamas/check-overdue
+// @access  Private (Scheduler via CRON_SECRET)
+const checkOverdueCycles = async (req, res) => {
+  try {
+    const outcome = await jobRunner.run('overdue-check', processOverdueCycles);
 
-      return {
-        success: true,
-        mode: 'production',
-        checkoutRequestID: response.data.CheckoutRequestID,
-        merchantRequestID: response.data.MerchantRequestID,
-        customerMessage: response.data.CustomerMessage,
-        responseCode: response.data.ResponseCode,
-        phone: phone,
-        amount: amount,
-        reference: reference,
-        description: description,
-        rawResponse: response.data
-      };
-    } catch (error) {
-      console.error('❌ STK Push error:', error.response?.data || error.message);
-      
-      const errorData = error.response?.data || {};
-      let errorMessage = 'Failed to initiate payment';
-      
-      if (errorData.errorCode === '400.002.02') {
-        errorMessage = 'Invalid phone number format';
-      } else if (errorData.errorCode === '500.001.1001') {
-        errorMessage = 'Insufficient balance';
-      } else if (errorData.errorCode) {
-        errorMessage = errorData.errorMessage || `Payment error: ${errorData.errorCode}`;
-      }
-      
-      throw new Error(errorMessage);
+    if (outcome.skipped) {
+      return res.status(409).json({
+        success: false,
+        message: 'Overdue check is already running'
+      });
     }
-  }
 
-  /**
-   * Check STK Push status
-   */
-  async checkSTKStatus(checkoutRequestID) {
-    try {
-      if (!this.isConfigured) {
-        // Simulation mode - always return success
-        return {
-          success: true,
-          mode: 'simulation',
-          resultCode: '0',
-          resultDesc: 'The service request is processed successfully.',
-          transactionComplete: true
-        };
-      }
-
-      const accessToken = await this.getAccessToken();
-      const timestamp = this.generateTimestamp();
-      const password = this.generatePassword(MPESA_CONFIG.shortCode, MPESA_CONFIG.passkey, timestamp);
-
-      const requestData = {
-        BusinessShortCode: MPESA_CONFIG.shortCode,
-        Password: password,
-        Timestamp: timestamp,
-        CheckoutRequestID: checkoutRequestID
-      };
-
-      const response = await axios.post(
-        MPESA_CONFIG.environment === 'production'
-          ? 'https://api.safaricom.co.ke/mpesa/stkpushquery/v1/query'
-          : 'https://sandbox.safaricom.co.ke/mpesa/stkpushquery/v1/query',
-        requestData,
-        {
-          headers: {
-            Authorization: `Bearer ${accessToken}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+    const totalLate = outcome.result.reduce((sum, chama) => sum + (chama.contributions_marked_late || 0), 0);
 
-      const result = response.data;
-      const transactionComplete = result.ResultCode === '0';
-      
-      return {
-        success: true,
-        mode: 'production',
-        resultCode: result.ResultCode,
-        resultDesc: result.ResultDesc,
-        transactionComplete: transactionComplete,
-        rawResponse: result
-      };
-    } catch (error) {
-      console.error('❌ STK Status check error:', error.response?.data || error.message);
-      throw new Error('Failed to check payment status');
-    }
+    res.json({
+      success: true,
+      message: `Overdue check completed: ${totalLate} contributions marked late across ${outcome.result.length} chamas`,
+      data: outcome.result
+    });
+  } catch (error) {
+    console.error('❌ Check overdue cycles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error checking overdue cycles'
+    });
   }
-}
-
-// Initialize M-Pesa service
-const mpesaService = new MpesaService();
+};
 
 // @desc    Initiate M-Pesa payment for contribution
 // @route   POST /api/chamas/:id/payments/mpesa
@@ -1689,51 +1731,9 @@ const initiateMpesaPayment = async (req, res) => {
       });
     }
 
-    const cycleId = currentCycle[0].id;
-    
-    // Find or create pending contribution
-    const [pendingContribution] = await connection.execute(
-      `SELECT id, amount FROM contributions 
-       WHERE member_id = ? AND cycle_id = ? AND status = 'pending'
-       ORDER BY due_date ASC
-       LIMIT 1`,
-      [memberId, cycleId]
-    );
-
-    let contributionId;
-    let expectedAmount = amount;
-    
-    if (pendingContribution.length > 0) {
-      contributionId = pendingContribution[0].id;
-      expectedAmount = pendingContribution[0].amount;
-      
-      if (amount < expectedAmount) {
-        await connection.rollback();
-        connection.release();
-        
-        return res.status(400).json({
-          success: false,
-          message: `Amount must be at least KES ${expectedAmount} for this contribution`
-        });
-      }
-    } else {
-      // Create new contribution record
-      const [contributionResult] = await connection.execute(
-        `INSERT INTO contributions 
-         (member_id, chama_id, cycle_id, amount, due_date, status) 
-         VALUES (?, ?, ?, ?, ?, 'pending')`,
-        [
-          memberId,
-          chamaId,
-          cycleId,
-          amount,
-          new Date().toISOString().split('T')[0]
-        ]
-      );
-
-      contributionId = contributionResult.insertId;
-      expectedAmount = amount;
-    }
+    // The payment is allocated to contributions when the callback confirms it
+    const contributionId = null;
+    const expectedAmount = amount;
 
     // Generate unique reference
     const reference = `CHAMA${chamaId.toString().padStart(4, '0')}${Date.now().toString().slice(-6)}`;
@@ -1762,14 +1762,14 @@ const initiateMpesaPayment = async (req, res) => {
 
     // Initiate STK Push
     console.log('🔍 Initiating STK Push...');
-    const stkResult = await mpesaService.initiateSTKPush(
+    const collection = await getProvider('mpesa').collect({
       phone,
       amount,
       reference,
-      description || `Chama ${chamaId} Contribution`
-    );
+      description: description || `Chama ${chamaId} Contribution`
+    });
 
-    console.log('✅ STK Push initiated:', stkResult);
+    console.log('✅ STK Push initiated:', collection.raw);
 
     // Update payment record with STK details
     await connection.execute(
@@ -1781,14 +1781,28 @@ const initiateMpesaPayment = async (req, res) => {
            status = 'initiated'
        WHERE id = ?`,
       [
-        stkResult.checkoutRequestID,
-        stkResult.merchantRequestID,
-        stkResult.responseCode,
-        stkResult.customerMessage,
+        collection.providerReference,
+        collection.requestId,
+        collection.responseCode,
+        collection.message,
         mpesaPaymentId
       ]
     );
 
+    await recordProviderTransaction(connection, {
+      provider: 'mpesa',
+      direction: 'collection',
+      chamaId,
+      memberId,
+      amount,
+      account: phone,
+      reference,
+      providerReference: collection.providerReference,
+      resultCode: collection.responseCode,
+      sourceType: 'mpesa_payment',
+      sourceId: mpesaPaymentId
+    });
+
     // Commit transaction
     await connection.commit();
 
@@ -1797,9 +1811,9 @@ const initiateMpesaPayment = async (req, res) => {
       message: 'Payment initiated successfully. Please check your phone to complete the transaction.',
       data: {
         paymentId: mpesaPaymentId,
-        checkoutRequestID: stkResult.checkoutRequestID,
-        merchantRequestID: stkResult.merchantRequestID,
-        customerMessage: stkResult.customerMessage,
+        checkoutRequestID: collection.providerReference,
+        merchantRequestID: collection.requestId,
+        customerMessage: collection.message,
         phone: phone,
         amount: amount,
         reference: reference,
@@ -1838,214 +1852,51 @@ const initiateMpesaPayment = async (req, res) => {
 };
 
 // @desc    M-Pesa payment callback (called by Safaricom)
-// @route   POST /api/payments/mpesa-callback
-// @access  Public
+// @route   POST /api/chamas/payments/mpesa-callback
+// @access  Public (shared secret or IP allowlist)
 const mpesaCallback = async (req, res) => {
   console.log('=== MPESA CALLBACK RECEIVED ===');
-  console.log('Callback body:', JSON.stringify(req.body, null, 2));
 
-  let connection;
-  
   try {
     const callbackData = req.body;
     
-    if (!callbackData.Body || !callbackData.Body.stkCallback) {
+    if (!callbackData || !callbackData.Body || !callbackData.Body.stkCallback) {
       console.error('❌ Invalid callback format');
       return res.status(400).json({ ResultCode: 1, ResultDesc: 'Invalid callback format' });
     }
 
     const stkCallback = callbackData.Body.stkCallback;
-    const checkoutRequestID = stkCallback.CheckoutRequestID;
-    const resultCode = stkCallback.ResultCode;
-    const resultDesc = stkCallback.ResultDesc;
-    const callbackMetadata = stkCallback.CallbackMetadata;
-
-    console.log('🔍 Processing callback for:', checkoutRequestID);
-    console.log('Result Code:', resultCode, 'Description:', resultDesc);
-
-    // Get database connection for transaction
-    connection = await db.getConnection();
-    
-    // Start transaction
-    await connection.beginTransaction();
-
-    // Find payment record
-    const [paymentRecords] = await connection.execute(
-      `SELECT * FROM mpesa_payments 
-       WHERE checkout_request_id = ?`,
-      [checkoutRequestID]
-    );
-
-    if (paymentRecords.length === 0) {
-      console.error('❌ Payment record not found for:', checkoutRequestID);
-      await connection.rollback();
-      connection.release();
-      
-      return res.status(404).json({ ResultCode: 1, ResultDesc: 'Payment record not found' });
-    }
-
-    const payment = paymentRecords[0];
-    console.log('✅ Found payment record:', payment.id);
-
-    // Extract payment details from callback
-    let mpesaReceiptNumber = null;
-    let transactionDate = null;
-    let phoneNumber = null;
-    let amount = payment.amount;
-
-    if (callbackMetadata && callbackMetadata.Item) {
-      callbackMetadata.Item.forEach(item => {
-        if (item.Name === 'MpesaReceiptNumber') {
-          mpesaReceiptNumber = item.Value;
-        } else if (item.Name === 'TransactionDate') {
-          transactionDate = item.Value;
-        } else if (item.Name === 'PhoneNumber') {
-          phoneNumber = item.Value;
-        } else if (item.Name === 'Amount') {
-          amount = item.Value;
-        }
-      });
-    }
 
-    // Update payment record
-    const paymentStatus = resultCode === '0' ? 'completed' : 'failed';
-    
-    await connection.execute(
-      `UPDATE mpesa_payments 
-       SET status = ?,
-           result_code = ?,
-           result_description = ?,
-           mpesa_receipt_number = ?,
-           transaction_date = ?,
-           phone_number = COALESCE(?, phone_number),
-           amount = COALESCE(?, amount),
-           callback_received_at = CURRENT_TIMESTAMP
-       WHERE id = ?`,
-      [
-        paymentStatus,
-        resultCode,
-        resultDesc,
-        mpesaReceiptNumber,
-        transactionDate,
-        phoneNumber,
-        amount,
-        payment.id
-      ]
-    );
-
-    console.log('✅ Payment record updated with status:', paymentStatus);
-
-    // If payment successful, update contribution and record payment
-    if (resultCode === '0') {
-      // Update contribution status
-      await connection.execute(
-        `UPDATE contributions 
-         SET status = 'paid',
-             paid_date = ?,
-             payment_method = 'mpesa',
-             reference_number = ?,
-             verified_by = ?,
-             amount = COALESCE(?, amount)
-         WHERE id = ?`,
-        [
-          transactionDate ? new Date(transactionDate) : new Date(),
-          mpesaReceiptNumber,
-          payment.initiated_by,
-          amount,
-          payment.contribution_id
-        ]
-      );
-
-      // Record payment transaction
-      await connection.execute(
-        `INSERT INTO payments 
-         (chama_id, member_id, contribution_id, amount, payment_method,
-          payment_date, reference_number, recorded_by, notes) 
-         VALUES (?, ?, ?, ?, 'mpesa', ?, ?, ?, ?)`,
-        [
-          payment.chama_id,
-          payment.member_id,
-          payment.contribution_id,
-          amount,
-          transactionDate ? new Date(transactionDate) : new Date(),
-          mpesaReceiptNumber,
-          payment.initiated_by,
-          `M-Pesa payment via STK Push. Receipt: ${mpesaReceiptNumber}`
-        ]
-      );
+    // Keep the raw callback so it can be audited and reprocessed
+    const callbackId = await recordCallback('stk', callbackData, req.ip, {
+      checkoutRequestId: stkCallback.CheckoutRequestID,
+      resultCode: stkCallback.ResultCode
+    });
 
-      // Update chama statistics
-      await connection.execute(
-        `UPDATE chamas 
-         SET updated_at = CURRENT_TIMESTAMP 
-         WHERE id = ?`,
-        [payment.chama_id]
-      );
+    console.log('🔍 Processing callback for:', stkCallback.CheckoutRequestID);
 
-      console.log('✅ Contribution updated and payment recorded');
-      
-      // Get member details for notification
-      const [memberDetails] = await connection.execute(
-        `SELECT u.name, u.phone, c.name as chama_name 
-         FROM members m
-         JOIN users u ON m.user_id = u.id
-         JOIN chamas c ON m.chama_id = c.id
-         WHERE m.id = ?`,
-        [payment.member_id]
-      );
+    const outcome = await processStkCallback(callbackId);
 
-      if (memberDetails.length > 0) {
-        const member = memberDetails[0];
-        
-        // Send confirmation SMS (you can integrate with your SMS service)
-        try {
-          console.log(`📱 Payment confirmation for ${member.name}: KES ${amount} to ${member.chama_name}`);
-          // await smsService.sendPaymentConfirmation(member.phone, member.name, amount, member.chama_name, mpesaReceiptNumber);
-        } catch (smsError) {
-          console.warn('⚠️ Failed to send confirmation SMS:', smsError.message);
-        }
-      }
+    if (outcome.receipt) {
+      console.log('✅ Payment allocated and recorded:', outcome.receipt.receipt_number);
+    } else {
+      console.log(`✅ Callback ${callbackId} ${outcome.status}${outcome.message ? `: ${outcome.message}` : ''}`);
     }
 
-    // Commit transaction
-    await connection.commit();
-
-    // Send response to Safaricom
+    // Failed callbacks are retried from the stored copy, so always acknowledge
     res.json({
       ResultCode: 0,
       ResultDesc: "Success"
     });
 
-    console.log('✅ Callback processing completed successfully');
-
   } catch (error) {
     console.error('❌ M-Pesa callback error:', error);
     
-    // Rollback transaction in case of error
-    if (connection) {
-      try {
-        await connection.rollback();
-      } catch (rollbackError) {
-        console.error('❌ Rollback error:', rollbackError);
-      } finally {
-        connection.release();
-      }
-    }
-    
-    // Still respond to Safaricom to prevent retries
-    res.json({
-      ResultCode: 0,
-      ResultDesc: "Success" // Always return success to prevent retries
+    // The callback could not be stored; let Safaricom retry it
+    res.status(500).json({
+      ResultCode: 1,
+      ResultDesc: 'Callback could not be stored'
     });
-  } finally {
-    // Always release connection if it exists
-    if (connection && connection.release) {
-      try {
-        connection.release();
-      } catch (releaseError) {
-        console.error('❌ Connection release error:', releaseError);
-      }
-    }
   }
 };
 
@@ -2095,37 +1946,11 @@ const checkPaymentStatus = async (req, res) => {
       });
     }
 
-    // If payment is pending and has checkout request ID, check status with M-Pesa
+    // If payment is still waiting on a callback, ask M-Pesa directly
     let stkStatus = null;
     if (payment.status === 'initiated' && payment.checkout_request_id) {
       try {
-        stkStatus = await mpesaService.checkSTKStatus(payment.checkout_request_id);
-        
-        // Update status if changed
-        if (stkStatus.transactionComplete) {
-          await db.execute(
-            `UPDATE mpesa_payments 
-             SET status = 'completed',
-                 result_code = ?,
-                 result_description = ?,
-                 updated_at = CURRENT_TIMESTAMP
-             WHERE id = ?`,
-            [stkStatus.resultCode, stkStatus.resultDesc, paymentId]
-          );
-          
-          // Also update contribution if not already done via callback
-          if (payment.contribution_id) {
-            await db.execute(
-              `UPDATE contributions 
-               SET status = 'paid',
-                   paid_date = CURRENT_DATE,
-                   payment_method = 'mpesa',
-                   updated_at = CURRENT_TIMESTAMP
-               WHERE id = ? AND status = 'pending'`,
-              [payment.contribution_id]
-            );
-          }
-        }
+        stkStatus = await reconcileStkPayment(payment);
       } catch (statusError) {
         console.warn('⚠️ Failed to check STK status:', statusError.message);
       }
@@ -2295,63 +2120,15 @@ const getMyPayments = async (req, res) => {
   }
 };
 
-// Update the existing recordPayment function to handle M-Pesa separately
-
-// Add M-Pesa payment table schema
-const createMpesaPaymentsTable = `
-CREATE TABLE IF NOT EXISTS mpesa_payments (
-  id INT PRIMARY KEY AUTO_INCREMENT,
-  chama_id INT NOT NULL,
-  member_id INT NOT NULL,
-  contribution_id INT NULL,
-  phone_number VARCHAR(20) NOT NULL,
-  amount DECIMAL(10, 2) NOT NULL,
-  expected_amount DECIMAL(10, 2) NOT NULL,
-  reference VARCHAR(50) NOT NULL UNIQUE,
-  description VARCHAR(255),
-  checkout_request_id VARCHAR(100),
-  merchant_request_id VARCHAR(100),
-  response_code VARCHAR(10),
-  customer_message VARCHAR(255),
-  result_code VARCHAR(10),
-  result_description VARCHAR(255),
-  mpesa_receipt_number VARCHAR(50),
-  transaction_date VARCHAR(20),
-  status ENUM('pending', 'initiated', 'completed', 'failed', 'cancelled') DEFAULT 'pending',
-  initiated_by INT NOT NULL,
-  callback_received_at TIMESTAMP NULL,
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-  FOREIGN KEY (chama_id) REFERENCES chamas(id) ON DELETE CASCADE,
-  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
-  FOREIGN KEY (contribution_id) REFERENCES contributions(id) ON DELETE SET NULL,
-  FOREIGN KEY (initiated_by) REFERENCES users(id),
-  INDEX idx_checkout_request (checkout_request_id),
-  INDEX idx_reference (reference),
-  INDEX idx_status (status),
-  INDEX idx_created_at (created_at),
-  INDEX idx_chama_member (chama_id, member_id)
-);
-`;
-
-// Run this during database setup
-const initializeMpesaTables = async () => {
-  try {
-    await db.execute(createMpesaPaymentsTable);
-    console.log('✅ M-Pesa payments table created/verified');
-  } catch (error) {
-    console.error('❌ Failed to create M-Pesa payments table:', error);
-  }
-};
-
-// Call this function during app startup
-initializeMpesaTables();
-
 module.exports = {
   createChama,
   getMyChamas,
   getChama,
   updateChama,
+  getChamaSettings,
+  updateChamaSettings,
+  getChamaOfficers,
+  assignChamaOfficer,
   addMember,
   removeMember,
   getChamaStats,
@@ -2359,6 +2136,7 @@ module.exports = {
   getContributions,
   getMyContributions,
   debugChama,
+  checkOverdueCycles,
   initiateMpesaPayment,
   mpesaCallback,
   checkPaymentStatus,
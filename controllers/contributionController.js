@@ -1,145 +1,35 @@
 // controllers/contributionController.js
 const db = require('../config/database');
+const cycleGenerator = require('../utils/cycleGenerator');
+const fineEngine = require('../utils/fineEngine');
+const paymentAllocator = require('../utils/paymentAllocator');
+const contributionImport = require('../utils/contributionImport');
+const { updateMemberBalance } = require('../utils/ledger');
+const approvals = require('../utils/approvals');
+const memberWallet = require('../utils/memberWallet');
+const {
+  applyContributionUpdate,
+  applyContributionStatus,
+  applyBalanceAdjustment
+} = require('../utils/financialEdits');
+const {
+  isDraftContribution,
+  reverseContribution: reverseContributionEntry,
+  getReversals
+} = require('../utils/reversals');
 
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
 
 /**
- * Update member balance and record in ledger
+ * Describe the fields of a contribution edit for an approval summary
  */
-const updateMemberBalance = async (memberId, amount, description, userId, cycleId = null, contributionId = null) => {
-  const connection = await db.getConnection();
-  
-  try {
-    await connection.beginTransaction();
-
-    // Get current balance
-    const [balanceRows] = await connection.execute(
-      `SELECT contribution_balance FROM members WHERE id = ?`,
-      [memberId]
-    );
-    
-    const currentBalance = balanceRows[0]?.contribution_balance || 0;
-    const newBalance = currentBalance + amount;
-
-    // Update member balance
-    await connection.execute(
-      `UPDATE members SET contribution_balance = ? WHERE id = ?`,
-      [newBalance, memberId]
-    );
-
-    // Record in ledger if table exists
-    try {
-      await connection.execute(
-        `INSERT INTO contribution_ledger 
-         (member_id, cycle_id, contribution_id, transaction_type, 
-          amount, balance_before, balance_after, description, created_by) 
-         VALUES (?, ?, ?, 'contribution', ?, ?, ?, ?, ?)`,
-        [
-          memberId,
-          cycleId,
-          contributionId,
-          amount,
-          currentBalance,
-          newBalance,
-          description,
-          userId
-        ]
-      );
-    } catch (ledgerError) {
-      console.log('Ledger table might not exist, continuing without ledger entry');
-    }
-
-    await connection.commit();
-    return newBalance;
-  } catch (error) {
-    await connection.rollback();
-    throw error;
-  } finally {
-    connection.release();
-  }
-};
-
-/**
- * Handle type-specific contribution creation/update
- */
-const handleTypeContribution = async (
-  memberId, cycleId, typeId, amount, expectedAmount,
-  paymentMethod, paymentReference, recordedById, existingContributions
-) => {
-  const connection = await db.getConnection();
-  
-  try {
-    await connection.beginTransaction();
-
-    let contributionId;
-    let status = 'partial';
-    
-    // Determine status
-    if (Math.abs(amount - expectedAmount) < 0.01) {
-      status = 'paid';
-    } else if (amount <= 0) {
-      status = 'pending';
-    }
-
-    if (existingContributions && existingContributions.length > 0) {
-      // Update existing contribution
-      const existing = existingContributions[0];
-      const newAmount = (parseFloat(existing.amount) || 0) + amount;
-      const newStatus = Math.abs(newAmount - expectedAmount) < 0.01 ? 'paid' : 
-                       newAmount > 0 ? 'partial' : 'pending';
-      
-      await connection.execute(
-        `UPDATE contributions 
-         SET amount = ?, status = ?, updated_at = CURRENT_TIMESTAMP
-         WHERE id = ?`,
-        [newAmount, newStatus, existing.id]
-      );
-      
-      contributionId = existing.id;
-    } else {
-      // Create new contribution
-      const [result] = await connection.execute(
-        `INSERT INTO contributions 
-         (member_id, cycle_id, type_id, amount, expected_amount,
-          payment_method, payment_reference, payment_date,
-          recorded_by, status)
-         VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, ?, ?)`,
-        [
-          memberId,
-          cycleId,
-          typeId,
-          amount,
-          expectedAmount,
-          paymentMethod || 'cash',
-          paymentReference || null,
-          recordedById,
-          status
-        ]
-      );
-      
-      contributionId = result.insertId;
-    }
-
-    await connection.commit();
-    
-    return {
-      id: contributionId,
-      member_id: memberId,
-      cycle_id: cycleId,
-      type_id: typeId,
-      amount: amount,
-      expected_amount: expectedAmount,
-      status: status
-    };
-  } catch (error) {
-    await connection.rollback();
-    throw error;
-  } finally {
-    connection.release();
-  }
-};
+const describeChanges = (changes) =>
+  Object.entries(changes)
+    .filter(([, value]) => value !== undefined)
+    .map(([field, value]) => `${field} → ${value}`)
+    .join(', ') || 'no changes';
 
 /**
  * Check if user has permission for member
@@ -987,14 +877,22 @@ const deleteCycle = async (req, res) => {
       });
     }
 
-    // Check if cycle has contributions
+    // Only cycles holding nothing but unpaid drafts can be deleted
     const [contributions] = await db.execute(
-      'SELECT COUNT(*) as count FROM contributions WHERE cycle_id = ?',
+      'SELECT * FROM contributions WHERE cycle_id = ?',
+      [cycleId]
+    );
+
+    const [payouts] = await db.execute(
+      'SELECT COUNT(*) as count FROM payouts WHERE cycle_id = ?',
       [cycleId]
     );
 
-    if (contributions[0].count > 0) {
-      // Can't delete if has contributions, mark as cancelled instead
+    const hasFinancialRecords = payouts[0].count > 0 ||
+      contributions.some(contribution => !isDraftContribution(contribution));
+
+    if (hasFinancialRecords) {
+      // Can't delete if it has paid records, mark as cancelled instead
       if (cycle.status !== 'cancelled') {
         await db.execute(
           'UPDATE contribution_cycles SET status = "cancelled" WHERE id = ?',
@@ -1003,16 +901,17 @@ const deleteCycle = async (req, res) => {
         
         res.json({
           success: true,
-          message: 'Cycle cancelled (has existing contributions)'
+          message: 'Cycle cancelled (has paid contributions or payouts)'
         });
       } else {
         res.status(400).json({
           success: false,
-          message: 'Cycle has contributions and is already cancelled'
+          message: 'Cycle has paid contributions or payouts and is already cancelled'
         });
       }
     } else {
-      // Delete cycle and associated types
+      // Delete draft contributions, cycle and associated types
+      await db.execute('DELETE FROM contributions WHERE cycle_id = ?', [cycleId]);
       await db.execute('DELETE FROM cycle_types WHERE cycle_id = ?', [cycleId]);
       await db.execute('DELETE FROM contribution_cycles WHERE id = ?', [cycleId]);
       
@@ -1030,6 +929,174 @@ const deleteCycle = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Preview the next automatically generated cycle
+ * @route   GET /api/contributions/cycles/chama/:chamaId/next
+ * @access  Private (Admin only)
+ */
+const previewNextCycle = async (req, res) => {
+  const { chamaId } = req.params;
+
+  try {
+    // Check admin permission
+    const [adminCheck] = await db.execute(
+      `SELECT role FROM members
+       WHERE chama_id = ? AND user_id = ? AND role = 'admin'`,
+      [chamaId, req.user.id]
+    );
+
+    if (adminCheck.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    const plan = await cycleGenerator.planNextCycle(chamaId);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chama not found'
+      });
+    }
+
+    const { member_ids, ...preview } = plan;
+
+    res.json({
+      success: true,
+      data: {
+        ...preview,
+        members_count: member_ids.length,
+        generation_due: cycleGenerator.isGenerationDue(plan)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Preview next cycle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error previewing next cycle'
+    });
+  }
+};
+
+/**
+ * @desc    Generate the next cycle from contribution type frequencies
+ * @route   POST /api/contributions/cycles/chama/:chamaId/generate
+ * @access  Private (Admin only)
+ */
+const generateNextCycle = async (req, res) => {
+  const { chamaId } = req.params;
+
+  try {
+    // Check admin permission
+    const [adminCheck] = await db.execute(
+      `SELECT role FROM members
+       WHERE chama_id = ? AND user_id = ? AND role = 'admin'`,
+      [chamaId, req.user.id]
+    );
+
+    if (adminCheck.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    const generated = await cycleGenerator.generateNextCycle(chamaId, {
+      userId: req.user.id,
+      triggerSource: 'manual'
+    });
+
+    if (!generated) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chama not found'
+      });
+    }
+
+    if (generated.skipped) {
+      return res.status(400).json({
+        success: false,
+        message: `No contribution type is due in cycle ${generated.cycle_number}; add or update a contribution type first`
+      });
+    }
+
+    const { member_ids, ...cycle } = generated;
+
+    res.status(201).json({
+      success: true,
+      message: `Cycle ${generated.cycle_number} generated successfully`,
+      data: cycle
+    });
+  } catch (error) {
+    console.error('❌ Generate next cycle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating cycle'
+    });
+  }
+};
+
+/**
+ * @desc    Roll back an automatically generated cycle
+ * @route   POST /api/contributions/cycles/:cycleId/rollback
+ * @access  Private (Admin only)
+ */
+const rollbackGeneratedCycle = async (req, res) => {
+  const { cycleId } = req.params;
+
+  try {
+    // Get cycle details
+    const [cycles] = await db.execute(
+      `SELECT chama_id FROM contribution_cycles WHERE id = ?`,
+      [cycleId]
+    );
+
+    if (cycles.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cycle not found'
+      });
+    }
+
+    // Check admin permission
+    const [adminCheck] = await db.execute(
+      `SELECT role FROM members
+       WHERE chama_id = ? AND user_id = ? AND role = 'admin'`,
+      [cycles[0].chama_id, req.user.id]
+    );
+
+    if (adminCheck.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    const result = await cycleGenerator.rollbackCycle(cycleId, req.user.id);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Generated cycle rolled back successfully',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('❌ Rollback cycle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error rolling back cycle'
+    });
+  }
+};
+
 // ============================================
 // CONTRIBUTIONS CONTROLLERS
 // ============================================
@@ -1070,6 +1137,13 @@ const recordContribution = async (req, res) => {
       });
     }
 
+    if (permission.member.chama_id !== parseInt(chamaId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Member does not belong to this chama'
+      });
+    }
+
     let currentCycleId = cycleId;
     
     // If no cycleId provided, use current active cycle
@@ -1095,8 +1169,8 @@ const recordContribution = async (req, res) => {
       `SELECT cc.*, 
               (SELECT SUM(amount) FROM cycle_types WHERE cycle_id = cc.id) as cycle_target
        FROM contribution_cycles cc
-       WHERE cc.id = ?`,
-      [currentCycleId]
+       WHERE cc.id = ? AND cc.chama_id = ?`,
+      [currentCycleId, chamaId]
     );
 
     if (cycles.length === 0) {
@@ -1108,268 +1182,204 @@ const recordContribution = async (req, res) => {
 
     const cycle = cycles[0];
 
-    // Calculate total expected for this cycle
-    const [cycleTypes] = await db.execute(
-      `SELECT ct.*, ct2.amount as expected_amount
-       FROM cycle_types ct2
-       JOIN contribution_types ct ON ct2.type_id = ct.id
-       WHERE ct2.cycle_id = ?`,
-      [currentCycleId]
-    );
+    // Allocate the payment according to the chama's allocation policy
+    const connection = await db.getConnection();
+    let receipt;
 
-    const totalExpected = cycleTypes.reduce((sum, type) => sum + (parseFloat(type.expected_amount) || 0), 0);
+    try {
+      await connection.beginTransaction();
 
-    // Get member's current balance
-    const [memberBalance] = await db.execute(
-      `SELECT contribution_balance FROM members WHERE id = ?`,
+      receipt = await paymentAllocator.allocatePayment(connection, {
+        chamaId,
+        memberId,
+        amount,
+        paymentMethod: paymentMethod || 'cash',
+        paymentReference,
+        notes,
+        recordedBy: req.user.id,
+        cycleId: currentCycleId,
+        typeId,
+        applyToBalance,
+        source: 'manual'
+      });
+
+      // Record transaction
+      await connection.execute(
+        `INSERT INTO transactions 
+         (chama_id, transaction_type, amount, description, created_by) 
+         VALUES (?, 'contribution', ?, ?, ?)`,
+        [
+          chamaId,
+          receipt.amount,
+          `Contribution recorded: ${receipt.amount} for cycle ${cycle.cycle_number} (receipt ${receipt.receipt_number})`,
+          req.user.id
+        ]
+      );
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    // Get updated member info
+    const [memberInfo] = await db.execute(
+      `SELECT m.*, u.name, u.phone, m.contribution_balance
+       FROM members m
+       JOIN users u ON m.user_id = u.id
+       WHERE m.id = ?`,
       [memberId]
     );
+
+    // Get all contributions for this payment
+    let allContributions = [];
     
-    const currentBalance = memberBalance[0]?.contribution_balance || 0;
-
-    // Payment processing logic
-    let remainingPayment = parseFloat(amount);
-    let contributions = [];
-    let balanceAdjustment = 0;
-    let rolloverAmount = 0;
-    let nextCycleId = null;
-
-    // 1. Apply to specific type if provided
-    if (typeId && !applyToBalance) {
-      const typeExpected = cycleTypes.find(t => t.id === parseInt(typeId))?.expected_amount || 0;
-      
-      const [existingContributions] = await db.execute(
-        `SELECT * FROM contributions 
-         WHERE member_id = ? AND cycle_id = ? AND type_id = ?`,
-        [memberId, currentCycleId, typeId]
+    if (receipt.contribution_ids.length > 0) {
+      const [contribs] = await db.execute(
+        `SELECT c.*, ct.name as type_name
+         FROM contributions c
+         LEFT JOIN contribution_types ct ON c.type_id = ct.id
+         WHERE c.id IN (${receipt.contribution_ids.join(',')})`
       );
-
-      let alreadyPaid = existingContributions.reduce((sum, c) => sum + parseFloat(c.amount), 0);
-      const remainingForType = Math.max(0, typeExpected - alreadyPaid);
-
-      if (remainingPayment > 0 && remainingForType > 0) {
-        const paymentForType = Math.min(remainingPayment, remainingForType);
-        
-        if (paymentForType > 0) {
-          const contribution = await handleTypeContribution(
-            memberId, currentCycleId, typeId, paymentForType, typeExpected,
-            paymentMethod, paymentReference, req.user.id, existingContributions
-          );
-          contributions.push(contribution);
-          remainingPayment -= paymentForType;
-        }
-      }
+      allContributions = contribs;
     }
 
-    // 2. Apply to balance if requested
-    if (applyToBalance && currentBalance < 0 && remainingPayment > 0) {
-      const balanceToClear = Math.min(remainingPayment, Math.abs(currentBalance));
-      
-      if (balanceToClear > 0) {
-        await updateMemberBalance(
-          memberId,
-          balanceToClear,
-          `Balance clearance for cycle ${cycle.cycle_number}`,
-          req.user.id,
-          currentCycleId
-        );
-        
-        balanceAdjustment = balanceToClear;
-        remainingPayment -= balanceToClear;
+    res.status(201).json({
+      success: true,
+      message: 'Contribution recorded successfully',
+      data: {
+        member: memberInfo[0],
+        cycle: {
+          id: currentCycleId,
+          cycle_number: cycle.cycle_number,
+          cycle_name: cycle.cycle_name
+        },
+        payment_summary: {
+          total_paid: receipt.amount,
+          allocation_policy: receipt.allocation_policy,
+          applied_to_contributions: receipt.totals.contribution,
+          applied_to_fines: receipt.totals.fine,
+          applied_to_balance: receipt.totals.balance,
+          paid_in_advance: receipt.totals.advance,
+          credited_to_wallet: receipt.totals.overpayment,
+          new_balance: memberInfo[0]?.contribution_balance || 0,
+          wallet_balance: (await memberWallet.getWallet(memberId)).balance
+        },
+        contributions: allContributions,
+        receipt
       }
-    }
+    });
 
-    // 3. Apply to other types in cycle
-    if (remainingPayment > 0 && !applyToBalance) {
-      for (const type of cycleTypes) {
-        if (remainingPayment <= 0) break;
+  } catch (error) {
+    console.error('❌ Record contribution error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error recording contribution',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
 
-        const [existingContributions] = await db.execute(
-          `SELECT * FROM contributions 
-           WHERE member_id = ? AND cycle_id = ? AND type_id = ?`,
-          [memberId, currentCycleId, type.id]
-        );
-
-        const alreadyPaid = existingContributions.reduce((sum, c) => sum + parseFloat(c.amount), 0);
-        const typeExpected = parseFloat(type.expected_amount);
-        const remainingForType = Math.max(0, typeExpected - alreadyPaid);
-
-        if (remainingForType > 0) {
-          const paymentForType = Math.min(remainingPayment, remainingForType);
-          
-          if (paymentForType > 0) {
-            const contribution = await handleTypeContribution(
-              memberId, currentCycleId, type.id, paymentForType, typeExpected,
-              paymentMethod, paymentReference, req.user.id, existingContributions
-            );
-            
-            contributions.push(contribution);
-            remainingPayment -= paymentForType;
-          }
-        }
-      }
-    }
+/**
+ * @desc    Update contribution
+ * @route   PUT /api/contributions/:contributionId
+ * @access  Private (Admin only)
+ */
+const updateContribution = async (req, res) => {
+  const { contributionId } = req.params;
+  const { amount, paymentMethod, paymentReference, notes, status } = req.body;
 
-    // 4. Handle overpayment (rollover to next cycle or balance)
-    if (remainingPayment > 0) {
-      // Check if there's a next cycle to rollover to
-      const [nextCycles] = await db.execute(
-        `SELECT id, cycle_number FROM contribution_cycles 
-         WHERE chama_id = ? AND cycle_number > ? AND status IN ('upcoming', 'active')
-         ORDER BY cycle_number ASC LIMIT 1`,
-        [chamaId, cycle.cycle_number]
-      );
+  try {
+    // Get contribution details
+    const [contributions] = await db.execute(
+      `SELECT c.*, m.chama_id, m.contribution_balance as member_balance
+       FROM contributions c
+       JOIN members m ON c.member_id = m.id
+       WHERE c.id = ?`,
+      [contributionId]
+    );
 
-      if (nextCycles.length > 0) {
-        // Rollover to next cycle
-        const nextCycle = nextCycles[0];
-        nextCycleId = nextCycle.id;
-        
-        // Create rollover contribution
-        const [rolloverResult] = await db.execute(
-          `INSERT INTO contributions 
-           (member_id, cycle_id, type_id, amount, expected_amount,
-            payment_method, payment_reference, notes, recorded_by, status)
-           VALUES (?, ?, NULL, ?, ?, 'rollover', ?, 'Rollover from cycle ${cycle.cycle_number}', ?, 'paid')`,
-          [
-            memberId,
-            nextCycleId,
-            remainingPayment,
-            remainingPayment,
-            paymentReference,
-            req.user.id
-          ]
-        );
+    if (contributions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contribution not found'
+      });
+    }
 
-        // Update member balance for rollover
-        await updateMemberBalance(
-          memberId,
-          remainingPayment,
-          `Rollover to cycle ${nextCycle.cycle_number}`,
-          req.user.id,
-          currentCycleId,
-          rolloverResult.insertId
-        );
+    const contribution = contributions[0];
 
-        rolloverAmount = remainingPayment;
-        remainingPayment = 0;
-      } else {
-        // Add to member's positive balance
-        await updateMemberBalance(
-          memberId,
-          remainingPayment,
-          `Overpayment from cycle ${cycle.cycle_number}`,
-          req.user.id,
-          currentCycleId
-        );
-        
-        balanceAdjustment += remainingPayment;
-        remainingPayment = 0;
-      }
-    }
+    // Check admin permission
+    const [adminCheck] = await db.execute(
+      `SELECT role FROM members 
+       WHERE chama_id = ? AND user_id = ? AND role = 'admin'`,
+      [contribution.chama_id, req.user.id]
+    );
 
-    // Update cycle collected amount
-    const totalPaid = parseFloat(amount) - remainingPayment;
-    if (totalPaid > 0) {
-      await db.execute(
-        `UPDATE contribution_cycles 
-         SET collected_amount = collected_amount + ?
-         WHERE id = ?`,
-        [totalPaid, currentCycleId]
-      );
+    if (adminCheck.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
     }
 
-    // Record transaction
-    await db.execute(
-      `INSERT INTO transactions 
-       (chama_id, transaction_type, amount, description, created_by) 
-       VALUES (?, 'contribution', ?, ?, ?)`,
-      [
-        chamaId,
-        totalPaid,
-        `Contribution recorded: ${totalPaid} for cycle ${cycle.cycle_number}`,
-        req.user.id
-      ]
-    );
+    const changes = { amount, paymentMethod, paymentReference, notes, status };
 
-    // Get updated member info
-    const [memberInfo] = await db.execute(
-      `SELECT m.*, u.name, u.phone, m.contribution_balance
-       FROM members m
-       JOIN users u ON m.user_id = u.id
-       WHERE m.id = ?`,
-      [memberId]
-    );
+    // Hold the change for a second officer when four-eyes mode is on
+    if (await approvals.isRequired(contribution.chama_id)) {
+      const request = await approvals.createRequest({
+        chamaId: contribution.chama_id,
+        action: 'update_contribution',
+        targetId: contribution.id,
+        memberId: contribution.member_id,
+        payload: changes,
+        summary: `Update contribution #${contribution.id}: ${describeChanges(changes)}`,
+        userId: req.user.id
+      });
 
-    // Get all contributions for this payment
-    const contributionIds = contributions.map(c => c.id);
-    let allContributions = [];
-    
-    if (contributionIds.length > 0) {
-      const [contribs] = await db.execute(
-        `SELECT c.*, ct.name as type_name
-         FROM contributions c
-         LEFT JOIN contribution_types ct ON c.type_id = ct.id
-         WHERE c.id IN (${contributionIds.join(',')})`
-      );
-      allContributions = contribs;
+      return res.status(202).json({
+        success: true,
+        message: 'Contribution update submitted for approval',
+        data: { approval_request: request }
+      });
     }
 
-    // Get updated balance
-    const [updatedBalance] = await db.execute(
-      'SELECT contribution_balance FROM members WHERE id = ?',
-      [memberId]
-    );
+    const outcome = await applyContributionUpdate(contributionId, changes, req.user.id);
 
-    res.status(201).json({
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    res.json({
       success: true,
-      message: 'Contribution recorded successfully',
-      data: {
-        member: memberInfo[0],
-        cycle: {
-          id: currentCycleId,
-          cycle_number: cycle.cycle_number,
-          cycle_name: cycle.cycle_name
-        },
-        payment_summary: {
-          total_paid: parseFloat(amount),
-          applied_to_contributions: parseFloat(amount) - remainingPayment - rolloverAmount - balanceAdjustment,
-          applied_to_balance: balanceAdjustment,
-          rollover_amount: rolloverAmount,
-          remaining_unallocated: remainingPayment,
-          new_balance: updatedBalance[0]?.contribution_balance || 0
-        },
-        contributions: allContributions,
-        rollover: rolloverAmount > 0 ? {
-          amount: rolloverAmount,
-          next_cycle_id: nextCycleId
-        } : null
-      }
+      message: 'Contribution updated successfully',
+      data: outcome.data
     });
-
   } catch (error) {
-    console.error('❌ Record contribution error:', error);
+    console.error('❌ Update contribution error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error recording contribution',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      message: 'Server error updating contribution'
     });
   }
 };
 
 /**
- * @desc    Update contribution
- * @route   PUT /api/contributions/:contributionId
+ * @desc    Delete an unpaid draft contribution
+ * @route   DELETE /api/contributions/:contributionId
  * @access  Private (Admin only)
  */
-const updateContribution = async (req, res) => {
+const deleteContribution = async (req, res) => {
   const { contributionId } = req.params;
-  const { amount, paymentMethod, paymentReference, notes, status } = req.body;
 
   try {
     // Get contribution details
     const [contributions] = await db.execute(
-      `SELECT c.*, m.chama_id, m.contribution_balance as member_balance
+      `SELECT c.*, m.chama_id
        FROM contributions c
        JOIN members m ON c.member_id = m.id
        WHERE c.id = ?`,
@@ -1399,132 +1409,44 @@ const updateContribution = async (req, res) => {
       });
     }
 
-    // Calculate balance adjustment if amount changed
-    let balanceAdjustment = 0;
-    const oldAmount = parseFloat(contribution.amount);
-    const newAmount = amount !== undefined ? parseFloat(amount) : oldAmount;
-
-    if (amount !== undefined && oldAmount !== newAmount) {
-      balanceAdjustment = newAmount - oldAmount;
-      
-      // Update member balance
-      await updateMemberBalance(
-        contribution.member_id,
-        balanceAdjustment,
-        `Contribution adjustment: ${oldAmount} → ${newAmount}`,
-        req.user.id,
-        contribution.cycle_id,
-        contributionId
-      );
-    }
-
-    // Build update query
-    const updates = [];
-    const params = [];
-
-    if (amount !== undefined) {
-      updates.push('amount = ?');
-      params.push(newAmount);
-    }
-
-    if (paymentMethod !== undefined) {
-      updates.push('payment_method = ?');
-      params.push(paymentMethod);
-    }
-
-    if (paymentReference !== undefined) {
-      updates.push('payment_reference = ?');
-      params.push(paymentReference);
-    }
-
-    if (notes !== undefined) {
-      updates.push('notes = ?');
-      params.push(notes);
-    }
-
-    if (status !== undefined) {
-      updates.push('status = ?');
-      params.push(status);
-      
-      if (status === 'paid' && !contribution.verified_by) {
-        updates.push('verified_by = ?, verification_date = CURRENT_TIMESTAMP');
-        params.push(req.user.id);
-      }
-    }
-
-    if (updates.length > 0) {
-      updates.push('updated_at = CURRENT_TIMESTAMP');
-      params.push(contributionId);
-
-      await db.execute(
-        `UPDATE contributions SET ${updates.join(', ')} WHERE id = ?`,
-        params
-      );
-
-      // Update cycle collected amount if amount changed
-      if (amount !== undefined) {
-        await db.execute(
-          `UPDATE contribution_cycles cc
-           SET collected_amount = (
-             SELECT COALESCE(SUM(amount), 0) 
-             FROM contributions 
-             WHERE cycle_id = cc.id AND status = 'paid'
-           )
-           WHERE cc.id = ?`,
-          [contribution.cycle_id]
-        );
-      }
+    // Paid records stay in the audit trail and must be reversed instead
+    if (!isDraftContribution(contribution)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only unpaid draft contributions can be deleted. Reverse this contribution instead.'
+      });
     }
 
-    // Get updated contribution
-    const [updatedContribution] = await db.execute(
-      `SELECT c.*, u.name as member_name, ct.name as type_name
-       FROM contributions c
-       JOIN members m ON c.member_id = m.id
-       JOIN users u ON m.user_id = u.id
-       LEFT JOIN contribution_types ct ON c.type_id = ct.id
-       WHERE c.id = ?`,
-      [contributionId]
-    );
-
-    // Get updated member balance
-    const [memberBalance] = await db.execute(
-      'SELECT contribution_balance FROM members WHERE id = ?',
-      [contribution.member_id]
-    );
+    await db.execute('DELETE FROM contributions WHERE id = ?', [contributionId]);
 
     res.json({
       success: true,
-      message: 'Contribution updated successfully',
-      data: {
-        contribution: updatedContribution[0],
-        balance_adjustment: balanceAdjustment,
-        new_member_balance: memberBalance[0]?.contribution_balance || 0
-      }
+      message: 'Draft contribution deleted successfully'
     });
   } catch (error) {
-    console.error('❌ Update contribution error:', error);
+    console.error('❌ Delete contribution error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error updating contribution'
+      message: 'Server error deleting contribution'
     });
   }
 };
 
 /**
- * @desc    Delete contribution
- * @route   DELETE /api/contributions/:contributionId
+ * @desc    Reverse a contribution, keeping it in the audit trail
+ * @route   POST /api/contributions/:contributionId/reverse
  * @access  Private (Admin only)
  */
-const deleteContribution = async (req, res) => {
+const reverseContribution = async (req, res) => {
   const { contributionId } = req.params;
+  const { reason } = req.body;
 
   try {
-    // Get contribution details
     const [contributions] = await db.execute(
-      `SELECT c.*, m.chama_id, m.contribution_balance as member_balance
+      `SELECT c.*, m.chama_id, cr.id as reversal_id
        FROM contributions c
        JOIN members m ON c.member_id = m.id
+       LEFT JOIN contribution_reversals cr ON cr.contribution_id = c.id
        WHERE c.id = ?`,
       [contributionId]
     );
@@ -1552,49 +1474,44 @@ const deleteContribution = async (req, res) => {
       });
     }
 
-    // Adjust member balance (reverse the contribution)
-    const amount = parseFloat(contribution.amount);
-    await updateMemberBalance(
-      contribution.member_id,
-      -amount,
-      `Contribution deleted: ${amount}`,
-      req.user.id,
-      contribution.cycle_id,
-      contributionId
-    );
+    if (contribution.reversal_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Contribution has already been reversed'
+      });
+    }
 
-    // Update cycle collected amount
-    if (contribution.status === 'paid') {
-      await db.execute(
-        `UPDATE contribution_cycles 
-         SET collected_amount = GREATEST(0, collected_amount - ?)
-         WHERE id = ?`,
-        [amount, contribution.cycle_id]
-      );
+    if (isDraftContribution(contribution)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Draft contributions have nothing to reverse. Delete it instead.'
+      });
     }
 
-    // Delete contribution
-    await db.execute('DELETE FROM contributions WHERE id = ?', [contributionId]);
+    const connection = await db.getConnection();
+    let reversal;
 
-    // Get updated member balance
-    const [memberBalance] = await db.execute(
-      'SELECT contribution_balance FROM members WHERE id = ?',
-      [contribution.member_id]
-    );
+    try {
+      await connection.beginTransaction();
+      reversal = await reverseContributionEntry(connection, contribution, reason, req.user.id);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
 
     res.json({
       success: true,
-      message: 'Contribution deleted successfully',
-      data: {
-        deleted_amount: amount,
-        new_member_balance: memberBalance[0]?.contribution_balance || 0
-      }
+      message: 'Contribution reversed successfully',
+      data: reversal
     });
   } catch (error) {
-    console.error('❌ Delete contribution error:', error);
+    console.error('❌ Reverse contribution error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error deleting contribution'
+      message: 'Server error reversing contribution'
     });
   }
 };
@@ -1614,7 +1531,9 @@ const getContributionById = async (req, res) => {
               ct.name as type_name, ct.description as type_description,
               m.role as member_role, m.chama_id,
               ru.name as recorded_by_name,
-              vu.name as verified_by_name
+              vu.name as verified_by_name,
+              cr.id as reversal_id, cr.reason as reversal_reason,
+              cr.created_at as reversed_at, rvu.name as reversed_by_name
        FROM contributions c
        JOIN members m ON c.member_id = m.id
        JOIN users u ON m.user_id = u.id
@@ -1622,6 +1541,8 @@ const getContributionById = async (req, res) => {
        LEFT JOIN contribution_types ct ON c.type_id = ct.id
        LEFT JOIN users ru ON c.recorded_by = ru.id
        LEFT JOIN users vu ON c.verified_by = vu.id
+       LEFT JOIN contribution_reversals cr ON cr.contribution_id = c.id
+       LEFT JOIN users rvu ON cr.reversed_by = rvu.id
        WHERE c.id = ?`,
       [contributionId]
     );
@@ -1691,13 +1612,17 @@ const getChamaContributions = async (req, res) => {
              cy.cycle_number, cy.cycle_name, cy.due_date,
              ct.name as type_name,
              m.role as member_role,
-             ru.name as recorded_by_name
+             ru.name as recorded_by_name,
+             cr.id as reversal_id, cr.reason as reversal_reason,
+             cr.created_at as reversed_at, rvu.name as reversed_by_name
       FROM contributions c
       JOIN members m ON c.member_id = m.id
       JOIN users u ON m.user_id = u.id
       JOIN contribution_cycles cy ON c.cycle_id = cy.id
       LEFT JOIN contribution_types ct ON c.type_id = ct.id
       LEFT JOIN users ru ON c.recorded_by = ru.id
+      LEFT JOIN contribution_reversals cr ON cr.contribution_id = c.id
+      LEFT JOIN users rvu ON cr.reversed_by = rvu.id
       WHERE m.chama_id = ?
     `;
     
@@ -1814,12 +1739,16 @@ const getMemberContributions = async (req, res) => {
       SELECT c.*, cy.cycle_number, cy.cycle_name, cy.due_date,
              ct.name as type_name, ct.description as type_description,
              ru.name as recorded_by_name,
-             vu.name as verified_by_name
+             vu.name as verified_by_name,
+             cr.id as reversal_id, cr.reason as reversal_reason,
+             cr.created_at as reversed_at, rvu.name as reversed_by_name
       FROM contributions c
       JOIN contribution_cycles cy ON c.cycle_id = cy.id
       LEFT JOIN contribution_types ct ON c.type_id = ct.id
       LEFT JOIN users ru ON c.recorded_by = ru.id
       LEFT JOIN users vu ON c.verified_by = vu.id
+      LEFT JOIN contribution_reversals cr ON cr.contribution_id = c.id
+      LEFT JOIN users rvu ON cr.reversed_by = rvu.id
       WHERE c.member_id = ?
     `;
     
@@ -1953,43 +1882,32 @@ const updateContributionStatus = async (req, res) => {
       });
     }
 
-    // Update status
-    await db.execute(
-      'UPDATE contributions SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-      [status, contributionId]
-    );
+    // Hold the change for a second officer when four-eyes mode is on
+    if (await approvals.isRequired(contribution.chama_id)) {
+      const request = await approvals.createRequest({
+        chamaId: contribution.chama_id,
+        action: 'update_contribution_status',
+        targetId: contribution.id,
+        memberId: contribution.member_id,
+        payload: { status },
+        summary: `Change contribution #${contribution.id} status from ${contribution.status} to ${status}`,
+        userId: req.user.id
+      });
 
-    // Record transaction if marked as paid and not already paid
-    if (status === 'paid' && contribution.status !== 'paid') {
-      await db.execute(
-        `INSERT INTO transactions 
-         (chama_id, transaction_type, amount, description, created_by) 
-         VALUES (?, 'contribution', ?, ?, ?)`,
-        [
-          contribution.chama_id,
-          contribution.amount,
-          `Contribution status updated to paid for member ID: ${contribution.member_id}`,
-          req.user.id
-        ]
-      );
+      return res.status(202).json({
+        success: true,
+        message: 'Status change submitted for approval',
+        data: { approval_request: request }
+      });
+    }
 
-      // Update member balance
-      await updateMemberBalance(
-        contribution.member_id,
-        contribution.amount,
-        `Contribution marked as paid for cycle`,
-        req.user.id,
-        contribution.cycle_id,
-        contributionId
-      );
+    const outcome = await applyContributionStatus(contributionId, status, req.user.id);
 
-      // Update cycle collected amount
-      await db.execute(
-        `UPDATE contribution_cycles 
-         SET collected_amount = collected_amount + ?
-         WHERE id = ?`,
-        [contribution.amount, contribution.cycle_id]
-      );
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
     }
 
     res.json({
@@ -2005,21 +1923,23 @@ const updateContributionStatus = async (req, res) => {
   }
 };
 
-// ============================================
-// MEMBER STATUS & REPORTS CONTROLLERS
-// ============================================
-
 /**
- * @desc    Get member's contribution status with balance
- * @route   GET /api/contributions/member/:memberId/status
+ * @desc    Get a payment receipt with its allocation breakdown
+ * @route   GET /api/contributions/receipts/:receiptId
  * @access  Private (Self or Admin)
  */
-const getMemberContributionStatus = async (req, res) => {
+const getPaymentReceipt = async (req, res) => {
   try {
-    const { memberId } = req.params;
+    const receipt = await paymentAllocator.getReceipt(req.params.receiptId);
 
-    // Check permission
-    const permission = await checkMemberPermission(req.user.id, memberId);
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Receipt not found'
+      });
+    }
+
+    const permission = await checkMemberPermission(req.user.id, receipt.member_id);
     if (!permission.authorized) {
       return res.status(403).json({
         success: false,
@@ -2027,13 +1947,87 @@ const getMemberContributionStatus = async (req, res) => {
       });
     }
 
-    const member = permission.member;
+    res.json({
+      success: true,
+      data: receipt
+    });
+  } catch (error) {
+    console.error('❌ Get payment receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching receipt'
+    });
+  }
+};
 
-    // Get member details with balance
-    const [memberDetails] = await db.execute(
-      `SELECT m.*, u.name, u.phone, u.email, c.name as chama_name
-       FROM members m
-       JOIN users u ON m.user_id = u.id
+/**
+ * @desc    Get payment receipts for a member
+ * @route   GET /api/contributions/member/:memberId/receipts
+ * @access  Private (Self or Admin)
+ */
+const getMemberReceipts = async (req, res) => {
+  try {
+    const { memberId } = req.params;
+
+    const permission = await checkMemberPermission(req.user.id, memberId);
+    if (!permission.authorized) {
+      return res.status(403).json({
+        success: false,
+        message: permission.message
+      });
+    }
+
+    const [receipts] = await db.execute(
+      `SELECT pr.*, u.name as recorded_by_name
+       FROM payment_receipts pr
+       LEFT JOIN users u ON pr.recorded_by = u.id
+       WHERE pr.member_id = ?
+       ORDER BY pr.created_at DESC`,
+      [memberId]
+    );
+
+    res.json({
+      success: true,
+      data: receipts
+    });
+  } catch (error) {
+    console.error('❌ Get member receipts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching receipts'
+    });
+  }
+};
+
+// ============================================
+// MEMBER STATUS & REPORTS CONTROLLERS
+// ============================================
+
+/**
+ * @desc    Get member's contribution status with balance
+ * @route   GET /api/contributions/member/:memberId/status
+ * @access  Private (Self or Admin)
+ */
+const getMemberContributionStatus = async (req, res) => {
+  try {
+    const { memberId } = req.params;
+
+    // Check permission
+    const permission = await checkMemberPermission(req.user.id, memberId);
+    if (!permission.authorized) {
+      return res.status(403).json({
+        success: false,
+        message: permission.message
+      });
+    }
+
+    const member = permission.member;
+
+    // Get member details with balance
+    const [memberDetails] = await db.execute(
+      `SELECT m.*, u.name, u.phone, u.email, c.name as chama_name
+       FROM members m
+       JOIN users u ON m.user_id = u.id
        JOIN chamas c ON m.chama_id = c.id
        WHERE m.id = ?`,
       [memberId]
@@ -2171,6 +2165,9 @@ const getMemberContributionStatus = async (req, res) => {
       [memberId]
     );
 
+    // Get fines
+    const memberFines = await fineEngine.getMemberFines(memberId);
+
     res.json({
       success: true,
       data: {
@@ -2189,8 +2186,10 @@ const getMemberContributionStatus = async (req, res) => {
         payment_history: paymentHistory,
         ledger_entries: ledgerEntries,
         overall_statistics: overallStats[0],
+        fines: memberFines.fines,
         summary: {
           current_balance: memberInfo.contribution_balance,
+          outstanding_fines: memberFines.totals.total_outstanding,
           balance_status: memberInfo.contribution_balance >= 0 ? 'credit' : 'arrears',
           total_credit: Math.max(0, memberInfo.contribution_balance),
           total_arrears: Math.max(0, -memberInfo.contribution_balance)
@@ -2516,6 +2515,9 @@ const getContributionReport = async (req, res) => {
       [chamaId]
     );
 
+    // Reversal history
+    const reversals = await getReversals({ chamaId, startDate, endDate });
+
     res.json({
       success: true,
       data: {
@@ -2524,6 +2526,7 @@ const getContributionReport = async (req, res) => {
         cycle_breakdown: cycleBreakdown,
         payment_methods: paymentMethods,
         monthly_trends: monthlyTrends,
+        reversals,
         filters: {
           startDate,
           endDate,
@@ -2572,39 +2575,31 @@ const adjustMemberBalance = async (req, res) => {
 
     const member = permission.member;
 
-    // Update balance
-    const newBalance = await updateMemberBalance(
-      memberId,
-      parseFloat(amount),
-      reason,
-      req.user.id,
-      null
-    );
+    // Hold the change for a second officer when four-eyes mode is on
+    if (await approvals.isRequired(member.chama_id)) {
+      const request = await approvals.createRequest({
+        chamaId: member.chama_id,
+        action: 'adjust_balance',
+        targetId: member.id,
+        memberId: member.id,
+        payload: { amount: parseFloat(amount), reason },
+        summary: `Adjust balance of member #${member.id} by ${amount}: ${reason}`,
+        userId: req.user.id
+      });
 
-    // Record adjustment transaction
-    await db.execute(
-      `INSERT INTO transactions 
-       (chama_id, transaction_type, amount, description, created_by) 
-       VALUES (?, 'adjustment', ?, ?, ?)`,
-      [
-        member.chama_id,
-        amount,
-        `Balance adjustment: ${reason}`,
-        req.user.id
-      ]
-    );
+      return res.status(202).json({
+        success: true,
+        message: 'Balance adjustment submitted for approval',
+        data: { approval_request: request }
+      });
+    }
+
+    const outcome = await applyBalanceAdjustment(memberId, amount, reason, req.user.id);
 
     res.json({
       success: true,
       message: 'Balance adjusted successfully',
-      data: {
-        member_id: memberId,
-        member_name: member.name,
-        adjustment: amount,
-        previous_balance: newBalance - amount,
-        new_balance: newBalance,
-        reason: reason
-      }
+      data: outcome.data
     });
 
   } catch (error) {
@@ -2697,12 +2692,21 @@ const getMemberBalanceHistory = async (req, res) => {
       };
     }).reverse(); // Reverse to show chronological order
 
+    // Overpayments live in the member's wallet, with their own history
+    const wallet = await memberWallet.getWallet(memberId);
+    const walletHistory = (await memberWallet.listWalletTransactions(memberId)).reverse();
+
     res.json({
       success: true,
       data: {
         current_balance: memberBalance[0]?.contribution_balance || 0,
         history: balanceHistory,
-        total_entries: balanceHistory.length
+        total_entries: balanceHistory.length,
+        wallet: {
+          ...wallet,
+          history: walletHistory,
+          total_entries: walletHistory.length
+        }
       }
     });
   } catch (error) {
@@ -2917,6 +2921,147 @@ const processScheduledContributions = async (req, res) => {
   }
 };
 
+/**
+ * Record a batch of contributions against the active cycle.
+ * Shared by the JSON bulk endpoint and spreadsheet imports.
+ * Returns { success: false, status, message } when the batch cannot start.
+ */
+const processBulkContributions = async (chamaId, bulkContributions, notes, userId) => {
+  // Get active cycle
+  const [activeCycles] = await db.execute(
+    `SELECT id, cycle_number FROM contribution_cycles 
+     WHERE chama_id = ? AND status = 'active'
+     ORDER BY cycle_number DESC LIMIT 1`,
+    [chamaId]
+  );
+
+  if (activeCycles.length === 0) {
+    return { success: false, status: 400, message: 'No active cycle found' };
+  }
+
+  const activeCycleId = activeCycles[0].id;
+  const cycleNumber = activeCycles[0].cycle_number;
+
+  const results = {
+    total: bulkContributions.length,
+    successful: 0,
+    failed: 0,
+    details: []
+  };
+
+  // Process each contribution
+  for (const contribution of bulkContributions) {
+    try {
+      const { memberId, amount, paymentMethod = 'cash', paymentReference, memberNotes } = contribution;
+
+      if (!memberId || !amount) {
+        results.failed++;
+        results.details.push({
+          memberId,
+          status: 'failed',
+          error: 'Missing memberId or amount'
+        });
+        continue;
+      }
+
+      // Check if member exists in chama
+      const [memberCheck] = await db.execute(
+        `SELECT id FROM members 
+         WHERE chama_id = ? AND id = ?`,
+        [chamaId, memberId]
+      );
+
+      if (memberCheck.length === 0) {
+        results.failed++;
+        results.details.push({
+          memberId,
+          status: 'failed',
+          error: 'Member not found in chama'
+        });
+        continue;
+      }
+
+      // Allocate the payment according to the chama's allocation policy
+      const connection = await db.getConnection();
+      let receipt;
+
+      try {
+        await connection.beginTransaction();
+
+        receipt = await paymentAllocator.allocatePayment(connection, {
+          chamaId,
+          memberId,
+          amount,
+          paymentMethod,
+          paymentReference,
+          notes: `${notes || 'Bulk import'}${memberNotes ? ` - ${memberNotes}` : ''}`,
+          recordedBy: userId,
+          cycleId: activeCycleId,
+          source: 'bulk'
+        });
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      results.successful++;
+      results.details.push({
+        memberId,
+        contributionId: receipt.contribution_ids[0] || null,
+        receiptId: receipt.id,
+        receiptNumber: receipt.receipt_number,
+        status: 'success',
+        amount: receipt.amount,
+        allocations: receipt.allocations
+      });
+
+    } catch (error) {
+      console.error(`Error processing bulk contribution for member ${contribution.memberId}:`, error);
+      results.failed++;
+      results.details.push({
+        memberId: contribution.memberId,
+        status: 'failed',
+        error: error.message
+      });
+    }
+  }
+
+  // Record bulk transaction
+  const totalAmount = results.details
+    .filter(d => d.status === 'success')
+    .reduce((sum, d) => sum + (d.amount || 0), 0);
+
+  if (totalAmount > 0) {
+    await db.execute(
+      `INSERT INTO transactions 
+       (chama_id, transaction_type, amount, description, created_by) 
+       VALUES (?, 'bulk_contribution', ?, ?, ?)`,
+      [
+        chamaId,
+        totalAmount,
+        `Bulk contributions recorded: ${results.successful} transactions`,
+        userId
+      ]
+    );
+  }
+
+  return {
+    success: true,
+    data: {
+      cycle: {
+        id: activeCycleId,
+        cycle_number: cycleNumber
+      },
+      summary: results,
+      total_amount: totalAmount
+    }
+  };
+};
+
 /**
  * @desc    Record bulk contributions
  * @route   POST /api/contributions/bulk
@@ -2947,155 +3092,305 @@ const recordBulkContributions = async (req, res) => {
       });
     }
 
-    // Get active cycle
-    const [activeCycles] = await db.execute(
-      `SELECT id, cycle_number FROM contribution_cycles 
-       WHERE chama_id = ? AND status = 'active'
-       ORDER BY cycle_number DESC LIMIT 1`,
-      [chamaId]
+    const outcome = await processBulkContributions(chamaId, bulkContributions, notes, req.user.id);
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Bulk contributions recorded',
+      data: outcome.data
+    });
+
+  } catch (error) {
+    console.error('❌ Record bulk contributions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error recording bulk contributions'
+    });
+  }
+};
+
+/**
+ * @desc    Upload a CSV/XLSX of contributions and preview it without recording
+ * @route   POST /api/contributions/import/preview
+ * @access  Private (Admin only)
+ */
+const previewContributionImport = async (req, res) => {
+  const { chamaId, notes } = req.body;
+
+  try {
+    // Check admin permission
+    const [adminCheck] = await db.execute(
+      `SELECT role FROM members 
+       WHERE chama_id = ? AND user_id = ? AND role = 'admin'`,
+      [chamaId, req.user.id]
     );
 
-    if (activeCycles.length === 0) {
+    if (adminCheck.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    let rows;
+    try {
+      rows = await contributionImport.parseSpreadsheet(req.file);
+    } catch (error) {
       return res.status(400).json({
         success: false,
-        message: 'No active cycle found'
+        message: `Could not read file: ${error.message}`
       });
     }
 
-    const activeCycleId = activeCycles[0].id;
-    const cycleNumber = activeCycles[0].cycle_number;
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file has no contribution rows'
+      });
+    }
 
-    const results = {
-      total: bulkContributions.length,
-      successful: 0,
-      failed: 0,
-      details: []
-    };
+    const preparedRows = await contributionImport.prepareImportRows(chamaId, rows);
 
-    // Process each contribution
-    for (const contribution of bulkContributions) {
-      try {
-        const { memberId, amount, paymentMethod = 'cash', paymentReference, memberNotes } = contribution;
+    const preview = await contributionImport.createImport({
+      chamaId,
+      fileName: req.file.originalname,
+      rows: preparedRows,
+      notes,
+      userId: req.user.id
+    });
 
-        if (!memberId || !amount) {
-          results.failed++;
-          results.details.push({
-            memberId,
-            status: 'failed',
-            error: 'Missing memberId or amount'
-          });
-          continue;
-        }
+    res.status(201).json({
+      success: true,
+      message: preview.invalid_rows > 0
+        ? `${preview.invalid_rows} of ${preview.total_rows} rows have errors`
+        : 'All rows are valid. Confirm the import to record them.',
+      data: preview
+    });
 
-        // Check if member exists in chama
-        const [memberCheck] = await db.execute(
-          `SELECT id FROM members 
-           WHERE chama_id = ? AND id = ?`,
-          [chamaId, memberId]
-        );
+  } catch (error) {
+    console.error('❌ Preview contribution import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error previewing import'
+    });
+  }
+};
 
-        if (memberCheck.length === 0) {
-          results.failed++;
-          results.details.push({
-            memberId,
-            status: 'failed',
-            error: 'Member not found in chama'
-          });
-          continue;
-        }
+/**
+ * @desc    Get a contribution import and its rows
+ * @route   GET /api/contributions/import/:importId
+ * @access  Private (Admin only)
+ */
+const getContributionImport = async (req, res) => {
+  try {
+    const preview = await contributionImport.getImport(req.params.importId);
 
-        // Record contribution
-        const [result] = await db.execute(
-          `INSERT INTO contributions 
-           (member_id, cycle_id, amount, expected_amount,
-            payment_method, payment_reference, notes, recorded_by, status)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'paid')`,
-          [
-            memberId,
-            activeCycleId,
-            amount,
-            amount, // For bulk, expected = paid amount
-            paymentMethod,
-            paymentReference || null,
-            `${notes || 'Bulk import'}${memberNotes ? ` - ${memberNotes}` : ''}`,
-            req.user.id
-          ]
-        );
+    if (!preview) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
 
-        // Update member balance
-        await updateMemberBalance(
-          memberId,
-          amount,
-          `Bulk contribution for cycle ${cycleNumber}`,
-          req.user.id,
-          activeCycleId,
-          result.insertId
-        );
+    // Check admin permission
+    const [adminCheck] = await db.execute(
+      `SELECT role FROM members 
+       WHERE chama_id = ? AND user_id = ? AND role = 'admin'`,
+      [preview.chama_id, req.user.id]
+    );
 
-        // Update cycle collected amount
-        await db.execute(
-          `UPDATE contribution_cycles 
-           SET collected_amount = collected_amount + ?
-           WHERE id = ?`,
-          [amount, activeCycleId]
-        );
+    if (adminCheck.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
 
-        results.successful++;
-        results.details.push({
-          memberId,
-          contributionId: result.insertId,
-          status: 'success',
-          amount
-        });
+    res.json({
+      success: true,
+      data: preview
+    });
 
-      } catch (error) {
-        console.error(`Error processing bulk contribution for member ${contribution.memberId}:`, error);
-        results.failed++;
-        results.details.push({
-          memberId: contribution.memberId,
-          status: 'failed',
-          error: error.message
-        });
-      }
+  } catch (error) {
+    console.error('❌ Get contribution import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching import'
+    });
+  }
+};
+
+/**
+ * @desc    Record the valid rows of a previewed import
+ * @route   POST /api/contributions/import/:importId/confirm
+ * @access  Private (Admin only)
+ */
+const confirmContributionImport = async (req, res) => {
+  const { skipInvalid = false } = req.body;
+
+  try {
+    const preview = await contributionImport.getImport(req.params.importId);
+
+    if (!preview) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
     }
 
-    // Record bulk transaction
-    const totalAmount = results.details
-      .filter(d => d.status === 'success')
-      .reduce((sum, d) => sum + (d.amount || 0), 0);
+    // Check admin permission
+    const [adminCheck] = await db.execute(
+      `SELECT role FROM members 
+       WHERE chama_id = ? AND user_id = ? AND role = 'admin'`,
+      [preview.chama_id, req.user.id]
+    );
 
-    if (totalAmount > 0) {
-      await db.execute(
-        `INSERT INTO transactions 
-         (chama_id, transaction_type, amount, description, created_by) 
-         VALUES (?, 'bulk_contribution', ?, ?, ?)`,
-        [
-          chamaId,
-          totalAmount,
-          `Bulk contributions recorded: ${results.successful} transactions`,
-          req.user.id
-        ]
+    if (adminCheck.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    if (preview.status !== 'previewed') {
+      return res.status(400).json({
+        success: false,
+        message: `Import is already ${preview.status}`
+      });
+    }
+
+    if (preview.invalid_rows > 0 && !skipInvalid) {
+      return res.status(400).json({
+        success: false,
+        message: `${preview.invalid_rows} rows have errors. Fix the file and upload it again, or confirm with skipInvalid to record only the valid rows.`
+      });
+    }
+
+    const validRows = preview.rows_data.filter(row => row.status === 'valid');
+
+    if (validRows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The import has no valid rows to record'
+      });
+    }
+
+    // Claim the import so it can only be recorded once
+    if (!(await contributionImport.claimImport(preview.id, req.user.id))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Import has already been confirmed or cancelled'
+      });
+    }
+
+    let outcome;
+    try {
+      outcome = await processBulkContributions(
+        preview.chama_id,
+        validRows.map(row => ({
+          memberId: row.memberId,
+          amount: row.amount,
+          paymentMethod: row.paymentMethod,
+          paymentReference: row.paymentReference,
+          memberNotes: row.notes
+        })),
+        preview.notes || `Spreadsheet import: ${preview.file_name}`,
+        req.user.id
       );
+    } catch (error) {
+      await contributionImport.releaseImport(preview.id);
+      throw error;
     }
 
+    if (!outcome.success) {
+      await contributionImport.releaseImport(preview.id);
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    // Tie results back to spreadsheet rows
+    outcome.data.summary.details = outcome.data.summary.details.map((detail, index) => ({
+      row: validRows[index].row,
+      ...detail
+    }));
+    outcome.data.skipped_rows = preview.invalid_rows;
+
+    await contributionImport.saveImportResult(preview.id, outcome.data);
+
     res.status(201).json({
       success: true,
-      message: 'Bulk contributions recorded',
+      message: 'Import recorded',
       data: {
-        cycle: {
-          id: activeCycleId,
-          cycle_number: cycleNumber
-        },
-        summary: results,
-        total_amount: totalAmount
+        import_id: preview.id,
+        ...outcome.data
       }
     });
 
   } catch (error) {
-    console.error('❌ Record bulk contributions error:', error);
+    console.error('❌ Confirm contribution import error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error recording bulk contributions'
+      message: 'Server error confirming import'
+    });
+  }
+};
+
+/**
+ * @desc    Discard a previewed import
+ * @route   DELETE /api/contributions/import/:importId
+ * @access  Private (Admin only)
+ */
+const cancelContributionImport = async (req, res) => {
+  try {
+    const preview = await contributionImport.getImport(req.params.importId);
+
+    if (!preview) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+
+    // Check admin permission
+    const [adminCheck] = await db.execute(
+      `SELECT role FROM members 
+       WHERE chama_id = ? AND user_id = ? AND role = 'admin'`,
+      [preview.chama_id, req.user.id]
+    );
+
+    if (adminCheck.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    if (!(await contributionImport.cancelImport(preview.id))) {
+      return res.status(400).json({
+        success: false,
+        message: `Import is already ${preview.status}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Import cancelled'
+    });
+
+  } catch (error) {
+    console.error('❌ Cancel contribution import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error cancelling import'
     });
   }
 };
@@ -3465,15 +3760,21 @@ module.exports = {
   getCycleDetails,
   updateCycleStatus,
   deleteCycle,
+  previewNextCycle,
+  generateNextCycle,
+  rollbackGeneratedCycle,
   
   // Contributions
   recordContribution,
   updateContribution,
   deleteContribution,
+  reverseContribution,
   getContributionById,
   getChamaContributions,
   getMemberContributions,
   updateContributionStatus,
+  getPaymentReceipt,
+  getMemberReceipts,
   
   // Member Status & Reports
   getMemberContributionStatus,
@@ -3487,6 +3788,10 @@ module.exports = {
   // Scheduled & Bulk Operations
   processScheduledContributions,
   recordBulkContributions,
+  previewContributionImport,
+  getContributionImport,
+  confirmContributionImport,
+  cancelContributionImport,
   
   // Dashboard & Analytics
   getContributionDashboard,
@@ -0,0 +1,406 @@
+const db = require('../config/database');
+const fineEngine = require('../utils/fineEngine');
+const { createNotification } = require('./notificationController');
+
+// Check that a user is an admin of a chama
+const isChamaAdmin = async (chamaId, userId) => {
+  const [adminCheck] = await db.execute(
+    `SELECT role FROM members
+     WHERE chama_id = ? AND user_id = ? AND role = 'admin'`,
+    [chamaId, userId]
+  );
+  return adminCheck.length > 0;
+};
+
+// @desc    Create a fine rule
+// @route   POST /api/fines/rules
+// @access  Private (Admin only)
+const createFineRule = async (req, res) => {
+  const { chamaId, typeId, name, fineType, amount, percentage, maxAmount, graceDays } = req.body;
+
+  try {
+    if (!(await isChamaAdmin(chamaId, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    if (typeId) {
+      const [types] = await db.execute(
+        'SELECT id FROM contribution_types WHERE id = ? AND chama_id = ?',
+        [typeId, chamaId]
+      );
+
+      if (types.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contribution type not found in this chama'
+        });
+      }
+    }
+
+    const [result] = await db.execute(
+      `INSERT INTO fine_rules
+       (chama_id, type_id, name, fine_type, amount, percentage, max_amount, grace_days, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        chamaId,
+        typeId || null,
+        name,
+        fineType,
+        amount || 0,
+        percentage || 0,
+        maxAmount ?? null,
+        graceDays || 0,
+        req.user.id
+      ]
+    );
+
+    const [rules] = await db.execute('SELECT * FROM fine_rules WHERE id = ?', [result.insertId]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Fine rule created successfully',
+      data: rules[0]
+    });
+  } catch (error) {
+    console.error('❌ Create fine rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating fine rule'
+    });
+  }
+};
+
+// @desc    Update a fine rule
+// @route   PUT /api/fines/rules/:ruleId
+// @access  Private (Admin only)
+const updateFineRule = async (req, res) => {
+  const { name, fineType, amount, percentage, maxAmount, graceDays, isActive } = req.body;
+
+  try {
+    const [rules] = await db.execute('SELECT * FROM fine_rules WHERE id = ?', [req.params.ruleId]);
+
+    if (rules.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fine rule not found'
+      });
+    }
+
+    const rule = rules[0];
+
+    if (!(await isChamaAdmin(rule.chama_id, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    // Changes apply to future accruals; fines already charged are kept
+    await db.execute(
+      `UPDATE fine_rules
+       SET name = ?, fine_type = ?, amount = ?, percentage = ?,
+           max_amount = ?, grace_days = ?, is_active = ?
+       WHERE id = ?`,
+      [
+        name ?? rule.name,
+        fineType ?? rule.fine_type,
+        amount ?? rule.amount,
+        percentage ?? rule.percentage,
+        maxAmount !== undefined ? maxAmount : rule.max_amount,
+        graceDays ?? rule.grace_days,
+        isActive ?? rule.is_active,
+        rule.id
+      ]
+    );
+
+    const [updated] = await db.execute('SELECT * FROM fine_rules WHERE id = ?', [rule.id]);
+
+    res.json({
+      success: true,
+      message: 'Fine rule updated successfully',
+      data: updated[0]
+    });
+  } catch (error) {
+    console.error('❌ Update fine rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating fine rule'
+    });
+  }
+};
+
+// @desc    Deactivate a fine rule
+// @route   DELETE /api/fines/rules/:ruleId
+// @access  Private (Admin only)
+const deactivateFineRule = async (req, res) => {
+  try {
+    const [rules] = await db.execute('SELECT * FROM fine_rules WHERE id = ?', [req.params.ruleId]);
+
+    if (rules.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fine rule not found'
+      });
+    }
+
+    if (!(await isChamaAdmin(rules[0].chama_id, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    // Rules are kept so existing fines still reference them
+    await db.execute('UPDATE fine_rules SET is_active = false WHERE id = ?', [rules[0].id]);
+
+    res.json({
+      success: true,
+      message: 'Fine rule deactivated successfully'
+    });
+  } catch (error) {
+    console.error('❌ Deactivate fine rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deactivating fine rule'
+    });
+  }
+};
+
+// @desc    Get fine rules for a chama
+// @route   GET /api/fines/rules/chama/:chamaId
+// @access  Private (Members only)
+const getFineRules = async (req, res) => {
+  try {
+    const [membership] = await db.execute(
+      'SELECT role FROM members WHERE chama_id = ? AND user_id = ?',
+      [req.params.chamaId, req.user.id]
+    );
+
+    if (membership.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not a member of this chama'
+      });
+    }
+
+    const [rules] = await db.execute(
+      `SELECT fr.*, ct.name as type_name
+       FROM fine_rules fr
+       LEFT JOIN contribution_types ct ON fr.type_id = ct.id
+       WHERE fr.chama_id = ?
+       ORDER BY fr.is_active DESC, fr.created_at DESC`,
+      [req.params.chamaId]
+    );
+
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    console.error('❌ Get fine rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching fine rules'
+    });
+  }
+};
+
+// @desc    Get all fines in a chama
+// @route   GET /api/fines/chama/:chamaId
+// @access  Private (Admin only)
+const getChamaFines = async (req, res) => {
+  const { status } = req.query;
+
+  try {
+    if (!(await isChamaAdmin(req.params.chamaId, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    let query = `
+      SELECT mf.*, fr.name as rule_name, fr.fine_type,
+             u.name as member_name, cc.cycle_number,
+             (mf.amount - mf.paid_amount - mf.waived_amount) as outstanding_amount,
+             wu.name as waived_by_name
+      FROM member_fines mf
+      JOIN fine_rules fr ON mf.rule_id = fr.id
+      JOIN members m ON mf.member_id = m.id
+      JOIN users u ON m.user_id = u.id
+      LEFT JOIN contribution_cycles cc ON mf.cycle_id = cc.id
+      LEFT JOIN users wu ON mf.waived_by = wu.id
+      WHERE mf.chama_id = ?
+    `;
+    const params = [req.params.chamaId];
+
+    if (status) {
+      query += ' AND mf.status = ?';
+      params.push(status);
+    }
+
+    query += ' ORDER BY mf.created_at DESC';
+
+    const [fines] = await db.execute(query, params);
+
+    res.json({
+      success: true,
+      data: fines
+    });
+  } catch (error) {
+    console.error('❌ Get chama fines error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching fines'
+    });
+  }
+};
+
+// @desc    Get fines for a member
+// @route   GET /api/fines/member/:memberId
+// @access  Private (Member themselves or admin)
+const getMemberFines = async (req, res) => {
+  try {
+    const [members] = await db.execute('SELECT * FROM members WHERE id = ?', [req.params.memberId]);
+
+    if (members.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    const member = members[0];
+
+    if (member.user_id !== req.user.id && !(await isChamaAdmin(member.chama_id, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view these fines'
+      });
+    }
+
+    const { fines, totals } = await fineEngine.getMemberFines(member.id);
+
+    res.json({
+      success: true,
+      data: {
+        fines,
+        summary: totals
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get member fines error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching member fines'
+    });
+  }
+};
+
+// @desc    Waive a fine
+// @route   POST /api/fines/:fineId/waive
+// @access  Private (Admin only)
+const waiveFine = async (req, res) => {
+  const { reason } = req.body;
+
+  try {
+    const [fines] = await db.execute(
+      `SELECT mf.*, m.user_id as member_user_id
+       FROM member_fines mf
+       JOIN members m ON mf.member_id = m.id
+       WHERE mf.id = ?`,
+      [req.params.fineId]
+    );
+
+    if (fines.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fine not found'
+      });
+    }
+
+    const fine = fines[0];
+
+    if (!(await isChamaAdmin(fine.chama_id, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    if (fine.status !== 'outstanding') {
+      return res.status(400).json({
+        success: false,
+        message: `Fine is already ${fine.status}`
+      });
+    }
+
+    const waivedAmount = await fineEngine.waiveFine(fine, reason, req.user.id);
+
+    await createNotification(
+      fine.member_user_id,
+      'Fine Waived',
+      `A fine of ${waivedAmount} has been waived: ${reason}`,
+      'success',
+      fine.id,
+      'fine'
+    );
+
+    res.json({
+      success: true,
+      message: 'Fine waived successfully',
+      data: {
+        fine_id: fine.id,
+        waived_amount: waivedAmount
+      }
+    });
+  } catch (error) {
+    console.error('❌ Waive fine error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error waiving fine'
+    });
+  }
+};
+
+// @desc    Charge fines on late contributions now
+// @route   POST /api/fines/chama/:chamaId/apply
+// @access  Private (Admin only)
+const applyChamaFines = async (req, res) => {
+  try {
+    if (!(await isChamaAdmin(req.params.chamaId, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    const summary = await fineEngine.applyFines(parseInt(req.params.chamaId), req.user.id);
+
+    res.json({
+      success: true,
+      message: `${summary.fines_charged} fines charged totalling ${summary.amount_charged}`,
+      data: summary
+    });
+  } catch (error) {
+    console.error('❌ Apply fines error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error applying fines'
+    });
+  }
+};
+
+module.exports = {
+  createFineRule,
+  updateFineRule,
+  deactivateFineRule,
+  getFineRules,
+  getChamaFines,
+  getMemberFines,
+  waiveFine,
+  applyChamaFines
+};
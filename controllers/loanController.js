@@ -0,0 +1,919 @@
+const db = require('../config/database');
+const loans = require('../utils/loans');
+const loanRepayments = require('../utils/loanRepayments');
+const loanGuarantors = require('../utils/loanGuarantors');
+const { createNotification } = require('./notificationController');
+
+// Get the user's membership of a chama, or null
+const getMembership = async (chamaId, userId) => {
+  const [membership] = await db.execute(
+    `SELECT id, role FROM members
+     WHERE chama_id = ? AND user_id = ?`,
+    [chamaId, userId]
+  );
+  return membership[0] || null;
+};
+
+// Load a member and work out whether the user is that member or an admin of their chama
+const loadMemberAccess = async (memberId, userId) => {
+  const [members] = await db.execute(
+    'SELECT id, chama_id, user_id FROM members WHERE id = ?',
+    [memberId]
+  );
+
+  if (members.length === 0) {
+    return { status: 404, message: 'Member not found' };
+  }
+
+  const member = members[0];
+  const membership = await getMembership(member.chama_id, userId);
+  const isSelf = member.user_id === userId;
+  const isAdmin = !!membership && membership.role === 'admin';
+
+  if (!isSelf && !isAdmin) {
+    return { status: 403, message: "Not authorized to access this member's loans" };
+  }
+
+  return { member, isSelf, isAdmin };
+};
+
+// Load a loan and check that the user is an admin of its chama
+const loadLoanForAdmin = async (loanId, userId) => {
+  const loan = await loans.getLoan(loanId);
+
+  if (!loan) {
+    return { status: 404, message: 'Loan not found' };
+  }
+
+  const membership = await getMembership(loan.chama_id, userId);
+
+  if (!membership || membership.role !== 'admin') {
+    return { status: 403, message: 'Not authorized as admin' };
+  }
+
+  return { loan };
+};
+
+// Send a loan notification, logging rather than failing on errors
+const notifyUser = async (userId, title, message, loan, type = 'info') => {
+  try {
+    await createNotification(userId, title, message, type, loan.id, 'loan');
+  } catch (notifyError) {
+    console.error('❌ Loan notification error:', notifyError.message);
+  }
+};
+
+// Ask each nominated guarantor to accept or decline
+const notifyGuarantors = async (guarantors, loan) => {
+  for (const guarantor of guarantors) {
+    await notifyUser(
+      guarantor.user_id,
+      'Guarantor Request',
+      `${loan.member_name} asked you to guarantee KES ${guarantor.amount} of a ${loan.product_name} loan ` +
+        `of KES ${loan.principal}. Accept or decline guarantee #${guarantor.id} on loan #${loan.id}.`,
+      loan
+    );
+  }
+};
+
+// @desc    Create a loan product
+// @route   POST /api/loans/chama/:chamaId/products
+// @access  Private (Admin only)
+const createLoanProduct = async (req, res) => {
+  try {
+    const membership = await getMembership(req.params.chamaId, req.user.id);
+
+    if (!membership || membership.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    const outcome = await loans.createProduct(req.params.chamaId, req.body, req.user.id);
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Loan product created',
+      data: outcome.data
+    });
+  } catch (error) {
+    console.error('❌ Create loan product error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating loan product'
+    });
+  }
+};
+
+// @desc    Get a chama's loan products. Members see only active products.
+// @route   GET /api/loans/chama/:chamaId/products
+// @access  Private (Members only)
+const getLoanProducts = async (req, res) => {
+  try {
+    const membership = await getMembership(req.params.chamaId, req.user.id);
+
+    if (!membership) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this chama'
+      });
+    }
+
+    const products = await loans.listProducts(req.params.chamaId, {
+      activeOnly: membership.role !== 'admin'
+    });
+
+    res.json({
+      success: true,
+      data: products
+    });
+  } catch (error) {
+    console.error('❌ Get loan products error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching loan products'
+    });
+  }
+};
+
+// @desc    Change a loan product's terms or switch it off
+// @route   PUT /api/loans/products/:productId
+// @access  Private (Admin only)
+const updateLoanProduct = async (req, res) => {
+  try {
+    const product = await loans.getProduct(req.params.productId);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan product not found'
+      });
+    }
+
+    const membership = await getMembership(product.chama_id, req.user.id);
+
+    if (!membership || membership.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    const outcome = await loans.updateProduct(product.id, req.body);
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Loan product updated',
+      data: outcome.data
+    });
+  } catch (error) {
+    console.error('❌ Update loan product error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating loan product'
+    });
+  }
+};
+
+// @desc    Get how much a member can borrow on each active product
+// @route   GET /api/loans/member/:memberId/limits
+// @access  Private (Self or Admin)
+const getBorrowingLimits = async (req, res) => {
+  try {
+    const { member, status, message } = await loadMemberAccess(req.params.memberId, req.user.id);
+
+    if (!member) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const products = await loans.listProducts(member.chama_id, { activeOnly: true });
+    const limits = [];
+
+    for (const product of products) {
+      limits.push({
+        product_name: product.name,
+        ...(await loans.getBorrowingLimit(member.id, product))
+      });
+    }
+
+    res.json({
+      success: true,
+      data: limits
+    });
+  } catch (error) {
+    console.error('❌ Get borrowing limits error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching borrowing limits'
+    });
+  }
+};
+
+// @desc    Apply for a loan on a product
+// @route   POST /api/loans/products/:productId/apply
+// @access  Private (Members only)
+const applyForLoan = async (req, res) => {
+  const { amount, termMonths, purpose, guarantors = [] } = req.body;
+
+  try {
+    const product = await loans.getProduct(req.params.productId);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan product not found'
+      });
+    }
+
+    const membership = await getMembership(product.chama_id, req.user.id);
+
+    if (!membership) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to borrow from this chama'
+      });
+    }
+
+    if (guarantors.length > 0) {
+      const check = await loanGuarantors.checkNominations({
+        chamaId: product.chama_id,
+        memberId: membership.id,
+        principal: amount
+      }, guarantors);
+
+      if (!check.success) {
+        return res.status(check.status).json({
+          success: false,
+          message: check.message
+        });
+      }
+    }
+
+    const outcome = await loans.applyForLoan(product.id, membership.id, { amount, termMonths, purpose }, req.user.id);
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    const loan = outcome.data;
+    let nominated = [];
+
+    if (guarantors.length > 0) {
+      const nomination = await loanGuarantors.nominateGuarantors(loan.id, guarantors, req.user.id);
+
+      // Another guarantee may have used up a guarantor's room since the check
+      if (!nomination.success) {
+        await loans.cancelLoan(loan.id, req.user.id);
+        return res.status(nomination.status).json({
+          success: false,
+          message: nomination.message
+        });
+      }
+
+      nominated = nomination.data;
+      await notifyGuarantors(nominated, loan);
+    }
+
+    const [admins] = await db.execute(
+      `SELECT user_id FROM members
+       WHERE chama_id = ? AND role = 'admin' AND user_id != ?`,
+      [loan.chama_id, req.user.id]
+    );
+
+    for (const admin of admins) {
+      await notifyUser(
+        admin.user_id,
+        'Loan Application',
+        `${loan.member_name} applied for a ${loan.product_name} loan of KES ${loan.principal} ` +
+          `over ${loan.term_months} months.`,
+        loan
+      );
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Loan application submitted. You would repay KES ${loan.installment_amount} a month, ` +
+        `KES ${loan.total_repayable} in total.`,
+      data: { ...loan, guarantors: nominated }
+    });
+  } catch (error) {
+    console.error('❌ Apply for loan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error applying for loan'
+    });
+  }
+};
+
+// @desc    Get a chama's loans
+// @route   GET /api/loans/chama/:chamaId?status=
+// @access  Private (Admin only)
+const getChamaLoans = async (req, res) => {
+  try {
+    const membership = await getMembership(req.params.chamaId, req.user.id);
+
+    if (!membership || membership.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    const chamaLoans = await loans.listLoans({
+      chamaId: req.params.chamaId,
+      status: req.query.status || null
+    });
+
+    res.json({
+      success: true,
+      data: chamaLoans
+    });
+  } catch (error) {
+    console.error('❌ Get chama loans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching loans'
+    });
+  }
+};
+
+// @desc    Get a member's loans
+// @route   GET /api/loans/member/:memberId
+// @access  Private (Self or Admin)
+const getMemberLoans = async (req, res) => {
+  try {
+    const { member, status, message } = await loadMemberAccess(req.params.memberId, req.user.id);
+
+    if (!member) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await loans.listLoans({ memberId: member.id })
+    });
+  } catch (error) {
+    console.error('❌ Get member loans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching loans'
+    });
+  }
+};
+
+// @desc    Get a loan
+// @route   GET /api/loans/:loanId
+// @access  Private (Borrower or Admin)
+const getLoan = async (req, res) => {
+  try {
+    const loan = await loans.getLoan(req.params.loanId);
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    const membership = await getMembership(loan.chama_id, req.user.id);
+
+    if (loan.member_user_id !== req.user.id && (!membership || membership.role !== 'admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this loan'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { ...loan, guarantees: await loanGuarantors.getGuaranteeCoverage(loan) }
+    });
+  } catch (error) {
+    console.error('❌ Get loan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching loan'
+    });
+  }
+};
+
+// @desc    Approve a loan and create the payout that disburses it
+// @route   POST /api/loans/:loanId/approve
+// @access  Private (Admin only)
+const approveLoan = async (req, res) => {
+  try {
+    const { loan, status, message } = await loadLoanForAdmin(req.params.loanId, req.user.id);
+
+    if (!loan) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const coverage = await loanGuarantors.checkGuaranteeCoverage(loan);
+
+    if (!coverage.success) {
+      return res.status(coverage.status).json({
+        success: false,
+        message: coverage.message
+      });
+    }
+
+    const outcome = await loans.approveLoan(loan.id, req.body.notes, req.user.id);
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    await notifyUser(
+      loan.member_user_id,
+      'Loan Approved',
+      `Your ${loan.product_name} loan of KES ${loan.principal} was approved and will be paid out to you. ` +
+        `Repayments of KES ${loan.installment_amount} a month start once it is disbursed.`,
+      loan,
+      'success'
+    );
+
+    res.json({
+      success: true,
+      message: `Loan approved. Payout #${outcome.data.payout_id} disburses it.`,
+      data: outcome.data
+    });
+  } catch (error) {
+    console.error('❌ Approve loan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error approving loan'
+    });
+  }
+};
+
+// @desc    Reject a loan application
+// @route   POST /api/loans/:loanId/reject
+// @access  Private (Admin only)
+const rejectLoan = async (req, res) => {
+  try {
+    const { loan, status, message } = await loadLoanForAdmin(req.params.loanId, req.user.id);
+
+    if (!loan) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const outcome = await loans.rejectLoan(loan.id, req.body.reason, req.user.id);
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    await notifyUser(
+      loan.member_user_id,
+      'Loan Rejected',
+      `Your ${loan.product_name} loan application for KES ${loan.principal} was rejected: ${req.body.reason}`,
+      loan,
+      'warning'
+    );
+
+    res.json({
+      success: true,
+      message: 'Loan rejected',
+      data: outcome.data
+    });
+  } catch (error) {
+    console.error('❌ Reject loan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error rejecting loan'
+    });
+  }
+};
+
+// @desc    Withdraw your own loan application
+// @route   POST /api/loans/:loanId/cancel
+// @access  Private (Borrower only)
+const cancelLoan = async (req, res) => {
+  try {
+    const loan = await loans.getLoan(req.params.loanId);
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    if (loan.member_user_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the borrower can withdraw a loan application'
+      });
+    }
+
+    const outcome = await loans.cancelLoan(loan.id, req.user.id);
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Loan application withdrawn',
+      data: outcome.data
+    });
+  } catch (error) {
+    console.error('❌ Cancel loan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error withdrawing loan application'
+    });
+  }
+};
+
+// @desc    Record a loan repayment made in cash, by bank or to the chama's till
+// @route   POST /api/loans/:loanId/repayments
+// @access  Private (Admin only)
+const recordLoanRepayment = async (req, res) => {
+  try {
+    const { loan, status, message } = await loadLoanForAdmin(req.params.loanId, req.user.id);
+
+    if (!loan) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const outcome = await loanRepayments.recordRepayment(loan.id, req.body, req.user.id);
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    const repayment = outcome.data;
+
+    await notifyUser(
+      loan.member_user_id,
+      repayment.loan_status === 'repaid' ? 'Loan Repaid' : 'Loan Repayment Received',
+      repayment.loan_status === 'repaid'
+        ? `Your repayment of KES ${repayment.amount} cleared your ${loan.product_name} loan.`
+        : `Your repayment of KES ${repayment.amount} on your ${loan.product_name} loan was recorded.`,
+      loan,
+      'success'
+    );
+
+    res.status(201).json({
+      success: true,
+      message: repayment.loan_status === 'repaid' ? 'Repayment recorded. The loan is repaid.' : 'Repayment recorded',
+      data: repayment
+    });
+  } catch (error) {
+    console.error('❌ Record loan repayment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error recording loan repayment'
+    });
+  }
+};
+
+// @desc    Repay a loan by M-Pesa STK push
+// @route   POST /api/loans/:loanId/repayments/mpesa
+// @access  Private (Borrower or Admin)
+const initiateLoanMpesaRepayment = async (req, res) => {
+  try {
+    const loan = await loans.getLoan(req.params.loanId);
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    const membership = await getMembership(loan.chama_id, req.user.id);
+
+    if (loan.member_user_id !== req.user.id && (!membership || membership.role !== 'admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to repay this loan'
+      });
+    }
+
+    const outcome = await loanRepayments.initiateStkRepayment(loan.id, req.body, req.user.id);
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Payment initiated successfully. Please check your phone to complete the transaction.',
+      data: outcome.data
+    });
+  } catch (error) {
+    console.error('❌ Initiate loan M-Pesa repayment error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to initiate payment'
+    });
+  }
+};
+
+// @desc    Get a loan's statement: schedule, repayments and balance
+// @route   GET /api/loans/:loanId/statement
+// @access  Private (Borrower or Admin)
+const getLoanStatement = async (req, res) => {
+  try {
+    const statement = await loanRepayments.getLoanStatement(req.params.loanId);
+
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    const { loan } = statement;
+    const membership = await getMembership(loan.chama_id, req.user.id);
+
+    if (loan.member_user_id !== req.user.id && (!membership || membership.role !== 'admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this loan'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    console.error('❌ Get loan statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching loan statement'
+    });
+  }
+};
+
+// @desc    Nominate more guarantors for your pending loan
+// @route   POST /api/loans/:loanId/guarantors
+// @access  Private (Borrower only)
+const nominateLoanGuarantors = async (req, res) => {
+  try {
+    const loan = await loans.getLoan(req.params.loanId);
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    if (loan.member_user_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the borrower can nominate guarantors'
+      });
+    }
+
+    const outcome = await loanGuarantors.nominateGuarantors(loan.id, req.body.guarantors, req.user.id);
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    await notifyGuarantors(outcome.data, loan);
+
+    res.status(201).json({
+      success: true,
+      message: 'Guarantors nominated. Each will be asked to accept.',
+      data: await loanGuarantors.getGuaranteeCoverage(loan)
+    });
+  } catch (error) {
+    console.error('❌ Nominate guarantors error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error nominating guarantors'
+    });
+  }
+};
+
+// Accept or decline a guarantee and let the borrower know
+const respondToGuarantee = async (req, res, accept) => {
+  const outcome = await loanGuarantors.respondToGuarantee(
+    req.params.loanId,
+    req.params.guaranteeId,
+    accept,
+    req.body.notes,
+    req.user.id
+  );
+
+  if (!outcome.success) {
+    return res.status(outcome.status).json({
+      success: false,
+      message: outcome.message
+    });
+  }
+
+  const loan = await loans.getLoan(req.params.loanId);
+  const guarantee = outcome.data;
+
+  await notifyUser(
+    loan.member_user_id,
+    accept ? 'Guarantee Accepted' : 'Guarantee Declined',
+    accept
+      ? `${guarantee.member_name} agreed to guarantee KES ${guarantee.amount} of your ${loan.product_name} loan.`
+      : `${guarantee.member_name} declined to guarantee your ${loan.product_name} loan` +
+        `${req.body.notes ? `: ${req.body.notes}` : '.'} You can nominate someone else.`,
+    loan,
+    accept ? 'success' : 'warning'
+  );
+
+  res.json({
+    success: true,
+    message: accept ? 'Guarantee accepted' : 'Guarantee declined',
+    data: guarantee
+  });
+};
+
+// @desc    Accept a request to guarantee a loan
+// @route   POST /api/loans/:loanId/guarantors/:guaranteeId/accept
+// @access  Private (Guarantor only)
+const acceptGuarantee = async (req, res) => {
+  try {
+    await respondToGuarantee(req, res, true);
+  } catch (error) {
+    console.error('❌ Accept guarantee error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error accepting guarantee'
+    });
+  }
+};
+
+// @desc    Decline a request to guarantee a loan
+// @route   POST /api/loans/:loanId/guarantors/:guaranteeId/decline
+// @access  Private (Guarantor only)
+const declineGuarantee = async (req, res) => {
+  try {
+    await respondToGuarantee(req, res, false);
+  } catch (error) {
+    console.error('❌ Decline guarantee error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error declining guarantee'
+    });
+  }
+};
+
+// @desc    Get the guarantees a member has given or been asked for, and how much more they can guarantee
+// @route   GET /api/loans/member/:memberId/guarantees
+// @access  Private (Self or Admin)
+const getMemberGuarantees = async (req, res) => {
+  try {
+    const { member, status, message } = await loadMemberAccess(req.params.memberId, req.user.id);
+
+    if (!member) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        exposure: await loanGuarantors.getGuaranteeExposure(member.id, member.chama_id),
+        guarantees: await loanGuarantors.listMemberGuarantees(member.id)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get member guarantees error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching guarantees'
+    });
+  }
+};
+
+// @desc    Recover a defaulted loan from its guarantors now, without waiting for the nightly job
+// @route   POST /api/loans/:loanId/recover
+// @access  Private (Admin only)
+const recoverLoanFromGuarantors = async (req, res) => {
+  try {
+    const { loan, status, message } = await loadLoanForAdmin(req.params.loanId, req.user.id);
+
+    if (!loan) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    if (loan.status !== 'defaulted') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only loans in default are recovered from guarantors'
+      });
+    }
+
+    const recovery = await loanGuarantors.recoverFromGuarantors(loan.id, req.user.id);
+
+    if (!recovery) {
+      return res.status(400).json({
+        success: false,
+        message: 'Loan has no accepted guarantees left to call'
+      });
+    }
+
+    for (const guarantor of recovery.guarantors.filter(g => g.recovered > 0)) {
+      await notifyUser(
+        guarantor.user_id,
+        'Guarantee Called',
+        `${loan.member_name} defaulted on loan #${loan.id}. KES ${guarantor.recovered} of your ` +
+          `KES ${guarantor.guaranteed} guarantee was recovered from your balance.`,
+        loan,
+        'warning'
+      );
+    }
+
+    res.json({
+      success: true,
+      message: `KES ${recovery.recovered} recovered from guarantors`,
+      data: recovery
+    });
+  } catch (error) {
+    console.error('❌ Recover loan from guarantors error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error recovering loan from guarantors'
+    });
+  }
+};
+
+module.exports = {
+  createLoanProduct,
+  getLoanProducts,
+  updateLoanProduct,
+  getBorrowingLimits,
+  applyForLoan,
+  getChamaLoans,
+  getMemberLoans,
+  getLoan,
+  approveLoan,
+  rejectLoan,
+  cancelLoan,
+  recordLoanRepayment,
+  initiateLoanMpesaRepayment,
+  getLoanStatement,
+  nominateLoanGuarantors,
+  acceptGuarantee,
+  declineGuarantee,
+  getMemberGuarantees,
+  recoverLoanFromGuarantors
+};
@@ -246,6 +246,32 @@ const NotificationService = {
     }
   },
 
+  // Trigger when a held financial edit is approved, rejected or fails to apply
+  onApprovalDecision: async (request) => {
+    try {
+      const outcome = {
+        approved: ['Change Approved', 'success'],
+        rejected: ['Change Rejected', 'warning'],
+        failed: ['Change Could Not Be Applied', 'warning']
+      }[request.status];
+
+      if (!outcome) return;
+
+      const [title, type] = outcome;
+      const note = request.review_notes ? ` Note: ${request.review_notes}` : '';
+      const message = `${request.summary} was ${request.status} by ${request.reviewed_by_name || 'an officer'}.${note}`;
+
+      // Notify the affected member and the officer who requested the change
+      const recipients = new Set([request.member_user_id, request.requested_by].filter(Boolean));
+
+      for (const userId of recipients) {
+        await createNotification(userId, title, message, type, request.id, 'approval_request');
+      }
+    } catch (error) {
+      console.error('Approval notification error:', error);
+    }
+  },
+
   // Trigger when due date is approaching
   checkDueDates: async () => {
     try {
@@ -0,0 +1,213 @@
+const db = require('../config/database');
+const mpesaService = require('../utils/mpesaService');
+const c2b = require('../utils/mpesaC2B');
+const { recordCallback, processC2BCallback } = require('../utils/mpesaCallbacks');
+const { createNotification } = require('./notificationController');
+
+// Check that a user is an admin of a chama
+const isChamaAdmin = async (chamaId, userId) => {
+  const [adminCheck] = await db.execute(
+    `SELECT role FROM members
+     WHERE chama_id = ? AND user_id = ? AND role = 'admin'`,
+    [chamaId, userId]
+  );
+  return adminCheck.length > 0;
+};
+
+// Tell a member their paybill payment was recorded
+const notifyPaymentRecorded = async (userId, transId, receipt) => {
+  await createNotification(
+    userId,
+    'Payment Recorded',
+    `Your M-Pesa paybill payment ${transId} of KES ${receipt.amount} has been recorded (${receipt.receipt_number}).`,
+    'success',
+    receipt.id,
+    'payment_receipt'
+  );
+};
+
+// @desc    M-Pesa asks whether to accept a paybill payment
+// @route   POST /api/paybill/validation
+// @access  Public (M-Pesa only)
+const validatePaybillPayment = async (req, res) => {
+  try {
+    const outcome = await c2b.validateC2BPayment(req.body || {});
+
+    if (!outcome.accepted) {
+      console.log(`⚠️ Rejected paybill payment ${req.body.TransID || ''}: ${outcome.reason}`);
+      return res.json({ ResultCode: outcome.resultCode, ResultDesc: 'Rejected' });
+    }
+
+    res.json({ ResultCode: '0', ResultDesc: 'Accepted' });
+  } catch (error) {
+    console.error('❌ Paybill validation error:', error);
+
+    // Do not turn members' money away over our own fault; unmatched payments go to suspense
+    res.json({ ResultCode: '0', ResultDesc: 'Accepted' });
+  }
+};
+
+// @desc    M-Pesa confirms a completed paybill payment
+// @route   POST /api/paybill/confirmation
+// @access  Public (M-Pesa only)
+const confirmPaybillPayment = async (req, res) => {
+  const payload = req.body;
+
+  if (!payload || !payload.TransID || payload.TransAmount === undefined) {
+    console.error('❌ Invalid paybill confirmation format');
+    return res.status(400).json({ ResultCode: 1, ResultDesc: 'Invalid confirmation format' });
+  }
+
+  try {
+    // Keep the raw confirmation so it can be audited and reprocessed
+    const callbackId = await recordCallback('c2b', payload, req.ip, {
+      checkoutRequestId: payload.TransID
+    });
+
+    const outcome = await processC2BCallback(callbackId);
+
+    if (outcome.receipt) {
+      console.log('✅ Paybill payment allocated:', outcome.receipt.receipt_number);
+
+      try {
+        await notifyPaymentRecorded(outcome.member.user_id, payload.TransID, outcome.receipt);
+      } catch (notifyError) {
+        console.error('❌ Paybill notification error:', notifyError.message);
+      }
+    } else if (outcome.payment) {
+      console.log(`⚠️ Paybill payment ${payload.TransID} sent to suspense: ${outcome.payment.suspense_reason}`);
+    } else {
+      console.log(`✅ Callback ${callbackId} ${outcome.status}${outcome.message ? `: ${outcome.message}` : ''}`);
+    }
+
+    // Failed confirmations are retried from the stored copy, so always acknowledge
+    res.json({ ResultCode: 0, ResultDesc: 'Success' });
+  } catch (error) {
+    console.error('❌ Paybill confirmation error:', error);
+
+    res.status(500).json({
+      ResultCode: 1,
+      ResultDesc: 'Confirmation could not be stored'
+    });
+  }
+};
+
+// @desc    Register the paybill validation and confirmation URLs with M-Pesa
+// @route   POST /api/paybill/register-urls
+// @access  Private (Cron secret)
+const registerPaybillUrls = async (req, res) => {
+  try {
+    const result = await mpesaService.registerC2BUrls(req.body.shortCode || undefined);
+
+    res.json({
+      success: true,
+      message: 'Paybill URLs registered',
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Register paybill URLs error:', error);
+    res.status(502).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get a chama's paybill payments, by default the suspense queue
+// @route   GET /api/paybill/chama/:chamaId/payments?status=
+// @access  Private (Admin only)
+const getChamaPaybillPayments = async (req, res) => {
+  try {
+    if (!(await isChamaAdmin(req.params.chamaId, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    const payments = await c2b.listChamaC2BPayments(req.params.chamaId, req.query.status || 'suspense');
+
+    res.json({
+      success: true,
+      data: payments
+    });
+  } catch (error) {
+    console.error('❌ Get paybill payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching paybill payments'
+    });
+  }
+};
+
+// @desc    Assign a suspense payment to a member and record it
+// @route   POST /api/paybill/payments/:paymentId/assign
+// @access  Private (Admin only)
+const assignPaybillPayment = async (req, res) => {
+  const { memberId, cycleId, typeId, notes } = req.body;
+
+  try {
+    const [members] = await db.execute(
+      'SELECT chama_id FROM members WHERE id = ?',
+      [memberId]
+    );
+
+    if (members.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (!(await isChamaAdmin(members[0].chama_id, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    const outcome = await c2b.assignSuspensePayment(req.params.paymentId, {
+      memberId,
+      cycleId,
+      typeId,
+      notes,
+      userId: req.user.id
+    });
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    await notifyPaymentRecorded(
+      outcome.data.member.user_id,
+      outcome.data.payment.trans_id,
+      outcome.data.receipt
+    );
+
+    res.json({
+      success: true,
+      message: 'Paybill payment assigned',
+      data: {
+        payment: outcome.data.payment,
+        receipt: outcome.data.receipt
+      }
+    });
+  } catch (error) {
+    console.error('❌ Assign paybill payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error assigning paybill payment'
+    });
+  }
+};
+
+module.exports = {
+  validatePaybillPayment,
+  confirmPaybillPayment,
+  registerPaybillUrls,
+  getChamaPaybillPayments,
+  assignPaybillPayment
+};
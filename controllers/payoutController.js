@@ -1,10 +1,73 @@
 const db = require('../config/database');
+const approvals = require('../utils/approvals');
+const { checkPayoutTransition, applyPayoutStatus, applyPayoutCreation } = require('../utils/financialEdits');
+const { REFUND_PAYOUT_FILTER } = require('../utils/memberWallet');
+const { LOAN_PAYOUT_FILTER } = require('../utils/loans');
+const disbursements = require('../utils/mpesaDisbursements');
+const rotation = require('../utils/rotationSchedule');
+const netting = require('../utils/payoutNetting');
+const eligibility = require('../utils/payoutEligibility');
+const signatures = require('../utils/payoutSignatures');
+const { recordCallback, processB2CCallback } = require('../utils/mpesaCallbacks');
+const { createNotification } = require('./notificationController');
+
+// Send a member the net statement for their payout
+const notifyNetStatement = async (payoutId) => {
+  try {
+    const statement = await netting.getNetStatement(payoutId);
+    const [members] = await db.execute('SELECT user_id FROM members WHERE id = ?', [statement.member_id]);
+    const lines = statement.deductions.map(deduction => `${deduction.description}: KES ${deduction.amount}`);
+
+    await createNotification(
+      members[0].user_id,
+      'Payout Statement',
+      `Your payout of KES ${statement.gross_amount} has KES ${statement.total_deducted} deducted ` +
+        `for what you owe${lines.length > 0 ? ` (${lines.join('; ')})` : ''}. ` +
+        `You will receive KES ${statement.net_amount}.`,
+      'info',
+      payoutId,
+      'payout'
+    );
+  } catch (notifyError) {
+    console.error('Net statement notification error:', notifyError.message);
+  }
+};
+
+// Ask the officers who have not yet signed a payout to sign it
+const notifyAwaitingSigners = async (payoutId) => {
+  try {
+    const status = await signatures.getSignatureStatus(payoutId);
+
+    if (!status || status.met) {
+      return;
+    }
+
+    const [payouts] = await db.execute('SELECT chama_id FROM payouts WHERE id = ?', [payoutId]);
+    const officers = await signatures.getOfficers(payouts[0].chama_id);
+
+    for (const officer of officers) {
+      if (officer.user_id && status.awaiting.includes(officer.office)) {
+        await createNotification(
+          officer.user_id,
+          'Payout Awaiting Your Signature',
+          `Payout #${payoutId} of KES ${status.amount} needs ${status.quorum} officer signatures ` +
+            `before it is released; ${status.signed} signed so far. Please review and sign as ${officer.office}.`,
+          'warning',
+          payoutId,
+          'payout'
+        );
+      }
+    }
+  } catch (notifyError) {
+    console.error('Signature notification error:', notifyError.message);
+  }
+};
 
 // @desc    Create a payout (rotating savings)
 // @route   POST /api/payouts
 // @access  Private (Admin only)
 const createPayout = async (req, res) => {
-  const { chamaId, memberId, amount, payoutDate, notes } = req.body;
+  const { chamaId, memberId, amount, payoutDate, notes, netDeductions, overrideReason } = req.body;
 
   try {
     // Validate
@@ -29,113 +92,67 @@ const createPayout = async (req, res) => {
       });
     }
 
-    // Get current active cycle
-    const [cycles] = await db.execute(
-      `SELECT id, cycle_number FROM contribution_cycles 
-       WHERE chama_id = ? AND status = 'active'
-       ORDER BY cycle_number DESC
-       LIMIT 1`,
-      [chamaId]
-    );
-
-    if (cycles.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'No active contribution cycle found'
-      });
-    }
+    const payout = { chamaId, memberId, amount, payoutDate, notes, netDeductions };
+    const outcome = await applyPayoutCreation(payout, req.user.id);
 
-    const cycleId = cycles[0].id;
+    if (!outcome.success) {
+      // Eligibility and pool failures can go ahead only with a second admin's approval
+      if (outcome.failures.length > 0 && overrideReason) {
+        const request = await approvals.createRequest({
+          chamaId,
+          action: 'override_payout',
+          targetId: memberId,
+          memberId,
+          payload: { payout, reason: overrideReason, failures: outcome.failures },
+          summary: `Override payout of ${amount} to member #${memberId}: ${overrideReason}`,
+          userId: req.user.id
+        });
 
-    // Check if member has already received payout this cycle
-    const [existingPayout] = await db.execute(
-      `SELECT id FROM payouts 
-       WHERE chama_id = ? AND member_id = ? AND cycle_id = ?`,
-      [chamaId, memberId, cycleId]
-    );
+        return res.status(202).json({
+          success: true,
+          message: 'Payout override submitted for approval by another admin',
+          data: {
+            approval_request: request,
+            failures: outcome.failures
+          }
+        });
+      }
 
-    if (existingPayout.length > 0) {
-      return res.status(400).json({
+      return res.status(outcome.status).json({
         success: false,
-        message: 'Member has already received a payout this cycle'
+        message: outcome.message,
+        ...(outcome.failures.length > 0 ? { failures: outcome.failures } : {})
       });
     }
 
-    // Check chama balance
-    const [balanceResult] = await db.execute(
-      `SELECT 
-         COALESCE(SUM(c.amount), 0) as total_contributions,
-         COALESCE(SUM(p.amount), 0) as total_payouts
-       FROM contributions c
-       JOIN members m ON c.member_id = m.id
-       LEFT JOIN payouts p ON p.chama_id = m.chama_id AND p.status = 'paid'
-       WHERE m.chama_id = ? AND c.status = 'paid'`,
-      [chamaId]
-    );
-
-    const availableBalance = (balanceResult[0].total_contributions || 0) - (balanceResult[0].total_payouts || 0);
-
-    if (availableBalance < amount) {
-      return res.status(400).json({
-        success: false,
-        message: `Insufficient chama balance. Available: ${availableBalance}`
-      });
+    if (outcome.data.netting) {
+      await notifyNetStatement(outcome.data.payout_id);
     }
 
-    // Start transaction
-    await db.execute('START TRANSACTION');
-
-    try {
-      // Create payout
-      const [payoutResult] = await db.execute(
-        `INSERT INTO payouts 
-         (chama_id, member_id, cycle_id, amount, payout_date, status, notes) 
-         VALUES (?, ?, ?, ?, ?, 'pending', ?)`,
-        [
-          chamaId,
-          memberId,
-          cycleId,
-          amount,
-          payoutDate || new Date().toISOString().split('T')[0],
-          notes || null
-        ]
-      );
-
-      // Record transaction
-      await db.execute(
-        `INSERT INTO transactions 
-         (chama_id, transaction_type, amount, description, created_by) 
-         VALUES (?, 'payout', ?, ?, ?)`,
-        [
-          chamaId,
-          amount,
-          `Payout created for member ID: ${memberId}`,
-          req.user.id
-        ]
-      );
+    await notifyAwaitingSigners(outcome.data.payout_id);
 
-      await db.execute('COMMIT');
-
-      // Get payout details
-      const [payouts] = await db.execute(
-        `SELECT p.*, u.name as member_name, cy.cycle_number
-         FROM payouts p
-         JOIN members m ON p.member_id = m.id
-         JOIN users u ON m.user_id = u.id
-         JOIN contribution_cycles cy ON p.cycle_id = cy.id
-         WHERE p.id = ?`,
-        [payoutResult.insertId]
-      );
+    // Get payout details
+    const [payouts] = await db.execute(
+      `SELECT p.*, u.name as member_name, cy.cycle_number
+       FROM payouts p
+       JOIN members m ON p.member_id = m.id
+       JOIN users u ON m.user_id = u.id
+       JOIN contribution_cycles cy ON p.cycle_id = cy.id
+       WHERE p.id = ?`,
+      [outcome.data.payout_id]
+    );
 
-      res.status(201).json({
-        success: true,
-        message: 'Payout created successfully',
-        data: payouts[0]
-      });
-    } catch (error) {
-      await db.execute('ROLLBACK');
-      throw error;
-    }
+    res.status(201).json({
+      success: true,
+      message: 'Payout created successfully',
+      data: {
+        ...payouts[0],
+        rotation_slot: outcome.data.rotation_slot,
+        netting: outcome.data.netting,
+        pool: outcome.data.pool,
+        signatures: await signatures.getSignatureStatus(outcome.data.payout_id)
+      }
+    });
   } catch (error) {
     console.error('Create payout error:', error);
     res.status(500).json({
@@ -184,25 +201,61 @@ const updatePayoutStatus = async (req, res) => {
       });
     }
 
-    // Update status
-    await db.execute(
-      'UPDATE payouts SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-      [status, req.params.id]
-    );
+    // Paid and cancelled payouts are final
+    const transition = checkPayoutTransition(payout, status);
+
+    if (!transition.success) {
+      return res.status(transition.status).json({
+        success: false,
+        message: transition.message
+      });
+    }
 
-    // If marking as paid, update transaction
+    if (transition.unchanged) {
+      return res.json({
+        success: true,
+        message: `Payout is already ${status}`
+      });
+    }
+
+    // Money cannot leave until the officers have signed
     if (status === 'paid') {
-      await db.execute(
-        `INSERT INTO transactions 
-         (chama_id, transaction_type, amount, description, created_by) 
-         VALUES (?, 'payout', ?, ?, ?)`,
-        [
-          payout.chama_id,
-          payout.amount,
-          `Payout marked as paid for member ID: ${payout.member_id}`,
-          req.user.id
-        ]
-      );
+      const quorum = await signatures.checkReleaseQuorum(payout.id);
+
+      if (!quorum.success) {
+        return res.status(quorum.status).json({
+          success: false,
+          message: quorum.message
+        });
+      }
+    }
+
+    // Hold the change for a second officer when four-eyes mode is on
+    if (await approvals.isRequired(payout.chama_id)) {
+      const request = await approvals.createRequest({
+        chamaId: payout.chama_id,
+        action: 'update_payout_status',
+        targetId: payout.id,
+        memberId: payout.member_id,
+        payload: { status },
+        summary: `Change payout #${payout.id} (${payout.amount}) status from ${payout.status} to ${status}`,
+        userId: req.user.id
+      });
+
+      return res.status(202).json({
+        success: true,
+        message: 'Payout status change submitted for approval',
+        data: { approval_request: request }
+      });
+    }
+
+    const outcome = await applyPayoutStatus(req.params.id, status, req.user.id);
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
     }
 
     res.json({
@@ -218,6 +271,210 @@ const updatePayoutStatus = async (req, res) => {
   }
 };
 
+// @desc    Get a payout's officer signatures and what its quorum still needs
+// @route   GET /api/payouts/:id/signatures
+// @access  Private (Members only)
+const getPayoutSignatures = async (req, res) => {
+  try {
+    const [membership] = await db.execute(
+      `SELECT m.role FROM members m
+       JOIN payouts p ON p.chama_id = m.chama_id
+       WHERE p.id = ? AND m.user_id = ?`,
+      [req.params.id, req.user.id]
+    );
+
+    if (membership.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this payout'
+      });
+    }
+
+    const status = await signatures.getSignatureStatus(req.params.id);
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('Get payout signatures error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching payout signatures'
+    });
+  }
+};
+
+// @desc    Sign a pending payout as the officer you are
+// @route   POST /api/payouts/:id/signatures
+// @access  Private (Signing officers only)
+const signPayout = async (req, res) => {
+  try {
+    const outcome = await signatures.signPayout(req.params.id, req.user.id, req.body.notes || null);
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    if (!outcome.data.met) {
+      await notifyAwaitingSigners(outcome.data.payout_id);
+    }
+
+    res.json({
+      success: true,
+      message: outcome.data.met
+        ? `Signed as ${outcome.data.office}. The quorum is met and the payout can be released.`
+        : `Signed as ${outcome.data.office}. ${outcome.data.signed} of ${outcome.data.quorum} signatures collected.`,
+      data: outcome.data
+    });
+  } catch (error) {
+    console.error('Sign payout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error signing payout'
+    });
+  }
+};
+
+// @desc    Get the net statement for a payout: gross, deductions and net
+// @route   GET /api/payouts/:id/statement
+// @access  Private (Self or Admin)
+const getPayoutStatement = async (req, res) => {
+  try {
+    const statement = await netting.getNetStatement(req.params.id);
+
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout not found'
+      });
+    }
+
+    const [permission] = await db.execute(
+      `SELECT m.role, (m.id = ?) as is_self
+       FROM members m
+       JOIN payouts p ON p.chama_id = m.chama_id
+       WHERE p.id = ? AND m.user_id = ?`,
+      [statement.member_id, statement.payout_id, req.user.id]
+    );
+
+    if (permission.length === 0 || (permission[0].role !== 'admin' && !permission[0].is_self)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this payout'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    console.error('Get payout statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching payout statement'
+    });
+  }
+};
+
+// @desc    Check a member against the payout eligibility rules and pool
+// @route   GET /api/payouts/eligibility/member/:memberId?amount=
+// @access  Private (Self or Admin)
+const getPayoutEligibility = async (req, res) => {
+  try {
+    const [members] = await db.execute(
+      'SELECT id, chama_id, user_id FROM members WHERE id = ?',
+      [req.params.memberId]
+    );
+
+    if (members.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    const member = members[0];
+
+    const [adminCheck] = await db.execute(
+      `SELECT role FROM members 
+       WHERE chama_id = ? AND user_id = ? AND role = 'admin'`,
+      [member.chama_id, req.user.id]
+    );
+
+    if (member.user_id !== req.user.id && adminCheck.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view this member's eligibility"
+      });
+    }
+
+    const failures = await eligibility.checkEligibility(member.chama_id, member.id);
+    const pool = await eligibility.getAvailablePool(member.chama_id);
+    const amount = parseFloat(req.query.amount);
+
+    if (amount > pool.available) {
+      failures.push({
+        rule: 'pool_balance',
+        message: `Payout of KES ${amount} is more than the available pool of KES ${pool.available}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        member_id: member.id,
+        eligible: failures.length === 0,
+        failures,
+        pool
+      }
+    });
+  } catch (error) {
+    console.error('Get payout eligibility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error checking payout eligibility'
+    });
+  }
+};
+
+// @desc    Get payouts that went ahead on an approved override
+// @route   GET /api/payouts/overrides/:chamaId
+// @access  Private (Admin only)
+const getPayoutOverrides = async (req, res) => {
+  try {
+    const [adminCheck] = await db.execute(
+      `SELECT role FROM members 
+       WHERE chama_id = ? AND user_id = ? AND role = 'admin'`,
+      [req.params.chamaId, req.user.id]
+    );
+
+    if (adminCheck.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    const overrides = await eligibility.listOverrides(req.params.chamaId);
+
+    res.json({
+      success: true,
+      data: overrides
+    });
+  } catch (error) {
+    console.error('Get payout overrides error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching payout overrides'
+    });
+  }
+};
+
 // @desc    Get payouts for a chama
 // @route   GET /api/payouts/chama/:chamaId
 // @access  Private (Members only)
@@ -236,16 +493,24 @@ const getChamaPayouts = async (req, res) => {
       });
     }
 
-    const { cycleId, memberId, status, startDate, endDate } = req.query;
+    const { cycleId, memberId, status, disbursementStatus, startDate, endDate } = req.query;
     
     let query = `
       SELECT p.*, u.name as member_name, u.phone as member_phone,
              cy.cycle_number, cy.cycle_date,
-             m.role as member_role
+             m.role as member_role,
+             pd.status as disbursement_status,
+             pd.result_description as disbursement_result,
+             pd.transaction_id as disbursement_transaction_id,
+             pn.gross_amount, pn.total_deducted
       FROM payouts p
       JOIN members m ON p.member_id = m.id
       JOIN users u ON m.user_id = u.id
       JOIN contribution_cycles cy ON p.cycle_id = cy.id
+      LEFT JOIN payout_netting pn ON pn.payout_id = p.id
+      LEFT JOIN payout_disbursements pd ON pd.id = (
+        SELECT MAX(id) FROM payout_disbursements WHERE payout_id = p.id
+      )
       WHERE p.chama_id = ?
     `;
     
@@ -266,6 +531,11 @@ const getChamaPayouts = async (req, res) => {
       params.push(status);
     }
 
+    if (disbursementStatus) {
+      query += ' AND pd.status = ?';
+      params.push(disbursementStatus);
+    }
+
     if (startDate) {
       query += ' AND DATE(p.payout_date) >= ?';
       params.push(startDate);
@@ -357,9 +627,11 @@ const getMemberPayouts = async (req, res) => {
 
     // Get payouts
     const [payouts] = await db.execute(
-      `SELECT p.*, cy.cycle_number, cy.cycle_date
+      `SELECT p.*, cy.cycle_number, cy.cycle_date,
+              pn.gross_amount, pn.total_deducted
        FROM payouts p
        JOIN contribution_cycles cy ON p.cycle_id = cy.id
+       LEFT JOIN payout_netting pn ON pn.payout_id = p.id
        WHERE p.member_id = ?
        ORDER BY p.payout_date DESC`,
       [req.params.memberId]
@@ -415,6 +687,24 @@ const getNextPayoutMember = async (req, res) => {
       });
     }
 
+    // Follow the rotation schedule when the chama has one
+    const slot = await rotation.getNextSlot(req.params.chamaId);
+
+    if (slot) {
+      return res.json({
+        success: true,
+        data: {
+          member: {
+            member_id: slot.member_id,
+            name: slot.member_name
+          },
+          suggestedAmount: slot.expected_amount,
+          slot,
+          note: `Slot ${slot.slot_number} of the rotation schedule, cycle ${slot.cycle_number}`
+        }
+      });
+    }
+
     // Get all members who haven't received payout in current cycle
     const [members] = await db.execute(
       `SELECT m.id as member_id, u.name, u.phone,
@@ -423,10 +713,11 @@ const getNextPayoutMember = async (req, res) => {
        FROM members m
        JOIN users u ON m.user_id = u.id
        LEFT JOIN payouts p ON m.id = p.member_id AND p.status = 'paid'
+         AND ${REFUND_PAYOUT_FILTER} AND ${LOAN_PAYOUT_FILTER}
        WHERE m.chama_id = ?
        AND m.id NOT IN (
-         SELECT member_id FROM payouts 
-         WHERE chama_id = ? AND cycle_id IN (
+         SELECT p.member_id FROM payouts p
+         WHERE p.chama_id = ? AND ${REFUND_PAYOUT_FILTER} AND ${LOAN_PAYOUT_FILTER} AND p.cycle_id IN (
            SELECT id FROM contribution_cycles 
            WHERE chama_id = ? AND status = 'active'
          )
@@ -470,10 +761,768 @@ const getNextPayoutMember = async (req, res) => {
   }
 };
 
+// @desc    Draw the rotation schedule for a merry-go-round chama
+// @route   POST /api/payouts/schedule/:chamaId
+// @access  Private (Admin only)
+const generateRotationSchedule = async (req, res) => {
+  const { method, seed, memberOrder, startCycleNumber } = req.body;
+
+  try {
+    // Check if user is admin
+    const [adminCheck] = await db.execute(
+      `SELECT role FROM members 
+       WHERE chama_id = ? AND user_id = ? AND role = 'admin'`,
+      [req.params.chamaId, req.user.id]
+    );
+
+    if (adminCheck.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    const outcome = await rotation.generateSchedule(req.params.chamaId, {
+      method,
+      seed,
+      memberOrder: memberOrder || [],
+      startCycleNumber,
+      userId: req.user.id
+    });
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message,
+        ...(outcome.data ? { data: outcome.data } : {})
+      });
+    }
+
+    const schedule = outcome.data;
+
+    // Tell each member when their turn is
+    for (const slot of schedule.slots) {
+      try {
+        await createNotification(
+          slot.member_user_id,
+          'Payout Slot Scheduled',
+          `You are number ${slot.slot_number} in the payout rotation: cycle ${slot.cycle_number}, ` +
+            `around ${new Date(slot.payout_date).toISOString().split('T')[0]}, expected KES ${slot.expected_amount}.`,
+          'info',
+          slot.id,
+          'rotation_slot'
+        );
+      } catch (notifyError) {
+        console.error('Rotation notification error:', notifyError.message);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Rotation schedule drawn for ${schedule.slots.length} members`,
+      data: schedule
+    });
+  } catch (error) {
+    console.error('Generate rotation schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating rotation schedule'
+    });
+  }
+};
+
+// @desc    Get a chama's active rotation schedule and past schedules
+// @route   GET /api/payouts/schedule/:chamaId
+// @access  Private (Members only)
+const getRotationSchedule = async (req, res) => {
+  try {
+    // Check if user is member
+    const [membership] = await db.execute(
+      'SELECT id, role FROM members WHERE chama_id = ? AND user_id = ?',
+      [req.params.chamaId, req.user.id]
+    );
+
+    if (membership.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view payouts for this chama'
+      });
+    }
+
+    const schedule = await rotation.getActiveSchedule(req.params.chamaId);
+
+    res.json({
+      success: true,
+      data: {
+        schedule,
+        my_slot: schedule
+          ? schedule.slots.find(slot => slot.member_id === membership[0].id) || null
+          : null,
+        changes: schedule ? await rotation.getSlotHistory(schedule.id) : [],
+        history: await rotation.listSchedules(req.params.chamaId)
+      }
+    });
+  } catch (error) {
+    console.error('Get rotation schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching rotation schedule'
+    });
+  }
+};
+
+// @desc    Get a member's slot in the active rotation schedule
+// @route   GET /api/payouts/schedule/member/:memberId
+// @access  Private (Members only)
+const getMemberRotationSlot = async (req, res) => {
+  try {
+    const [members] = await db.execute(
+      'SELECT id, chama_id FROM members WHERE id = ?',
+      [req.params.memberId]
+    );
+
+    if (members.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    // The schedule is open to everyone in the chama
+    const [permission] = await db.execute(
+      'SELECT role FROM members WHERE chama_id = ? AND user_id = ?',
+      [members[0].chama_id, req.user.id]
+    );
+
+    if (permission.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view these payouts'
+      });
+    }
+
+    const slot = await rotation.getMemberSlot(members[0].id);
+
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member has no slot in an active rotation schedule'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: slot
+    });
+  } catch (error) {
+    console.error('Get rotation slot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching rotation slot'
+    });
+  }
+};
+
+// Send a swap notification to each user, logging rather than failing on errors
+const notifySwapUsers = async (userIds, title, message, swap, type = 'info') => {
+  for (const userId of userIds) {
+    try {
+      await createNotification(userId, title, message, type, swap.id, 'rotation_swap');
+    } catch (notifyError) {
+      console.error('Swap notification error:', notifyError.message);
+    }
+  }
+};
+
+const describeSwap = (swap) =>
+  `${swap.requester_name} (slot ${swap.requester_slot_number}, cycle ${swap.requester_cycle_number}) and ` +
+  `${swap.counterparty_name} (slot ${swap.counterparty_slot_number}, cycle ${swap.counterparty_cycle_number})`;
+
+// @desc    Ask another member to trade payout slots
+// @route   POST /api/payouts/schedule/member/:memberId/swaps
+// @access  Private (Self only)
+const requestSlotSwap = async (req, res) => {
+  const { withMemberId, reason } = req.body;
+
+  try {
+    const [members] = await db.execute(
+      'SELECT id, chama_id, user_id FROM members WHERE id = ?',
+      [req.params.memberId]
+    );
+
+    if (members.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (members[0].user_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Members can only request swaps for their own slot'
+      });
+    }
+
+    const outcome = await rotation.requestSwap(members[0].id, withMemberId, {
+      reason,
+      userId: req.user.id
+    });
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    const swap = outcome.data;
+
+    await notifySwapUsers(
+      [swap.counterparty_user_id],
+      'Payout Slot Swap Request',
+      `${swap.requester_name} would like to swap payout slots with you: ${describeSwap(swap)}. Accept or decline the request.`,
+      swap
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Swap requested. ${swap.counterparty_name} needs to accept it before an admin approves.`,
+      data: swap
+    });
+  } catch (error) {
+    console.error('Request slot swap error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error requesting slot swap'
+    });
+  }
+};
+
+// Accept or decline a swap as the member who was asked
+const respondToSlotSwap = (accept) => async (req, res) => {
+  try {
+    const swap = await rotation.getSwap(req.params.swapId);
+
+    if (!swap) {
+      return res.status(404).json({
+        success: false,
+        message: 'Swap request not found'
+      });
+    }
+
+    if (swap.counterparty_user_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the member who was asked can respond to this swap'
+      });
+    }
+
+    const outcome = await rotation.respondToSwap(swap.id, accept);
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    if (accept) {
+      const [admins] = await db.execute(
+        `SELECT user_id FROM members
+         WHERE chama_id = ? AND role = 'admin' AND user_id != ?`,
+        [swap.chama_id, req.user.id]
+      );
+
+      await notifySwapUsers(
+        [swap.requester_user_id],
+        'Slot Swap Accepted',
+        `${swap.counterparty_name} accepted your slot swap. It is waiting for an admin to approve it.`,
+        swap,
+        'success'
+      );
+      await notifySwapUsers(
+        admins.map(admin => admin.user_id),
+        'Slot Swap Awaiting Approval',
+        `Members agreed to swap payout slots: ${describeSwap(swap)}.`,
+        swap
+      );
+    } else {
+      await notifySwapUsers(
+        [swap.requester_user_id],
+        'Slot Swap Declined',
+        `${swap.counterparty_name} declined your slot swap. Your slot is unchanged.`,
+        swap,
+        'warning'
+      );
+    }
+
+    res.json({
+      success: true,
+      message: accept ? 'Swap accepted. An admin will review it.' : 'Swap declined',
+      data: outcome.data
+    });
+  } catch (error) {
+    console.error('Respond to slot swap error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error responding to slot swap'
+    });
+  }
+};
+
+// @desc    Accept a slot swap you were asked for
+// @route   POST /api/payouts/swaps/:swapId/accept
+// @access  Private (Counterparty only)
+const acceptSlotSwap = respondToSlotSwap(true);
+
+// @desc    Decline a slot swap you were asked for
+// @route   POST /api/payouts/swaps/:swapId/decline
+// @access  Private (Counterparty only)
+const declineSlotSwap = respondToSlotSwap(false);
+
+// Load a swap and check that the user is an admin of its chama
+const loadSwapForAdmin = async (swapId, userId) => {
+  const swap = await rotation.getSwap(swapId);
+
+  if (!swap) {
+    return { status: 404, message: 'Swap request not found' };
+  }
+
+  const [adminCheck] = await db.execute(
+    `SELECT role FROM members
+     WHERE chama_id = ? AND user_id = ? AND role = 'admin'`,
+    [swap.chama_id, userId]
+  );
+
+  if (adminCheck.length === 0) {
+    return { status: 403, message: 'Not authorized as admin' };
+  }
+
+  return { swap };
+};
+
+// @desc    Approve an accepted slot swap and update the schedule
+// @route   POST /api/payouts/swaps/:swapId/approve
+// @access  Private (Admin only)
+const approveSlotSwap = async (req, res) => {
+  try {
+    const { swap, status, message } = await loadSwapForAdmin(req.params.swapId, req.user.id);
+
+    if (!swap) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const outcome = await rotation.approveSwap(swap.id, req.body.notes, req.user.id);
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    await notifySwapUsers(
+      [swap.requester_user_id],
+      'Slot Swap Approved',
+      `Your payout is now slot ${swap.counterparty_slot_number}, cycle ${swap.counterparty_cycle_number}.`,
+      swap,
+      'success'
+    );
+    await notifySwapUsers(
+      [swap.counterparty_user_id],
+      'Slot Swap Approved',
+      `Your payout is now slot ${swap.requester_slot_number}, cycle ${swap.requester_cycle_number}.`,
+      swap,
+      'success'
+    );
+
+    res.json({
+      success: true,
+      message: 'Swap approved and rotation schedule updated',
+      data: outcome.data
+    });
+  } catch (error) {
+    console.error('Approve slot swap error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error approving slot swap'
+    });
+  }
+};
+
+// @desc    Reject a slot swap
+// @route   POST /api/payouts/swaps/:swapId/reject
+// @access  Private (Admin only)
+const rejectSlotSwap = async (req, res) => {
+  try {
+    const { swap, status, message } = await loadSwapForAdmin(req.params.swapId, req.user.id);
+
+    if (!swap) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const outcome = await rotation.rejectSwap(swap.id, req.body.reason, req.user.id);
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    await notifySwapUsers(
+      [swap.requester_user_id, swap.counterparty_user_id],
+      'Slot Swap Rejected',
+      `The slot swap between ${describeSwap(swap)} was not approved: ${req.body.reason}. Both slots are unchanged.`,
+      swap,
+      'warning'
+    );
+
+    res.json({
+      success: true,
+      message: 'Swap rejected',
+      data: outcome.data
+    });
+  } catch (error) {
+    console.error('Reject slot swap error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error rejecting slot swap'
+    });
+  }
+};
+
+// @desc    Withdraw a slot swap request
+// @route   POST /api/payouts/swaps/:swapId/cancel
+// @access  Private (Requester or Admin)
+const cancelSlotSwap = async (req, res) => {
+  try {
+    const swap = await rotation.getSwap(req.params.swapId);
+
+    if (!swap) {
+      return res.status(404).json({
+        success: false,
+        message: 'Swap request not found'
+      });
+    }
+
+    if (swap.requester_user_id !== req.user.id) {
+      const { status, message } = await loadSwapForAdmin(swap.id, req.user.id);
+
+      if (status) {
+        return res.status(status).json({
+          success: false,
+          message
+        });
+      }
+    }
+
+    const outcome = await rotation.cancelSwap(swap.id, req.user.id);
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    await notifySwapUsers(
+      [swap.counterparty_user_id],
+      'Slot Swap Withdrawn',
+      `The slot swap request from ${swap.requester_name} was withdrawn.`,
+      swap
+    );
+
+    res.json({
+      success: true,
+      message: 'Swap request cancelled',
+      data: outcome.data
+    });
+  } catch (error) {
+    console.error('Cancel slot swap error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error cancelling slot swap'
+    });
+  }
+};
+
+// @desc    Get a chama's slot swap requests
+// @route   GET /api/payouts/schedule/:chamaId/swaps?status=&memberId=
+// @access  Private (Members only)
+const getSlotSwaps = async (req, res) => {
+  try {
+    const [membership] = await db.execute(
+      'SELECT role FROM members WHERE chama_id = ? AND user_id = ?',
+      [req.params.chamaId, req.user.id]
+    );
+
+    if (membership.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view payouts for this chama'
+      });
+    }
+
+    const swaps = await rotation.listSwaps({
+      chamaId: req.params.chamaId,
+      memberId: req.query.memberId || null,
+      status: req.query.status || null
+    });
+
+    res.json({
+      success: true,
+      data: swaps
+    });
+  } catch (error) {
+    console.error('Get slot swaps error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching slot swaps'
+    });
+  }
+};
+
+// Load a payout and check that the user is an admin of its chama
+const loadPayoutForAdmin = async (payoutId, userId) => {
+  const [payouts] = await db.execute(
+    `SELECT p.*, m.user_id as member_user_id
+     FROM payouts p
+     JOIN members m ON p.member_id = m.id
+     WHERE p.id = ?`,
+    [payoutId]
+  );
+
+  if (payouts.length === 0) {
+    return { status: 404, message: 'Payout not found' };
+  }
+
+  const [adminCheck] = await db.execute(
+    `SELECT role FROM members
+     WHERE chama_id = ? AND user_id = ? AND role = 'admin'`,
+    [payouts[0].chama_id, userId]
+  );
+
+  if (adminCheck.length === 0) {
+    return { status: 403, message: 'Not authorized as admin' };
+  }
+
+  return { payout: payouts[0] };
+};
+
+// @desc    Send a pending payout to the member over M-Pesa, or retry a failed send
+// @route   POST /api/payouts/:id/disburse
+// @access  Private (Admin only)
+const disbursePayout = async (req, res) => {
+  try {
+    const { payout, status, message } = await loadPayoutForAdmin(req.params.id, req.user.id);
+
+    if (!payout) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    // Money cannot leave until the officers have signed
+    const quorum = await signatures.checkReleaseQuorum(payout.id);
+
+    if (!quorum.success) {
+      return res.status(quorum.status).json({
+        success: false,
+        message: quorum.message
+      });
+    }
+
+    // Hold the send for a second officer when four-eyes mode is on
+    if (await approvals.isRequired(payout.chama_id)) {
+      const request = await approvals.createRequest({
+        chamaId: payout.chama_id,
+        action: 'disburse_payout',
+        targetId: payout.id,
+        memberId: payout.member_id,
+        payload: {},
+        summary: `Send payout #${payout.id} (${payout.amount}) to the member over M-Pesa`,
+        userId: req.user.id
+      });
+
+      return res.status(202).json({
+        success: true,
+        message: 'Payout disbursement submitted for approval',
+        data: { approval_request: request }
+      });
+    }
+
+    const outcome = await disbursements.disbursePayout(payout.id, req.user.id);
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message,
+        data: outcome.data || null
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Payout sent to M-Pesa. It is marked paid when M-Pesa confirms.',
+      data: outcome.data
+    });
+  } catch (error) {
+    console.error('Disburse payout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending payout'
+    });
+  }
+};
+
+// @desc    Get the M-Pesa disbursement attempts for a payout
+// @route   GET /api/payouts/:id/disbursements
+// @access  Private (Admin only)
+const getPayoutDisbursements = async (req, res) => {
+  try {
+    const { payout, status, message } = await loadPayoutForAdmin(req.params.id, req.user.id);
+
+    if (!payout) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const attempts = await disbursements.listPayoutDisbursements(payout.id);
+
+    res.json({
+      success: true,
+      data: {
+        payout,
+        disbursements: attempts
+      }
+    });
+  } catch (error) {
+    console.error('Get payout disbursements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching payout disbursements'
+    });
+  }
+};
+
+// Tell the member their payout arrived, or the officer who sent it that it did not
+const notifyDisbursementOutcome = async (disbursement) => {
+  if (disbursement.status === 'completed') {
+    const [members] = await db.execute(
+      'SELECT user_id FROM members WHERE id = ?',
+      [disbursement.member_id]
+    );
+
+    if (members.length > 0) {
+      await createNotification(
+        members[0].user_id,
+        'Payout Sent',
+        `Your payout of KES ${disbursement.amount} has been sent to ${disbursement.phone_number} (M-Pesa ${disbursement.transaction_id || 'confirmed'}).`,
+        'success',
+        disbursement.payout_id,
+        'payout'
+      );
+    }
+    return;
+  }
+
+  await createNotification(
+    disbursement.initiated_by,
+    'Payout Not Sent',
+    `M-Pesa payout #${disbursement.payout_id} of KES ${disbursement.amount} ${disbursement.status === 'timeout' ? 'timed out' : 'failed'}: ${disbursement.result_description || 'no reason given'}. You can retry it.`,
+    'warning',
+    disbursement.payout_id,
+    'payout'
+  );
+};
+
+// Store and apply a B2C callback; shared by the result and timeout URLs
+const handleB2CCallback = async (callbackType, req, res) => {
+  const payload = req.body;
+  const result = payload && (payload.Result || payload);
+
+  if (!result || (!result.OriginatorConversationID && !result.ConversationID)) {
+    console.error('❌ Invalid B2C callback format');
+    return res.status(400).json({ ResultCode: 1, ResultDesc: 'Invalid callback format' });
+  }
+
+  try {
+    // Keep the raw callback so it can be audited and reprocessed
+    const callbackId = await recordCallback(callbackType, payload, req.ip, {
+      checkoutRequestId: result.OriginatorConversationID || result.ConversationID,
+      resultCode: result.ResultCode
+    });
+
+    const outcome = await processB2CCallback(callbackId);
+
+    if (outcome.changed) {
+      console.log(`✅ Payout disbursement ${outcome.disbursement.id} ${outcome.disbursement.status}`);
+
+      try {
+        await notifyDisbursementOutcome(outcome.disbursement);
+      } catch (notifyError) {
+        console.error('❌ Payout notification error:', notifyError.message);
+      }
+    } else {
+      console.log(`✅ Callback ${callbackId} ${outcome.status}${outcome.message ? `: ${outcome.message}` : ''}`);
+    }
+
+    // Failed callbacks are retried from the stored copy, so always acknowledge
+    res.json({ ResultCode: 0, ResultDesc: 'Success' });
+  } catch (error) {
+    console.error('❌ B2C callback error:', error);
+
+    res.status(500).json({
+      ResultCode: 1,
+      ResultDesc: 'Callback could not be stored'
+    });
+  }
+};
+
+// @desc    M-Pesa B2C result for a payout
+// @route   POST /api/payouts/b2c/result
+// @access  Public (M-Pesa only)
+const b2cResultCallback = (req, res) => handleB2CCallback('b2c_result', req, res);
+
+// @desc    M-Pesa B2C queue timeout for a payout
+// @route   POST /api/payouts/b2c/timeout
+// @access  Public (M-Pesa only)
+const b2cTimeoutCallback = (req, res) => handleB2CCallback('b2c_timeout', req, res);
+
 module.exports = {
   createPayout,
   updatePayoutStatus,
+  getPayoutSignatures,
+  signPayout,
+  getPayoutStatement,
+  getPayoutEligibility,
+  getPayoutOverrides,
   getChamaPayouts,
   getMemberPayouts,
-  getNextPayoutMember
+  getNextPayoutMember,
+  generateRotationSchedule,
+  getRotationSchedule,
+  getMemberRotationSlot,
+  requestSlotSwap,
+  acceptSlotSwap,
+  declineSlotSwap,
+  approveSlotSwap,
+  rejectSlotSwap,
+  cancelSlotSwap,
+  getSlotSwaps,
+  disbursePayout,
+  getPayoutDisbursements,
+  b2cResultCallback,
+  b2cTimeoutCallback
 };
\ No newline at end of file
@@ -0,0 +1,280 @@
+const db = require('../config/database');
+const reconciliation = require('../utils/mpesaReconciliation');
+const { createNotification } = require('./notificationController');
+
+// Check that a user is an admin of a chama
+const isChamaAdmin = async (chamaId, userId) => {
+  const [adminCheck] = await db.execute(
+    `SELECT role FROM members
+     WHERE chama_id = ? AND user_id = ? AND role = 'admin'`,
+    [chamaId, userId]
+  );
+  return adminCheck.length > 0;
+};
+
+// @desc    Upload an M-Pesa statement and auto-match its lines
+// @route   POST /api/reconciliation/statements
+// @access  Private (Admin only)
+const uploadStatement = async (req, res) => {
+  const { chamaId } = req.body;
+
+  try {
+    if (!(await isChamaAdmin(chamaId, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = await reconciliation.parseStatement(req.file);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not read statement: ${error.message}`
+      });
+    }
+
+    if (parsed.lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The statement has no completed money-in lines'
+      });
+    }
+
+    const statement = await reconciliation.importStatement({
+      chamaId,
+      fileName: req.file.originalname,
+      lines: parsed.lines,
+      skipped: parsed.skipped,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Statement imported: ${statement.summary.matched.count} matched, ${statement.summary.open} need review`,
+      data: statement
+    });
+  } catch (error) {
+    console.error('❌ Upload statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error importing statement'
+    });
+  }
+};
+
+// @desc    Get imported statements for a chama
+// @route   GET /api/reconciliation/statements/chama/:chamaId
+// @access  Private (Admin only)
+const getChamaStatements = async (req, res) => {
+  try {
+    if (!(await isChamaAdmin(req.params.chamaId, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    const statements = await reconciliation.listStatements(req.params.chamaId);
+
+    res.json({
+      success: true,
+      data: statements
+    });
+  } catch (error) {
+    console.error('❌ Get statements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching statements'
+    });
+  }
+};
+
+// @desc    Get a statement with its lines
+// @route   GET /api/reconciliation/statements/:statementId?status=
+// @access  Private (Admin only)
+const getStatement = async (req, res) => {
+  try {
+    const statement = await reconciliation.getStatement(req.params.statementId, req.query.status || null);
+
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Statement not found'
+      });
+    }
+
+    if (!(await isChamaAdmin(statement.chama_id, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    console.error('❌ Get statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching statement'
+    });
+  }
+};
+
+// @desc    Record an unmatched or mismatched line as a contribution payment
+// @route   POST /api/reconciliation/lines/:lineId/resolve
+// @access  Private (Admin only)
+const resolveStatementLine = async (req, res) => {
+  const { memberId, amount, cycleId, typeId, notes } = req.body;
+
+  try {
+    const line = await reconciliation.getLine(req.params.lineId);
+
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        message: 'Statement line not found'
+      });
+    }
+
+    if (!(await isChamaAdmin(line.chama_id, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    const outcome = await reconciliation.resolveLine(line.id, {
+      memberId,
+      amount,
+      cycleId,
+      typeId,
+      notes,
+      userId: req.user.id
+    });
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    const [members] = await db.execute(
+      'SELECT user_id FROM members WHERE id = ?',
+      [outcome.data.receipt.member_id]
+    );
+
+    if (members.length > 0) {
+      await createNotification(
+        members[0].user_id,
+        'Payment Recorded',
+        `Your M-Pesa payment ${line.receipt_number} of KES ${outcome.data.receipt.amount} has been recorded (${outcome.data.receipt.receipt_number}).`,
+        'success',
+        outcome.data.receipt.id,
+        'payment_receipt'
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'Statement line recorded as a payment',
+      data: outcome.data
+    });
+  } catch (error) {
+    console.error('❌ Resolve statement line error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resolving statement line'
+    });
+  }
+};
+
+// @desc    Close a line without recording a payment
+// @route   POST /api/reconciliation/lines/:lineId/ignore
+// @access  Private (Admin only)
+const ignoreStatementLine = async (req, res) => {
+  const { reason } = req.body;
+
+  try {
+    const line = await reconciliation.getLine(req.params.lineId);
+
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        message: 'Statement line not found'
+      });
+    }
+
+    if (!(await isChamaAdmin(line.chama_id, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    const outcome = await reconciliation.ignoreLine(line.id, reason, req.user.id);
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Statement line ignored',
+      data: outcome.data
+    });
+  } catch (error) {
+    console.error('❌ Ignore statement line error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error ignoring statement line'
+    });
+  }
+};
+
+// @desc    Reconciliation report for a period
+// @route   GET /api/reconciliation/chama/:chamaId/report?startDate=&endDate=
+// @access  Private (Admin only)
+const getReconciliationReport = async (req, res) => {
+  const { startDate, endDate } = req.query;
+
+  try {
+    if (!(await isChamaAdmin(req.params.chamaId, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    const report = await reconciliation.getReport(req.params.chamaId, startDate, endDate);
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('❌ Reconciliation report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating reconciliation report'
+    });
+  }
+};
+
+module.exports = {
+  uploadStatement,
+  getChamaStatements,
+  getStatement,
+  resolveStatementLine,
+  ignoreStatementLine,
+  getReconciliationReport
+};
@@ -1,4 +1,9 @@
 const db = require('../config/database');
+const fineEngine = require('../utils/fineEngine');
+const { getReversals } = require('../utils/reversals');
+const { getMemberLoanStatements } = require('../utils/loanRepayments');
+const { listProviders } = require('../utils/paymentProviders');
+const { listChamaTransactions, summarizeChamaTransactions } = require('../utils/providerTransactions');
 
 // @desc    Get chama financial report
 // @route   GET /api/reports/chama/:chamaId/financial
@@ -109,6 +114,9 @@ const getFinancialReport = async (req, res) => {
       [req.params.chamaId]
     );
 
+    // Get reversal history
+    const reversals = await getReversals({ chamaId: req.params.chamaId, startDate, endDate });
+
     res.json({
       success: true,
       data: {
@@ -116,6 +124,7 @@ const getFinancialReport = async (req, res) => {
         monthlyContributions,
         memberPerformance,
         cyclePerformance,
+        reversals,
         reportDate: new Date().toISOString()
       }
     });
@@ -241,6 +250,29 @@ const getMemberStatement = async (req, res) => {
 
     const [payouts] = await db.execute(payoutQuery, payoutParams);
 
+    // Get fines
+    const { fines: allFines, totals: fineTotals } = await fineEngine.getMemberFines(req.params.memberId);
+    const fines = allFines.filter(f => {
+      const date = new Date(f.created_at);
+      if (startDate && date < new Date(startDate)) return false;
+      if (endDate && date > new Date(`${endDate}T23:59:59`)) return false;
+      return true;
+    });
+
+    // Get reversals
+    const reversals = await getReversals({ memberId: req.params.memberId, startDate, endDate });
+
+    // Get loans, with the repayments made in the period
+    const loanStatements = await getMemberLoanStatements(req.params.memberId);
+    const loanRepayments = loanStatements
+      .flatMap(statement => statement.repayments.map(r => ({ ...r, product_name: statement.loan.product_name })))
+      .filter(r => {
+        const date = new Date(r.paid_at);
+        if (startDate && date < new Date(startDate)) return false;
+        if (endDate && date > new Date(`${endDate}T23:59:59`)) return false;
+        return true;
+      });
+
     // Combine and sort all transactions
     const allTransactions = [
       ...contributions.map(c => ({
@@ -252,6 +284,39 @@ const getMemberStatement = async (req, res) => {
         ...p,
         transaction_type: 'payout',
         date: p.payout_date
+      })),
+      ...fines.map(f => ({
+        id: f.id,
+        amount: f.amount,
+        status: f.status,
+        cycle_number: f.cycle_number,
+        rule_name: f.rule_name,
+        waived_amount: f.waived_amount,
+        waive_reason: f.waive_reason,
+        transaction_type: 'fine',
+        date: f.created_at
+      })),
+      ...reversals.map(r => ({
+        id: r.id,
+        contribution_id: r.contribution_id,
+        amount: r.amount,
+        cycle_number: r.cycle_number,
+        reason: r.reason,
+        reversed_by_name: r.reversed_by_name,
+        transaction_type: 'reversal',
+        date: r.created_at
+      })),
+      ...loanRepayments.map(r => ({
+        id: r.id,
+        loan_id: r.loan_id,
+        amount: r.amount,
+        product_name: r.product_name,
+        penalty_paid: r.penalty_paid,
+        interest_paid: r.interest_paid,
+        principal_paid: r.principal_paid,
+        payment_method: r.payment_method,
+        transaction_type: 'loan_repayment',
+        date: r.paid_at
       }))
     ].sort((a, b) => new Date(b.date) - new Date(a.date));
 
@@ -306,11 +371,20 @@ const getMemberStatement = async (req, res) => {
           totalContributions,
           totalPayouts,
           netBalance,
+          totalReversed: reversals.reduce((sum, r) => sum + parseFloat(r.amount), 0),
+          totalFines: fineTotals.total_charged,
+          totalFinesWaived: fineTotals.total_waived,
+          outstandingFines: fineTotals.total_outstanding,
+          totalLoanRepayments: loanRepayments.reduce((sum, r) => sum + parseFloat(r.amount), 0),
+          outstandingLoanBalance: loanStatements
+            .filter(statement => statement.loan.status !== 'repaid')
+            .reduce((sum, statement) => sum + statement.balance.payoff, 0),
           contributionPercentage: contributionPercentage.toFixed(2),
           chamaAverageContribution: chamaDetails[0].avg_contribution,
           chamaTotalMembers: chamaDetails[0].total_members
         },
         transactions: allTransactions,
+        loans: loanStatements,
         generatedAt: new Date().toISOString()
       }
     });
@@ -447,8 +521,67 @@ const getDashboardStats = async (req, res) => {
   }
 };
 
+// @desc    Get money moved through each payment channel
+// @route   GET /api/reports/chama/:chamaId/channels
+// @access  Private (Members only)
+const getPaymentChannelReport = async (req, res) => {
+  try {
+    // Check if user is a member
+    const [membership] = await db.execute(
+      'SELECT role FROM members WHERE chama_id = ? AND user_id = ?',
+      [req.params.chamaId, req.user.id]
+    );
+
+    if (membership.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view reports for this chama'
+      });
+    }
+
+    const { provider, direction, status, startDate, endDate } = req.query;
+    const filters = { provider, direction, status, startDate, endDate };
+
+    const summary = await summarizeChamaTransactions(req.params.chamaId, filters);
+    const transactions = await listChamaTransactions(req.params.chamaId, filters);
+
+    // Completed totals per provider; other statuses are in the summary
+    const byProvider = {};
+    summary.forEach(row => {
+      if (!byProvider[row.provider]) {
+        byProvider[row.provider] = { provider: row.provider, collected: 0, disbursed: 0, net: 0 };
+      }
+
+      if (row.status === 'completed') {
+        const totals = byProvider[row.provider];
+        if (row.direction === 'collection') totals.collected += row.total_amount;
+        else totals.disbursed += row.total_amount;
+        totals.net = Math.round((totals.collected - totals.disbursed) * 100) / 100;
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        providers: listProviders(),
+        totals: Object.values(byProvider),
+        summary,
+        transactions,
+        reportDate: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Get payment channel report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating payment channel report'
+    });
+  }
+};
+
 module.exports = {
   getFinancialReport,
   getMemberStatement,
-  getDashboardStats
+  getDashboardStats,
+  getPaymentChannelReport
 };
\ No newline at end of file
@@ -0,0 +1,410 @@
+const db = require('../config/database');
+const wallet = require('../utils/memberWallet');
+const paymentAllocator = require('../utils/paymentAllocator');
+const approvals = require('../utils/approvals');
+const disbursements = require('../utils/mpesaDisbursements');
+const { createNotification } = require('./notificationController');
+
+// Check that a user is an admin of a chama
+const isChamaAdmin = async (chamaId, userId) => {
+  const [adminCheck] = await db.execute(
+    `SELECT role FROM members
+     WHERE chama_id = ? AND user_id = ? AND role = 'admin'`,
+    [chamaId, userId]
+  );
+  return adminCheck.length > 0;
+};
+
+// Load a member and work out whether the user is that member or an admin of their chama
+const loadMemberAccess = async (memberId, userId) => {
+  const [members] = await db.execute(
+    'SELECT id, chama_id, user_id FROM members WHERE id = ?',
+    [memberId]
+  );
+
+  if (members.length === 0) {
+    return { status: 404, message: 'Member not found' };
+  }
+
+  const member = members[0];
+  const isSelf = member.user_id === userId;
+  const isAdmin = await isChamaAdmin(member.chama_id, userId);
+
+  if (!isSelf && !isAdmin) {
+    return { status: 403, message: "Not authorized to access this member's wallet" };
+  }
+
+  return { member, isSelf, isAdmin };
+};
+
+// Let a chama's admins know a refund is waiting for them
+const notifyAdminsOfRefund = async (refund, requestedBy) => {
+  const [admins] = await db.execute(
+    `SELECT user_id FROM members
+     WHERE chama_id = ? AND role = 'admin' AND user_id != ?`,
+    [refund.chama_id, requestedBy]
+  );
+
+  for (const admin of admins) {
+    await createNotification(
+      admin.user_id,
+      'Wallet Refund Requested',
+      `${refund.member_name} asked for a refund of KES ${refund.amount} from their wallet.`,
+      'info',
+      refund.id,
+      'wallet_refund'
+    );
+  }
+};
+
+// @desc    Get a member's wallet balance, history and refunds
+// @route   GET /api/wallets/member/:memberId
+// @access  Private (Self or Admin)
+const getMemberWallet = async (req, res) => {
+  try {
+    const { member, status, message } = await loadMemberAccess(req.params.memberId, req.user.id);
+
+    if (!member) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        wallet: await wallet.getWallet(member.id),
+        transactions: await wallet.listWalletTransactions(member.id),
+        refunds: await wallet.listRefunds({ memberId: member.id })
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get wallet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching wallet'
+    });
+  }
+};
+
+// @desc    Spend wallet credit on arrears, fines and the next cycle
+// @route   POST /api/wallets/member/:memberId/apply
+// @access  Private (Self or Admin)
+const applyWallet = async (req, res) => {
+  try {
+    const { member, status, message } = await loadMemberAccess(req.params.memberId, req.user.id);
+
+    if (!member) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const outcome = await paymentAllocator.applyWalletCredit(member.id, {
+      amount: req.body.amount !== undefined ? req.body.amount : null,
+      userId: req.user.id
+    });
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `KES ${outcome.data.applied} applied from the wallet`,
+      data: outcome.data
+    });
+  } catch (error) {
+    console.error('❌ Apply wallet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error applying wallet credit'
+    });
+  }
+};
+
+// @desc    Ask for wallet credit to be refunded over M-Pesa
+// @route   POST /api/wallets/member/:memberId/refunds
+// @access  Private (Self or Admin)
+const requestRefund = async (req, res) => {
+  const { amount, phone, reason } = req.body;
+
+  try {
+    const { member, status, message } = await loadMemberAccess(req.params.memberId, req.user.id);
+
+    if (!member) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const outcome = await wallet.requestRefund(member.id, {
+      amount,
+      phone,
+      reason,
+      userId: req.user.id
+    });
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    try {
+      await notifyAdminsOfRefund(outcome.data, req.user.id);
+    } catch (notifyError) {
+      console.error('❌ Refund notification error:', notifyError.message);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund requested. An admin will review it.',
+      data: outcome.data
+    });
+  } catch (error) {
+    console.error('❌ Request refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error requesting refund'
+    });
+  }
+};
+
+// @desc    Get a chama's wallet refund requests, by default those pending
+// @route   GET /api/wallets/chama/:chamaId/refunds?status=
+// @access  Private (Admin only)
+const getChamaRefunds = async (req, res) => {
+  try {
+    if (!(await isChamaAdmin(req.params.chamaId, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin'
+      });
+    }
+
+    const refunds = await wallet.listRefunds({
+      chamaId: req.params.chamaId,
+      status: req.query.status || 'pending'
+    });
+
+    res.json({
+      success: true,
+      data: refunds
+    });
+  } catch (error) {
+    console.error('❌ Get refunds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching refunds'
+    });
+  }
+};
+
+// Load a refund and check that the user is an admin of its chama
+const loadRefundForAdmin = async (refundId, userId) => {
+  const refund = await wallet.getRefund(refundId);
+
+  if (!refund) {
+    return { status: 404, message: 'Refund request not found' };
+  }
+
+  if (!(await isChamaAdmin(refund.chama_id, userId))) {
+    return { status: 403, message: 'Not authorized as admin' };
+  }
+
+  return { refund };
+};
+
+// @desc    Approve a refund and send it to the member over M-Pesa
+// @route   POST /api/wallets/refunds/:refundId/approve
+// @access  Private (Admin only)
+const approveRefund = async (req, res) => {
+  try {
+    const { refund, status, message } = await loadRefundForAdmin(req.params.refundId, req.user.id);
+
+    if (!refund) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const outcome = await wallet.approveRefund(refund.id, req.body.notes, req.user.id);
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    const approved = outcome.data;
+    let disbursement = null;
+    let approvalRequest = null;
+
+    // The refund is now a pending payout; send it the way payouts are sent
+    if (await approvals.isRequired(approved.chama_id)) {
+      approvalRequest = await approvals.createRequest({
+        chamaId: approved.chama_id,
+        action: 'disburse_payout',
+        targetId: approved.payout_id,
+        memberId: approved.member_id,
+        payload: {},
+        summary: `Send wallet refund #${approved.id} (${approved.amount}) to the member over M-Pesa`,
+        userId: req.user.id
+      });
+    } else {
+      disbursement = await disbursements.disbursePayout(approved.payout_id, req.user.id);
+    }
+
+    try {
+      await createNotification(
+        approved.member_user_id,
+        'Refund Approved',
+        `Your wallet refund of KES ${approved.amount} was approved and will be sent to ${approved.phone_number}.`,
+        'success',
+        approved.id,
+        'wallet_refund'
+      );
+    } catch (notifyError) {
+      console.error('❌ Refund notification error:', notifyError.message);
+    }
+
+    let responseMessage = 'Refund approved and sent to M-Pesa. It is marked paid when M-Pesa confirms.';
+    if (approvalRequest) {
+      responseMessage = 'Refund approved. Sending it is awaiting a second officer.';
+    } else if (!disbursement.success) {
+      responseMessage = `Refund approved but could not be sent: ${disbursement.message}. Retry from payout #${approved.payout_id}.`;
+    }
+
+    res.json({
+      success: true,
+      message: responseMessage,
+      data: {
+        refund: await wallet.getRefund(approved.id),
+        disbursement: disbursement ? disbursement.data || null : null,
+        approval_request: approvalRequest
+      }
+    });
+  } catch (error) {
+    console.error('❌ Approve refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error approving refund'
+    });
+  }
+};
+
+// @desc    Reject a refund request; the credit stays in the wallet
+// @route   POST /api/wallets/refunds/:refundId/reject
+// @access  Private (Admin only)
+const rejectRefund = async (req, res) => {
+  try {
+    const { refund, status, message } = await loadRefundForAdmin(req.params.refundId, req.user.id);
+
+    if (!refund) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const outcome = await wallet.rejectRefund(refund.id, req.body.reason, req.user.id);
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    try {
+      await createNotification(
+        refund.member_user_id,
+        'Refund Rejected',
+        `Your wallet refund of KES ${refund.amount} was not approved: ${req.body.reason}. The credit is still in your wallet.`,
+        'warning',
+        refund.id,
+        'wallet_refund'
+      );
+    } catch (notifyError) {
+      console.error('❌ Refund notification error:', notifyError.message);
+    }
+
+    res.json({
+      success: true,
+      message: 'Refund rejected',
+      data: outcome.data
+    });
+  } catch (error) {
+    console.error('❌ Reject refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error rejecting refund'
+    });
+  }
+};
+
+// @desc    Withdraw a refund request before it is reviewed
+// @route   POST /api/wallets/refunds/:refundId/cancel
+// @access  Private (Self or Admin)
+const cancelRefund = async (req, res) => {
+  try {
+    const refund = await wallet.getRefund(req.params.refundId);
+
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund request not found'
+      });
+    }
+
+    const { member, status, message } = await loadMemberAccess(refund.member_id, req.user.id);
+
+    if (!member) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const outcome = await wallet.cancelRefund(refund.id, req.user.id);
+
+    if (!outcome.success) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Refund request cancelled',
+      data: outcome.data
+    });
+  } catch (error) {
+    console.error('❌ Cancel refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error cancelling refund'
+    });
+  }
+};
+
+module.exports = {
+  getMemberWallet,
+  applyWallet,
+  requestRefund,
+  getChamaRefunds,
+  approveRefund,
+  rejectRefund,
+  cancelRefund
+};
@@ -3,6 +3,7 @@ const db = require('../config/database');
 console.log('🔍 auth middleware: db loaded, has execute?', typeof db.execute === 'function');
 
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 
 const protect = async (req, res, next) => {
   console.log('🔒 Auth middleware called');
@@ -86,4 +87,69 @@ const isAdmin = async (req, res, next) => {
   }
 };
 
-module.exports = { protect, isAdmin };
\ No newline at end of file
+// Scheduler middleware: allow internal cron calls carrying CRON_SECRET
+const verifyCronSecret = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer') ? header.split(' ')[1] || '' : '';
+
+  if (!secret) {
+    console.error('❌ CRON_SECRET is not configured');
+    return res.status(503).json({
+      success: false,
+      message: 'Scheduled jobs are not configured'
+    });
+  }
+
+  const expected = Buffer.from(secret);
+  const received = Buffer.from(token);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized'
+    });
+  }
+
+  next();
+};
+
+// M-Pesa callback middleware: Daraja cannot send a user token, so callbacks
+// are accepted when they carry MPESA_CALLBACK_SECRET (as ?secret= in the
+// callback URL) or come from an address in MPESA_CALLBACK_IPS. With neither
+// configured, only MPESA_ENVIRONMENT=local accepts them.
+const verifyMpesaCallback = (req, res, next) => {
+  const secret = process.env.MPESA_CALLBACK_SECRET;
+  const allowedIps = (process.env.MPESA_CALLBACK_IPS || '')
+    .split(',')
+    .map(ip => ip.trim())
+    .filter(Boolean);
+
+  if (!secret && allowedIps.length === 0) {
+    // Only the local Daraja simulator may call back unauthenticated
+    if (process.env.MPESA_ENVIRONMENT === 'local') {
+      return next();
+    }
+    console.error('❌ MPESA_CALLBACK_SECRET or MPESA_CALLBACK_IPS must be configured');
+    return res.status(503).json({ ResultCode: 1, ResultDesc: 'Callbacks are not configured' });
+  }
+
+  if (secret) {
+    const expected = Buffer.from(secret);
+    const received = Buffer.from(String(req.query.secret || req.headers['x-callback-secret'] || ''));
+
+    if (expected.length === received.length && crypto.timingSafeEqual(expected, received)) {
+      return next();
+    }
+  }
+
+  const ip = (req.ip || '').replace(/^::ffff:/, '');
+  if (allowedIps.includes(ip)) {
+    return next();
+  }
+
+  console.warn(`⚠️ Rejected M-Pesa callback from ${ip}`);
+  res.status(401).json({ ResultCode: 1, ResultDesc: 'Not authorized' });
+};
+
+module.exports = { protect, isAdmin, verifyCronSecret, verifyMpesaCallback };
\ No newline at end of file
@@ -0,0 +1,177 @@
+// middleware/idempotency.js
+const crypto = require('crypto');
+const db = require('../config/database');
+
+// How long a key is remembered before it can be reused
+const KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+const createIdempotencyKeysTable = `
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  idempotency_key VARCHAR(255) NOT NULL,
+  method VARCHAR(10) NOT NULL,
+  path VARCHAR(255) NOT NULL,
+  request_hash CHAR(64) NOT NULL,
+  status ENUM('processing', 'completed') DEFAULT 'processing',
+  response_status INT NULL,
+  response_body JSON NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP NULL,
+  UNIQUE KEY uniq_user_key (user_id, idempotency_key),
+  INDEX idx_created_at (created_at)
+);
+`;
+
+const initializeIdempotencyTable = async () => {
+  try {
+    await db.execute(createIdempotencyKeysTable);
+    console.log('✅ Idempotency keys table created/verified');
+  } catch (error) {
+    console.error('❌ Failed to create idempotency keys table:', error);
+  }
+};
+
+// Remove keys older than the TTL; returns how many were removed
+const purgeExpiredIdempotencyKeys = async () => {
+  const [result] = await db.execute(
+    'DELETE FROM idempotency_keys WHERE created_at < DATE_SUB(NOW(), INTERVAL ? HOUR)',
+    [KEY_TTL_HOURS]
+  );
+  return { purged: result.affectedRows };
+};
+
+// JSON with sorted object keys, so the same body always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const hashRequest = (req) =>
+  crypto
+    .createHash('sha256')
+    .update(`${req.method}\n${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+
+// Honour an Idempotency-Key header: the first request runs and its response
+// is stored; retries with the same key and body get the stored response.
+// Must run after protect, since keys are scoped to the user.
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be at most 255 characters'
+    });
+  }
+
+  const requestHash = hashRequest(req);
+  const path = `${req.baseUrl}${req.path}`;
+
+  try {
+    // Forget expired keys so they can be used again
+    await db.execute(
+      `DELETE FROM idempotency_keys
+       WHERE user_id = ? AND idempotency_key = ?
+         AND created_at < DATE_SUB(NOW(), INTERVAL ? HOUR)`,
+      [req.user.id, key, KEY_TTL_HOURS]
+    );
+
+    try {
+      await db.execute(
+        `INSERT INTO idempotency_keys
+         (user_id, idempotency_key, method, path, request_hash)
+         VALUES (?, ?, ?, ?, ?)`,
+        [req.user.id, key, req.method, path, requestHash]
+      );
+    } catch (error) {
+      if (error.code !== 'ER_DUP_ENTRY') {
+        throw error;
+      }
+
+      const [existing] = await db.execute(
+        `SELECT * FROM idempotency_keys
+         WHERE user_id = ? AND idempotency_key = ?`,
+        [req.user.id, key]
+      );
+
+      const record = existing[0];
+
+      if (!record) {
+        return res.status(409).json({
+          success: false,
+          message: 'Idempotency-Key is being reset, please retry'
+        });
+      }
+
+      if (record.request_hash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key was already used with a different request'
+        });
+      }
+
+      if (record.status !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      const body = typeof record.response_body === 'string'
+        ? JSON.parse(record.response_body)
+        : record.response_body;
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.response_status).json(body);
+    }
+
+    // Store the response once the handler sends it
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const statusCode = res.statusCode;
+
+      // Server errors are not stored, so the client can retry with the same key
+      const store = statusCode >= 500
+        ? db.execute(
+          'DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?',
+          [req.user.id, key]
+        )
+        : db.execute(
+          `UPDATE idempotency_keys
+           SET status = 'completed', response_status = ?, response_body = ?,
+               completed_at = CURRENT_TIMESTAMP
+           WHERE user_id = ? AND idempotency_key = ?`,
+          [statusCode, JSON.stringify(body), req.user.id, key]
+        );
+
+      store
+        .catch(storeError => console.error('❌ Failed to store idempotent response:', storeError.message))
+        .finally(() => originalJson(body));
+
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    console.error('❌ Idempotency middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error checking idempotency key'
+    });
+  }
+};
+
+module.exports = { idempotency, initializeIdempotencyTable, purgeExpiredIdempotencyKeys };
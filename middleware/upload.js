@@ -0,0 +1,45 @@
+// middleware/upload.js
+const path = require('path');
+const multer = require('multer');
+
+// Largest spreadsheet accepted, in megabytes
+const MAX_SPREADSHEET_MB = parseInt(process.env.MAX_SPREADSHEET_MB) || 5;
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_SPREADSHEET_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (!SPREADSHEET_EXTENSIONS.includes(extension)) {
+      return cb(new Error('Only .csv and .xlsx files are accepted'));
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+// Accept a single spreadsheet in the "file" field, kept in memory
+const uploadSpreadsheet = (req, res, next) => {
+  spreadsheetUpload(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `File must be smaller than ${MAX_SPREADSHEET_MB}MB`
+          : error.message
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A .csv or .xlsx file is required in the "file" field'
+      });
+    }
+
+    next();
+  });
+};
+
+module.exports = { uploadSpreadsheet };
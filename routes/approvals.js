@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validationMiddleware');
+const {
+  getChamaApprovalRequests,
+  getApprovalRequest,
+  approveRequest,
+  rejectRequest
+} = require('../controllers/approvalController');
+const {
+  validateApproval,
+  validateRejection
+} = require('../validators/approvalValidators');
+
+// All routes are protected
+router.use(protect);
+
+router.get('/chama/:chamaId', getChamaApprovalRequests);
+router.get('/:requestId', getApprovalRequest);
+router.post('/:requestId/approve', validateApproval, validateRequest, approveRequest);
+router.post('/:requestId/reject', validateRejection, validateRequest, rejectRequest);
+
+module.exports = router;
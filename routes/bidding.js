@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validationMiddleware');
+const { idempotency } = require('../middleware/idempotency');
+const {
+  openRound,
+  getChamaRounds,
+  getRound,
+  placeBid,
+  withdrawBid,
+  closeRound,
+  cancelRound,
+  getMemberDividends
+} = require('../controllers/biddingController');
+const {
+  validateOpenRound,
+  validateRoundQueue,
+  validateBid,
+  validateCancelRound
+} = require('../validators/biddingValidators');
+
+// All routes are protected
+router.use(protect);
+
+// Rounds
+router.post('/chama/:chamaId/rounds', validateOpenRound, validateRequest, openRound);
+router.get('/chama/:chamaId/rounds', validateRoundQueue, validateRequest, getChamaRounds);
+router.get('/rounds/:roundId', getRound);
+router.post('/rounds/:roundId/close', idempotency, closeRound);
+router.post('/rounds/:roundId/cancel', validateCancelRound, validateRequest, cancelRound);
+
+// Bids
+router.post('/rounds/:roundId/bids', validateBid, validateRequest, placeBid);
+router.delete('/rounds/:roundId/bids', withdrawBid);
+
+// Dividends
+router.get('/member/:memberId/dividends', getMemberDividends);
+
+module.exports = router;
@@ -1,20 +1,33 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
+const { protect, verifyCronSecret, verifyMpesaCallback } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const {
   createChama,
   getMyChamas,
   getChama,
   updateChama,
+  getChamaSettings,
+  updateChamaSettings,
+  getChamaOfficers,
+  assignChamaOfficer,
   addMember,
   removeMember,
   getChamaStats,
+  initiateMpesaPayment,
   checkPaymentStatus,
   getPaymentHistory,
   getMyPayments,
-  mpesaCallback
+  mpesaCallback,
+  checkOverdueCycles
 } = require('../controllers/chamaController');
 
+// Scheduler route (authenticated with CRON_SECRET, not a user token)
+router.get('/check-overdue', verifyCronSecret, checkOverdueCycles);
+
+// M-Pesa callback (authenticated with a shared secret or IP allowlist)
+router.post('/payments/mpesa-callback', verifyMpesaCallback, mpesaCallback);
+
 router.use(protect);
 
 router.route('/')
@@ -25,6 +38,13 @@ router.route('/:id')
   .get(getChama)
   .put(updateChama);
 
+router.route('/:id/settings')
+  .get(getChamaSettings)
+  .put(updateChamaSettings);
+
+router.get('/:id/officers', getChamaOfficers);
+router.put('/:id/officers/:office', assignChamaOfficer);
+
 router.route('/:id/members')
   .post(addMember);
 
@@ -32,8 +52,8 @@ router.route('/:id/members/:memberId')
   .delete(removeMember);
 
 router.get('/:id/stats', protect, getChamaStats);
+router.post('/:id/payments/mpesa', idempotency, initiateMpesaPayment);
 router.get('/:id/payments/:paymentId/status', protect, checkPaymentStatus);
 router.get('/:id/payments/history', protect, getPaymentHistory);
 router.get('/:id/my-payments', protect, getMyPayments);
-router.post('/payments/mpesa-callback', mpesaCallback);
 module.exports = router;
\ No newline at end of file
@@ -15,15 +15,21 @@ const {
   getCycleDetails,
   updateCycleStatus,
   deleteCycle,
+  previewNextCycle,
+  generateNextCycle,
+  rollbackGeneratedCycle,
   
   // Contributions
   recordContribution,
   updateContribution,
   deleteContribution,
+  reverseContribution,
   getContributionById,
   getChamaContributions,
   getMemberContributions,
   updateContributionStatus,
+  getPaymentReceipt,
+  getMemberReceipts,
   
   // Member Status & Reports
   getMemberContributionStatus,
@@ -37,6 +43,10 @@ const {
   // Scheduled & Bulk Operations
   processScheduledContributions,
   recordBulkContributions,
+  previewContributionImport,
+  getContributionImport,
+  confirmContributionImport,
+  cancelContributionImport,
   
   // Dashboard & Analytics
   getContributionDashboard,
@@ -45,6 +55,8 @@ const {
 
 const { protect } = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validationMiddleware');
+const { idempotency } = require('../middleware/idempotency');
+const { uploadSpreadsheet } = require('../middleware/upload');
 
 // Import validators
 const {
@@ -52,8 +64,11 @@ const {
   validateContributionCycle,
   validateContribution,
   validateContributionUpdate,
+  validateReversal,
   validateBalanceAdjustment,
-  validateBulkContributions
+  validateBulkContributions,
+  validateContributionImport,
+  validateImportConfirmation
 } = require('../validators/contributionValidators');
 
 // ============================================
@@ -138,6 +153,20 @@ router.post(
  */
 router.get('/cycles/chama/:chamaId', getChamaCycles);
 
+/**
+ * @route   GET /api/contributions/cycles/chama/:chamaId/next
+ * @desc    Preview the next cycle the scheduler would generate
+ * @access  Private (Admin only)
+ */
+router.get('/cycles/chama/:chamaId/next', previewNextCycle);
+
+/**
+ * @route   POST /api/contributions/cycles/chama/:chamaId/generate
+ * @desc    Generate the next cycle, its types and contribution placeholders now
+ * @access  Private (Admin only)
+ */
+router.post('/cycles/chama/:chamaId/generate', generateNextCycle);
+
 /**
  * @route   GET /api/contributions/cycles/:cycleId
  * @desc    Get detailed information about a specific cycle
@@ -155,11 +184,18 @@ router.put('/cycles/:cycleId/status', updateCycleStatus);
 
 /**
  * @route   DELETE /api/contributions/cycles/:cycleId
- * @desc    Delete a contribution cycle
+ * @desc    Delete a contribution cycle holding only unpaid drafts (cancelled otherwise)
  * @access  Private (Admin only)
  */
 router.delete('/cycles/:cycleId', deleteCycle);
 
+/**
+ * @route   POST /api/contributions/cycles/:cycleId/rollback
+ * @desc    Roll back a generated cycle that has no payments yet
+ * @access  Private (Admin only)
+ */
+router.post('/cycles/:cycleId/rollback', rollbackGeneratedCycle);
+
 // ============================================
 // CONTRIBUTIONS ROUTES
 // ============================================
@@ -169,9 +205,11 @@ router.delete('/cycles/:cycleId', deleteCycle);
  * @desc    Record a new contribution
  * @access  Private (Self or Admin)
  * @body    {chamaId, memberId, cycleId, typeId, amount, paymentMethod, paymentReference, notes, applyToBalance}
+ * @header  Idempotency-Key (optional) - retries with the same key replay the first response
  */
 router.post(
   '/',
+  idempotency,
   validateContribution,
   validateRequest,
   recordContribution
@@ -179,7 +217,7 @@ router.post(
 
 /**
  * @route   PUT /api/contributions/:contributionId
- * @desc    Update a contribution (admin only)
+ * @desc    Update a contribution (held for approval in four-eyes mode)
  * @access  Private (Admin only)
  * @body    {amount, paymentMethod, paymentReference, notes, status}
  */
@@ -192,11 +230,24 @@ router.put(
 
 /**
  * @route   DELETE /api/contributions/:contributionId
- * @desc    Delete a contribution (admin only)
+ * @desc    Delete an unpaid draft contribution (paid ones must be reversed)
  * @access  Private (Admin only)
  */
 router.delete('/:contributionId', deleteContribution);
 
+/**
+ * @route   POST /api/contributions/:contributionId/reverse
+ * @desc    Reverse a contribution with a reversing ledger entry
+ * @access  Private (Admin only)
+ * @body    {reason}
+ */
+router.post(
+  '/:contributionId/reverse',
+  validateReversal,
+  validateRequest,
+  reverseContribution
+);
+
 /**
  * @route   GET /api/contributions/:contributionId
  * @desc    Get details of a specific contribution
@@ -222,12 +273,26 @@ router.get('/member/:memberId', getMemberContributions);
 
 /**
  * @route   PUT /api/contributions/:contributionId/status
- * @desc    Update contribution status (legacy endpoint)
+ * @desc    Update contribution status (legacy endpoint, held for approval in four-eyes mode)
  * @access  Private (Admin only)
  * @body    {status} - new status (pending/paid/late/partial/waived/cancelled)
  */
 router.put('/:contributionId/status', updateContributionStatus);
 
+/**
+ * @route   GET /api/contributions/receipts/:receiptId
+ * @desc    Get a payment receipt showing how it was split across cycles, types and fines
+ * @access  Private (Self or Admin)
+ */
+router.get('/receipts/:receiptId', getPaymentReceipt);
+
+/**
+ * @route   GET /api/contributions/member/:memberId/receipts
+ * @desc    Get all payment receipts for a member
+ * @access  Private (Self or Admin)
+ */
+router.get('/member/:memberId/receipts', getMemberReceipts);
+
 // ============================================
 // MEMBER STATUS & REPORTS ROUTES
 // ============================================
@@ -261,7 +326,7 @@ router.get('/report/:chamaId', getContributionReport);
 
 /**
  * @route   POST /api/contributions/balance/adjust
- * @desc    Adjust member balance (admin only)
+ * @desc    Adjust member balance (held for approval in four-eyes mode)
  * @access  Private (Admin only)
  * @body    {memberId, amount, reason}
  */
@@ -297,14 +362,57 @@ router.post('/process-scheduled', processScheduledContributions);
  * @desc    Record multiple contributions in bulk
  * @access  Private (Admin only)
  * @body    {chamaId, contributions[], notes}
+ * @header  Idempotency-Key (optional) - retries with the same key replay the first response
  */
 router.post(
   '/bulk',
+  idempotency,
   validateBulkContributions,
   validateRequest,
   recordBulkContributions
 );
 
+/**
+ * @route   POST /api/contributions/import/preview
+ * @desc    Upload a CSV/XLSX of contributions and get a dry-run preview
+ * @access  Private (Admin only)
+ * @body    multipart {file, chamaId, notes} - rows are matched to members by phone or member number
+ */
+router.post(
+  '/import/preview',
+  uploadSpreadsheet,
+  validateContributionImport,
+  validateRequest,
+  previewContributionImport
+);
+
+/**
+ * @route   GET /api/contributions/import/:importId
+ * @desc    Get a previewed or committed import with row-level errors
+ * @access  Private (Admin only)
+ */
+router.get('/import/:importId', getContributionImport);
+
+/**
+ * @route   POST /api/contributions/import/:importId/confirm
+ * @desc    Record the rows of a previewed import
+ * @access  Private (Admin only)
+ * @body    {skipInvalid} - record the valid rows even if some rows have errors
+ */
+router.post(
+  '/import/:importId/confirm',
+  validateImportConfirmation,
+  validateRequest,
+  confirmContributionImport
+);
+
+/**
+ * @route   DELETE /api/contributions/import/:importId
+ * @desc    Discard a previewed import
+ * @access  Private (Admin only)
+ */
+router.delete('/import/:importId', cancelContributionImport);
+
 // ============================================
 // DASHBOARD & ANALYTICS ROUTES
 // ============================================
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validationMiddleware');
+const {
+  createFineRule,
+  updateFineRule,
+  deactivateFineRule,
+  getFineRules,
+  getChamaFines,
+  getMemberFines,
+  waiveFine,
+  applyChamaFines
+} = require('../controllers/fineController');
+const {
+  validateFineRule,
+  validateFineRuleUpdate,
+  validateFineWaiver
+} = require('../validators/fineValidators');
+
+// All routes are protected
+router.use(protect);
+
+// Fine rules
+router.post('/rules', validateFineRule, validateRequest, createFineRule);
+router.get('/rules/chama/:chamaId', getFineRules);
+router.put('/rules/:ruleId', validateFineRuleUpdate, validateRequest, updateFineRule);
+router.delete('/rules/:ruleId', deactivateFineRule);
+
+// Member fines
+router.get('/chama/:chamaId', getChamaFines);
+router.post('/chama/:chamaId/apply', applyChamaFines);
+router.get('/member/:memberId', getMemberFines);
+router.post('/:fineId/waive', validateFineWaiver, validateRequest, waiveFine);
+
+module.exports = router;
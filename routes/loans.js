@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validationMiddleware');
+const { idempotency } = require('../middleware/idempotency');
+const {
+  createLoanProduct,
+  getLoanProducts,
+  updateLoanProduct,
+  getBorrowingLimits,
+  applyForLoan,
+  getChamaLoans,
+  getMemberLoans,
+  getLoan,
+  approveLoan,
+  rejectLoan,
+  cancelLoan,
+  recordLoanRepayment,
+  initiateLoanMpesaRepayment,
+  getLoanStatement,
+  nominateLoanGuarantors,
+  acceptGuarantee,
+  declineGuarantee,
+  getMemberGuarantees,
+  recoverLoanFromGuarantors
+} = require('../controllers/loanController');
+const {
+  validateLoanProduct,
+  validateLoanProductUpdate,
+  validateLoanApplication,
+  validateLoanQueue,
+  validateLoanApproval,
+  validateLoanRejection,
+  validateLoanRepayment,
+  validateLoanMpesaRepayment,
+  validateGuarantorNomination,
+  validateGuaranteeResponse
+} = require('../validators/loanValidators');
+
+// All routes are protected
+router.use(protect);
+
+// Products
+router.post('/chama/:chamaId/products', validateLoanProduct, validateRequest, createLoanProduct);
+router.get('/chama/:chamaId/products', getLoanProducts);
+router.put('/products/:productId', validateLoanProductUpdate, validateRequest, updateLoanProduct);
+
+// Applications
+router.post('/products/:productId/apply', idempotency, validateLoanApplication, validateRequest, applyForLoan);
+router.get('/member/:memberId/limits', getBorrowingLimits);
+router.get('/member/:memberId/guarantees', getMemberGuarantees);
+router.get('/member/:memberId', getMemberLoans);
+router.get('/chama/:chamaId', validateLoanQueue, validateRequest, getChamaLoans);
+
+// Review
+router.get('/:loanId', getLoan);
+router.post('/:loanId/approve', idempotency, validateLoanApproval, validateRequest, approveLoan);
+router.post('/:loanId/reject', validateLoanRejection, validateRequest, rejectLoan);
+router.post('/:loanId/cancel', cancelLoan);
+
+// Guarantors
+router.post('/:loanId/guarantors', validateGuarantorNomination, validateRequest, nominateLoanGuarantors);
+router.post('/:loanId/guarantors/:guaranteeId/accept', validateGuaranteeResponse, validateRequest, acceptGuarantee);
+router.post('/:loanId/guarantors/:guaranteeId/decline', validateGuaranteeResponse, validateRequest, declineGuarantee);
+router.post('/:loanId/recover', recoverLoanFromGuarantors);
+
+// Repayments
+router.get('/:loanId/statement', getLoanStatement);
+router.post('/:loanId/repayments', idempotency, validateLoanRepayment, validateRequest, recordLoanRepayment);
+router.post('/:loanId/repayments/mpesa', idempotency, validateLoanMpesaRepayment, validateRequest, initiateLoanMpesaRepayment);
+
+module.exports = router;
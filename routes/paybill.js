@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const { protect, verifyCronSecret, verifyMpesaCallback } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validationMiddleware');
+const {
+  validatePaybillPayment,
+  confirmPaybillPayment,
+  registerPaybillUrls,
+  getChamaPaybillPayments,
+  assignPaybillPayment
+} = require('../controllers/paybillController');
+const {
+  validateUrlRegistration,
+  validatePaybillQueue,
+  validatePaybillAssignment
+} = require('../validators/paybillValidators');
+
+// Called by M-Pesa. Registered URLs may not contain "mpesa", hence /api/paybill.
+router.post('/validation', verifyMpesaCallback, validatePaybillPayment);
+router.post('/confirmation', verifyMpesaCallback, confirmPaybillPayment);
+
+// Run once per short code, and again when the URLs change
+router.post('/register-urls', verifyCronSecret, validateUrlRegistration, validateRequest, registerPaybillUrls);
+
+// All routes below are protected
+router.use(protect);
+
+// Paybill payments and the suspense queue
+router.get('/chama/:chamaId/payments', validatePaybillQueue, validateRequest, getChamaPaybillPayments);
+router.post('/payments/:paymentId/assign', validatePaybillAssignment, validateRequest, assignPaybillPayment);
+
+module.exports = router;
@@ -1,21 +1,76 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
+const { protect, verifyMpesaCallback } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validationMiddleware');
+const { idempotency } = require('../middleware/idempotency');
 const {
   createPayout,
   updatePayoutStatus,
+  getPayoutSignatures,
+  signPayout,
+  getPayoutStatement,
+  getPayoutEligibility,
+  getPayoutOverrides,
   getChamaPayouts,
   getMemberPayouts,
-  getNextPayoutMember
+  getNextPayoutMember,
+  generateRotationSchedule,
+  getRotationSchedule,
+  getMemberRotationSlot,
+  requestSlotSwap,
+  acceptSlotSwap,
+  declineSlotSwap,
+  approveSlotSwap,
+  rejectSlotSwap,
+  cancelSlotSwap,
+  getSlotSwaps,
+  disbursePayout,
+  getPayoutDisbursements,
+  b2cResultCallback,
+  b2cTimeoutCallback
 } = require('../controllers/payoutController');
+const {
+  validatePayoutOverride,
+  validatePayoutSignature,
+  validateRotationSchedule,
+  validateSwapRequest,
+  validateSwapQueue,
+  validateSwapApproval,
+  validateSwapRejection
+} = require('../validators/payoutValidators');
+
+// M-Pesa B2C callbacks
+router.post('/b2c/result', verifyMpesaCallback, b2cResultCallback);
+router.post('/b2c/timeout', verifyMpesaCallback, b2cTimeoutCallback);
 
-// All routes are protected
+// All routes below are protected
 router.use(protect);
 
-router.post('/', createPayout);
+router.post('/', idempotency, validatePayoutOverride, validateRequest, createPayout);
 router.put('/:id/status', updatePayoutStatus);
+router.post('/:id/disburse', idempotency, disbursePayout);
+router.get('/:id/disbursements', getPayoutDisbursements);
+router.get('/:id/statement', getPayoutStatement);
+router.get('/:id/signatures', getPayoutSignatures);
+router.post('/:id/signatures', validatePayoutSignature, validateRequest, signPayout);
 router.get('/chama/:chamaId', getChamaPayouts);
 router.get('/member/:memberId', getMemberPayouts);
 router.get('/next/:chamaId', getNextPayoutMember);
+router.get('/eligibility/member/:memberId', getPayoutEligibility);
+router.get('/overrides/:chamaId', getPayoutOverrides);
+
+// Rotation schedules
+router.post('/schedule/:chamaId', validateRotationSchedule, validateRequest, generateRotationSchedule);
+router.get('/schedule/member/:memberId', getMemberRotationSlot);
+router.get('/schedule/:chamaId', getRotationSchedule);
+
+// Slot swaps
+router.post('/schedule/member/:memberId/swaps', validateSwapRequest, validateRequest, requestSlotSwap);
+router.get('/schedule/:chamaId/swaps', validateSwapQueue, validateRequest, getSlotSwaps);
+router.post('/swaps/:swapId/accept', acceptSlotSwap);
+router.post('/swaps/:swapId/decline', declineSlotSwap);
+router.post('/swaps/:swapId/approve', validateSwapApproval, validateRequest, approveSlotSwap);
+router.post('/swaps/:swapId/reject', validateSwapRejection, validateRequest, rejectSlotSwap);
+router.post('/swaps/:swapId/cancel', cancelSlotSwap);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validationMiddleware');
+const { uploadSpreadsheet } = require('../middleware/upload');
+const {
+  uploadStatement,
+  getChamaStatements,
+  getStatement,
+  resolveStatementLine,
+  ignoreStatementLine,
+  getReconciliationReport
+} = require('../controllers/reconciliationController');
+const {
+  validateStatementUpload,
+  validateLineResolution,
+  validateLineIgnore,
+  validateReconciliationReport
+} = require('../validators/reconciliationValidators');
+
+// All routes are protected
+router.use(protect);
+
+// Statements
+router.post('/statements', uploadSpreadsheet, validateStatementUpload, validateRequest, uploadStatement);
+router.get('/statements/chama/:chamaId', getChamaStatements);
+router.get('/statements/:statementId', getStatement);
+
+// Statement lines
+router.post('/lines/:lineId/resolve', validateLineResolution, validateRequest, resolveStatementLine);
+router.post('/lines/:lineId/ignore', validateLineIgnore, validateRequest, ignoreStatementLine);
+
+// Reports
+router.get('/chama/:chamaId/report', validateReconciliationReport, validateRequest, getReconciliationReport);
+
+module.exports = router;
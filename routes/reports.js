@@ -4,7 +4,8 @@ const { protect } = require('../middleware/auth');
 const {
   getFinancialReport,
   getMemberStatement,
-  getDashboardStats
+  getDashboardStats,
+  getPaymentChannelReport
 } = require('../controllers/reportController');
 
 // All routes are protected
@@ -13,5 +14,6 @@ router.use(protect);
 router.get('/chama/:chamaId/financial', getFinancialReport);
 router.get('/member/:memberId/statement', getMemberStatement);
 router.get('/chama/:chamaId/dashboard', getDashboardStats);
+router.get('/chama/:chamaId/channels', getPaymentChannelReport);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validationMiddleware');
+const { idempotency } = require('../middleware/idempotency');
+const {
+  getMemberWallet,
+  applyWallet,
+  requestRefund,
+  getChamaRefunds,
+  approveRefund,
+  rejectRefund,
+  cancelRefund
+} = require('../controllers/walletController');
+const {
+  validateWalletApplication,
+  validateRefundRequest,
+  validateRefundQueue,
+  validateRefundApproval,
+  validateRefundRejection
+} = require('../validators/walletValidators');
+
+// All routes are protected
+router.use(protect);
+
+// Member wallets
+router.get('/member/:memberId', getMemberWallet);
+router.post('/member/:memberId/apply', idempotency, validateWalletApplication, validateRequest, applyWallet);
+router.post('/member/:memberId/refunds', idempotency, validateRefundRequest, validateRequest, requestRefund);
+
+// Refund review
+router.get('/chama/:chamaId/refunds', validateRefundQueue, validateRequest, getChamaRefunds);
+router.post('/refunds/:refundId/approve', idempotency, validateRefundApproval, validateRequest, approveRefund);
+router.post('/refunds/:refundId/reject', validateRefundRejection, validateRequest, rejectRefund);
+router.post('/refunds/:refundId/cancel', cancelRefund);
+
+module.exports = router;
@@ -77,43 +77,106 @@ const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
 const { pool } = require('./config/database');
-const cron = require('node-cron');
-const axios = require('axios');
+const cycleGenerator = require('./utils/cycleGenerator');
+const jobRunner = require('./utils/jobRunner');
+const fineEngine = require('./utils/fineEngine');
+const paymentAllocator = require('./utils/paymentAllocator');
+const { initializeSettingsTables } = require('./utils/chamaSettings');
+const { initializeReversalTables } = require('./utils/reversals');
+const approvals = require('./utils/approvals');
+const { initializeIdempotencyTable, purgeExpiredIdempotencyKeys } = require('./middleware/idempotency');
+const { initializeImportTables } = require('./utils/contributionImport');
+const mpesaReconciliation = require('./utils/mpesaReconciliation');
+const { initializeMpesaTables, pollPendingMpesaPayments } = require('./utils/mpesaPayments');
+const { initializeCallbackTables, retryFailedCallbacks } = require('./utils/mpesaCallbacks');
+const { initializeC2BTables } = require('./utils/mpesaC2B');
+const { initializeDisbursementTables } = require('./utils/mpesaDisbursements');
+const { initializeProviderTransactionTables } = require('./utils/providerTransactions');
+const { initializeWalletTables } = require('./utils/memberWallet');
+const { initializeRotationTables } = require('./utils/rotationSchedule');
+const { initializeBiddingTables } = require('./utils/biddingRounds');
+const { initializePayoutNettingTables } = require('./utils/payoutNetting');
+const { initializePayoutEligibilityTables } = require('./utils/payoutEligibility');
+const { initializeSignatureTables } = require('./utils/payoutSignatures');
+const { initializeLoanTables } = require('./utils/loans');
+const { initializeLoanRepaymentTables, runLoanAccruals } = require('./utils/loanRepayments');
+const { initializeGuarantorTables, recoverDefaultedLoans } = require('./utils/loanGuarantors');
+const { createNotification } = require('./controllers/notificationController');
+const { processOverdueCycles } = require('./utils/overdueProcessor');
+const mpesaService = require('./utils/mpesaService');
+const { DarajaSimulator } = require('./utils/darajaSimulator');
 const app = express();
-cron.schedule('0 2 * * *', async () => {
-  console.log('🔄 Running scheduled overdue cycles check...');
-  
-  try {
-    // Call the check-overdue endpoint
-    const response = await axios.get('http://localhost:5000/api/chamas/check-overdue', {
-      headers: {
-        'Authorization': `Bearer ${process.env.CRON_SECRET}`
-      }
-    });
-    
-    console.log('✅ Overdue cycles check completed:', response.data.message);
-    console.log('Results:', JSON.stringify(response.data.data, null, 2));
-  } catch (error) {
-    console.error('❌ Cron job failed:', error.message);
-  }
+
+// Scheduled jobs run in-process; jobRunner holds a database lock so only
+// one server instance runs each job.
+
+// Generate the next contribution cycle for chamas that are due
+jobRunner.schedule('cycle-generation', '0 1 * * *', async () => {
+  const results = await cycleGenerator.runScheduledGeneration();
+  console.log(`✅ Cycle generation: ${results.generated.length} generated, ${results.skipped.length} skipped, ${results.activated.length} activated, ${results.failed.length} failed`);
+  return results;
 });
 
-// Or run the function directly without API call
-cron.schedule('0 2 * * *', async () => {
-  console.log('🔄 Running direct overdue cycles check...');
-  
-  try {
-    // You would need to import the function and call it directly
-    // await checkOverdueCycles();
-    console.log('✅ Direct check completed');
-  } catch (error) {
-    console.error('❌ Direct check failed:', error);
+// Mark overdue contributions late, charge fines and complete due cycles
+jobRunner.schedule('overdue-check', '0 2 * * *', async () => {
+  const results = await processOverdueCycles();
+  console.log('Overdue check results:', JSON.stringify(results, null, 2));
+  return results;
+});
+
+// Forget expired idempotency keys
+jobRunner.schedule('idempotency-cleanup', '0 3 * * *', purgeExpiredIdempotencyKeys);
+
+// Query M-Pesa for STK payments with no callback yet, and expire abandoned ones
+jobRunner.schedule('mpesa-stk-poll', '*/2 * * * *', pollPendingMpesaPayments);
+
+// Reprocess stored M-Pesa callbacks whose processing failed
+jobRunner.schedule('mpesa-callback-retry', '*/5 * * * *', retryFailedCallbacks);
+
+// Accrue loan interest and penalties, mark loans in default and recover
+// defaulted loans from their guarantors
+jobRunner.schedule('loan-accrual', '30 0 * * *', async () => {
+  const results = await runLoanAccruals();
+  console.log(`✅ Loan accrual: ${results.loans} loans, KES ${results.interest} interest, KES ${results.penalty} penalties, ${results.defaulted.length} defaulted`);
+
+  const recovery = await recoverDefaultedLoans();
+
+  for (const loan of recovery.recoveries) {
+    for (const guarantor of loan.guarantors.filter(g => g.recovered > 0)) {
+      await createNotification(
+        guarantor.user_id,
+        'Guarantee Called',
+        `${loan.borrower_name} defaulted on loan #${loan.loan_id}. KES ${guarantor.recovered} of your ` +
+          `KES ${guarantor.guaranteed} guarantee was recovered from your balance.`,
+        'warning',
+        loan.loan_id,
+        'loan'
+      );
+    }
   }
+
+  console.log(`✅ Guarantor recovery: ${recovery.recoveries.length} loans, KES ${recovery.recovered} recovered`);
+  return { ...results, guarantor_recovery: { ...recovery, recoveries: recovery.recoveries.length } };
 });
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 
+// Behind a reverse proxy, TRUST_PROXY (hop count or addresses) makes req.ip
+// the client address, which the M-Pesa callback IP allowlist relies on
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
+// In local mode, run the Daraja simulator alongside the API unless one runs elsewhere
+if (mpesaService.environment === 'local' && !process.env.MPESA_LOCAL_URL) {
+  new DarajaSimulator().start().catch(error => {
+    console.error('❌ Failed to start Daraja simulator:', error.message);
+  });
+}
+
 // Test database connection
 const testDatabaseConnection = async () => {
   try {
@@ -127,6 +190,39 @@ const testDatabaseConnection = async () => {
 
 testDatabaseConnection();
 
+// Create/verify feature tables
+jobRunner.initializeTables();
+cycleGenerator.initializeTables();
+fineEngine.initializeTables();
+initializeSettingsTables();
+paymentAllocator.initializeTables();
+initializeReversalTables();
+approvals.initializeTables();
+initializeIdempotencyTable();
+initializeImportTables();
+initializeCallbackTables();
+initializeC2BTables();
+initializeDisbursementTables();
+initializeProviderTransactionTables();
+initializeWalletTables();
+initializeRotationTables();
+initializeBiddingTables();
+initializePayoutNettingTables();
+initializePayoutEligibilityTables();
+initializeSignatureTables();
+
+// Loan repayment and guarantor tables reference loans, loan installments
+// and M-Pesa payments, so those have to exist first
+const initializeLoanFeatureTables = async () => {
+  await initializeMpesaTables();
+  await initializeLoanTables();
+  await initializeLoanRepaymentTables();
+  await initializeGuarantorTables();
+};
+
+initializeLoanFeatureTables();
+mpesaReconciliation.initializeTables();
+
 // Routes
 app.get('/', (req, res) => {
   res.json({
@@ -138,7 +234,14 @@ app.get('/', (req, res) => {
       contributions: '/api/contributions',
       payouts: '/api/payouts',
       reports: '/api/reports',
-      notifications: '/api/notifications'
+      notifications: '/api/notifications',
+      fines: '/api/fines',
+      approvals: '/api/approvals',
+      reconciliation: '/api/reconciliation',
+      paybill: '/api/paybill',
+      wallets: '/api/wallets',
+      bidding: '/api/bidding',
+      loans: '/api/loans'
     }
   });
 });
@@ -150,12 +253,26 @@ const contributionRoutes = require('./routes/contributions');
 const payoutRoutes = require('./routes/payouts');
 const reportRoutes = require('./routes/reports');
 const notificationRoutes = require('./routes/notifications');
+const fineRoutes = require('./routes/fines');
+const approvalRoutes = require('./routes/approvals');
+const reconciliationRoutes = require('./routes/reconciliation');
+const paybillRoutes = require('./routes/paybill');
+const walletRoutes = require('./routes/wallets');
+const biddingRoutes = require('./routes/bidding');
+const loanRoutes = require('./routes/loans');
 app.use('/api/auth', authRoutes);
 app.use('/api/chamas', chamaRoutes);
 app.use('/api/contributions', contributionRoutes);
 app.use('/api/payouts', payoutRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/fines', fineRoutes);
+app.use('/api/approvals', approvalRoutes);
+app.use('/api/reconciliation', reconciliationRoutes);
+app.use('/api/paybill', paybillRoutes);
+app.use('/api/wallets', walletRoutes);
+app.use('/api/bidding', biddingRoutes);
+app.use('/api/loans', loanRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,93 @@
+// tests/darajaSimulator.test.js
+const express = require('express');
+const { DarajaSimulator } = require('../utils/darajaSimulator');
+
+const CANCELLING_PHONE = '254700000001';
+const CALLBACK_SECRET = 'callback s3cret';
+
+let simulator;
+let receiver;
+let callbacks;
+let callbackSecrets;
+let mpesaService;
+const savedEnv = { ...process.env };
+
+// Resolve once the simulator has delivered this many callbacks
+const waitForCallbacks = (count) => new Promise((resolve, reject) => {
+  const startedAt = Date.now();
+  const check = () => {
+    if (callbacks.length >= count) return resolve(callbacks);
+    if (Date.now() - startedAt > 5000) return reject(new Error('No callback from the simulator'));
+    setTimeout(check, 20);
+  };
+  check();
+});
+
+beforeAll(async () => {
+  simulator = new DarajaSimulator({ delayMs: 0, phoneScenarios: { [CANCELLING_PHONE]: 'cancelled' } });
+  const simulatorPort = await simulator.start(0);
+
+  // Stands in for this server's callback route
+  const app = express();
+  app.use(express.json());
+  app.post('/mpesa-callback', (req, res) => {
+    callbacks.push(req.body);
+    callbackSecrets.push(req.query.secret);
+    res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+  });
+  receiver = await new Promise(resolve => {
+    const server = app.listen(0, () => resolve(server));
+  });
+
+  // MpesaService reads its config when it is loaded
+  process.env.MPESA_ENVIRONMENT = 'local';
+  process.env.MPESA_LOCAL_URL = `http://127.0.0.1:${simulatorPort}`;
+  process.env.MPESA_CALLBACK_URL = `http://127.0.0.1:${receiver.address().port}/mpesa-callback`;
+  process.env.MPESA_CALLBACK_SECRET = CALLBACK_SECRET;
+  jest.isolateModules(() => {
+    mpesaService = require('../utils/mpesaService');
+  });
+});
+
+afterAll(async () => {
+  process.env = savedEnv;
+  await simulator.stop();
+  await new Promise(resolve => receiver.close(resolve));
+});
+
+beforeEach(() => {
+  callbacks = [];
+  callbackSecrets = [];
+  simulator.reset();
+});
+
+describe('DarajaSimulator STK push', () => {
+  it('accepts the push and calls back with the receipt once the customer pays', async () => {
+    const push = await mpesaService.initiateSTKPush('0712345678', 500, 'CHAMA-8', 'Contribution');
+
+    expect(push.responseCode).toBe('0');
+
+    const [{ Body: { stkCallback } }] = await waitForCallbacks(1);
+    const metadata = Object.fromEntries(stkCallback.CallbackMetadata.Item.map(item => [item.Name, item.Value]));
+
+    expect(stkCallback.CheckoutRequestID).toBe(push.checkoutRequestID);
+    expect(stkCallback.ResultCode).toBe(0);
+    expect(metadata).toMatchObject({ Amount: 500, PhoneNumber: 254712345678 });
+    expect(metadata.MpesaReceiptNumber).toMatch(/^[A-Z0-9]{10}$/);
+    expect(callbackSecrets).toEqual([CALLBACK_SECRET]);
+
+    const status = await mpesaService.checkSTKStatus(push.checkoutRequestID);
+
+    expect(status.transactionComplete).toBe(true);
+  });
+
+  it('calls back with the cancellation and no receipt when the customer declines', async () => {
+    const push = await mpesaService.initiateSTKPush(CANCELLING_PHONE, 500, 'CHAMA-8', 'Contribution');
+
+    const [{ Body: { stkCallback } }] = await waitForCallbacks(1);
+
+    expect(stkCallback.CheckoutRequestID).toBe(push.checkoutRequestID);
+    expect(stkCallback.ResultCode).toBe(1032);
+    expect(stkCallback.CallbackMetadata).toBeUndefined();
+  });
+});
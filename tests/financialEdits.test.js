@@ -0,0 +1,100 @@
+// tests/financialEdits.test.js
+jest.mock('../config/database', () => ({ execute: jest.fn(), getConnection: jest.fn() }));
+jest.mock('../utils/ledger', () => ({ updateMemberBalance: jest.fn() }));
+jest.mock('../utils/memberWallet', () => ({ settleRefundPayout: jest.fn(), REFUND_PAYOUT_FILTER: '1 = 1' }));
+jest.mock('../utils/rotationSchedule', () => ({
+  settleSlotPayout: jest.fn(),
+  checkPayoutAgainstSchedule: jest.fn(),
+  linkSlotPayout: jest.fn()
+}));
+jest.mock('../utils/biddingRounds', () => ({ settleRoundPayout: jest.fn(), findOpenRound: jest.fn() }));
+jest.mock('../utils/payoutNetting', () => ({ settleNettingPayout: jest.fn() }));
+jest.mock('../utils/payoutEligibility', () => ({ evaluatePayout: jest.fn(), recordOverride: jest.fn() }));
+jest.mock('../utils/payoutSignatures', () => ({ checkReleaseQuorum: jest.fn() }));
+jest.mock('../utils/loans', () => ({ LOAN_PAYOUT_FILTER: '1 = 1', settleLoanPayout: jest.fn() }));
+jest.mock('../utils/reversals', () => ({ isDraftContribution: jest.fn(), reverseContribution: jest.fn() }));
+
+const db = require('../config/database');
+const { settleNettingPayout } = require('../utils/payoutNetting');
+const { checkReleaseQuorum } = require('../utils/payoutSignatures');
+const { applyPayoutStatus } = require('../utils/financialEdits');
+
+// A payout with this status, read through a connection of its own
+const usePayout = (status) => {
+  const connection = {
+    beginTransaction: jest.fn(),
+    commit: jest.fn(),
+    rollback: jest.fn(),
+    release: jest.fn(),
+    execute: jest.fn(async (sql) => {
+      if (sql.includes('FROM payouts')) {
+        return [[{ id: 5, chama_id: 1, member_id: 20, amount: '1000.00', status }]];
+      }
+      return [{ affectedRows: 1 }];
+    })
+  };
+
+  db.getConnection.mockResolvedValue(connection);
+  return connection;
+};
+
+const statements = (connection) => connection.execute.mock.calls.map(call => call[0]);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  checkReleaseQuorum.mockResolvedValue({ success: true });
+});
+
+describe('financialEdits.applyPayoutStatus', () => {
+  it('locks the payout and commits the change in a transaction of its own', async () => {
+    const connection = usePayout('approved');
+
+    const outcome = await applyPayoutStatus(5, 'paid', 99);
+
+    expect(outcome.success).toBe(true);
+    expect(statements(connection)[0]).toContain('FOR UPDATE');
+    expect(connection.commit).toHaveBeenCalled();
+    expect(settleNettingPayout).toHaveBeenCalledWith(5, 'paid', 99, connection);
+  });
+
+  it('does not record a second payout transaction when the payout is paid', async () => {
+    const connection = usePayout('approved');
+
+    await applyPayoutStatus(5, 'paid', 99);
+
+    expect(statements(connection).some(sql => sql.includes('INSERT INTO transactions'))).toBe(false);
+  });
+
+  it('refuses to move a payout out of paid or cancelled', async () => {
+    for (const status of ['paid', 'cancelled']) {
+      const connection = usePayout(status);
+
+      const outcome = await applyPayoutStatus(5, 'pending', 99);
+
+      expect(outcome).toMatchObject({ success: false, status: 400 });
+      expect(connection.rollback).toHaveBeenCalled();
+    }
+    expect(settleNettingPayout).not.toHaveBeenCalled();
+  });
+
+  it('changes nothing when the payout already has the status', async () => {
+    const connection = usePayout('paid');
+
+    const outcome = await applyPayoutStatus(5, 'paid', 99);
+
+    expect(outcome.data.unchanged).toBe(true);
+    expect(statements(connection).some(sql => sql.includes('UPDATE payouts'))).toBe(false);
+    expect(settleNettingPayout).not.toHaveBeenCalled();
+  });
+
+  it('rolls back when the signature quorum is not met', async () => {
+    const connection = usePayout('approved');
+    checkReleaseQuorum.mockResolvedValue({ success: false, status: 400, message: 'Needs 2 signatures' });
+
+    const outcome = await applyPayoutStatus(5, 'paid', 99);
+
+    expect(outcome.success).toBe(false);
+    expect(connection.rollback).toHaveBeenCalled();
+    expect(connection.commit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,150 @@
+// tests/idempotency.test.js
+jest.mock('../config/database', () => ({ execute: jest.fn(), getConnection: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const db = require('../config/database');
+const { idempotency } = require('../middleware/idempotency');
+
+// idempotency_keys held in memory, keyed by user and key
+let keys;
+
+const useKeyStore = () => {
+  keys = new Map();
+
+  db.execute.mockImplementation(async (sql, params) => {
+    if (sql.includes('INSERT INTO idempotency_keys')) {
+      const [userId, key, method, path, requestHash] = params;
+      if (keys.has(`${userId}:${key}`)) {
+        throw Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' });
+      }
+      keys.set(`${userId}:${key}`, { method, path, request_hash: requestHash, status: 'processing' });
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.includes('SELECT * FROM idempotency_keys')) {
+      const record = keys.get(`${params[0]}:${params[1]}`);
+      return [record ? [record] : []];
+    }
+    if (sql.includes('UPDATE idempotency_keys')) {
+      const [responseStatus, responseBody, userId, key] = params;
+      Object.assign(keys.get(`${userId}:${key}`), {
+        status: 'completed',
+        response_status: responseStatus,
+        response_body: responseBody
+      });
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.includes('DELETE FROM idempotency_keys') && !sql.includes('DATE_SUB')) {
+      keys.delete(`${params[0]}:${params[1]}`);
+    }
+    return [{ affectedRows: 0 }];
+  });
+};
+
+// A payment endpoint that counts how often it really runs
+const buildApp = (handler) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: Number(req.get('X-User') || 1) };
+    next();
+  });
+  app.post('/api/payments', idempotency, handler);
+  return app;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  useKeyStore();
+});
+
+describe('idempotency middleware', () => {
+  it('replays the stored response for a retry with the same key and body', async () => {
+    let runs = 0;
+    const app = buildApp((req, res) => {
+      runs++;
+      res.status(201).json({ success: true, receipt: runs });
+    });
+
+    const first = await request(app).post('/api/payments').set('Idempotency-Key', 'abc').send({ amount: 500 });
+    const retry = await request(app).post('/api/payments').set('Idempotency-Key', 'abc').send({ amount: 500 });
+
+    expect(runs).toBe(1);
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual({ success: true, receipt: 1 });
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('treats bodies with the same fields in another order as the same request', async () => {
+    let runs = 0;
+    const app = buildApp((req, res) => {
+      runs++;
+      res.json({ success: true });
+    });
+
+    await request(app).post('/api/payments').set('Idempotency-Key', 'abc').send({ amount: 500, memberId: 2 });
+    const retry = await request(app).post('/api/payments').set('Idempotency-Key', 'abc').send({ memberId: 2, amount: 500 });
+
+    expect(runs).toBe(1);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('refuses to reuse a key with a different body', async () => {
+    const app = buildApp((req, res) => res.json({ success: true }));
+
+    await request(app).post('/api/payments').set('Idempotency-Key', 'abc').send({ amount: 500 });
+    const reused = await request(app).post('/api/payments').set('Idempotency-Key', 'abc').send({ amount: 900 });
+
+    expect(reused.status).toBe(422);
+  });
+
+  it('tells the client to wait while the first request is still running', async () => {
+    let entered;
+    let release;
+    const handlerEntered = new Promise(resolve => { entered = resolve; });
+    const gate = new Promise(resolve => { release = resolve; });
+
+    const app = buildApp(async (req, res) => {
+      entered();
+      await gate;
+      res.json({ success: true });
+    });
+
+    const first = request(app).post('/api/payments').set('Idempotency-Key', 'abc').send({ amount: 500 }).then(res => res);
+    await handlerEntered;
+
+    const pending = await request(app).post('/api/payments').set('Idempotency-Key', 'abc').send({ amount: 500 });
+    release();
+
+    expect(pending.status).toBe(409);
+    expect((await first).status).toBe(200);
+  });
+
+  it('does not store server errors, so the request can be retried', async () => {
+    let runs = 0;
+    const app = buildApp((req, res) => {
+      runs++;
+      res.status(runs === 1 ? 500 : 200).json({ success: runs !== 1 });
+    });
+
+    await request(app).post('/api/payments').set('Idempotency-Key', 'abc').send({ amount: 500 });
+    const retry = await request(app).post('/api/payments').set('Idempotency-Key', 'abc').send({ amount: 500 });
+
+    expect(runs).toBe(2);
+    expect(retry.status).toBe(200);
+  });
+
+  it('scopes keys to the user', async () => {
+    let runs = 0;
+    const app = buildApp((req, res) => {
+      runs++;
+      res.json({ success: true });
+    });
+
+    await request(app).post('/api/payments').set('X-User', '1').set('Idempotency-Key', 'abc').send({ amount: 500 });
+    await request(app).post('/api/payments').set('X-User', '2').set('Idempotency-Key', 'abc').send({ amount: 500 });
+
+    expect(runs).toBe(2);
+  });
+});
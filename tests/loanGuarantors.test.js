@@ -0,0 +1,125 @@
+// tests/loanGuarantors.test.js
+jest.mock('../config/database', () => ({ execute: jest.fn(), getConnection: jest.fn() }));
+jest.mock('../utils/ledger', () => ({ updateMemberBalance: jest.fn() }));
+jest.mock('../utils/loans', () => ({
+  OPEN_LOAN_STATUSES: ['pending', 'approved', 'active', 'defaulted'],
+  getLoan: jest.fn(),
+  getMemberSavings: jest.fn(),
+  getInstallments: jest.fn()
+}));
+jest.mock('../utils/loanRepayments', () => ({
+  ...jest.requireActual('../utils/loanRepayments'),
+  applyRepayment: jest.fn()
+}));
+
+const db = require('../config/database');
+const { updateMemberBalance } = require('../utils/ledger');
+const { getInstallments } = require('../utils/loans');
+const { applyRepayment } = require('../utils/loanRepayments');
+const { recoverFromGuarantors } = require('../utils/loanGuarantors');
+
+// A defaulted loan owing `owed` in principal, backed by guarantees of these amounts
+const useDefaultedLoan = (owed, guarantees, status = 'defaulted') => {
+  const connection = {
+    beginTransaction: jest.fn(),
+    commit: jest.fn(),
+    rollback: jest.fn(),
+    release: jest.fn(),
+    execute: jest.fn(async (sql) => {
+      if (sql.includes('FROM loans')) {
+        return [[{ id: 3, chama_id: 1, member_id: 20, status, member_name: 'Borrower' }]];
+      }
+      if (sql.includes('FROM loan_guarantors')) {
+        return [guarantees.map((amount, index) => ({
+          id: index + 1,
+          member_id: 30 + index,
+          user_id: 40 + index,
+          amount: String(amount)
+        }))];
+      }
+      return [{ affectedRows: 1 }];
+    })
+  };
+
+  db.getConnection.mockResolvedValue(connection);
+  getInstallments.mockResolvedValue([{
+    principal_due: String(owed),
+    principal_paid: '0',
+    interest_accrued: '0',
+    interest_paid: '0',
+    penalty_accrued: '0',
+    penalty_paid: '0'
+  }]);
+  applyRepayment.mockResolvedValue({ success: true, data: {} });
+
+  return connection;
+};
+
+const recovered = (recovery) => recovery.guarantors.map(guarantor => guarantor.recovered);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('loanGuarantors.recoverFromGuarantors', () => {
+  it('splits the balance in proportion to what each guarantor guaranteed', async () => {
+    useDefaultedLoan(3000, [1000, 2000, 3000]);
+
+    const recovery = await recoverFromGuarantors(3, 99);
+
+    expect(recovered(recovery)).toEqual([500, 1000, 1500]);
+    expect(recovery.recovered).toBe(3000);
+    expect(recovery.balance_after).toBe(0);
+  });
+
+  it('calls no more than each guarantor guaranteed', async () => {
+    useDefaultedLoan(10000, [1000, 2000]);
+
+    const recovery = await recoverFromGuarantors(3, 99);
+
+    expect(recovered(recovery)).toEqual([1000, 2000]);
+    expect(recovery.balance_after).toBe(7000);
+  });
+
+  it('places rounding so the shares add up to the balance', async () => {
+    useDefaultedLoan(100, [1000, 1000, 1000]);
+
+    const recovery = await recoverFromGuarantors(3, 99);
+
+    expect(recovered(recovery)).toEqual([33.33, 33.33, 33.34]);
+    expect(recovery.recovered).toBe(100);
+  });
+
+  it('debits each guarantor and repays the loan with their share', async () => {
+    useDefaultedLoan(3000, [1000, 2000]);
+
+    await recoverFromGuarantors(3, 99);
+
+    expect(updateMemberBalance.mock.calls.map(call => [call[0], call[1], call[6]])).toEqual([
+      [30, -1000, 'guarantee_recovery'],
+      [31, -2000, 'guarantee_recovery']
+    ]);
+    expect(applyRepayment.mock.calls.map(call => [call[1].amount, call[1].paymentMethod])).toEqual([
+      [1000, 'guarantor_recovery'],
+      [2000, 'guarantor_recovery']
+    ]);
+  });
+
+  it('rolls back the recovery when a share cannot be applied to the loan', async () => {
+    const connection = useDefaultedLoan(3000, [1000, 2000]);
+    applyRepayment.mockResolvedValueOnce({ success: true, data: {} })
+      .mockResolvedValueOnce({ success: false, status: 400, message: 'Loan is closed' });
+
+    await expect(recoverFromGuarantors(3, 99)).rejects.toThrow('Loan is closed');
+    expect(connection.rollback).toHaveBeenCalled();
+    expect(connection.commit).not.toHaveBeenCalled();
+  });
+
+  it('does nothing for loans that are not in default', async () => {
+    const connection = useDefaultedLoan(3000, [1000], 'active');
+
+    expect(await recoverFromGuarantors(3, 99)).toBeNull();
+    expect(connection.rollback).toHaveBeenCalled();
+    expect(updateMemberBalance).not.toHaveBeenCalled();
+  });
+});
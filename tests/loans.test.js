@@ -0,0 +1,65 @@
+// tests/loans.test.js
+jest.mock('../config/database', () => ({ execute: jest.fn(), getConnection: jest.fn() }));
+
+const { buildSchedule, quoteLoan } = require('../utils/loans');
+
+const sum = (installments, key) =>
+  Math.round(installments.reduce((total, installment) => total + installment[key], 0) * 100) / 100;
+
+describe('loans.buildSchedule', () => {
+  it('charges flat interest on the full principal every month', () => {
+    const installments = buildSchedule(
+      { principal: 12000, interest_type: 'flat', interest_rate: 2, term_months: 12 },
+      '2024-01-15'
+    );
+
+    expect(installments).toHaveLength(12);
+    installments.forEach(installment => {
+      expect(installment.principal_due).toBe(1000);
+      expect(installment.interest_due).toBe(240);
+      expect(installment.total_due).toBe(1240);
+    });
+  });
+
+  it('charges reducing interest on the balance with equal installments', () => {
+    const installments = buildSchedule(
+      { principal: 10000, interest_type: 'reducing', interest_rate: 1, term_months: 3 },
+      '2024-01-15'
+    );
+
+    expect(installments.map(installment => installment.interest_due)).toEqual([100, 67, 33.67]);
+    expect(installments[0].total_due).toBe(3400.22);
+    expect(installments[1].total_due).toBe(3400.22);
+    expect(sum(installments, 'principal_due')).toBe(10000);
+  });
+
+  it('settles rounding on the last installment so principal adds up', () => {
+    const installments = buildSchedule(
+      { principal: 1000, interest_type: 'flat', interest_rate: 0, term_months: 3 },
+      '2024-01-15'
+    );
+
+    expect(installments.map(installment => installment.principal_due)).toEqual([333.33, 333.33, 333.34]);
+  });
+
+  it('falls due monthly from the start date, each period starting where the last ended', () => {
+    const installments = buildSchedule(
+      { principal: 3000, interest_type: 'flat', interest_rate: 1, term_months: 3 },
+      '2024-01-31'
+    );
+
+    expect(installments.map(installment => installment.due_date)).toEqual(['2024-02-29', '2024-03-31', '2024-04-30']);
+    expect(installments[0].period_start).toBe('2024-01-31');
+    expect(installments[1].period_start).toBe('2024-02-29');
+  });
+});
+
+describe('loans.quoteLoan', () => {
+  it('quotes the first installment and the total repayable', () => {
+    const quote = quoteLoan({ interest_type: 'flat', interest_rate: 2 }, 12000, 12);
+
+    expect(quote.installment_amount).toBe(1240);
+    expect(quote.total_interest).toBe(2880);
+    expect(quote.total_repayable).toBe(14880);
+  });
+});
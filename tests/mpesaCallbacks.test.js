@@ -0,0 +1,146 @@
+// tests/mpesaCallbacks.test.js
+jest.mock('../config/database', () => ({ execute: jest.fn(), getConnection: jest.fn() }));
+jest.mock('../utils/mpesaPayments', () => ({
+  completeMpesaPayment: jest.fn(),
+  closeMpesaPayment: jest.fn()
+}));
+
+const db = require('../config/database');
+const { completeMpesaPayment } = require('../utils/mpesaPayments');
+const { recordCallback, processStkCallback } = require('../utils/mpesaCallbacks');
+
+const stkPayload = (checkoutRequestId) => ({
+  Body: {
+    stkCallback: {
+      MerchantRequestID: 'MR-1',
+      CheckoutRequestID: checkoutRequestId,
+      ResultCode: 0,
+      ResultDesc: 'The service request is processed successfully.',
+      CallbackMetadata: {
+        Item: [
+          { Name: 'Amount', Value: 500 },
+          { Name: 'MpesaReceiptNumber', Value: 'QK12345678' },
+          { Name: 'TransactionDate', Value: 20240301120000 },
+          { Name: 'PhoneNumber', Value: 254712345678 }
+        ]
+      }
+    }
+  }
+});
+
+// mpesa_callbacks held in memory. processed_key is unique, as in the table.
+let callbacks;
+
+const useCallbackStore = () => {
+  callbacks = [];
+
+  const claimKey = (processedKey, callbackId) => {
+    if (callbacks.some(callback => callback.processed_key === processedKey && callback.id !== callbackId)) {
+      throw Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' });
+    }
+    Object.assign(callbacks.find(callback => callback.id === callbackId), {
+      status: 'processed',
+      processed_key: processedKey
+    });
+  };
+
+  const execute = async (sql, params) => {
+    if (sql.includes('INSERT INTO mpesa_callbacks')) {
+      const callback = { id: callbacks.length + 1, payload: params[3], status: 'received', processed_key: null };
+      callbacks.push(callback);
+      return [{ insertId: callback.id }];
+    }
+    if (sql.includes('SELECT * FROM mpesa_callbacks WHERE id')) {
+      return [callbacks.filter(callback => callback.id === params[0])];
+    }
+    if (sql.includes('SELECT id FROM mpesa_callbacks WHERE processed_key')) {
+      return [callbacks.filter(callback => callback.processed_key === params[0])];
+    }
+    if (sql.includes("SET status = 'processed'")) {
+      claimKey(params[0], params[1]);
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.includes('UPDATE mpesa_callbacks')) {
+      callbacks.find(callback => callback.id === params[2]).status = params[0];
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.includes('FROM mpesa_payments')) {
+      return [[{ id: 8, status: 'pending', reference: 'CHAMA-8', mpesa_receipt_number: null }]];
+    }
+    return [{ affectedRows: 0 }];
+  };
+
+  db.execute.mockImplementation(execute);
+  db.getConnection.mockResolvedValue({
+    beginTransaction: jest.fn(),
+    commit: jest.fn(),
+    rollback: jest.fn(),
+    release: jest.fn(),
+    execute
+  });
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  useCallbackStore();
+  completeMpesaPayment.mockResolvedValue({ payment: { id: 8, status: 'completed' }, receipt: { id: 1 } });
+});
+
+describe('mpesaCallbacks.processStkCallback', () => {
+  it('completes the payment for the first delivery of a callback', async () => {
+    const callbackId = await recordCallback('stk', stkPayload('ws_CO_1'), '196.201.214.200');
+
+    const outcome = await processStkCallback(callbackId);
+
+    expect(outcome.status).toBe('processed');
+    expect(completeMpesaPayment).toHaveBeenCalledTimes(1);
+    expect(completeMpesaPayment.mock.calls[0][2]).toMatchObject({ receiptNumber: 'QK12345678', amount: 500 });
+  });
+
+  it('marks a redelivered callback as a duplicate without completing the payment again', async () => {
+    const first = await recordCallback('stk', stkPayload('ws_CO_1'), null);
+    const second = await recordCallback('stk', stkPayload('ws_CO_1'), null);
+
+    await processStkCallback(first);
+    const outcome = await processStkCallback(second);
+
+    expect(outcome.status).toBe('duplicate');
+    expect(completeMpesaPayment).toHaveBeenCalledTimes(1);
+    expect(callbacks[1].status).toBe('duplicate');
+  });
+
+  it('leaves a callback that was already handled alone when it is processed again', async () => {
+    const callbackId = await recordCallback('stk', stkPayload('ws_CO_1'), null);
+
+    await processStkCallback(callbackId);
+    const outcome = await processStkCallback(callbackId);
+
+    expect(outcome).toEqual({ status: 'processed', message: 'Callback already handled' });
+    expect(completeMpesaPayment).toHaveBeenCalledTimes(1);
+  });
+
+  it('treats losing the race for the processed key as a duplicate', async () => {
+    await recordCallback('stk', stkPayload('ws_CO_1'), null);
+    const second = await recordCallback('stk', stkPayload('ws_CO_1'), null);
+
+    // The other delivery commits between this one's check and its claim
+    completeMpesaPayment.mockImplementationOnce(async () => {
+      Object.assign(callbacks[0], { status: 'processed', processed_key: 'stk:ws_CO_1' });
+      return null;
+    });
+
+    const outcome = await processStkCallback(second);
+
+    expect(outcome.status).toBe('duplicate');
+    expect(callbacks[1].status).toBe('duplicate');
+  });
+
+  it('processes callbacks for different payments independently', async () => {
+    const first = await recordCallback('stk', stkPayload('ws_CO_1'), null);
+    const second = await recordCallback('stk', stkPayload('ws_CO_2'), null);
+
+    expect((await processStkCallback(first)).status).toBe('processed');
+    expect((await processStkCallback(second)).status).toBe('processed');
+    expect(completeMpesaPayment).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,72 @@
+// tests/paymentAllocator.test.js
+jest.mock('../config/database', () => ({ execute: jest.fn(), getConnection: jest.fn() }));
+
+const paymentAllocator = require('../utils/paymentAllocator');
+
+const line = (cycleId, typeId, outstanding) => ({ kind: 'line', cycle_id: cycleId, type_id: typeId, outstanding });
+const fine = (fineId, outstanding) => ({ kind: 'fine', fine_id: fineId, outstanding });
+
+const amounts = (shares) => shares.map(share => share.amount);
+const total = (shares) => Math.round(shares.reduce((sum, share) => sum + share.amount, 0) * 100) / 100;
+
+describe('paymentAllocator.splitProRata', () => {
+  it('splits in proportion to what each item owes', () => {
+    const shares = paymentAllocator.splitProRata([line(1, 1, 100), line(2, 1, 300)], 200);
+
+    expect(amounts(shares)).toEqual([50, 150]);
+  });
+
+  it('places rounding leftovers so the shares add up to the amount', () => {
+    const shares = paymentAllocator.splitProRata([line(1, 1, 100), line(2, 1, 100), line(3, 1, 100)], 100);
+
+    expect(amounts(shares)).toEqual([33.34, 33.33, 33.33]);
+    expect(total(shares)).toBe(100);
+  });
+
+  it('never gives an item more than it owes', () => {
+    const items = [line(1, 1, 1), line(2, 1, 1), line(3, 1, 1), line(4, 1, 0.01)];
+    const shares = paymentAllocator.splitProRata(items, 2);
+
+    shares.forEach((share, index) => {
+      expect(share.amount).toBeLessThanOrEqual(items[index].outstanding);
+    });
+    expect(total(shares)).toBe(2);
+  });
+
+  it('pays everything in full when the amount covers it all', () => {
+    const shares = paymentAllocator.splitProRata([line(1, 1, 40), fine(9, 10)], 80);
+
+    expect(amounts(shares)).toEqual([40, 10]);
+  });
+});
+
+describe('paymentAllocator.orderItems', () => {
+  const lines = [line(1, 1, 100), line(2, 1, 100), line(2, 2, 50)];
+  const fines = [fine(9, 20)];
+
+  it('settles the targeted type in the current cycle first, whatever the policy', () => {
+    const ordered = paymentAllocator.orderItems('oldest_first', lines, fines, 2, 2);
+
+    expect(ordered.sequential[0]).toBe(lines[2]);
+  });
+
+  it('puts fines first under fines_first', () => {
+    const ordered = paymentAllocator.orderItems('fines_first', lines, fines, 2, null);
+
+    expect(ordered.sequential).toEqual([fines[0], ...lines]);
+  });
+
+  it('puts the current cycle before arrears and fines last under current_first', () => {
+    const ordered = paymentAllocator.orderItems('current_first', lines, fines, 2, null);
+
+    expect(ordered.sequential).toEqual([lines[1], lines[2], lines[0], fines[0]]);
+  });
+
+  it('spreads contribution lines pro rata and leaves fines until after under pro_rata', () => {
+    const ordered = paymentAllocator.orderItems('pro_rata', lines, fines, 2, 1);
+
+    expect(ordered.sequential).toEqual([lines[1]]);
+    expect(ordered.proRata).toEqual([lines[0], lines[2]]);
+    expect(ordered.after).toEqual(fines);
+  });
+});
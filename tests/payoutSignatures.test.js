@@ -0,0 +1,134 @@
+// tests/payoutSignatures.test.js
+jest.mock('../config/database', () => ({ execute: jest.fn(), getConnection: jest.fn() }));
+jest.mock('../utils/chamaSettings', () => ({ getSettings: jest.fn() }));
+
+const db = require('../config/database');
+const { getSettings } = require('../utils/chamaSettings');
+const { getQuorum, getSignatureStatus, checkReleaseQuorum } = require('../utils/payoutSignatures');
+
+const ROLES = ['chairperson', 'treasurer', 'secretary'];
+
+const useSettings = (overrides = {}) => {
+  getSettings.mockResolvedValue({
+    payout_signature_threshold: 10000,
+    payout_signature_roles: ROLES,
+    payout_signature_quorum: 2,
+    ...overrides
+  });
+};
+
+// A payout of the given amount with the given offices already signed.
+// A netted payout carries its gross amount from payout_netting.
+const usePayout = (amount, signedOffices, grossAmount = null) => {
+  db.execute.mockImplementation(async (sql) => {
+    if (sql.includes('FROM payouts')) {
+      return [[{
+        id: 5,
+        chama_id: 1,
+        amount: String(amount),
+        status: 'pending',
+        gross_amount: grossAmount === null ? null : String(grossAmount)
+      }]];
+    }
+    if (sql.includes('FROM payout_signatures')) {
+      return [signedOffices.map((office, index) => ({
+        office,
+        member_id: index + 1,
+        signed_by: index + 10,
+        signed_by_name: `Officer ${index + 1}`
+      }))];
+    }
+    return [[]];
+  });
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('payoutSignatures.getQuorum', () => {
+  it('needs no signatures at or below the threshold', async () => {
+    useSettings();
+
+    expect(await getQuorum(1, 10000)).toBeNull();
+  });
+
+  it('needs no signatures when the threshold is off', async () => {
+    useSettings({ payout_signature_threshold: 0 });
+
+    expect(await getQuorum(1, 500000)).toBeNull();
+  });
+
+  it('needs the configured quorum above the threshold', async () => {
+    useSettings();
+
+    expect(await getQuorum(1, 10001)).toEqual({ threshold: 10000, roles: ROLES, required: 2 });
+  });
+
+  it('caps the quorum at the number of signing roles', async () => {
+    useSettings({ payout_signature_roles: ['treasurer'], payout_signature_quorum: 3 });
+
+    expect((await getQuorum(1, 20000)).required).toBe(1);
+  });
+});
+
+describe('payoutSignatures.getSignatureStatus', () => {
+  it('is not met until the quorum of signing offices has signed', async () => {
+    useSettings();
+    usePayout(25000, ['treasurer']);
+
+    const status = await getSignatureStatus(5);
+
+    expect(status.met).toBe(false);
+    expect(status.signed).toBe(1);
+    expect(status.awaiting).toEqual(['chairperson', 'secretary']);
+  });
+
+  it('is met once enough offices have signed', async () => {
+    useSettings();
+    usePayout(25000, ['treasurer', 'chairperson']);
+
+    const status = await getSignatureStatus(5);
+
+    expect(status.met).toBe(true);
+    expect(status.awaiting).toEqual(['secretary']);
+  });
+
+  it('does not count signatures from offices that no longer sign', async () => {
+    useSettings({ payout_signature_roles: ['chairperson', 'treasurer'] });
+    usePayout(25000, ['treasurer', 'secretary']);
+
+    const status = await getSignatureStatus(5);
+
+    expect(status.signed).toBe(1);
+    expect(status.met).toBe(false);
+  });
+
+  it('blocks release while signatures are missing', async () => {
+    useSettings();
+    usePayout(25000, ['secretary']);
+
+    const outcome = await checkReleaseQuorum(5);
+
+    expect(outcome.success).toBe(false);
+    expect(outcome.message).toMatch(/needs 2 officer signatures/);
+  });
+
+  it('counts a netted payout at its gross amount', async () => {
+    useSettings();
+    usePayout(8000, [], 12000);
+
+    const status = await getSignatureStatus(5);
+
+    expect(status.gross_amount).toBe(12000);
+    expect(status.required).toBe(true);
+    expect(status.met).toBe(false);
+  });
+
+  it('lets payouts below the threshold through', async () => {
+    useSettings();
+    usePayout(5000, []);
+
+    expect(await checkReleaseQuorum(5)).toEqual({ success: true });
+  });
+});
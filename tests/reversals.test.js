@@ -0,0 +1,69 @@
+// tests/reversals.test.js
+jest.mock('../config/database', () => ({ execute: jest.fn(), getConnection: jest.fn() }));
+jest.mock('../utils/ledger', () => ({ updateMemberBalance: jest.fn() }));
+
+const { isDraftContribution, reverseContribution } = require('../utils/reversals');
+
+// A connection whose ledger shows nothing credited for the contribution
+const useConnection = () => ({
+  execute: jest.fn(async (sql) => {
+    if (sql.includes('FROM contribution_ledger')) {
+      return [[{ credited: '0' }]];
+    }
+    return [{ insertId: 7, affectedRows: 1 }];
+  })
+});
+
+const contribution = (status) => ({
+  id: 3,
+  chama_id: 1,
+  member_id: 20,
+  cycle_id: 4,
+  amount: '500.00',
+  status,
+  notes: null
+});
+
+const cycleUpdates = (connection) =>
+  connection.execute.mock.calls.filter(call => call[0].includes('UPDATE contribution_cycles'));
+
+describe('reversals.isDraftContribution', () => {
+  it('treats a pending zero-amount row with no payment date as a draft', () => {
+    expect(isDraftContribution({ status: 'pending', amount: '0.00', payment_date: null })).toBe(true);
+  });
+
+  it('does not treat a pending row with money on it as a draft', () => {
+    expect(isDraftContribution({ status: 'pending', amount: '500.00', payment_date: null })).toBe(false);
+  });
+
+  it('does not treat a zero-amount row with a payment date as a draft', () => {
+    expect(isDraftContribution({ status: 'pending', amount: '0.00', payment_date: '2024-03-01' })).toBe(false);
+  });
+
+  it('does not treat paid or cancelled rows as drafts', () => {
+    expect(isDraftContribution({ status: 'paid', amount: '0.00', payment_date: null })).toBe(false);
+    expect(isDraftContribution({ status: 'cancelled', amount: '0.00', payment_date: null })).toBe(false);
+  });
+});
+
+describe('reversals.reverseContribution', () => {
+  it('takes a paid or partial amount back out of the cycle total', async () => {
+    for (const status of ['paid', 'partial']) {
+      const connection = useConnection();
+
+      await reverseContribution(connection, contribution(status), 'Entered twice', 99);
+
+      expect(cycleUpdates(connection).map(call => call[1])).toEqual([[500, 4]]);
+    }
+  });
+
+  it('leaves the cycle total alone for amounts it never counted', async () => {
+    for (const status of ['pending', 'late']) {
+      const connection = useConnection();
+
+      await reverseContribution(connection, contribution(status), 'Entered twice', 99);
+
+      expect(cycleUpdates(connection)).toEqual([]);
+    }
+  });
+});
@@ -0,0 +1,266 @@
+// utils/approvals.js
+const db = require('../config/database');
+const { getSetting, getSettings, validateSettings, saveSettings } = require('./chamaSettings');
+const {
+  applyContributionUpdate,
+  applyContributionStatus,
+  applyBalanceAdjustment,
+  applyPayoutStatus,
+  applyPayoutCreation
+} = require('./financialEdits');
+const { disbursePayout } = require('./mpesaDisbursements');
+const { assignOfficer } = require('./payoutSignatures');
+
+const createApprovalRequestsTable = `
+CREATE TABLE IF NOT EXISTS approval_requests (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  chama_id INT NOT NULL,
+  action VARCHAR(50) NOT NULL,
+  target_type VARCHAR(50) NOT NULL,
+  target_id INT NOT NULL,
+  member_id INT NULL,
+  payload JSON NOT NULL,
+  summary VARCHAR(500) NOT NULL,
+  status ENUM('pending', 'approved', 'rejected', 'failed') DEFAULT 'pending',
+  requested_by INT NOT NULL,
+  reviewed_by INT NULL,
+  review_notes VARCHAR(500) NULL,
+  reviewed_at TIMESTAMP NULL,
+  result JSON NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (chama_id) REFERENCES chamas(id) ON DELETE CASCADE,
+  FOREIGN KEY (requested_by) REFERENCES users(id),
+  INDEX idx_chama_status (chama_id, status),
+  INDEX idx_target (target_type, target_id)
+);
+`;
+
+// Edits that can be held for approval, and how to apply each one
+const ACTIONS = {
+  update_contribution: {
+    targetType: 'contribution',
+    apply: (request, userId) =>
+      applyContributionUpdate(request.target_id, request.payload, userId)
+  },
+  update_contribution_status: {
+    targetType: 'contribution',
+    apply: (request, userId) =>
+      applyContributionStatus(request.target_id, request.payload.status, userId)
+  },
+  adjust_balance: {
+    targetType: 'member',
+    apply: (request, userId) =>
+      applyBalanceAdjustment(request.target_id, request.payload.amount, request.payload.reason, userId)
+  },
+  update_payout_status: {
+    targetType: 'payout',
+    apply: (request, userId) =>
+      applyPayoutStatus(request.target_id, request.payload.status, userId)
+  },
+  disburse_payout: {
+    targetType: 'payout',
+    apply: (request, userId) =>
+      disbursePayout(request.target_id, userId)
+  },
+  update_settings: {
+    targetType: 'chama',
+    apply: async (request, userId) => {
+      const errors = validateSettings(request.payload.settings, await getSettings(request.target_id));
+
+      if (errors.length > 0) {
+        return { success: false, status: 400, message: errors.join('; ') };
+      }
+
+      return {
+        success: true,
+        data: await saveSettings(request.target_id, request.payload.settings, userId)
+      };
+    }
+  },
+  assign_officer: {
+    targetType: 'chama',
+    apply: (request, userId) =>
+      assignOfficer(request.target_id, request.payload.office, request.payload.member_id, userId)
+  },
+  override_payout: {
+    targetType: 'member',
+    apply: (request, userId) =>
+      applyPayoutCreation(request.payload.payout, userId, {
+        reason: request.payload.reason,
+        requestedBy: request.requested_by,
+        approvalRequestId: request.id
+      })
+  }
+};
+
+const parsePayload = (request) => ({
+  ...request,
+  payload: typeof request.payload === 'string' ? JSON.parse(request.payload) : request.payload,
+  result: typeof request.result === 'string' ? JSON.parse(request.result) : request.result
+});
+
+class ApprovalService {
+  /**
+   * Create the tables used for approval requests
+   */
+  async initializeTables() {
+    try {
+      await db.execute(createApprovalRequestsTable);
+      console.log('✅ Approval requests table created/verified');
+    } catch (error) {
+      console.error('❌ Failed to create approval requests table:', error);
+    }
+  }
+
+  /**
+   * Whether the chama requires a second officer for financial edits
+   */
+  async isRequired(chamaId) {
+    return (await getSetting(chamaId, 'four_eyes_enabled')) === true;
+  }
+
+  /**
+   * Store an edit as a pending request instead of applying it
+   */
+  async createRequest({ chamaId, action, targetId, memberId = null, payload, summary, userId }) {
+    const definition = ACTIONS[action];
+
+    if (!definition) {
+      throw new Error(`Unknown approval action: ${action}`);
+    }
+
+    const [result] = await db.execute(
+      `INSERT INTO approval_requests
+       (chama_id, action, target_type, target_id, member_id, payload, summary, requested_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [chamaId, action, definition.targetType, targetId, memberId, JSON.stringify(payload), summary, userId]
+    );
+
+    return this.getRequest(result.insertId);
+  }
+
+  /**
+   * Load a request with requester and reviewer names
+   */
+  async getRequest(requestId) {
+    const [requests] = await db.execute(
+      `SELECT ar.*, ru.name as requested_by_name, vu.name as reviewed_by_name,
+              mu.name as member_name, mu.id as member_user_id
+       FROM approval_requests ar
+       JOIN users ru ON ar.requested_by = ru.id
+       LEFT JOIN users vu ON ar.reviewed_by = vu.id
+       LEFT JOIN members m ON ar.member_id = m.id
+       LEFT JOIN users mu ON m.user_id = mu.id
+       WHERE ar.id = ?`,
+      [requestId]
+    );
+
+    return requests.length > 0 ? parsePayload(requests[0]) : null;
+  }
+
+  /**
+   * List requests for a chama, newest first
+   */
+  async listRequests(chamaId, status = null) {
+    let query = `
+      SELECT ar.*, ru.name as requested_by_name, vu.name as reviewed_by_name,
+             mu.name as member_name
+      FROM approval_requests ar
+      JOIN users ru ON ar.requested_by = ru.id
+      LEFT JOIN users vu ON ar.reviewed_by = vu.id
+      LEFT JOIN members m ON ar.member_id = m.id
+      LEFT JOIN users mu ON m.user_id = mu.id
+      WHERE ar.chama_id = ?
+    `;
+    const params = [chamaId];
+
+    if (status) {
+      query += ' AND ar.status = ?';
+      params.push(status);
+    }
+
+    query += ' ORDER BY ar.created_at DESC';
+
+    const [requests] = await db.execute(query, params);
+    return requests.map(parsePayload);
+  }
+
+  /**
+   * Approve a pending request and apply the edit it holds.
+   * Returns { success, status, message } when the request cannot be approved.
+   */
+  async approve(requestId, userId, notes = null) {
+    const request = await this.getRequest(requestId);
+
+    if (!request) {
+      return { success: false, status: 404, message: 'Approval request not found' };
+    }
+
+    if (request.requested_by === userId) {
+      return { success: false, status: 403, message: 'A request must be approved by a different officer' };
+    }
+
+    // Claim the request so it can only be applied once
+    const [claim] = await db.execute(
+      `UPDATE approval_requests
+       SET status = 'approved', reviewed_by = ?, review_notes = ?, reviewed_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'pending'`,
+      [userId, notes, requestId]
+    );
+
+    if (claim.affectedRows === 0) {
+      return { success: false, status: 400, message: `Request is already ${request.status}` };
+    }
+
+    let outcome;
+    try {
+      outcome = await ACTIONS[request.action].apply(request, userId);
+    } catch (error) {
+      outcome = { success: false, status: 500, message: error.message };
+    }
+
+    await db.execute(
+      'UPDATE approval_requests SET status = ?, result = ? WHERE id = ?',
+      [
+        outcome.success ? 'approved' : 'failed',
+        JSON.stringify(outcome.success ? outcome.data : { message: outcome.message }),
+        requestId
+      ]
+    );
+
+    return {
+      ...outcome,
+      request: await this.getRequest(requestId)
+    };
+  }
+
+  /**
+   * Reject a pending request without applying it
+   */
+  async reject(requestId, userId, reason) {
+    const request = await this.getRequest(requestId);
+
+    if (!request) {
+      return { success: false, status: 404, message: 'Approval request not found' };
+    }
+
+    if (request.requested_by === userId) {
+      return { success: false, status: 403, message: 'A request must be reviewed by a different officer' };
+    }
+
+    const [result] = await db.execute(
+      `UPDATE approval_requests
+       SET status = 'rejected', reviewed_by = ?, review_notes = ?, reviewed_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'pending'`,
+      [userId, reason, requestId]
+    );
+
+    if (result.affectedRows === 0) {
+      return { success: false, status: 400, message: `Request is already ${request.status}` };
+    }
+
+    return { success: true, request: await this.getRequest(requestId) };
+  }
+}
+
+module.exports = new ApprovalService();
@@ -0,0 +1,615 @@
+// utils/biddingRounds.js
+const db = require('../config/database');
+const { updateMemberBalance } = require('./ledger');
+const { REFUND_PAYOUT_FILTER } = require('./memberWallet');
+const { LOAN_PAYOUT_FILTER } = require('./loans');
+const netting = require('./payoutNetting');
+const { checkEligibility, evaluatePayout } = require('./payoutEligibility');
+
+// Auction-style rotation: instead of a fixed order, an admin opens a round
+// for a cycle and members bid the discount they will take off the pot. When
+// the round closes the winner gets a payout of the pot minus their bid, and
+// the discount is shared out to the other members' balances.
+const createBiddingRoundsTable = `
+CREATE TABLE IF NOT EXISTS bidding_rounds (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  chama_id INT NOT NULL,
+  cycle_id INT NOT NULL,
+  pot_amount DECIMAL(10, 2) NOT NULL,
+  status ENUM('open', 'closed', 'cancelled', 'voided') NOT NULL DEFAULT 'open',
+  closes_at DATETIME NULL,
+  notes VARCHAR(500) NULL,
+  opened_by INT NOT NULL,
+  winning_bid_id INT NULL,
+  winner_member_id INT NULL,
+  discount_amount DECIMAL(10, 2) NULL,
+  payout_amount DECIMAL(10, 2) NULL,
+  payout_id INT NULL UNIQUE,
+  closed_by INT NULL,
+  closed_at TIMESTAMP NULL,
+  cancel_reason VARCHAR(500) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (chama_id) REFERENCES chamas(id) ON DELETE CASCADE,
+  FOREIGN KEY (opened_by) REFERENCES users(id),
+  INDEX idx_chama_status (chama_id, status),
+  INDEX idx_cycle (cycle_id)
+);
+`;
+
+const createBiddingBidsTable = `
+CREATE TABLE IF NOT EXISTS bidding_bids (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  round_id INT NOT NULL,
+  member_id INT NOT NULL,
+  discount_amount DECIMAL(10, 2) NOT NULL,
+  placed_by INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (round_id) REFERENCES bidding_rounds(id) ON DELETE CASCADE,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_round_member (round_id, member_id)
+);
+`;
+
+const createBiddingDividendsTable = `
+CREATE TABLE IF NOT EXISTS bidding_dividends (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  round_id INT NOT NULL,
+  member_id INT NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  reversed_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (round_id) REFERENCES bidding_rounds(id) ON DELETE CASCADE,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_round_member (round_id, member_id)
+);
+`;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Create the tables used for bidding rounds
+ */
+const initializeBiddingTables = async () => {
+  try {
+    await db.execute(createBiddingRoundsTable);
+    await db.execute(createBiddingBidsTable);
+    await db.execute(createBiddingDividendsTable);
+    console.log('✅ Bidding round tables created/verified');
+  } catch (error) {
+    console.error('❌ Failed to create bidding round tables:', error);
+  }
+};
+
+/**
+ * Active members who may bid: those with the fewest rotation payouts so
+ * far, so nobody wins a second pot before everyone has had one
+ */
+const getEligibleBidders = async (chamaId, executor = db) => {
+  const [members] = await executor.execute(
+    `SELECT m.id as member_id, u.name, m.user_id,
+            COUNT(p.id) as payouts_received
+     FROM members m
+     JOIN users u ON m.user_id = u.id
+     LEFT JOIN payouts p ON p.member_id = m.id AND p.status != 'cancelled'
+       AND ${REFUND_PAYOUT_FILTER} AND ${LOAN_PAYOUT_FILTER}
+     WHERE m.chama_id = ? AND m.status = 'active'
+     GROUP BY m.id, u.name, m.user_id
+     ORDER BY m.joined_at ASC, m.id ASC`,
+    [chamaId]
+  );
+
+  const fewest = Math.min(...members.map(member => parseInt(member.payouts_received)));
+  return members.filter(member => parseInt(member.payouts_received) === fewest);
+};
+
+/**
+ * A round with its cycle, winner and bids (lowest discount first), or null
+ */
+const getRound = async (roundId, executor = db) => {
+  const [rounds] = await executor.execute(
+    `SELECT br.*, cc.cycle_number, wu.name as winner_name,
+            ou.name as opened_by_name, p.status as payout_status
+     FROM bidding_rounds br
+     JOIN contribution_cycles cc ON br.cycle_id = cc.id
+     LEFT JOIN members wm ON br.winner_member_id = wm.id
+     LEFT JOIN users wu ON wm.user_id = wu.id
+     LEFT JOIN users ou ON br.opened_by = ou.id
+     LEFT JOIN payouts p ON br.payout_id = p.id
+     WHERE br.id = ?`,
+    [roundId]
+  );
+
+  if (rounds.length === 0) {
+    return null;
+  }
+
+  const [bids] = await executor.execute(
+    `SELECT b.*, u.name as member_name, m.user_id as member_user_id
+     FROM bidding_bids b
+     JOIN members m ON b.member_id = m.id
+     JOIN users u ON m.user_id = u.id
+     WHERE b.round_id = ?
+     ORDER BY b.discount_amount ASC, b.updated_at ASC, b.id ASC`,
+    [roundId]
+  );
+
+  return { ...rounds[0], bids };
+};
+
+/**
+ * A chama's rounds, newest first
+ */
+const listRounds = async (chamaId, status = null) => {
+  const [rounds] = await db.execute(
+    `SELECT br.*, cc.cycle_number, wu.name as winner_name,
+            (SELECT COUNT(*) FROM bidding_bids b WHERE b.round_id = br.id) as bid_count
+     FROM bidding_rounds br
+     JOIN contribution_cycles cc ON br.cycle_id = cc.id
+     LEFT JOIN members wm ON br.winner_member_id = wm.id
+     LEFT JOIN users wu ON wm.user_id = wu.id
+     WHERE br.chama_id = ? ${status ? 'AND br.status = ?' : ''}
+     ORDER BY br.created_at DESC
+     LIMIT 100`,
+    status ? [chamaId, status] : [chamaId]
+  );
+
+  return rounds.map(round => ({ ...round, bid_count: parseInt(round.bid_count) }));
+};
+
+/**
+ * The open round on a cycle, if there is one
+ */
+const findOpenRound = async (cycleId, executor = db) => {
+  const [rounds] = await executor.execute(
+    "SELECT id FROM bidding_rounds WHERE cycle_id = ? AND status = 'open'",
+    [cycleId]
+  );
+  return rounds[0] || null;
+};
+
+/**
+ * Open bidding on the chama's active cycle. The pot defaults to what every
+ * active member owes on the cycle's required types.
+ *
+ * Returns { success: false, status, message } when a round cannot be opened.
+ */
+const openRound = async (chamaId, { potAmount = null, closesAt = null, notes = null, userId }) => {
+  const [cycles] = await db.execute(
+    `SELECT id, cycle_number FROM contribution_cycles
+     WHERE chama_id = ? AND status = 'active'
+     ORDER BY cycle_number DESC
+     LIMIT 1`,
+    [chamaId]
+  );
+
+  if (cycles.length === 0) {
+    return { success: false, status: 400, message: 'No active contribution cycle found' };
+  }
+
+  const cycle = cycles[0];
+
+  // A fixed rotation and an auction cannot both decide who is paid
+  const [schedules] = await db.execute(
+    "SELECT id FROM rotation_schedules WHERE chama_id = ? AND status = 'active'",
+    [chamaId]
+  );
+
+  if (schedules.length > 0) {
+    return {
+      success: false,
+      status: 400,
+      message: 'This chama pays out by rotation schedule; bidding is not available while the schedule is active'
+    };
+  }
+
+  const [existing] = await db.execute(
+    `SELECT id, status FROM bidding_rounds
+     WHERE cycle_id = ? AND status IN ('open', 'closed')`,
+    [cycle.id]
+  );
+
+  if (existing.length > 0) {
+    return {
+      success: false,
+      status: 400,
+      message: `Cycle ${cycle.cycle_number} already has ${existing[0].status} bidding round #${existing[0].id}`
+    };
+  }
+
+  let pot = potAmount !== null && potAmount !== undefined ? parseFloat(potAmount) : null;
+
+  if (pot === null) {
+    const [expected] = await db.execute(
+      `SELECT
+         (SELECT COALESCE(SUM(ct.amount), 0)
+          FROM cycle_types ct
+          JOIN contribution_types t ON ct.type_id = t.id
+          WHERE ct.cycle_id = ? AND t.is_required) as per_member,
+         (SELECT COUNT(*) FROM members WHERE chama_id = ? AND status = 'active') as member_count`,
+      [cycle.id, chamaId]
+    );
+    pot = roundMoney(parseFloat(expected[0].per_member) * parseInt(expected[0].member_count));
+  }
+
+  if (!(pot > 0)) {
+    return { success: false, status: 400, message: 'Pot amount must be greater than 0' };
+  }
+
+  const [result] = await db.execute(
+    `INSERT INTO bidding_rounds
+     (chama_id, cycle_id, pot_amount, closes_at, notes, opened_by)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [chamaId, cycle.id, pot, closesAt || null, notes || null, userId]
+  );
+
+  return { success: true, data: await getRound(result.insertId) };
+};
+
+/**
+ * Place or change a member's bid on an open round
+ */
+const placeBid = async (roundId, memberId, discountAmount, userId) => {
+  const round = await getRound(roundId);
+
+  if (!round) {
+    return { success: false, status: 404, message: 'Bidding round not found' };
+  }
+
+  if (round.status !== 'open') {
+    return { success: false, status: 400, message: `Bidding round is ${round.status}` };
+  }
+
+  if (round.closes_at && new Date(round.closes_at) <= new Date()) {
+    return { success: false, status: 400, message: 'Bidding on this round has closed' };
+  }
+
+  const eligible = await getEligibleBidders(round.chama_id);
+
+  if (!eligible.some(member => member.member_id === memberId)) {
+    return {
+      success: false,
+      status: 400,
+      message: 'Only members who have not yet had a payout this rotation can bid'
+    };
+  }
+
+  // Pool balance is checked when the round closes; the member rules apply now
+  const failures = await checkEligibility(round.chama_id, memberId);
+
+  if (failures.length > 0) {
+    return {
+      success: false,
+      status: 400,
+      message: `Not eligible for a payout: ${failures.map(failure => failure.message).join('; ')}`
+    };
+  }
+
+  const discount = roundMoney(parseFloat(discountAmount));
+
+  if (!(discount >= 0) || discount >= parseFloat(round.pot_amount)) {
+    return {
+      success: false,
+      status: 400,
+      message: `Discount must be at least 0 and less than the pot of ${round.pot_amount}`
+    };
+  }
+
+  await db.execute(
+    `INSERT INTO bidding_bids (round_id, member_id, discount_amount, placed_by)
+     VALUES (?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE discount_amount = VALUES(discount_amount), placed_by = VALUES(placed_by)`,
+    [round.id, memberId, discount, userId]
+  );
+
+  const [bids] = await db.execute(
+    'SELECT * FROM bidding_bids WHERE round_id = ? AND member_id = ?',
+    [round.id, memberId]
+  );
+
+  return { success: true, data: bids[0] };
+};
+
+/**
+ * Take a member's bid off an open round
+ */
+const withdrawBid = async (roundId, memberId) => {
+  const [result] = await db.execute(
+    `DELETE b FROM bidding_bids b
+     JOIN bidding_rounds br ON b.round_id = br.id
+     WHERE b.round_id = ? AND b.member_id = ? AND br.status = 'open'`,
+    [roundId, memberId]
+  );
+
+  if (result.affectedRows === 0) {
+    return { success: false, status: 400, message: 'No bid to withdraw on an open round' };
+  }
+
+  return { success: true };
+};
+
+/**
+ * Split a discount evenly across members, giving any leftover cents to the
+ * first members in the list
+ */
+const splitDiscount = (discount, memberIds) => {
+  const cents = Math.round(discount * 100);
+  const base = Math.floor(cents / memberIds.length);
+  let remainder = cents - base * memberIds.length;
+
+  return memberIds.map(memberId => {
+    const share = base + (remainder > 0 ? 1 : 0);
+    remainder--;
+    return { memberId, amount: share / 100 };
+  });
+};
+
+/**
+ * Close a round: the lowest discount wins (earliest bid on a tie), a
+ * pending payout of the pot minus the discount is created for the winner
+ * and the discount is credited to every other active member's balance.
+ */
+const closeRound = async (roundId, userId) => {
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [rounds] = await connection.execute(
+      `SELECT br.*, cc.cycle_number FROM bidding_rounds br
+       JOIN contribution_cycles cc ON br.cycle_id = cc.id
+       WHERE br.id = ? FOR UPDATE`,
+      [roundId]
+    );
+
+    if (rounds.length === 0) {
+      await connection.rollback();
+      return { success: false, status: 404, message: 'Bidding round not found' };
+    }
+
+    const round = rounds[0];
+
+    if (round.status !== 'open') {
+      await connection.rollback();
+      return { success: false, status: 400, message: `Bidding round is already ${round.status}` };
+    }
+
+    const [bids] = await connection.execute(
+      `SELECT * FROM bidding_bids
+       WHERE round_id = ?
+       ORDER BY discount_amount ASC, updated_at ASC, id ASC`,
+      [round.id]
+    );
+
+    if (bids.length === 0) {
+      await connection.rollback();
+      return { success: false, status: 400, message: 'No bids have been placed; cancel the round instead' };
+    }
+
+    const winningBid = bids[0];
+    const discount = parseFloat(winningBid.discount_amount);
+    const payoutAmount = roundMoney(parseFloat(round.pot_amount) - discount);
+
+    // The winner's arrears and fines come out of their prize when the chama nets payouts
+    const nettingPlan = await netting.shouldNet(round.chama_id, null, connection)
+      ? await netting.planDeductions(connection, {
+        chamaId: round.chama_id,
+        memberId: winningBid.member_id,
+        grossAmount: payoutAmount
+      })
+      : null;
+    const netAmount = nettingPlan ? nettingPlan.net_amount : payoutAmount;
+
+    // Same eligibility rules and pool guard as a payout made by hand
+    const evaluation = await evaluatePayout(connection, {
+      chamaId: round.chama_id,
+      memberId: winningBid.member_id,
+      amount: netAmount,
+      nettingPlan
+    });
+
+    if (!evaluation.eligible) {
+      await connection.rollback();
+      return {
+        success: false,
+        status: 400,
+        message: `Winning bid cannot be paid: ${evaluation.failures.map(failure => failure.message).join('; ')}`,
+        failures: evaluation.failures
+      };
+    }
+
+    const [payoutResult] = await connection.execute(
+      `INSERT INTO payouts
+       (chama_id, member_id, cycle_id, amount, payout_date, status, notes)
+       VALUES (?, ?, ?, ?, ?, 'pending', ?)`,
+      [
+        round.chama_id,
+        winningBid.member_id,
+        round.cycle_id,
+        netAmount,
+        new Date().toISOString().split('T')[0],
+        `Bidding round #${round.id}: pot ${round.pot_amount} less discount ${discount}`
+      ]
+    );
+
+    if (nettingPlan) {
+      await netting.recordNetting(connection, payoutResult.insertId, nettingPlan, {
+        chamaId: round.chama_id,
+        memberId: winningBid.member_id,
+        userId
+      });
+    }
+
+    await connection.execute(
+      `INSERT INTO transactions
+       (chama_id, transaction_type, amount, description, created_by)
+       VALUES (?, 'payout', ?, ?, ?)`,
+      [
+        round.chama_id,
+        netAmount,
+        `Payout created for member ID: ${winningBid.member_id} (bidding round #${round.id})`,
+        userId
+      ]
+    );
+
+    const [others] = await connection.execute(
+      `SELECT id FROM members
+       WHERE chama_id = ? AND status = 'active' AND id != ?
+       ORDER BY joined_at ASC, id ASC`,
+      [round.chama_id, winningBid.member_id]
+    );
+
+    const dividends = discount > 0 && others.length > 0
+      ? splitDiscount(discount, others.map(member => member.id)).filter(share => share.amount > 0)
+      : [];
+
+    for (const share of dividends) {
+      await updateMemberBalance(
+        share.memberId,
+        share.amount,
+        `Bidding dividend from round #${round.id} (cycle ${round.cycle_number})`,
+        userId,
+        round.cycle_id,
+        null,
+        'bid_dividend',
+        connection
+      );
+
+      await connection.execute(
+        'INSERT INTO bidding_dividends (round_id, member_id, amount) VALUES (?, ?, ?)',
+        [round.id, share.memberId, share.amount]
+      );
+    }
+
+    await connection.execute(
+      `UPDATE bidding_rounds
+       SET status = 'closed', winning_bid_id = ?, winner_member_id = ?, discount_amount = ?,
+           payout_amount = ?, payout_id = ?, closed_by = ?, closed_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [winningBid.id, winningBid.member_id, discount, payoutAmount, payoutResult.insertId, userId, round.id]
+    );
+
+    await connection.commit();
+
+    return {
+      success: true,
+      data: {
+        round: await getRound(round.id),
+        dividends,
+        netting: nettingPlan
+      }
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Call off an open round without a winner
+ */
+const cancelRound = async (roundId, reason, userId) => {
+  const [result] = await db.execute(
+    `UPDATE bidding_rounds
+     SET status = 'cancelled', cancel_reason = ?, closed_by = ?, closed_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'open'`,
+    [reason, userId, roundId]
+  );
+
+  if (result.affectedRows === 0) {
+    return { success: false, status: 400, message: 'Only open bidding rounds can be cancelled' };
+  }
+
+  return { success: true, data: await getRound(roundId) };
+};
+
+/**
+ * Follow a round's payout: if the winner's payout is called off, take the
+ * dividends back off the other members and void the round so the cycle can
+ * be bid on again. Does nothing for payouts that did not come from a round.
+ *
+ * Pass a connection as executor to run inside the caller's transaction.
+ */
+const settleRoundPayout = async (payoutId, status, userId, executor = db) => {
+  if (status === 'pending' || status === 'paid') {
+    return null;
+  }
+
+  const [rounds] = await executor.execute(
+    "SELECT id, cycle_id FROM bidding_rounds WHERE payout_id = ? AND status = 'closed'",
+    [payoutId]
+  );
+
+  if (rounds.length === 0) {
+    return null;
+  }
+
+  const round = rounds[0];
+
+  const [dividends] = await executor.execute(
+    'SELECT * FROM bidding_dividends WHERE round_id = ? AND reversed_at IS NULL',
+    [round.id]
+  );
+
+  for (const dividend of dividends) {
+    await updateMemberBalance(
+      dividend.member_id,
+      -parseFloat(dividend.amount),
+      `Bidding dividend from round #${round.id} reversed; payout ${status}`,
+      userId,
+      round.cycle_id,
+      null,
+      'bid_dividend',
+      executor === db ? null : executor
+    );
+  }
+
+  await executor.execute(
+    'UPDATE bidding_dividends SET reversed_at = CURRENT_TIMESTAMP WHERE round_id = ? AND reversed_at IS NULL',
+    [round.id]
+  );
+
+  await executor.execute(
+    "UPDATE bidding_rounds SET status = 'voided', cancel_reason = ? WHERE id = ?",
+    [`Payout ${status}`, round.id]
+  );
+
+  return 'voided';
+};
+
+/**
+ * Dividends a member has received from other members' winning bids
+ */
+const getMemberDividends = async (memberId) => {
+  const [dividends] = await db.execute(
+    `SELECT bd.*, br.cycle_id, cc.cycle_number, br.discount_amount, wu.name as winner_name
+     FROM bidding_dividends bd
+     JOIN bidding_rounds br ON bd.round_id = br.id
+     JOIN contribution_cycles cc ON br.cycle_id = cc.id
+     LEFT JOIN members wm ON br.winner_member_id = wm.id
+     LEFT JOIN users wu ON wm.user_id = wu.id
+     WHERE bd.member_id = ?
+     ORDER BY bd.created_at DESC`,
+    [memberId]
+  );
+  return dividends;
+};
+
+module.exports = {
+  initializeBiddingTables,
+  getEligibleBidders,
+  getRound,
+  listRounds,
+  findOpenRound,
+  openRound,
+  placeBid,
+  withdrawBid,
+  splitDiscount,
+  closeRound,
+  cancelRound,
+  settleRoundPayout,
+  getMemberDividends
+};
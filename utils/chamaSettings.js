@@ -0,0 +1,242 @@
+// utils/chamaSettings.js
+const db = require('../config/database');
+
+const createChamaSettingsTable = `
+CREATE TABLE IF NOT EXISTS chama_settings (
+  chama_id INT NOT NULL,
+  setting_key VARCHAR(100) NOT NULL,
+  setting_value TEXT NOT NULL,
+  updated_by INT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (chama_id, setting_key),
+  FOREIGN KEY (chama_id) REFERENCES chamas(id) ON DELETE CASCADE
+);
+`;
+
+// Known settings with their defaults and accepted values. Control settings
+// guard money leaving the chama, so changing them needs a second officer
+// while four-eyes mode is on.
+const SETTING_DEFINITIONS = {
+  allocation_policy: {
+    default: 'current_first',
+    options: ['oldest_first', 'fines_first', 'current_first', 'pro_rata'],
+    description: 'How payments are split across outstanding cycles, types and fines'
+  },
+  four_eyes_enabled: {
+    default: false,
+    type: 'boolean',
+    control: true,
+    description: 'Require a second officer to approve financial edits before they take effect'
+  },
+  payout_netting: {
+    default: false,
+    type: 'boolean',
+    description: "Deduct a member's arrears, fines and overdue loan installments from their payouts unless the payout says otherwise"
+  },
+  payout_min_membership_months: {
+    default: 0,
+    type: 'number',
+    description: 'Months a member must have belonged to the chama before receiving a payout'
+  },
+  payout_require_no_arrears: {
+    default: false,
+    type: 'boolean',
+    description: 'Only pay members with no unpaid contributions from past cycles, after any netting'
+  },
+  payout_block_loan_default: {
+    default: true,
+    type: 'boolean',
+    control: true,
+    description: 'Refuse payouts to members with a loan in default'
+  },
+  payout_reserve_amount: {
+    default: 0,
+    type: 'number',
+    control: true,
+    description: 'Funds held back from the payout pool'
+  },
+  payout_signature_threshold: {
+    default: 0,
+    type: 'number',
+    control: true,
+    description: 'Payouts above this amount need officer signatures before release. 0 turns signatures off.'
+  },
+  payout_signature_roles: {
+    default: ['chairperson', 'treasurer', 'secretary'],
+    type: 'list',
+    options: ['chairperson', 'treasurer', 'secretary'],
+    control: true,
+    description: 'Offices that sign payouts above the signature threshold'
+  },
+  payout_signature_quorum: {
+    default: 3,
+    type: 'number',
+    integer: true,
+    control: true,
+    description: 'How many of the signing offices must sign before a payout is released'
+  },
+  loan_penalty_rate: {
+    default: 0,
+    type: 'number',
+    description: 'Penalty charged on overdue loan installments, as a percentage of the overdue amount per month'
+  },
+  loan_default_days: {
+    default: 90,
+    type: 'number',
+    description: 'Days an installment can stay overdue before its loan is marked in default'
+  },
+  loan_guarantor_coverage: {
+    default: 0,
+    type: 'number',
+    control: true,
+    description: 'Percentage of a loan that accepted guarantees must cover before it is approved. 0 means no guarantors are needed.'
+  },
+  loan_guarantee_multiple: {
+    default: 1,
+    type: 'number',
+    description: 'Members can guarantee loans up to this multiple of their savings'
+  },
+  paybill_number: {
+    default: '',
+    type: 'string',
+    description: 'M-Pesa paybill members pay into, when the chama has its own. Unmatched paybill payments are queued for this chama.'
+  }
+};
+
+/**
+ * Check a value against a setting definition.
+ * Returns an error message, or null when the value is valid.
+ */
+const validateSetting = (key, value) => {
+  const definition = SETTING_DEFINITIONS[key];
+
+  if (!definition) {
+    return `Unknown setting: ${key}`;
+  }
+
+  if (definition.type === 'list') {
+    if (!Array.isArray(value) || value.length === 0 || !value.every(item => definition.options.includes(item))) {
+      return `${key} must be a list drawn from: ${definition.options.join(', ')}`;
+    }
+    return null;
+  }
+
+  if (definition.options && !definition.options.includes(value)) {
+    return `${key} must be one of: ${definition.options.join(', ')}`;
+  }
+
+  if (definition.type === 'boolean' && typeof value !== 'boolean') {
+    return `${key} must be true or false`;
+  }
+
+  if (definition.type === 'string' && (typeof value !== 'string' || value.length > 50)) {
+    return `${key} must be text of at most 50 characters`;
+  }
+
+  if (definition.type === 'number' && (typeof value !== 'number' || Number.isNaN(value) || value < 0)) {
+    return `${key} must be a number of zero or more`;
+  }
+
+  if (definition.integer && (!Number.isInteger(value) || value < 1)) {
+    return `${key} must be a whole number of at least 1`;
+  }
+
+  return null;
+};
+
+/**
+ * Check a set of changes, including rules that span settings, against
+ * the chama's current settings. Returns a list of error messages.
+ */
+const validateSettings = (values, current = {}) => {
+  const errors = Object.entries(values)
+    .map(([key, value]) => validateSetting(key, value))
+    .filter(Boolean);
+
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const merged = { ...current, ...values };
+  const roles = merged.payout_signature_roles || SETTING_DEFINITIONS.payout_signature_roles.default;
+  const quorum = merged.payout_signature_quorum ?? SETTING_DEFINITIONS.payout_signature_quorum.default;
+
+  if (('payout_signature_quorum' in values || 'payout_signature_roles' in values) && quorum > roles.length) {
+    errors.push(`payout_signature_quorum must be a whole number from 1 to ${roles.length}, the number of signing roles`);
+  }
+
+  return errors;
+};
+
+/**
+ * Create the tables used for chama settings
+ */
+const initializeSettingsTables = async () => {
+  try {
+    await db.execute(createChamaSettingsTable);
+    console.log('✅ Chama settings table created/verified');
+  } catch (error) {
+    console.error('❌ Failed to create chama settings table:', error);
+  }
+};
+
+/**
+ * Get all settings for a chama, with defaults filled in
+ */
+const getSettings = async (chamaId, executor = db) => {
+  const settings = {};
+  for (const [key, definition] of Object.entries(SETTING_DEFINITIONS)) {
+    settings[key] = definition.default;
+  }
+
+  try {
+    const [rows] = await executor.execute(
+      'SELECT setting_key, setting_value FROM chama_settings WHERE chama_id = ?',
+      [chamaId]
+    );
+
+    for (const row of rows) {
+      if (SETTING_DEFINITIONS[row.setting_key]) {
+        settings[row.setting_key] = JSON.parse(row.setting_value);
+      }
+    }
+  } catch (error) {
+    console.log('Chama settings table might not exist, using defaults');
+  }
+
+  return settings;
+};
+
+/**
+ * Get a single setting for a chama
+ */
+const getSetting = async (chamaId, key, executor = db) => {
+  const settings = await getSettings(chamaId, executor);
+  return settings[key];
+};
+
+/**
+ * Save settings for a chama. Values must already be validated.
+ */
+const saveSettings = async (chamaId, values, userId) => {
+  for (const [key, value] of Object.entries(values)) {
+    await db.execute(
+      `INSERT INTO chama_settings (chama_id, setting_key, setting_value, updated_by)
+       VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value), updated_by = VALUES(updated_by)`,
+      [chamaId, key, JSON.stringify(value), userId]
+    );
+  }
+
+  return getSettings(chamaId);
+};
+
+module.exports = {
+  SETTING_DEFINITIONS,
+  validateSetting,
+  validateSettings,
+  initializeSettingsTables,
+  getSettings,
+  getSetting,
+  saveSettings
+};
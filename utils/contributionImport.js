@@ -0,0 +1,302 @@
+// utils/contributionImport.js
+const { validationResult } = require('express-validator');
+const db = require('../config/database');
+const { readSpreadsheet } = require('./spreadsheet');
+const { normalizePhone } = require('./phone');
+const { validateBulkContributions } = require('../validators/contributionValidators');
+
+// Largest sheet accepted in one import
+const MAX_IMPORT_ROWS = 1000;
+
+const createContributionImportsTable = `
+CREATE TABLE IF NOT EXISTS contribution_imports (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  chama_id INT NOT NULL,
+  file_name VARCHAR(255) NOT NULL,
+  status ENUM('previewed', 'committed', 'cancelled') DEFAULT 'previewed',
+  rows_data JSON NOT NULL,
+  total_rows INT NOT NULL DEFAULT 0,
+  valid_rows INT NOT NULL DEFAULT 0,
+  invalid_rows INT NOT NULL DEFAULT 0,
+  total_amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  notes VARCHAR(500) NULL,
+  result JSON NULL,
+  created_by INT NOT NULL,
+  committed_by INT NULL,
+  committed_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (chama_id) REFERENCES chamas(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id),
+  INDEX idx_chama_status (chama_id, status)
+);
+`;
+
+// Accepted spellings for each column, compared after normalizeLabel
+const COLUMN_ALIASES = {
+  phone: ['phone', 'phonenumber', 'phoneno', 'mobile', 'msisdn'],
+  memberNumber: ['membernumber', 'memberno', 'memberid', 'member'],
+  amount: ['amount', 'amountpaid', 'contribution'],
+  paymentMethod: ['paymentmethod', 'method'],
+  paymentReference: ['paymentreference', 'reference', 'ref', 'receipt', 'receiptno', 'transactionid'],
+  notes: ['notes', 'note', 'comment', 'comments']
+};
+
+const normalizeLabel = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Spreadsheet spellings of payment methods, e.g. "M-Pesa" or "Bank Transfer"
+const PAYMENT_METHODS = {
+  cash: 'cash',
+  mpesa: 'mpesa',
+  banktransfer: 'bank_transfer',
+  bank: 'bank_transfer',
+  cheque: 'cheque',
+  check: 'cheque',
+  other: 'other'
+};
+
+/**
+ * Create the tables used for spreadsheet imports
+ */
+const initializeImportTables = async () => {
+  try {
+    await db.execute(createContributionImportsTable);
+    console.log('✅ Contribution imports table created/verified');
+  } catch (error) {
+    console.error('❌ Failed to create contribution imports table:', error);
+  }
+};
+
+/**
+ * Parse an uploaded CSV or XLSX file into row objects keyed by column.
+ * Throws when the file has no usable header row.
+ */
+const parseSpreadsheet = async (file) => {
+  const table = await readSpreadsheet(file);
+
+  if (table.length === 0) {
+    throw new Error('The file is empty');
+  }
+
+  // Map header cells to known columns
+  const columns = table[0].map(header => {
+    const normalized = normalizeLabel(header);
+    return Object.keys(COLUMN_ALIASES)
+      .find(column => COLUMN_ALIASES[column].includes(normalized)) || null;
+  });
+
+  if (!columns.includes('amount')) {
+    throw new Error('The file must have an amount column');
+  }
+
+  if (!columns.includes('phone') && !columns.includes('memberNumber')) {
+    throw new Error('The file must have a phone or member number column');
+  }
+
+  const rows = [];
+  table.slice(1).forEach((cells, index) => {
+    if (cells.every(cell => String(cell || '').trim() === '')) return;
+
+    const row = { row: index + 2 };
+    columns.forEach((column, col) => {
+      const value = String(cells[col] || '').trim();
+      if (column && value !== '') {
+        row[column] = value;
+      }
+    });
+    rows.push(row);
+  });
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`The file has ${rows.length} rows; at most ${MAX_IMPORT_ROWS} can be imported at once`);
+  }
+
+  return rows;
+};
+
+/**
+ * Match rows to chama members and check them with the bulk contribution rules.
+ * Each returned row carries its memberId (when found) and a list of errors.
+ */
+const prepareImportRows = async (chamaId, rows) => {
+  const [members] = await db.execute(
+    `SELECT m.id, u.name, u.phone
+     FROM members m
+     JOIN users u ON m.user_id = u.id
+     WHERE m.chama_id = ?`,
+    [chamaId]
+  );
+
+  const byId = new Map(members.map(m => [String(m.id), m]));
+  const byPhone = new Map(members.map(m => [normalizePhone(m.phone), m]));
+
+  const prepared = rows.map(row => {
+    const errors = [];
+    let member = null;
+
+    if (row.memberNumber) {
+      member = byId.get(row.memberNumber.replace(/^0+/, ''));
+      if (!member) errors.push(`No member number ${row.memberNumber} in this chama`);
+    } else if (row.phone) {
+      member = byPhone.get(normalizePhone(row.phone));
+      if (!member) errors.push(`No member with phone ${row.phone} in this chama`);
+    } else {
+      errors.push('Phone or member number is required');
+    }
+
+    const contribution = {
+      memberId: member ? member.id : undefined,
+      amount: row.amount !== undefined ? row.amount.replace(/,/g, '') : undefined
+    };
+    if (row.paymentMethod) {
+      contribution.paymentMethod = PAYMENT_METHODS[normalizeLabel(row.paymentMethod)] || row.paymentMethod;
+    }
+    if (row.paymentReference) contribution.paymentReference = row.paymentReference;
+    if (row.notes) contribution.notes = row.notes;
+
+    return {
+      ...row,
+      ...contribution,
+      memberName: member ? member.name : null,
+      errors
+    };
+  });
+
+  // Run the same checks as POST /api/contributions/bulk
+  const req = {
+    body: {
+      chamaId,
+      contributions: prepared.map(({ memberId, amount, paymentMethod, paymentReference, notes }) =>
+        ({ memberId, amount, paymentMethod, paymentReference, notes }))
+    }
+  };
+
+  for (const rule of validateBulkContributions) {
+    await rule.run(req);
+  }
+
+  for (const error of validationResult(req).array()) {
+    const match = /^contributions\[(\d+)\]\.(\w+)$/.exec(error.path || '');
+    if (!match) continue;
+
+    const row = prepared[parseInt(match[1])];
+    // Unmatched members already have a clearer message
+    if (match[2] === 'memberId' && row.errors.length > 0) continue;
+    if (!row.errors.includes(error.msg)) row.errors.push(error.msg);
+  }
+
+  return prepared.map(row => ({
+    ...row,
+    amount: row.amount !== undefined && !Number.isNaN(parseFloat(row.amount)) ? parseFloat(row.amount) : row.amount,
+    status: row.errors.length > 0 ? 'invalid' : 'valid'
+  }));
+};
+
+const parseImport = (record) => ({
+  ...record,
+  rows_data: typeof record.rows_data === 'string' ? JSON.parse(record.rows_data) : record.rows_data,
+  result: typeof record.result === 'string' ? JSON.parse(record.result) : record.result
+});
+
+/**
+ * Store a previewed import so it can be confirmed later
+ */
+const createImport = async ({ chamaId, fileName, rows, notes, userId }) => {
+  const validRows = rows.filter(r => r.status === 'valid');
+  const totalAmount = validRows.reduce((sum, r) => sum + r.amount, 0);
+
+  const [result] = await db.execute(
+    `INSERT INTO contribution_imports
+     (chama_id, file_name, rows_data, total_rows, valid_rows, invalid_rows, total_amount, notes, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      chamaId,
+      fileName,
+      JSON.stringify(rows),
+      rows.length,
+      validRows.length,
+      rows.length - validRows.length,
+      totalAmount,
+      notes || null,
+      userId
+    ]
+  );
+
+  return getImport(result.insertId);
+};
+
+/**
+ * Load an import with the names of the officers involved
+ */
+const getImport = async (importId) => {
+  const [imports] = await db.execute(
+    `SELECT ci.*, cu.name as created_by_name, mu.name as committed_by_name
+     FROM contribution_imports ci
+     JOIN users cu ON ci.created_by = cu.id
+     LEFT JOIN users mu ON ci.committed_by = mu.id
+     WHERE ci.id = ?`,
+    [importId]
+  );
+
+  return imports.length > 0 ? parseImport(imports[0]) : null;
+};
+
+/**
+ * Mark a previewed import as committed so it can only be recorded once.
+ * Returns false when it was already committed or cancelled.
+ */
+const claimImport = async (importId, userId) => {
+  const [result] = await db.execute(
+    `UPDATE contribution_imports
+     SET status = 'committed', committed_by = ?, committed_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'previewed'`,
+    [userId, importId]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Put a claimed import back to previewed when nothing could be recorded
+ */
+const releaseImport = async (importId) => {
+  await db.execute(
+    `UPDATE contribution_imports
+     SET status = 'previewed', committed_by = NULL, committed_at = NULL
+     WHERE id = ? AND status = 'committed'`,
+    [importId]
+  );
+};
+
+/**
+ * Store the outcome of a committed import
+ */
+const saveImportResult = async (importId, result) => {
+  await db.execute(
+    'UPDATE contribution_imports SET result = ? WHERE id = ?',
+    [JSON.stringify(result), importId]
+  );
+};
+
+/**
+ * Cancel a previewed import. Returns false when it is no longer a preview.
+ */
+const cancelImport = async (importId) => {
+  const [result] = await db.execute(
+    `UPDATE contribution_imports SET status = 'cancelled'
+     WHERE id = ? AND status = 'previewed'`,
+    [importId]
+  );
+  return result.affectedRows > 0;
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  initializeImportTables,
+  parseSpreadsheet,
+  prepareImportRows,
+  createImport,
+  getImport,
+  claimImport,
+  releaseImport,
+  saveImportResult,
+  cancelImport
+};
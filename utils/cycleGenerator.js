@@ -0,0 +1,544 @@
+// utils/cycleGenerator.js
+const moment = require('moment');
+const db = require('../config/database');
+
+// Frequencies the generator understands, shortest first. 'custom' types are
+// never scheduled automatically and must be added to cycles by hand.
+const FREQUENCIES = ['weekly', 'monthly', 'quarterly', 'yearly'];
+
+const createCycleGenerationLogTable = `
+CREATE TABLE IF NOT EXISTS cycle_generation_log (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  chama_id INT NOT NULL,
+  cycle_id INT NOT NULL,
+  cycle_number INT NOT NULL,
+  previous_cycle_id INT NULL,
+  previous_cycle_status VARCHAR(20) NULL,
+  trigger_source ENUM('manual', 'scheduler') DEFAULT 'manual',
+  placeholders_created INT DEFAULT 0,
+  generated_by INT NULL,
+  rolled_back_at TIMESTAMP NULL,
+  rolled_back_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (chama_id) REFERENCES chamas(id) ON DELETE CASCADE,
+  INDEX idx_chama_cycle (chama_id, cycle_id)
+);
+`;
+
+/**
+ * Convert a DATE column / date string into a UTC midnight Date.
+ * DATE columns come back as local midnight and date strings are read as
+ * local dates, so the calendar day is always taken in local time.
+ */
+const toDateOnly = (value) => {
+  const date = moment(value);
+  return new Date(Date.UTC(date.year(), date.month(), date.date()));
+};
+
+const formatDate = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Move a UTC date forward by one period of the given frequency. Months that
+ * are too short end on their last day, and anchorDay (the day of the month
+ * the chama's cycles started on) is returned to once the month allows it,
+ * so a schedule starting on the 31st runs Jan 31, Feb 28, Mar 31.
+ */
+const addFrequency = (date, frequency, anchorDay = null) => {
+  const next = moment.utc(date);
+
+  switch (frequency) {
+    case 'weekly':
+      return next.add(7, 'days').toDate();
+    case 'quarterly':
+      next.add(3, 'months');
+      break;
+    case 'yearly':
+      next.add(1, 'year');
+      break;
+    default: // monthly
+      next.add(1, 'month');
+  }
+
+  if (anchorDay) {
+    next.date(Math.min(anchorDay, next.daysInMonth()));
+  }
+
+  return next.toDate();
+};
+
+class CycleGenerator {
+  /**
+   * Create the tables used by the generator
+   */
+  async initializeTables() {
+    try {
+      await db.execute(createCycleGenerationLogTable);
+      console.log('✅ Cycle generation tables created/verified');
+    } catch (error) {
+      console.error('❌ Failed to create cycle generation tables:', error);
+    }
+  }
+
+  /**
+   * Work out the cadence of a chama from the shortest frequency among its
+   * active contribution types, falling back to the chama's contribution_cycle
+   */
+  resolveCadence(chama, types) {
+    const scheduled = types
+      .map(type => type.frequency)
+      .filter(frequency => FREQUENCIES.includes(frequency));
+
+    if (scheduled.length > 0) {
+      return scheduled.sort((a, b) => FREQUENCIES.indexOf(a) - FREQUENCIES.indexOf(b))[0];
+    }
+
+    return FREQUENCIES.includes(chama.contribution_cycle) ? chama.contribution_cycle : 'monthly';
+  }
+
+  /**
+   * Build the plan for a chama's next cycle without writing anything.
+   * Pass a connection to read inside an open transaction.
+   */
+  async planNextCycle(chamaId, executor = db, today = new Date()) {
+    const [chamas] = await executor.execute(
+      'SELECT id, name, contribution_cycle FROM chamas WHERE id = ?',
+      [chamaId]
+    );
+
+    if (chamas.length === 0) {
+      return null;
+    }
+
+    const chama = chamas[0];
+
+    const [types] = await executor.execute(
+      `SELECT id, name, default_amount, frequency, is_required
+       FROM contribution_types
+       WHERE chama_id = ? AND is_active = true`,
+      [chamaId]
+    );
+
+    const cadence = this.resolveCadence(chama, types);
+
+    const [lastCycles] = await executor.execute(
+      `SELECT id, cycle_number, cycle_date, due_date, status
+       FROM contribution_cycles
+       WHERE chama_id = ? AND status != 'cancelled'
+       ORDER BY cycle_number DESC
+       LIMIT 1`,
+      [chamaId]
+    );
+
+    const [numbering] = await executor.execute(
+      'SELECT MAX(cycle_number) as last_cycle_number FROM contribution_cycles WHERE chama_id = ?',
+      [chamaId]
+    );
+
+    // Month-based cadences keep to the day of the month the first cycle started on
+    const [firstCycles] = await executor.execute(
+      `SELECT cycle_date FROM contribution_cycles
+       WHERE chama_id = ? AND status != 'cancelled'
+       ORDER BY cycle_number ASC
+       LIMIT 1`,
+      [chamaId]
+    );
+
+    const lastCycle = lastCycles[0] || null;
+    const todayDate = toDateOnly(today);
+    const anchorDay = firstCycles.length > 0
+      ? toDateOnly(firstCycles[0].cycle_date).getUTCDate()
+      : todayDate.getUTCDate();
+    const cycleDate = lastCycle ? addFrequency(toDateOnly(lastCycle.cycle_date), cadence, anchorDay) : todayDate;
+    const dueDate = addFrequency(cycleDate, cadence, anchorDay);
+    const cycleNumber = (numbering[0].last_cycle_number || 0) + 1;
+
+    // Include each type whose own frequency has come round again
+    const cycleTypes = [];
+    for (const type of types) {
+      if (!FREQUENCIES.includes(type.frequency) || !(parseFloat(type.default_amount) > 0)) {
+        continue;
+      }
+
+      const [lastUse] = await executor.execute(
+        `SELECT MAX(cc.cycle_date) as last_cycle_date
+         FROM cycle_types ct
+         JOIN contribution_cycles cc ON ct.cycle_id = cc.id
+         WHERE ct.type_id = ? AND cc.status != 'cancelled'`,
+        [type.id]
+      );
+
+      const lastDate = lastUse[0].last_cycle_date;
+      if (!lastDate || addFrequency(toDateOnly(lastDate), type.frequency) <= cycleDate) {
+        cycleTypes.push({
+          typeId: type.id,
+          typeName: type.name,
+          frequency: type.frequency,
+          amount: parseFloat(type.default_amount),
+          isRequired: !!type.is_required
+        });
+      }
+    }
+
+    const [members] = await executor.execute(
+      `SELECT id FROM members WHERE chama_id = ? AND status = 'active'`,
+      [chamaId]
+    );
+
+    const requiredTypes = cycleTypes.filter(type => type.isRequired);
+    const status = cycleDate <= todayDate ? 'active' : 'upcoming';
+
+    return {
+      chama_id: chama.id,
+      cadence,
+      anchor_day: anchorDay,
+      cycle_number: cycleNumber,
+      cycle_name: `Cycle ${cycleNumber}`,
+      cycle_date: formatDate(cycleDate),
+      due_date: formatDate(dueDate),
+      status,
+      types: cycleTypes,
+      member_ids: members.map(member => member.id),
+      placeholders: members.length * requiredTypes.length,
+      expected_per_member: requiredTypes.reduce((sum, type) => sum + type.amount, 0),
+      previous_cycle: lastCycle ? {
+        id: lastCycle.id,
+        cycle_number: lastCycle.cycle_number,
+        status: lastCycle.status,
+        will_be_closed: status === 'active' && lastCycle.status === 'active'
+      } : null
+    };
+  }
+
+  /**
+   * Dates and per-member amounts for `count` cycles starting at
+   * fromCycleNumber. Cycles that already exist are read as they are; later
+   * ones are projected from the next planned cycle at the chama's cadence.
+   */
+  async projectCycles(chamaId, fromCycleNumber, count, executor = db, today = new Date()) {
+    const plan = await this.planNextCycle(chamaId, executor, today);
+
+    if (!plan) {
+      return [];
+    }
+
+    const [existing] = await executor.execute(
+      `SELECT cc.id, cc.cycle_number, cc.cycle_date, cc.due_date,
+              COALESCE(SUM(CASE WHEN t.is_required THEN ct.amount ELSE 0 END), 0) as expected_per_member
+       FROM contribution_cycles cc
+       LEFT JOIN cycle_types ct ON ct.cycle_id = cc.id
+       LEFT JOIN contribution_types t ON ct.type_id = t.id
+       WHERE cc.chama_id = ? AND cc.status != 'cancelled' AND cc.cycle_number >= ?
+       GROUP BY cc.id, cc.cycle_number, cc.cycle_date, cc.due_date`,
+      [chamaId, fromCycleNumber]
+    );
+
+    const byNumber = new Map(existing.map(cycle => [cycle.cycle_number, cycle]));
+    const cycles = [];
+
+    for (let offset = 0; offset < count; offset++) {
+      const cycleNumber = fromCycleNumber + offset;
+      const cycle = byNumber.get(cycleNumber);
+
+      if (cycle) {
+        cycles.push({
+          cycle_number: cycleNumber,
+          cycle_id: cycle.id,
+          cycle_date: formatDate(toDateOnly(cycle.cycle_date)),
+          due_date: formatDate(toDateOnly(cycle.due_date)),
+          expected_per_member: parseFloat(cycle.expected_per_member) || 0,
+          projected: false
+        });
+        continue;
+      }
+
+      // Step forward from the next planned cycle to this one
+      let cycleDate = toDateOnly(plan.cycle_date);
+      for (let step = plan.cycle_number; step < cycleNumber; step++) {
+        cycleDate = addFrequency(cycleDate, plan.cadence, plan.anchor_day);
+      }
+
+      cycles.push({
+        cycle_number: cycleNumber,
+        cycle_id: null,
+        cycle_date: formatDate(cycleDate),
+        due_date: formatDate(addFrequency(cycleDate, plan.cadence, plan.anchor_day)),
+        expected_per_member: plan.expected_per_member,
+        projected: true
+      });
+    }
+
+    return cycles;
+  }
+
+  /**
+   * Whether a chama's next cycle should be generated now
+   */
+  isGenerationDue(plan, today = new Date()) {
+    const leadDays = parseInt(process.env.CYCLE_GENERATION_LEAD_DAYS || '0', 10);
+    const generateFrom = moment.utc(toDateOnly(plan.cycle_date)).subtract(leadDays, 'days').toDate();
+
+    return generateFrom <= toDateOnly(today);
+  }
+
+  /**
+   * Create the next cycle, its cycle_types and contribution placeholders,
+   * closing the previous active cycle when the new one starts immediately.
+   * Returns the plan with skipped: true, creating nothing, when no
+   * contribution type is due in the next cycle.
+   */
+  async generateNextCycle(chamaId, { userId = null, triggerSource = 'manual', onlyIfDue = false } = {}) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      // Serialise generation per chama
+      await connection.execute('SELECT id FROM chamas WHERE id = ? FOR UPDATE', [chamaId]);
+
+      const plan = await this.planNextCycle(chamaId, connection);
+
+      if (!plan || (onlyIfDue && !this.isGenerationDue(plan))) {
+        await connection.rollback();
+        return null;
+      }
+
+      // A cycle with no contribution type due would collect nothing
+      if (plan.types.length === 0) {
+        await connection.rollback();
+        return { ...plan, cycle_id: null, placeholders_created: 0, skipped: true };
+      }
+
+      if (plan.status === 'active') {
+        await connection.execute(
+          `UPDATE contribution_cycles
+           SET status = 'completed'
+           WHERE chama_id = ? AND status = 'active'`,
+          [chamaId]
+        );
+      }
+
+      const [cycleResult] = await connection.execute(
+        `INSERT INTO contribution_cycles
+         (chama_id, cycle_number, cycle_name, cycle_date, due_date, status, notes)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          chamaId,
+          plan.cycle_number,
+          plan.cycle_name,
+          plan.cycle_date,
+          plan.due_date,
+          plan.status,
+          `Generated automatically (${plan.cadence})`
+        ]
+      );
+
+      const cycleId = cycleResult.insertId;
+
+      for (const type of plan.types) {
+        await connection.execute(
+          'INSERT INTO cycle_types (cycle_id, type_id, amount) VALUES (?, ?, ?)',
+          [cycleId, type.typeId, type.amount]
+        );
+      }
+
+      let placeholders = 0;
+      for (const memberId of plan.member_ids) {
+        for (const type of plan.types.filter(t => t.isRequired)) {
+          await connection.execute(
+            `INSERT INTO contributions
+             (member_id, cycle_id, type_id, amount, expected_amount, status, notes)
+             VALUES (?, ?, ?, 0, ?, 'pending', 'Auto-generated placeholder')`,
+            [memberId, cycleId, type.typeId, type.amount]
+          );
+          placeholders++;
+        }
+      }
+
+      await connection.execute(
+        `INSERT INTO cycle_generation_log
+         (chama_id, cycle_id, cycle_number, previous_cycle_id, previous_cycle_status,
+          trigger_source, placeholders_created, generated_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          chamaId,
+          cycleId,
+          plan.cycle_number,
+          plan.previous_cycle?.id || null,
+          plan.previous_cycle?.status || null,
+          triggerSource,
+          placeholders,
+          userId
+        ]
+      );
+
+      await connection.commit();
+
+      return { ...plan, cycle_id: cycleId, placeholders_created: placeholders };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Undo a generated cycle as long as nothing has been paid into it yet.
+   * Only the latest cycle of a chama can be rolled back.
+   */
+  async rollbackCycle(cycleId, userId) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [logs] = await connection.execute(
+        `SELECT * FROM cycle_generation_log
+         WHERE cycle_id = ? AND rolled_back_at IS NULL
+         FOR UPDATE`,
+        [cycleId]
+      );
+
+      if (logs.length === 0) {
+        await connection.rollback();
+        return { success: false, status: 404, message: 'No generated cycle found to roll back' };
+      }
+
+      const log = logs[0];
+
+      const [newer] = await connection.execute(
+        `SELECT id FROM contribution_cycles
+         WHERE chama_id = ? AND cycle_number > ?`,
+        [log.chama_id, log.cycle_number]
+      );
+
+      if (newer.length > 0) {
+        await connection.rollback();
+        return { success: false, status: 400, message: 'Only the latest cycle can be rolled back' };
+      }
+
+      const [payments] = await connection.execute(
+        `SELECT COUNT(*) as count FROM contributions
+         WHERE cycle_id = ? AND (amount > 0 OR status != 'pending')`,
+        [cycleId]
+      );
+
+      if (payments[0].count > 0) {
+        await connection.rollback();
+        return { success: false, status: 400, message: 'Cycle already has payments and cannot be rolled back' };
+      }
+
+      const [removed] = await connection.execute('DELETE FROM contributions WHERE cycle_id = ?', [cycleId]);
+      await connection.execute('DELETE FROM cycle_types WHERE cycle_id = ?', [cycleId]);
+      await connection.execute('DELETE FROM contribution_cycles WHERE id = ?', [cycleId]);
+
+      if (log.previous_cycle_id && log.previous_cycle_status) {
+        await connection.execute(
+          'UPDATE contribution_cycles SET status = ? WHERE id = ?',
+          [log.previous_cycle_status, log.previous_cycle_id]
+        );
+      }
+
+      await connection.execute(
+        `UPDATE cycle_generation_log
+         SET rolled_back_at = CURRENT_TIMESTAMP, rolled_back_by = ?
+         WHERE id = ?`,
+        [userId, log.id]
+      );
+
+      await connection.commit();
+
+      return {
+        success: true,
+        data: {
+          cycle_id: parseInt(cycleId),
+          cycle_number: log.cycle_number,
+          placeholders_removed: removed.affectedRows,
+          restored_cycle_id: log.previous_cycle_id,
+          restored_status: log.previous_cycle_status
+        }
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Activate upcoming cycles whose start date has arrived
+   */
+  async activateDueCycles(chamaId) {
+    const [dueCycles] = await db.execute(
+      `SELECT id FROM contribution_cycles
+       WHERE chama_id = ? AND status = 'upcoming' AND cycle_date <= CURDATE()
+       ORDER BY cycle_number DESC
+       LIMIT 1`,
+      [chamaId]
+    );
+
+    if (dueCycles.length === 0) {
+      return null;
+    }
+
+    await db.execute(
+      `UPDATE contribution_cycles
+       SET status = 'completed'
+       WHERE chama_id = ? AND status = 'active'`,
+      [chamaId]
+    );
+    await db.execute(
+      `UPDATE contribution_cycles SET status = 'active' WHERE id = ?`,
+      [dueCycles[0].id]
+    );
+
+    return dueCycles[0].id;
+  }
+
+  /**
+   * Scheduled entry point: generate and activate cycles for every chama
+   */
+  async runScheduledGeneration() {
+    const [chamas] = await db.execute('SELECT id FROM chamas');
+
+    const results = {
+      generated: [],
+      skipped: [],
+      activated: [],
+      failed: []
+    };
+
+    for (const chama of chamas) {
+      try {
+        const generated = await this.generateNextCycle(chama.id, {
+          triggerSource: 'scheduler',
+          onlyIfDue: true
+        });
+
+        if (generated?.skipped) {
+          results.skipped.push({ chama_id: chama.id, cycle_number: generated.cycle_number });
+        } else if (generated) {
+          results.generated.push({
+            chama_id: chama.id,
+            cycle_id: generated.cycle_id,
+            cycle_number: generated.cycle_number,
+            placeholders: generated.placeholders_created
+          });
+        }
+
+        const activatedId = await this.activateDueCycles(chama.id);
+        if (activatedId) {
+          results.activated.push({ chama_id: chama.id, cycle_id: activatedId });
+        }
+      } catch (error) {
+        console.error(`❌ Cycle generation failed for chama ${chama.id}:`, error.message);
+        results.failed.push({ chama_id: chama.id, error: error.message });
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = new CycleGenerator();
@@ -0,0 +1,506 @@
+// utils/darajaSimulator.js
+//
+// A stand-in for the Safaricom Daraja API, for development and tests.
+// Set MPESA_ENVIRONMENT=local to point MpesaService at it. Run it on its own
+// with `npm run mpesa:simulator`, or let server.js start it in local mode.
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const moment = require('moment');
+
+// What happens to a request once it is accepted
+const SCENARIOS = {
+  success: { resultCode: 0, resultDesc: 'The service request is processed successfully.' },
+  cancelled: { resultCode: 1032, resultDesc: 'Request cancelled by user' },
+  insufficient_funds: { resultCode: 1, resultDesc: 'The balance is insufficient for the transaction.' },
+  failure: { resultCode: 2001, resultDesc: 'The initiator information is invalid.' },
+  // STK: the customer never answers the prompt. B2C: the request expires in the queue.
+  timeout: { resultCode: 1037, resultDesc: 'DS timeout user cannot be reached' }
+};
+
+// Read when the simulator is created, so .env has been loaded by then
+const defaultOptions = () => ({
+  scenario: process.env.MPESA_SIM_SCENARIO || 'success',
+  delayMs: parseInt(process.env.MPESA_SIM_DELAY_MS) || 3000,
+  timeoutDelayMs: parseInt(process.env.MPESA_SIM_TIMEOUT_DELAY_MS) || 30000,
+  // Per-phone overrides, e.g. { '254700000001': 'cancelled' }
+  phoneScenarios: {},
+  // Per-bill-reference overrides for paybill payments
+  accountScenarios: {}
+});
+
+const TOKEN_LIFETIME_SECONDS = 3599;
+
+const timestamp = () => moment().format('YYYYMMDDHHmmss');
+
+// M-Pesa style receipt numbers: ten uppercase letters and digits
+const RECEIPT_CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+const receiptNumber = () => Array.from(
+  { length: 10 },
+  () => RECEIPT_CHARACTERS[crypto.randomInt(RECEIPT_CHARACTERS.length)]
+).join('');
+
+const validPhone = (phone) => /^2547\d{8}$|^2541\d{8}$/.test(String(phone || ''));
+
+class DarajaSimulator {
+  constructor(options = {}) {
+    this.options = {
+      ...defaultOptions(),
+      ...options,
+      phoneScenarios: { ...(options.phoneScenarios || {}) },
+      accountScenarios: { ...(options.accountScenarios || {}) }
+    };
+    this.tokens = new Map();
+    this.c2bUrls = new Map();
+    this.transactions = new Map();
+    this.timers = new Set();
+    this.server = null;
+    this.app = this.buildApp();
+  }
+
+  /**
+   * Start listening. Resolves with the port, which is useful when port is 0.
+   */
+  start(port = parseInt(process.env.MPESA_SIMULATOR_PORT) || 4000) {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, () => {
+        const actualPort = this.server.address().port;
+        console.log(`🧪 Daraja simulator listening on port ${actualPort} (scenario: ${this.options.scenario})`);
+        resolve(actualPort);
+      });
+      this.server.on('error', reject);
+    });
+  }
+
+  /**
+   * Stop listening and cancel callbacks that have not fired yet
+   */
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+    });
+  }
+
+  /**
+   * Forget all tokens, registrations and transactions
+   */
+  reset() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.tokens.clear();
+    this.c2bUrls.clear();
+    this.transactions.clear();
+  }
+
+  // Scenario for a request: per-phone and per-account overrides win over the default
+  pickScenario({ phone, account } = {}) {
+    const name = (phone && this.options.phoneScenarios[phone]) ||
+      (account && this.options.accountScenarios[account]) ||
+      this.options.scenario;
+
+    return SCENARIOS[name] ? name : 'success';
+  }
+
+  // Run fn after the delay, unless the simulator is stopped first
+  later(delayMs, fn) {
+    const timer = setTimeout(async () => {
+      this.timers.delete(timer);
+      try {
+        await fn();
+      } catch (error) {
+        console.error('❌ Daraja simulator callback error:', error.message);
+      }
+    }, delayMs);
+
+    this.timers.add(timer);
+  }
+
+  async sendCallback(url, body) {
+    try {
+      const response = await axios.post(url, body, { timeout: 10000 });
+      console.log(`🧪 Callback to ${url}: ${response.status}`);
+      return response.data;
+    } catch (error) {
+      console.error(`❌ Callback to ${url} failed:`, error.response?.status || error.message);
+      return null;
+    }
+  }
+
+  buildApp() {
+    const app = express();
+    app.use(express.json());
+
+    const error = (res, status, errorCode, errorMessage) =>
+      res.status(status).json({
+        requestId: crypto.randomUUID(),
+        errorCode,
+        errorMessage
+      });
+
+    // Every API call needs a token from /oauth/v1/generate
+    const requireToken = (req, res, next) => {
+      const header = req.headers.authorization || '';
+      const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+      const expiresAt = this.tokens.get(token);
+
+      if (!expiresAt || expiresAt < Date.now()) {
+        return error(res, 401, '404.001.03', 'Invalid Access Token');
+      }
+
+      next();
+    };
+
+    // OAuth
+    app.get('/oauth/v1/generate', (req, res) => {
+      const header = req.headers.authorization || '';
+
+      if (!header.startsWith('Basic ') || req.query.grant_type !== 'client_credentials') {
+        return error(res, 400, '400.008.01', 'Invalid Authentication passed');
+      }
+
+      const accessToken = crypto.randomBytes(16).toString('hex');
+      this.tokens.set(accessToken, Date.now() + TOKEN_LIFETIME_SECONDS * 1000);
+
+      res.json({ access_token: accessToken, expires_in: String(TOKEN_LIFETIME_SECONDS) });
+    });
+
+    // STK push
+    app.post('/mpesa/stkpush/v1/processrequest', requireToken, (req, res) => {
+      const { BusinessShortCode, Password, Timestamp, Amount, PhoneNumber, CallBackURL, AccountReference } = req.body;
+
+      if (!BusinessShortCode || !Password || !Timestamp) {
+        return error(res, 400, '400.002.02', 'Bad Request - Invalid BusinessShortCode');
+      }
+      if (!validPhone(PhoneNumber)) {
+        return error(res, 400, '400.002.02', 'Bad Request - Invalid PhoneNumber');
+      }
+      if (!(parseInt(Amount) >= 1)) {
+        return error(res, 400, '400.002.02', 'Bad Request - Invalid Amount');
+      }
+      if (!CallBackURL) {
+        return error(res, 400, '400.002.02', 'Bad Request - Invalid CallBackURL');
+      }
+
+      const merchantRequestId = `${crypto.randomInt(10000, 99999)}-${crypto.randomInt(1000000, 9999999)}-1`;
+      const checkoutRequestId = `ws_CO_${timestamp()}${crypto.randomInt(100000, 999999)}`;
+      const scenario = this.pickScenario({ phone: String(PhoneNumber), account: AccountReference });
+
+      const transaction = {
+        type: 'stk',
+        id: checkoutRequestId,
+        scenario,
+        status: 'pending',
+        request: req.body,
+        result: null,
+        createdAt: new Date()
+      };
+      this.transactions.set(checkoutRequestId, transaction);
+
+      const outcome = SCENARIOS[scenario];
+      const delay = scenario === 'timeout' ? this.options.timeoutDelayMs : this.options.delayMs;
+
+      this.later(delay, async () => {
+        const stkCallback = {
+          MerchantRequestID: merchantRequestId,
+          CheckoutRequestID: checkoutRequestId,
+          ResultCode: outcome.resultCode,
+          ResultDesc: outcome.resultDesc
+        };
+
+        if (scenario === 'success') {
+          stkCallback.CallbackMetadata = {
+            Item: [
+              { Name: 'Amount', Value: parseInt(Amount) },
+              { Name: 'MpesaReceiptNumber', Value: receiptNumber() },
+              { Name: 'TransactionDate', Value: parseInt(timestamp()) },
+              { Name: 'PhoneNumber', Value: parseInt(PhoneNumber) }
+            ]
+          };
+        }
+
+        transaction.status = scenario === 'success' ? 'completed' : 'failed';
+        transaction.result = stkCallback;
+        await this.sendCallback(CallBackURL, { Body: { stkCallback } });
+      });
+
+      res.json({
+        MerchantRequestID: merchantRequestId,
+        CheckoutRequestID: checkoutRequestId,
+        ResponseCode: '0',
+        ResponseDescription: 'Success. Request accepted for processing',
+        CustomerMessage: 'Success. Request accepted for processing'
+      });
+    });
+
+    // STK query
+    app.post('/mpesa/stkpushquery/v1/query', requireToken, (req, res) => {
+      const transaction = this.transactions.get(req.body.CheckoutRequestID);
+
+      if (!transaction || transaction.type !== 'stk') {
+        return error(res, 400, '400.002.02', 'Bad Request - Invalid CheckoutRequestID');
+      }
+
+      if (!transaction.result) {
+        return error(res, 500, '500.001.1001', 'The transaction is being processed');
+      }
+
+      res.json({
+        ResponseCode: '0',
+        ResponseDescription: 'The service request has been accepted successsfully',
+        MerchantRequestID: transaction.result.MerchantRequestID,
+        CheckoutRequestID: transaction.result.CheckoutRequestID,
+        ResultCode: String(transaction.result.ResultCode),
+        ResultDesc: transaction.result.ResultDesc
+      });
+    });
+
+    // C2B URL registration (v1 on the sandbox, v2 in production)
+    const registerUrls = (req, res) => {
+      const { ShortCode, ResponseType, ConfirmationURL, ValidationURL } = req.body;
+
+      if (!ShortCode || !ConfirmationURL) {
+        return error(res, 400, '400.002.02', 'Bad Request - Invalid ShortCode or ConfirmationURL');
+      }
+
+      if (/mpesa|safaricom/i.test(`${ConfirmationURL} ${ValidationURL || ''}`)) {
+        return error(res, 400, '400.002.02', 'Bad Request - URLs may not contain M-Pesa or Safaricom');
+      }
+
+      this.c2bUrls.set(String(ShortCode), {
+        responseType: ResponseType || 'Completed',
+        confirmationURL: ConfirmationURL,
+        validationURL: ValidationURL || null
+      });
+
+      res.json({
+        OriginatorCoversationID: crypto.randomUUID(),
+        ResponseCode: '0',
+        ResponseDescription: 'Success'
+      });
+    };
+    app.post('/mpesa/c2b/v1/registerurl', requireToken, registerUrls);
+    app.post('/mpesa/c2b/v2/registerurl', requireToken, registerUrls);
+
+    // C2B simulate: a customer pays the paybill
+    const simulateC2B = (req, res) => {
+      const { ShortCode, CommandID, Amount, Msisdn, BillRefNumber } = req.body;
+      const urls = this.c2bUrls.get(String(ShortCode));
+
+      if (!urls) {
+        return error(res, 400, '400.002.02', 'Bad Request - No URLs registered for this ShortCode');
+      }
+      if (!validPhone(Msisdn)) {
+        return error(res, 400, '400.002.02', 'Bad Request - Invalid Msisdn');
+      }
+
+      const transId = receiptNumber();
+      const payload = {
+        TransactionType: CommandID === 'CustomerBuyGoodsOnline' ? 'Buy Goods' : 'Pay Bill',
+        TransID: transId,
+        TransTime: timestamp(),
+        TransAmount: String(Amount),
+        BusinessShortCode: String(ShortCode),
+        BillRefNumber: BillRefNumber || '',
+        InvoiceNumber: '',
+        OrgAccountBalance: '',
+        ThirdPartyTransID: '',
+        MSISDN: String(Msisdn),
+        FirstName: 'John',
+        MiddleName: '',
+        LastName: 'Doe'
+      };
+
+      const transaction = {
+        type: 'c2b',
+        id: transId,
+        scenario: 'success',
+        status: 'pending',
+        request: req.body,
+        result: null,
+        createdAt: new Date()
+      };
+      this.transactions.set(transId, transaction);
+
+      this.later(this.options.delayMs, async () => {
+        if (urls.validationURL) {
+          const validation = await this.sendCallback(urls.validationURL, payload);
+
+          const rejected = validation
+            ? String(validation.ResultCode) !== '0'
+            : urls.responseType === 'Cancelled';
+
+          if (rejected) {
+            transaction.status = 'rejected';
+            transaction.result = validation;
+            return;
+          }
+        }
+
+        transaction.status = 'completed';
+        transaction.result = payload;
+        await this.sendCallback(urls.confirmationURL, payload);
+      });
+
+      res.json({
+        OriginatorCoversationID: crypto.randomUUID(),
+        ResponseCode: '0',
+        ResponseDescription: 'Accept the service request successfully.'
+      });
+    };
+    app.post('/mpesa/c2b/v1/simulate', requireToken, simulateC2B);
+    app.post('/mpesa/c2b/v2/simulate', requireToken, simulateC2B);
+
+    // B2C: pay a customer
+    const b2cPayment = (req, res) => {
+      const {
+        OriginatorConversationID,
+        InitiatorName,
+        SecurityCredential,
+        Amount,
+        PartyA,
+        PartyB,
+        ResultURL,
+        QueueTimeOutURL
+      } = req.body;
+
+      if (!InitiatorName || !SecurityCredential) {
+        return error(res, 400, '400.002.02', 'Bad Request - Invalid InitiatorName or SecurityCredential');
+      }
+      if (!PartyA) {
+        return error(res, 400, '400.002.02', 'Bad Request - Invalid PartyA');
+      }
+      if (!validPhone(PartyB)) {
+        return error(res, 400, '400.002.02', 'Bad Request - Invalid PartyB');
+      }
+      if (!(parseInt(Amount) >= 10)) {
+        return error(res, 400, '400.002.02', 'Bad Request - Invalid Amount');
+      }
+      if (!ResultURL || !QueueTimeOutURL) {
+        return error(res, 400, '400.002.02', 'Bad Request - Invalid ResultURL or QueueTimeOutURL');
+      }
+
+      const originatorConversationId = OriginatorConversationID || crypto.randomUUID();
+      const conversationId = `AG_${timestamp()}_${crypto.randomBytes(8).toString('hex')}`;
+      const scenario = this.pickScenario({ phone: String(PartyB) });
+
+      const transaction = {
+        type: 'b2c',
+        id: originatorConversationId,
+        scenario,
+        status: 'pending',
+        request: req.body,
+        result: null,
+        createdAt: new Date()
+      };
+      this.transactions.set(originatorConversationId, transaction);
+
+      if (scenario === 'timeout') {
+        this.later(this.options.timeoutDelayMs, async () => {
+          const result = {
+            ResultType: 1,
+            ResultCode: SCENARIOS.timeout.resultCode,
+            ResultDesc: 'The request has expired in the queue',
+            OriginatorConversationID: originatorConversationId,
+            ConversationID: conversationId,
+            TransactionID: ''
+          };
+
+          transaction.status = 'timeout';
+          transaction.result = result;
+          await this.sendCallback(QueueTimeOutURL, { Result: result });
+        });
+      } else {
+        this.later(this.options.delayMs, async () => {
+          const outcome = SCENARIOS[scenario];
+          const transactionId = receiptNumber();
+          const result = {
+            ResultType: 0,
+            ResultCode: outcome.resultCode,
+            ResultDesc: outcome.resultDesc,
+            OriginatorConversationID: originatorConversationId,
+            ConversationID: conversationId,
+            TransactionID: transactionId
+          };
+
+          if (scenario === 'success') {
+            result.ResultParameters = {
+              ResultParameter: [
+                { Key: 'TransactionAmount', Value: parseInt(Amount) },
+                { Key: 'TransactionReceipt', Value: transactionId },
+                { Key: 'ReceiverPartyPublicName', Value: `${PartyB} - John Doe` },
+                { Key: 'TransactionCompletedDateTime', Value: moment().format('DD.MM.YYYY HH:mm:ss') },
+                { Key: 'B2CUtilityAccountAvailableFunds', Value: 100000 },
+                { Key: 'B2CWorkingAccountAvailableFunds', Value: 100000 },
+                { Key: 'B2CRecipientIsRegisteredCustomer', Value: 'Y' },
+                { Key: 'B2CChargesPaidAccountAvailableFunds', Value: 0 }
+              ]
+            };
+          }
+
+          transaction.status = scenario === 'success' ? 'completed' : 'failed';
+          transaction.result = result;
+          await this.sendCallback(ResultURL, { Result: result });
+        });
+      }
+
+      res.json({
+        ConversationID: conversationId,
+        OriginatorConversationID: originatorConversationId,
+        ResponseCode: '0',
+        ResponseDescription: 'Accept the service request successfully.'
+      });
+    };
+    app.post('/mpesa/b2c/v1/paymentrequest', requireToken, b2cPayment);
+    app.post('/mpesa/b2c/v3/paymentrequest', requireToken, b2cPayment);
+
+    // Simulator controls, for tests and local debugging
+    app.get('/simulator/config', (req, res) => {
+      res.json({ options: this.options, scenarios: Object.keys(SCENARIOS) });
+    });
+
+    app.post('/simulator/config', (req, res) => {
+      const { scenario, delayMs, timeoutDelayMs, phoneScenarios, accountScenarios } = req.body;
+
+      const invalid = [scenario, ...Object.values(phoneScenarios || {}), ...Object.values(accountScenarios || {})]
+        .filter(name => name !== undefined && !SCENARIOS[name]);
+
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          message: `Unknown scenario: ${invalid.join(', ')}. Use one of: ${Object.keys(SCENARIOS).join(', ')}`
+        });
+      }
+
+      if (scenario !== undefined) this.options.scenario = scenario;
+      if (delayMs !== undefined) this.options.delayMs = parseInt(delayMs) || 0;
+      if (timeoutDelayMs !== undefined) this.options.timeoutDelayMs = parseInt(timeoutDelayMs) || 0;
+      if (phoneScenarios) this.options.phoneScenarios = { ...this.options.phoneScenarios, ...phoneScenarios };
+      if (accountScenarios) this.options.accountScenarios = { ...this.options.accountScenarios, ...accountScenarios };
+
+      res.json({ options: this.options });
+    });
+
+    app.get('/simulator/transactions', (req, res) => {
+      res.json({ transactions: [...this.transactions.values()] });
+    });
+
+    app.post('/simulator/reset', (req, res) => {
+      this.reset();
+      res.json({ message: 'Simulator reset' });
+    });
+
+    app.use((req, res) => error(res, 404, '404.001.01', `Resource not found: ${req.method} ${req.path}`));
+
+    return app;
+  }
+}
+
+module.exports = { DarajaSimulator, SCENARIOS };
+
+if (require.main === module) {
+  require('dotenv').config();
+  new DarajaSimulator().start();
+}
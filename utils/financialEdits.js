@@ -0,0 +1,709 @@
+// utils/financialEdits.js
+// Admin edits to money records. Controllers call these directly, or through
+// the approvals queue when a chama requires a second officer to sign off.
+const db = require('../config/database');
+const { updateMemberBalance } = require('./ledger');
+const { settleRefundPayout, REFUND_PAYOUT_FILTER } = require('./memberWallet');
+const {
+  settleSlotPayout,
+  checkPayoutAgainstSchedule,
+  linkSlotPayout
+} = require('./rotationSchedule');
+const { settleRoundPayout, findOpenRound } = require('./biddingRounds');
+const netting = require('./payoutNetting');
+const { evaluatePayout, recordOverride } = require('./payoutEligibility');
+const { checkReleaseQuorum } = require('./payoutSignatures');
+const { LOAN_PAYOUT_FILTER, settleLoanPayout } = require('./loans');
+const { isDraftContribution, reverseContribution } = require('./reversals');
+
+const CONTRIBUTION_EDIT_SELECT = `
+  SELECT c.*, m.chama_id, cr.id as reversal_id
+  FROM contributions c
+  JOIN members m ON c.member_id = m.id
+  LEFT JOIN contribution_reversals cr ON cr.contribution_id = c.id
+  WHERE c.id = ?
+`;
+
+/**
+ * Cancel a recorded contribution by reversing it, and optionally record
+ * a replacement line carrying the corrected amount. Money that has been
+ * recorded never changes in place; it leaves an audit trail instead.
+ */
+const reviseRecordedContribution = async (contribution, { reason, replacementAmount = null }, userId) => {
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const reversal = await reverseContribution(connection, contribution, reason, userId);
+    let replacementId = null;
+
+    if (replacementAmount !== null) {
+      const [result] = await connection.execute(
+        `INSERT INTO contributions
+         (member_id, cycle_id, type_id, amount, expected_amount,
+          payment_method, payment_reference, payment_date, notes,
+          recorded_by, status)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          contribution.member_id,
+          contribution.cycle_id,
+          contribution.type_id || null,
+          replacementAmount,
+          contribution.expected_amount ?? null,
+          contribution.payment_method || null,
+          contribution.payment_reference || null,
+          contribution.payment_date || null,
+          `Replaces contribution #${contribution.id}: ${reason}`,
+          userId,
+          contribution.status
+        ]
+      );
+      replacementId = result.insertId;
+
+      if (contribution.status === 'paid') {
+        await connection.execute(
+          `UPDATE contribution_cycles
+           SET collected_amount = collected_amount + ?
+           WHERE id = ?`,
+          [replacementAmount, contribution.cycle_id]
+        );
+      }
+
+      // Credit the balance back only if the original had credited it
+      if (reversal.balance_reversed > 0) {
+        reversal.new_member_balance = await updateMemberBalance(
+          contribution.member_id,
+          replacementAmount,
+          `Corrected contribution #${replacementId} (replaces #${contribution.id})`,
+          userId,
+          contribution.cycle_id,
+          replacementId,
+          'contribution',
+          connection
+        );
+      }
+    }
+
+    await connection.commit();
+
+    return { ...reversal, replacement_contribution_id: replacementId };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Change a contribution's amount, payment details, notes or status
+ */
+const applyContributionUpdate = async (contributionId, changes, userId) => {
+  const { amount, paymentMethod, paymentReference, notes, status } = changes;
+
+  const [contributions] = await db.execute(CONTRIBUTION_EDIT_SELECT, [contributionId]);
+
+  if (contributions.length === 0) {
+    return { success: false, status: 404, message: 'Contribution not found' };
+  }
+
+  const contribution = contributions[0];
+
+  // Calculate balance adjustment if amount changed
+  let balanceAdjustment = 0;
+  const oldAmount = parseFloat(contribution.amount);
+  const newAmount = amount !== undefined ? parseFloat(amount) : oldAmount;
+  const amountChanged = amount !== undefined && oldAmount !== newAmount;
+  const statusChanged = status !== undefined && status !== contribution.status;
+
+  if (contribution.reversal_id && (amountChanged || statusChanged)) {
+    return {
+      success: false,
+      status: 400,
+      message: 'Contribution has been reversed; its amount and status can no longer change'
+    };
+  }
+
+  // Cancelling or re-pricing a recorded contribution goes through a reversal
+  const cancelling = statusChanged && status === 'cancelled';
+
+  if (!isDraftContribution(contribution) && (cancelling || amountChanged)) {
+    const reversal = await reviseRecordedContribution(
+      contribution,
+      {
+        reason: notes || (cancelling
+          ? 'Cancelled by admin'
+          : `Amount corrected: ${oldAmount} → ${newAmount}`),
+        replacementAmount: cancelling ? null : newAmount
+      },
+      userId
+    );
+
+    const [reversed] = await db.execute(
+      'SELECT * FROM contributions WHERE id = ?',
+      [contributionId]
+    );
+    const recredited = reversal.replacement_contribution_id && reversal.balance_reversed > 0
+      ? newAmount
+      : 0;
+
+    return {
+      success: true,
+      data: {
+        contribution: reversed[0],
+        reversal,
+        balance_adjustment: recredited - reversal.balance_reversed,
+        new_member_balance: reversal.new_member_balance
+      }
+    };
+  }
+
+  if (amountChanged) {
+    balanceAdjustment = newAmount - oldAmount;
+
+    // Update member balance
+    await updateMemberBalance(
+      contribution.member_id,
+      balanceAdjustment,
+      `Contribution adjustment: ${oldAmount} → ${newAmount}`,
+      userId,
+      contribution.cycle_id,
+      contributionId
+    );
+  }
+
+  // Build update query
+  const updates = [];
+  const params = [];
+
+  if (amount !== undefined) {
+    updates.push('amount = ?');
+    params.push(newAmount);
+  }
+
+  if (paymentMethod !== undefined) {
+    updates.push('payment_method = ?');
+    params.push(paymentMethod);
+  }
+
+  if (paymentReference !== undefined) {
+    updates.push('payment_reference = ?');
+    params.push(paymentReference);
+  }
+
+  if (notes !== undefined) {
+    updates.push('notes = ?');
+    params.push(notes);
+  }
+
+  if (status !== undefined) {
+    updates.push('status = ?');
+    params.push(status);
+
+    if (status === 'paid' && !contribution.verified_by) {
+      updates.push('verified_by = ?, verification_date = CURRENT_TIMESTAMP');
+      params.push(userId);
+    }
+  }
+
+  if (updates.length > 0) {
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    params.push(contributionId);
+
+    await db.execute(
+      `UPDATE contributions SET ${updates.join(', ')} WHERE id = ?`,
+      params
+    );
+
+    // Update cycle collected amount if amount changed
+    if (amount !== undefined) {
+      await db.execute(
+        `UPDATE contribution_cycles cc
+         SET collected_amount = (
+           SELECT COALESCE(SUM(amount), 0)
+           FROM contributions
+           WHERE cycle_id = cc.id AND status = 'paid'
+         )
+         WHERE cc.id = ?`,
+        [contribution.cycle_id]
+      );
+    }
+  }
+
+  // Get updated contribution
+  const [updatedContribution] = await db.execute(
+    `SELECT c.*, u.name as member_name, ct.name as type_name
+     FROM contributions c
+     JOIN members m ON c.member_id = m.id
+     JOIN users u ON m.user_id = u.id
+     LEFT JOIN contribution_types ct ON c.type_id = ct.id
+     WHERE c.id = ?`,
+    [contributionId]
+  );
+
+  // Get updated member balance
+  const [memberBalance] = await db.execute(
+    'SELECT contribution_balance FROM members WHERE id = ?',
+    [contribution.member_id]
+  );
+
+  return {
+    success: true,
+    data: {
+      contribution: updatedContribution[0],
+      balance_adjustment: balanceAdjustment,
+      new_member_balance: memberBalance[0]?.contribution_balance || 0
+    }
+  };
+};
+
+/**
+ * Set a contribution's status, recording the payment when it becomes paid
+ */
+const applyContributionStatus = async (contributionId, status, userId) => {
+  const [contributions] = await db.execute(CONTRIBUTION_EDIT_SELECT, [contributionId]);
+
+  if (contributions.length === 0) {
+    return { success: false, status: 404, message: 'Contribution not found' };
+  }
+
+  const contribution = contributions[0];
+
+  if (contribution.reversal_id && status !== contribution.status) {
+    return {
+      success: false,
+      status: 400,
+      message: 'Contribution has been reversed; its status can no longer change'
+    };
+  }
+
+  if (status === 'cancelled' && contribution.status !== 'cancelled' &&
+      !isDraftContribution(contribution)) {
+    const reversal = await reviseRecordedContribution(
+      contribution,
+      { reason: 'Cancelled by admin' },
+      userId
+    );
+
+    return {
+      success: true,
+      data: {
+        contribution_id: contribution.id,
+        previous_status: contribution.status,
+        status: 'cancelled',
+        reversal
+      }
+    };
+  }
+
+  // Update status
+  await db.execute(
+    'UPDATE contributions SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [status, contributionId]
+  );
+
+  // Record transaction if marked as paid and not already paid
+  if (status === 'paid' && contribution.status !== 'paid') {
+    await db.execute(
+      `INSERT INTO transactions
+       (chama_id, transaction_type, amount, description, created_by)
+       VALUES (?, 'contribution', ?, ?, ?)`,
+      [
+        contribution.chama_id,
+        contribution.amount,
+        `Contribution status updated to paid for member ID: ${contribution.member_id}`,
+        userId
+      ]
+    );
+
+    // Update member balance
+    await updateMemberBalance(
+      contribution.member_id,
+      contribution.amount,
+      `Contribution marked as paid for cycle`,
+      userId,
+      contribution.cycle_id,
+      contributionId
+    );
+
+    // Update cycle collected amount
+    await db.execute(
+      `UPDATE contribution_cycles
+       SET collected_amount = collected_amount + ?
+       WHERE id = ?`,
+      [contribution.amount, contribution.cycle_id]
+    );
+  }
+
+  return {
+    success: true,
+    data: {
+      contribution_id: contribution.id,
+      previous_status: contribution.status,
+      status
+    }
+  };
+};
+
+/**
+ * Credit or debit a member's balance with a reason
+ */
+const applyBalanceAdjustment = async (memberId, amount, reason, userId) => {
+  const [members] = await db.execute(
+    `SELECT m.*, u.name
+     FROM members m
+     JOIN users u ON m.user_id = u.id
+     WHERE m.id = ?`,
+    [memberId]
+  );
+
+  if (members.length === 0) {
+    return { success: false, status: 404, message: 'Member not found' };
+  }
+
+  const member = members[0];
+
+  // Update balance
+  const newBalance = await updateMemberBalance(
+    memberId,
+    parseFloat(amount),
+    reason,
+    userId,
+    null
+  );
+
+  // Record adjustment transaction
+  await db.execute(
+    `INSERT INTO transactions
+     (chama_id, transaction_type, amount, description, created_by)
+     VALUES (?, 'adjustment', ?, ?, ?)`,
+    [
+      member.chama_id,
+      amount,
+      `Balance adjustment: ${reason}`,
+      userId
+    ]
+  );
+
+  return {
+    success: true,
+    data: {
+      member_id: memberId,
+      member_name: member.name,
+      adjustment: amount,
+      previous_balance: newBalance - amount,
+      new_balance: newBalance,
+      reason: reason
+    }
+  };
+};
+
+// Statuses a payout cannot leave: the money has gone out, or never will
+const FINAL_PAYOUT_STATUSES = ['paid', 'cancelled'];
+
+/**
+ * Check that a payout may move to a status. Paid and cancelled payouts are
+ * final. Moving to the status it already has is allowed and changes nothing.
+ */
+const checkPayoutTransition = (payout, status) => {
+  if (payout.status === status) {
+    return { success: true, unchanged: true };
+  }
+
+  if (FINAL_PAYOUT_STATUSES.includes(payout.status)) {
+    return {
+      success: false,
+      status: 400,
+      message: `Payout is already ${payout.status} and its status cannot be changed`
+    };
+  }
+
+  return { success: true, unchanged: false };
+};
+
+// Set a payout's status on a connection that has a transaction open. The
+// payout row is locked so two requests cannot settle it at the same time.
+const setPayoutStatus = async (connection, payoutId, status, userId, { disbursed = false } = {}) => {
+  const [payouts] = await connection.execute(
+    `SELECT p.*, m.chama_id
+     FROM payouts p
+     JOIN members m ON p.member_id = m.id
+     WHERE p.id = ?
+     FOR UPDATE`,
+    [payoutId]
+  );
+
+  if (payouts.length === 0) {
+    return { success: false, status: 404, message: 'Payout not found' };
+  }
+
+  const payout = payouts[0];
+  const transition = checkPayoutTransition(payout, status);
+
+  if (!transition.success) {
+    return transition;
+  }
+
+  if (transition.unchanged) {
+    return {
+      success: true,
+      data: { payout_id: payout.id, previous_status: payout.status, status, unchanged: true }
+    };
+  }
+
+  if (status === 'paid' && !disbursed) {
+    const quorum = await checkReleaseQuorum(payout.id, connection);
+
+    if (!quorum.success) {
+      return quorum;
+    }
+  }
+
+  // Update status. The payout's transaction was recorded when it was created.
+  await connection.execute(
+    'UPDATE payouts SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [status, payoutId]
+  );
+
+  // Payouts made for wallet refunds settle the refund too
+  const refund = await settleRefundPayout(payout.id, status, userId, connection);
+
+  // Scheduled payouts move their rotation slot along
+  const slot = await settleSlotPayout(payout.id, status, connection);
+
+  // Called-off auction payouts take back the dividends they paid out
+  const biddingRound = await settleRoundPayout(payout.id, status, userId, connection);
+
+  // Netted payouts settle their deductions once the money has gone out
+  const nettingStatus = await netting.settleNettingPayout(payout.id, status, userId, connection);
+
+  // Loan disbursements start the loan, or call it off with the payout
+  const loan = await settleLoanPayout(payout.id, status, userId, connection);
+
+  return {
+    success: true,
+    data: {
+      payout_id: payout.id,
+      previous_status: payout.status,
+      status,
+      ...(refund ? { refund } : {}),
+      ...(slot ? { slot } : {}),
+      ...(biddingRound ? { bidding_round: biddingRound } : {}),
+      ...(nettingStatus ? { netting: nettingStatus } : {}),
+      ...(loan ? { loan } : {})
+    }
+  };
+};
+
+/**
+ * Set a payout's status and settle whatever hangs off the payout.
+ * A payout that needs officer signatures cannot be marked paid until its
+ * quorum is met, unless M-Pesa has already confirmed the money was sent.
+ * Pass a connection to run inside the caller's transaction; otherwise the
+ * change runs in a transaction of its own.
+ */
+const applyPayoutStatus = async (payoutId, status, userId, connection = null, options = {}) => {
+  if (connection) {
+    return setPayoutStatus(connection, payoutId, status, userId, options);
+  }
+
+  const ownConnection = await db.getConnection();
+
+  try {
+    await ownConnection.beginTransaction();
+
+    const outcome = await setPayoutStatus(ownConnection, payoutId, status, userId, options);
+
+    if (outcome.success) {
+      await ownConnection.commit();
+    } else {
+      await ownConnection.rollback();
+    }
+
+    return outcome;
+  } catch (error) {
+    await ownConnection.rollback();
+    throw error;
+  } finally {
+    ownConnection.release();
+  }
+};
+
+/**
+ * Create a pending payout for a member on the chama's active cycle.
+ * The payout must fit the rotation schedule, if there is one, and pass the
+ * chama's eligibility rules and pool guard. An approved override lets it
+ * past the eligibility rules and pool guard, and is recorded with the
+ * checks it failed: pass { reason, requestedBy, approvalRequestId }.
+ *
+ * Returns { success: false, status, message, failures } when the payout is
+ * refused; failures lists the rules an override could set aside.
+ */
+const applyPayoutCreation = async (
+  { chamaId, memberId, amount, payoutDate = null, notes = null, netDeductions = null },
+  userId,
+  override = null
+) => {
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const refuse = async (status, message, failures = []) => {
+      await connection.rollback();
+      return { success: false, status, message, failures };
+    };
+
+    // Serialise payouts per chama, so two cannot both be measured against
+    // the same available pool
+    await connection.execute('SELECT id FROM chamas WHERE id = ? FOR UPDATE', [chamaId]);
+
+    // Get current active cycle
+    const [cycles] = await connection.execute(
+      `SELECT id, cycle_number FROM contribution_cycles
+       WHERE chama_id = ? AND status = 'active'
+       ORDER BY cycle_number DESC
+       LIMIT 1`,
+      [chamaId]
+    );
+
+    if (cycles.length === 0) {
+      return refuse(400, 'No active contribution cycle found');
+    }
+
+    const cycleId = cycles[0].id;
+
+    // Check if member has already received payout this cycle
+    const [existingPayout] = await connection.execute(
+      `SELECT p.id FROM payouts p
+       WHERE p.chama_id = ? AND p.member_id = ? AND p.cycle_id = ?
+         AND ${REFUND_PAYOUT_FILTER} AND ${LOAN_PAYOUT_FILTER}`,
+      [chamaId, memberId, cycleId]
+    );
+
+    if (existingPayout.length > 0) {
+      return refuse(400, 'Member has already received a payout this cycle');
+    }
+
+    // While bidding is open the round decides who is paid
+    const openRound = await findOpenRound(cycleId, connection);
+
+    if (openRound) {
+      return refuse(400, `Bidding round #${openRound.id} is open for this cycle; close it to pay the winner`);
+    }
+
+    // Check the payout against the rotation schedule, if the chama has one
+    const scheduleCheck = await checkPayoutAgainstSchedule(connection, {
+      chamaId,
+      memberId,
+      amount,
+      cycleNumber: cycles[0].cycle_number
+    });
+
+    if (!scheduleCheck.success) {
+      return refuse(scheduleCheck.status, scheduleCheck.message);
+    }
+
+    // Take the member's arrears and fines out of the payout when netting applies
+    const nettingPlan = await netting.shouldNet(chamaId, netDeductions, connection)
+      ? await netting.planDeductions(connection, { chamaId, memberId, grossAmount: amount })
+      : null;
+    const payoutAmount = nettingPlan ? nettingPlan.net_amount : parseFloat(amount);
+
+    const evaluation = await evaluatePayout(connection, {
+      chamaId,
+      memberId,
+      amount: payoutAmount,
+      nettingPlan
+    });
+
+    if (!evaluation.eligible && !override) {
+      return refuse(
+        400,
+        `Payout blocked: ${evaluation.failures.map(failure => failure.message).join('; ')}`,
+        evaluation.failures
+      );
+    }
+
+    const [payoutResult] = await connection.execute(
+      `INSERT INTO payouts
+       (chama_id, member_id, cycle_id, amount, payout_date, status, notes)
+       VALUES (?, ?, ?, ?, ?, 'pending', ?)`,
+      [
+        chamaId,
+        memberId,
+        cycleId,
+        payoutAmount,
+        payoutDate || new Date().toISOString().split('T')[0],
+        notes || null
+      ]
+    );
+
+    if (nettingPlan) {
+      await netting.recordNetting(connection, payoutResult.insertId, nettingPlan, {
+        chamaId,
+        memberId,
+        userId
+      });
+    }
+
+    if (scheduleCheck.slot) {
+      await linkSlotPayout(connection, scheduleCheck.slot.id, payoutResult.insertId, cycleId);
+    }
+
+    if (override && !evaluation.eligible) {
+      await recordOverride(connection, {
+        chamaId,
+        memberId,
+        payoutId: payoutResult.insertId,
+        approvalRequestId: override.approvalRequestId,
+        amount: payoutAmount,
+        failures: evaluation.failures,
+        reason: override.reason,
+        requestedBy: override.requestedBy,
+        approvedBy: userId
+      });
+    }
+
+    // Record transaction
+    await connection.execute(
+      `INSERT INTO transactions
+       (chama_id, transaction_type, amount, description, created_by)
+       VALUES (?, 'payout', ?, ?, ?)`,
+      [
+        chamaId,
+        payoutAmount,
+        `Payout created for member ID: ${memberId}`,
+        userId
+      ]
+    );
+
+    await connection.commit();
+
+    return {
+      success: true,
+      data: {
+        payout_id: payoutResult.insertId,
+        rotation_slot: scheduleCheck.slot ? scheduleCheck.slot.slot_number : null,
+        netting: nettingPlan,
+        overridden: override && !evaluation.eligible ? evaluation.failures : null,
+        pool: evaluation.pool
+      }
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  applyContributionUpdate,
+  applyContributionStatus,
+  applyBalanceAdjustment,
+  checkPayoutTransition,
+  applyPayoutStatus,
+  applyPayoutCreation
+};
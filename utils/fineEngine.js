@@ -0,0 +1,298 @@
+// utils/fineEngine.js
+const db = require('../config/database');
+const { updateMemberBalance } = require('./ledger');
+
+const FINE_TYPES = ['flat', 'percentage', 'per_day'];
+
+const createFineRulesTable = `
+CREATE TABLE IF NOT EXISTS fine_rules (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  chama_id INT NOT NULL,
+  type_id INT NULL,
+  name VARCHAR(100) NOT NULL,
+  fine_type ENUM('flat', 'percentage', 'per_day') NOT NULL,
+  amount DECIMAL(10, 2) DEFAULT 0,
+  percentage DECIMAL(5, 2) DEFAULT 0,
+  max_amount DECIMAL(10, 2) NULL,
+  grace_days INT DEFAULT 0,
+  is_active BOOLEAN DEFAULT true,
+  created_by INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (chama_id) REFERENCES chamas(id) ON DELETE CASCADE,
+  INDEX idx_chama_active (chama_id, is_active)
+);
+`;
+
+const createMemberFinesTable = `
+CREATE TABLE IF NOT EXISTS member_fines (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  chama_id INT NOT NULL,
+  member_id INT NOT NULL,
+  contribution_id INT NOT NULL,
+  cycle_id INT NULL,
+  rule_id INT NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  paid_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  waived_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  days_charged INT DEFAULT 0,
+  status ENUM('outstanding', 'paid', 'waived') DEFAULT 'outstanding',
+  waived_by INT NULL,
+  waived_at TIMESTAMP NULL,
+  waive_reason VARCHAR(500) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (chama_id) REFERENCES chamas(id) ON DELETE CASCADE,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  FOREIGN KEY (rule_id) REFERENCES fine_rules(id),
+  UNIQUE KEY uniq_contribution_rule (contribution_id, rule_id),
+  INDEX idx_member_status (member_id, status)
+);
+`;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+class FineEngine {
+  /**
+   * Create the tables used by the fines engine
+   */
+  async initializeTables() {
+    try {
+      await db.execute(createFineRulesTable);
+      await db.execute(createMemberFinesTable);
+      console.log('✅ Fine tables created/verified');
+    } catch (error) {
+      console.error('❌ Failed to create fine tables:', error);
+    }
+  }
+
+  /**
+   * Total fine a rule should have charged so far for a late contribution
+   */
+  calculateFine(rule, arrears, daysLate) {
+    const chargeableDays = daysLate - (parseInt(rule.grace_days) || 0);
+
+    if (chargeableDays <= 0 || arrears <= 0) {
+      return { amount: 0, days: 0 };
+    }
+
+    let amount;
+    switch (rule.fine_type) {
+      case 'percentage':
+        amount = arrears * (parseFloat(rule.percentage) || 0) / 100;
+        break;
+      case 'per_day':
+        amount = (parseFloat(rule.amount) || 0) * chargeableDays;
+        break;
+      default: // flat
+        amount = parseFloat(rule.amount) || 0;
+    }
+
+    if (rule.max_amount !== null && rule.max_amount !== undefined) {
+      amount = Math.min(amount, parseFloat(rule.max_amount));
+    }
+
+    return { amount: roundMoney(amount), days: chargeableDays };
+  }
+
+  /**
+   * Charge or accrue fines on a chama's late contributions.
+   * Each increase is posted to the member's ledger as its own entry.
+   */
+  async applyFines(chamaId, userId = null) {
+    const [rules] = await db.execute(
+      'SELECT * FROM fine_rules WHERE chama_id = ? AND is_active = true',
+      [chamaId]
+    );
+
+    const summary = { chama_id: chamaId, fines_charged: 0, amount_charged: 0 };
+
+    if (rules.length === 0) {
+      return summary;
+    }
+
+    const [lateContributions] = await db.execute(
+      `SELECT c.id, c.member_id, c.cycle_id, c.type_id, cc.cycle_number,
+              GREATEST(0, COALESCE(c.expected_amount, ct.amount, t.default_amount, ch.contribution_amount, 0) - c.amount) as arrears,
+              DATEDIFF(CURDATE(), cc.due_date) as days_late
+       FROM contributions c
+       JOIN contribution_cycles cc ON c.cycle_id = cc.id
+       JOIN chamas ch ON cc.chama_id = ch.id
+       LEFT JOIN cycle_types ct ON ct.cycle_id = c.cycle_id AND ct.type_id = c.type_id
+       LEFT JOIN contribution_types t ON c.type_id = t.id
+       WHERE cc.chama_id = ? AND c.status = 'late'`,
+      [chamaId]
+    );
+
+    for (const contribution of lateContributions) {
+      for (const rule of rules) {
+        if (rule.type_id && rule.type_id !== contribution.type_id) {
+          continue;
+        }
+
+        const { amount, days } = this.calculateFine(
+          rule,
+          parseFloat(contribution.arrears),
+          contribution.days_late
+        );
+
+        if (amount <= 0) {
+          continue;
+        }
+
+        const increase = await this.chargeFine(chamaId, contribution, rule, amount, days, userId);
+
+        if (increase <= 0) {
+          continue;
+        }
+
+        summary.fines_charged++;
+        summary.amount_charged = roundMoney(summary.amount_charged + increase);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Charge one rule's fine on a late contribution, or raise it to the
+   * amount now due, with its ledger entry in the same transaction.
+   * Returns the increase charged, 0 when there was nothing more to charge.
+   */
+  async chargeFine(chamaId, contribution, rule, amount, days, userId) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [existing] = await connection.execute(
+        'SELECT * FROM member_fines WHERE contribution_id = ? AND rule_id = ? FOR UPDATE',
+        [contribution.id, rule.id]
+      );
+
+      const alreadyCharged = existing.length > 0 ? parseFloat(existing[0].amount) : 0;
+      const increase = roundMoney(amount - alreadyCharged);
+
+      if ((existing.length > 0 && existing[0].status === 'waived') || increase <= 0) {
+        await connection.rollback();
+        return 0;
+      }
+
+      if (existing.length > 0) {
+        await connection.execute(
+          `UPDATE member_fines
+           SET amount = ?, days_charged = ?, status = 'outstanding'
+           WHERE id = ?`,
+          [amount, days, existing[0].id]
+        );
+      } else {
+        await connection.execute(
+          `INSERT INTO member_fines
+           (chama_id, member_id, contribution_id, cycle_id, rule_id, amount, days_charged)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [chamaId, contribution.member_id, contribution.id, contribution.cycle_id, rule.id, amount, days]
+        );
+      }
+
+      await updateMemberBalance(
+        contribution.member_id,
+        -increase,
+        `Late payment fine (${rule.name}) for cycle ${contribution.cycle_number}`,
+        userId,
+        contribution.cycle_id,
+        contribution.id,
+        'fine',
+        connection
+      );
+
+      await connection.commit();
+      return increase;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Waive whatever is still outstanding on a fine
+   */
+  async waiveFine(fine, reason, userId) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [current] = await connection.execute(
+        'SELECT * FROM member_fines WHERE id = ? FOR UPDATE',
+        [fine.id]
+      );
+
+      const outstanding = roundMoney(
+        parseFloat(current[0].amount) - parseFloat(current[0].paid_amount) - parseFloat(current[0].waived_amount)
+      );
+
+      await connection.execute(
+        `UPDATE member_fines
+         SET status = 'waived', waived_amount = waived_amount + ?,
+             waived_by = ?, waived_at = CURRENT_TIMESTAMP, waive_reason = ?
+         WHERE id = ?`,
+        [outstanding, userId, reason, fine.id]
+      );
+
+      if (outstanding > 0) {
+        await updateMemberBalance(
+          fine.member_id,
+          outstanding,
+          `Fine waived: ${reason}`,
+          userId,
+          fine.cycle_id,
+          fine.contribution_id,
+          'fine_waiver',
+          connection
+        );
+      }
+
+      await connection.commit();
+      return outstanding;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Outstanding and historical fines for a member
+   */
+  async getMemberFines(memberId) {
+    const [fines] = await db.execute(
+      `SELECT mf.*, fr.name as rule_name, fr.fine_type,
+              cc.cycle_number, cc.cycle_name,
+              (mf.amount - mf.paid_amount - mf.waived_amount) as outstanding_amount
+       FROM member_fines mf
+       JOIN fine_rules fr ON mf.rule_id = fr.id
+       LEFT JOIN contribution_cycles cc ON mf.cycle_id = cc.id
+       WHERE mf.member_id = ?
+       ORDER BY mf.created_at DESC`,
+      [memberId]
+    );
+
+    const totals = fines.reduce((acc, fine) => {
+      acc.total_charged += parseFloat(fine.amount);
+      acc.total_paid += parseFloat(fine.paid_amount);
+      acc.total_waived += parseFloat(fine.waived_amount);
+      if (fine.status === 'outstanding') {
+        acc.total_outstanding += parseFloat(fine.outstanding_amount);
+      }
+      return acc;
+    }, { total_charged: 0, total_paid: 0, total_waived: 0, total_outstanding: 0 });
+
+    return { fines, totals };
+  }
+}
+
+module.exports = new FineEngine();
+module.exports.FINE_TYPES = FINE_TYPES;
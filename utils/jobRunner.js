@@ -0,0 +1,115 @@
+// utils/jobRunner.js
+const os = require('os');
+const cron = require('node-cron');
+const db = require('../config/database');
+
+const createJobRunsTable = `
+CREATE TABLE IF NOT EXISTS job_runs (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  job_name VARCHAR(100) NOT NULL,
+  status ENUM('running', 'completed', 'failed') DEFAULT 'running',
+  host VARCHAR(255),
+  summary JSON NULL,
+  error_message TEXT NULL,
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  finished_at TIMESTAMP NULL,
+  INDEX idx_job_name (job_name, started_at)
+);
+`;
+
+class JobRunner {
+  constructor() {
+    this.host = `${os.hostname()}:${process.pid}`;
+  }
+
+  /**
+   * Create the tables used by the job runner
+   */
+  async initializeTables() {
+    try {
+      await db.execute(createJobRunsTable);
+      console.log('✅ Job runner tables created/verified');
+    } catch (error) {
+      console.error('❌ Failed to create job runner tables:', error);
+    }
+  }
+
+  /**
+   * Run a job while holding a MySQL named lock, so only one server
+   * instance runs a given job at a time. Returns { skipped: true } when
+   * another instance already holds the lock.
+   */
+  async run(name, job) {
+    const connection = await db.getConnection();
+    const lockName = `chama_job:${name}`;
+    let runId = null;
+
+    try {
+      const [lock] = await connection.query('SELECT GET_LOCK(?, 0) as acquired', [lockName]);
+
+      if (lock[0].acquired !== 1) {
+        console.log(`⏭️ Job ${name} is already running on another instance, skipping`);
+        return { skipped: true, job: name };
+      }
+
+      try {
+        const [runResult] = await db.execute(
+          `INSERT INTO job_runs (job_name, status, host) VALUES (?, 'running', ?)`,
+          [name, this.host]
+        );
+        runId = runResult.insertId;
+      } catch (logError) {
+        console.log('Job runs table might not exist, continuing without run log');
+      }
+
+      try {
+        const result = await job();
+
+        if (runId) {
+          await db.execute(
+            `UPDATE job_runs
+             SET status = 'completed', summary = ?, finished_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [JSON.stringify(result ?? null), runId]
+          );
+        }
+
+        return { skipped: false, job: name, result };
+      } catch (error) {
+        if (runId) {
+          await db.execute(
+            `UPDATE job_runs
+             SET status = 'failed', error_message = ?, finished_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [error.message, runId]
+          );
+        }
+        throw error;
+      } finally {
+        await connection.query('SELECT RELEASE_LOCK(?)', [lockName]);
+      }
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Schedule a job on a cron expression, running it through the lock
+   */
+  schedule(name, expression, job) {
+    return cron.schedule(expression, async () => {
+      console.log(`🔄 Running scheduled job: ${name}`);
+
+      try {
+        const outcome = await this.run(name, job);
+        if (!outcome.skipped) {
+          console.log(`✅ Job ${name} completed`);
+        }
+      } catch (error) {
+        console.error(`❌ Job ${name} failed:`, error.message);
+      }
+    });
+  }
+}
+
+module.exports = new JobRunner();
@@ -0,0 +1,88 @@
+// utils/ledger.js
+const db = require('../config/database');
+
+/**
+ * Apply a balance change and write its ledger entry on the given connection
+ */
+const applyBalanceChange = async (
+  connection, memberId, amount, description, userId,
+  cycleId, contributionId, transactionType
+) => {
+  // Get current balance
+  const [balanceRows] = await connection.execute(
+    `SELECT contribution_balance FROM members WHERE id = ? FOR UPDATE`,
+    [memberId]
+  );
+
+  const currentBalance = parseFloat(balanceRows[0]?.contribution_balance || 0);
+  const newBalance = currentBalance + parseFloat(amount);
+
+  // Update member balance
+  await connection.execute(
+    `UPDATE members SET contribution_balance = ? WHERE id = ?`,
+    [newBalance, memberId]
+  );
+
+  // Record in ledger if table exists
+  try {
+    await connection.execute(
+      `INSERT INTO contribution_ledger 
+       (member_id, cycle_id, contribution_id, transaction_type, 
+        amount, balance_before, balance_after, description, created_by) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        memberId,
+        cycleId,
+        contributionId,
+        transactionType,
+        amount,
+        currentBalance,
+        newBalance,
+        description,
+        userId
+      ]
+    );
+  } catch (ledgerError) {
+    console.log('Ledger table might not exist, continuing without ledger entry');
+  }
+
+  return newBalance;
+};
+
+/**
+ * Update member balance and record in ledger.
+ * Pass a connection to take part in the caller's transaction.
+ */
+const updateMemberBalance = async (
+  memberId, amount, description, userId,
+  cycleId = null, contributionId = null, transactionType = 'contribution',
+  existingConnection = null
+) => {
+  if (existingConnection) {
+    return applyBalanceChange(
+      existingConnection, memberId, amount, description, userId,
+      cycleId, contributionId, transactionType
+    );
+  }
+
+  const connection = await db.getConnection();
+  
+  try {
+    await connection.beginTransaction();
+
+    const newBalance = await applyBalanceChange(
+      connection, memberId, amount, description, userId,
+      cycleId, contributionId, transactionType
+    );
+
+    await connection.commit();
+    return newBalance;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = { updateMemberBalance };
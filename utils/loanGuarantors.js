@@ -0,0 +1,520 @@
+// utils/loanGuarantors.js
+const db = require('../config/database');
+const { getSettings } = require('./chamaSettings');
+const { updateMemberBalance } = require('./ledger');
+const { OPEN_LOAN_STATUSES, getLoan, getMemberSavings, getInstallments } = require('./loans');
+const { summarizeBalance, applyRepayment } = require('./loanRepayments');
+
+// Members who back a loan with their own savings. A borrower nominates
+// guarantors for an amount each; each guarantor accepts or declines. If the
+// loan defaults, what is still owed is called from the guarantors who
+// accepted, in proportion to what they guaranteed.
+const createLoanGuarantorsTable = `
+CREATE TABLE IF NOT EXISTS loan_guarantors (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  loan_id INT NOT NULL,
+  chama_id INT NOT NULL,
+  member_id INT NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  status ENUM('pending', 'accepted', 'declined', 'called') NOT NULL DEFAULT 'pending',
+  response_notes VARCHAR(500) NULL,
+  responded_at TIMESTAMP NULL,
+  recovered_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  called_at TIMESTAMP NULL,
+  nominated_by INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_loan_guarantor (loan_id, member_id),
+  FOREIGN KEY (loan_id) REFERENCES loans(id) ON DELETE CASCADE,
+  FOREIGN KEY (chama_id) REFERENCES chamas(id) ON DELETE CASCADE,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  INDEX idx_member_status (member_id, status)
+);
+`;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Create the tables used for loan guarantors
+ */
+const initializeGuarantorTables = async () => {
+  try {
+    await db.execute(createLoanGuarantorsTable);
+    console.log('✅ Loan guarantor tables created/verified');
+  } catch (error) {
+    console.error('❌ Failed to create loan guarantor tables:', error);
+  }
+};
+
+/**
+ * How much more a member can guarantee: their savings, less what has been
+ * called from them before, times the chama's guarantee multiple, less the
+ * guarantees they have given or been asked for on loans still open.
+ * Pass excludeGuaranteeId to leave a guarantee being accepted out.
+ */
+const getGuaranteeExposure = async (memberId, chamaId, executor = db, { excludeGuaranteeId = null } = {}) => {
+  const settings = await getSettings(chamaId, executor);
+  const multiple = parseFloat(settings.loan_guarantee_multiple) || 0;
+  const savings = await getMemberSavings(memberId, executor);
+
+  const [guarantees] = await executor.execute(
+    `SELECT
+       COALESCE(SUM(CASE WHEN lg.status IN ('pending', 'accepted')
+                          AND l.status IN (${OPEN_LOAN_STATUSES.map(() => '?').join(', ')})
+                          AND lg.id != ?
+                     THEN lg.amount ELSE 0 END), 0) as exposure,
+       COALESCE(SUM(lg.recovered_amount), 0) as recovered
+     FROM loan_guarantors lg
+     JOIN loans l ON lg.loan_id = l.id
+     WHERE lg.member_id = ?`,
+    [...OPEN_LOAN_STATUSES, excludeGuaranteeId || 0, memberId]
+  );
+
+  const recovered = parseFloat(guarantees[0].recovered);
+  const exposure = parseFloat(guarantees[0].exposure);
+  const limit = roundMoney(Math.max(savings - recovered, 0) * multiple);
+
+  return {
+    savings,
+    recovered,
+    guarantee_multiple: multiple,
+    limit,
+    exposure,
+    available: Math.max(roundMoney(limit - exposure), 0)
+  };
+};
+
+/**
+ * A loan's guarantors with their names
+ */
+const listGuarantors = async (loanId, executor = db) => {
+  const [guarantors] = await executor.execute(
+    `SELECT lg.*, u.name as member_name, m.user_id
+     FROM loan_guarantors lg
+     JOIN members m ON lg.member_id = m.id
+     JOIN users u ON m.user_id = u.id
+     WHERE lg.loan_id = ?
+     ORDER BY lg.created_at ASC, lg.id ASC`,
+    [loanId]
+  );
+  return guarantors;
+};
+
+/**
+ * The guarantees a member has given or been asked for, newest first
+ */
+const listMemberGuarantees = async (memberId) => {
+  const [guarantees] = await db.execute(
+    `SELECT lg.*, l.principal, l.status as loan_status, u.name as borrower_name, lp.name as product_name
+     FROM loan_guarantors lg
+     JOIN loans l ON lg.loan_id = l.id
+     JOIN loan_products lp ON l.product_id = lp.id
+     JOIN members m ON l.member_id = m.id
+     JOIN users u ON m.user_id = u.id
+     WHERE lg.member_id = ?
+     ORDER BY lg.created_at DESC`,
+    [memberId]
+  );
+  return guarantees;
+};
+
+/**
+ * Check guarantors nominated for a loan: each must be another active member
+ * of the chama with room to guarantee the amount, and together with those
+ * already nominated they cannot guarantee more than the principal.
+ * Writes nothing. Returns { success: false, status, message } on the first problem.
+ */
+const checkNominations = async ({ chamaId, memberId, principal, loanId = null }, guarantors, executor = db) => {
+  const existing = loanId ? await listGuarantors(loanId, executor) : [];
+  const seen = new Set(existing.map(guarantor => parseInt(guarantor.member_id)));
+
+  let total = existing
+    .filter(guarantor => ['pending', 'accepted'].includes(guarantor.status))
+    .reduce((sum, guarantor) => sum + parseFloat(guarantor.amount), 0);
+
+  for (const nominee of guarantors) {
+    const nomineeId = parseInt(nominee.memberId);
+
+    if (nomineeId === parseInt(memberId)) {
+      return { success: false, status: 400, message: 'Borrowers cannot guarantee their own loans' };
+    }
+
+    if (seen.has(nomineeId)) {
+      return { success: false, status: 400, message: `Member #${nomineeId} is already a guarantor on this loan` };
+    }
+    seen.add(nomineeId);
+
+    const [members] = await executor.execute(
+      `SELECT m.id, u.name FROM members m
+       JOIN users u ON m.user_id = u.id
+       WHERE m.id = ? AND m.chama_id = ? AND m.status = 'active'`,
+      [nomineeId, chamaId]
+    );
+
+    if (members.length === 0) {
+      return { success: false, status: 400, message: 'Guarantors must be active members of the chama' };
+    }
+
+    const exposure = await getGuaranteeExposure(nomineeId, chamaId, executor);
+
+    if (parseFloat(nominee.amount) > exposure.available) {
+      return {
+        success: false,
+        status: 400,
+        message: `${members[0].name} can guarantee up to KES ${exposure.available}`
+      };
+    }
+
+    total = roundMoney(total + parseFloat(nominee.amount));
+  }
+
+  if (total > parseFloat(principal)) {
+    return {
+      success: false,
+      status: 400,
+      message: `Guarantees of KES ${total} are more than the loan of KES ${principal}`
+    };
+  }
+
+  return { success: true };
+};
+
+/**
+ * Nominate guarantors for a pending loan. Each nominee is asked to accept.
+ * Returns { success: false, status, message } when a nomination is not allowed,
+ * otherwise the new guarantor rows.
+ */
+const nominateGuarantors = async (loanId, guarantors, userId) => {
+  const loan = await getLoan(loanId);
+
+  if (!loan) {
+    return { success: false, status: 404, message: 'Loan not found' };
+  }
+
+  if (loan.status !== 'pending') {
+    return { success: false, status: 400, message: `Loan is already ${loan.status}` };
+  }
+
+  const check = await checkNominations({
+    chamaId: loan.chama_id,
+    memberId: loan.member_id,
+    principal: loan.principal,
+    loanId: loan.id
+  }, guarantors);
+
+  if (!check.success) {
+    return check;
+  }
+
+  const ids = [];
+
+  for (const nominee of guarantors) {
+    const [result] = await db.execute(
+      `INSERT INTO loan_guarantors (loan_id, chama_id, member_id, amount, nominated_by)
+       VALUES (?, ?, ?, ?, ?)`,
+      [loan.id, loan.chama_id, nominee.memberId, roundMoney(parseFloat(nominee.amount)), userId]
+    );
+    ids.push(result.insertId);
+  }
+
+  const nominated = (await listGuarantors(loan.id)).filter(guarantor => ids.includes(guarantor.id));
+
+  return { success: true, data: nominated };
+};
+
+/**
+ * Accept or decline a guarantee. Only the guarantor can answer, and only
+ * while the loan is pending. Accepting checks the guarantor's exposure
+ * again, since other guarantees may have been accepted since nomination.
+ * Returns { success: false, status, message } when the answer is not allowed.
+ */
+const respondToGuarantee = async (loanId, guaranteeId, accept, notes, userId) => {
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [guarantees] = await connection.execute(
+      `SELECT lg.*, m.user_id, l.status as loan_status
+       FROM loan_guarantors lg
+       JOIN members m ON lg.member_id = m.id
+       JOIN loans l ON lg.loan_id = l.id
+       WHERE lg.id = ? AND lg.loan_id = ?
+       FOR UPDATE`,
+      [guaranteeId, loanId]
+    );
+
+    if (guarantees.length === 0) {
+      await connection.rollback();
+      return { success: false, status: 404, message: 'Guarantee not found' };
+    }
+
+    const guarantee = guarantees[0];
+
+    if (guarantee.user_id !== userId) {
+      await connection.rollback();
+      return { success: false, status: 403, message: 'Only the guarantor can answer this request' };
+    }
+
+    if (guarantee.status !== 'pending') {
+      await connection.rollback();
+      return { success: false, status: 400, message: `Guarantee is already ${guarantee.status}` };
+    }
+
+    if (guarantee.loan_status !== 'pending') {
+      await connection.rollback();
+      return { success: false, status: 400, message: `Loan is already ${guarantee.loan_status}` };
+    }
+
+    if (accept) {
+      // Hold the guarantor's other guarantees while their exposure is checked
+      await connection.execute(
+        'SELECT id FROM loan_guarantors WHERE member_id = ? FOR UPDATE',
+        [guarantee.member_id]
+      );
+
+      const exposure = await getGuaranteeExposure(guarantee.member_id, guarantee.chama_id, connection, {
+        excludeGuaranteeId: guarantee.id
+      });
+
+      if (parseFloat(guarantee.amount) > exposure.available) {
+        await connection.rollback();
+        return {
+          success: false,
+          status: 400,
+          message: `You can guarantee up to KES ${exposure.available} (${exposure.guarantee_multiple} times ` +
+            `savings of KES ${exposure.savings}, less KES ${exposure.exposure} already guaranteed)`
+        };
+      }
+    }
+
+    await connection.execute(
+      `UPDATE loan_guarantors
+       SET status = ?, response_notes = ?, responded_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [accept ? 'accepted' : 'declined', notes || null, guarantee.id]
+    );
+
+    await connection.commit();
+
+    const guarantors = await listGuarantors(loanId);
+
+    return { success: true, data: guarantors.find(guarantor => guarantor.id === guarantee.id) };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * How much of a loan its accepted guarantees cover against what the
+ * chama's loan_guarantor_coverage setting requires
+ */
+const getGuaranteeCoverage = async (loan, executor = db) => {
+  const settings = await getSettings(loan.chama_id, executor);
+  const coverage = parseFloat(settings.loan_guarantor_coverage) || 0;
+  const guarantors = await listGuarantors(loan.id, executor);
+
+  const total = (status) => roundMoney(guarantors
+    .filter(guarantor => guarantor.status === status)
+    .reduce((sum, guarantor) => sum + parseFloat(guarantor.amount), 0));
+
+  const required = roundMoney(parseFloat(loan.principal) * coverage / 100);
+  const accepted = total('accepted');
+
+  return {
+    coverage_percent: coverage,
+    required,
+    accepted,
+    pending: total('pending'),
+    met: accepted >= required,
+    guarantors
+  };
+};
+
+/**
+ * Refuse to approve a loan whose accepted guarantees fall short.
+ * Returns { success: false, status, message } while more are needed.
+ */
+const checkGuaranteeCoverage = async (loan, executor = db) => {
+  const coverage = await getGuaranteeCoverage(loan, executor);
+
+  if (coverage.met) {
+    return { success: true };
+  }
+
+  return {
+    success: false,
+    status: 400,
+    message: `Loan needs KES ${coverage.required} of accepted guarantees (${coverage.coverage_percent}% of the principal); ` +
+      `KES ${coverage.accepted} accepted, KES ${coverage.pending} awaiting answers`
+  };
+};
+
+/**
+ * Recover what is still owed on a defaulted loan from its guarantors.
+ * Each guarantor who accepted pays a share in proportion to what they
+ * guaranteed, never more than that amount. The share comes off their
+ * balance through the ledger and is applied to the loan as a repayment.
+ * Returns null when there is nothing to recover.
+ */
+const recoverFromGuarantors = async (loanId, userId = null) => {
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [loans] = await connection.execute(
+      `SELECT l.*, u.name as member_name
+       FROM loans l
+       JOIN members m ON l.member_id = m.id
+       JOIN users u ON m.user_id = u.id
+       WHERE l.id = ? FOR UPDATE`,
+      [loanId]
+    );
+
+    if (loans.length === 0 || loans[0].status !== 'defaulted') {
+      await connection.rollback();
+      return null;
+    }
+
+    const loan = loans[0];
+
+    const [guarantors] = await connection.execute(
+      `SELECT lg.*, m.user_id
+       FROM loan_guarantors lg
+       JOIN members m ON lg.member_id = m.id
+       WHERE lg.loan_id = ? AND lg.status = 'accepted'
+       ORDER BY lg.id ASC
+       FOR UPDATE`,
+      [loan.id]
+    );
+
+    const balance = summarizeBalance(await getInstallments(loan.id, connection));
+    const guaranteed = guarantors.reduce((sum, guarantor) => sum + parseFloat(guarantor.amount), 0);
+
+    if (guarantors.length === 0 || balance.payoff <= 0) {
+      await connection.rollback();
+      return null;
+    }
+
+    const toRecover = Math.min(balance.payoff, roundMoney(guaranteed));
+    const recoveries = [];
+    let remaining = toRecover;
+
+    for (const [index, guarantor] of guarantors.entries()) {
+      const last = index === guarantors.length - 1;
+      const share = Math.min(
+        last ? remaining : roundMoney(toRecover * parseFloat(guarantor.amount) / guaranteed),
+        parseFloat(guarantor.amount),
+        remaining
+      );
+
+      if (share > 0) {
+        await updateMemberBalance(
+          guarantor.member_id,
+          -share,
+          `Guarantee called on loan #${loan.id} to ${loan.member_name}`,
+          userId,
+          null,
+          null,
+          'guarantee_recovery',
+          connection
+        );
+
+        const repayment = await applyRepayment(connection, {
+          loanId: loan.id,
+          amount: share,
+          paymentMethod: 'guarantor_recovery',
+          paymentReference: `GUARANTEE-${guarantor.id}`,
+          notes: `Recovered from guarantor member #${guarantor.member_id}`,
+          recordedBy: userId
+        });
+
+        if (!repayment.success) {
+          throw new Error(`Could not apply guarantee #${guarantor.id} to loan #${loan.id}: ${repayment.message}`);
+        }
+
+        remaining = roundMoney(remaining - share);
+      }
+
+      await connection.execute(
+        `UPDATE loan_guarantors
+         SET status = 'called', recovered_amount = ?, called_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [share, guarantor.id]
+      );
+
+      recoveries.push({
+        guarantee_id: guarantor.id,
+        member_id: guarantor.member_id,
+        user_id: guarantor.user_id,
+        guaranteed: parseFloat(guarantor.amount),
+        recovered: share
+      });
+    }
+
+    await connection.commit();
+
+    return {
+      loan_id: loan.id,
+      chama_id: loan.chama_id,
+      borrower_name: loan.member_name,
+      balance_before: balance.payoff,
+      recovered: roundMoney(toRecover - remaining),
+      balance_after: roundMoney(balance.payoff - (toRecover - remaining)),
+      guarantors: recoveries
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Recover from the guarantors of every defaulted loan not yet called.
+ * Run after the daily accrual, which is what marks loans in default.
+ */
+const recoverDefaultedLoans = async (userId = null) => {
+  const [loans] = await db.execute(
+    `SELECT DISTINCT l.id
+     FROM loans l
+     JOIN loan_guarantors lg ON lg.loan_id = l.id AND lg.status = 'accepted'
+     WHERE l.status = 'defaulted'`
+  );
+
+  const summary = { loans: loans.length, recovered: 0, recoveries: [], errors: 0 };
+
+  for (const loan of loans) {
+    try {
+      const recovery = await recoverFromGuarantors(loan.id, userId);
+
+      if (recovery) {
+        summary.recovered = roundMoney(summary.recovered + recovery.recovered);
+        summary.recoveries.push(recovery);
+      }
+    } catch (error) {
+      console.error(`❌ Guarantor recovery failed for loan ${loan.id}:`, error.message);
+      summary.errors++;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  initializeGuarantorTables,
+  getGuaranteeExposure,
+  listGuarantors,
+  listMemberGuarantees,
+  checkNominations,
+  nominateGuarantors,
+  respondToGuarantee,
+  getGuaranteeCoverage,
+  checkGuaranteeCoverage,
+  recoverFromGuarantors,
+  recoverDefaultedLoans
+};
@@ -0,0 +1,695 @@
+// utils/loanRepayments.js
+const moment = require('moment');
+const db = require('../config/database');
+const { getLoan, getInstallments } = require('./loans');
+const { getSettings } = require('./chamaSettings');
+const { postWalletEntry } = require('./memberWallet');
+const { getProvider } = require('./paymentProviders');
+const { recordProviderTransaction } = require('./providerTransactions');
+
+// Money paid back on a loan, with how it was split. Each repayment clears
+// penalties first, then interest, then principal, oldest installment first.
+const createLoanRepaymentsTable = `
+CREATE TABLE IF NOT EXISTS loan_repayments (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  loan_id INT NOT NULL,
+  chama_id INT NOT NULL,
+  member_id INT NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  penalty_paid DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  interest_paid DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  principal_paid DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  excess_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  payment_method VARCHAR(50) NOT NULL,
+  payment_reference VARCHAR(100) NULL,
+  mpesa_payment_id INT NULL UNIQUE,
+  notes VARCHAR(500) NULL,
+  recorded_by INT NULL,
+  paid_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (loan_id) REFERENCES loans(id) ON DELETE CASCADE,
+  FOREIGN KEY (chama_id) REFERENCES chamas(id) ON DELETE CASCADE,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  INDEX idx_member (member_id)
+);
+`;
+
+// Each day's interest and penalty charged to an installment by the accrual job
+const createLoanAccrualsTable = `
+CREATE TABLE IF NOT EXISTS loan_accruals (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  loan_id INT NOT NULL,
+  installment_id INT NOT NULL,
+  accrual_type ENUM('interest', 'penalty') NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  accrual_date DATE NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_installment_accrual (installment_id, accrual_type, accrual_date),
+  FOREIGN KEY (loan_id) REFERENCES loans(id) ON DELETE CASCADE,
+  FOREIGN KEY (installment_id) REFERENCES loan_installments(id) ON DELETE CASCADE
+);
+`;
+
+// STK payments made against a loan rather than contributions
+const createLoanStkPaymentsTable = `
+CREATE TABLE IF NOT EXISTS loan_stk_payments (
+  mpesa_payment_id INT PRIMARY KEY,
+  loan_id INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (mpesa_payment_id) REFERENCES mpesa_payments(id) ON DELETE CASCADE,
+  FOREIGN KEY (loan_id) REFERENCES loans(id) ON DELETE CASCADE
+);
+`;
+
+// Loans that are repaid against and accrue
+const REPAYABLE_STATUSES = ['active', 'defaulted'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Create the tables used for loan repayments
+ */
+const initializeLoanRepaymentTables = async () => {
+  try {
+    await db.execute(createLoanRepaymentsTable);
+    await db.execute(createLoanAccrualsTable);
+    await db.execute(createLoanStkPaymentsTable);
+    console.log('✅ Loan repayment tables created/verified');
+  } catch (error) {
+    console.error('❌ Failed to create loan repayment tables:', error);
+  }
+};
+
+/**
+ * What is still owed on an installment: principal not yet repaid, and
+ * interest and penalties accrued but not yet paid
+ */
+const installmentOwed = (installment) => ({
+  principal: roundMoney(parseFloat(installment.principal_due) - parseFloat(installment.principal_paid)),
+  interest: roundMoney(parseFloat(installment.interest_accrued) - parseFloat(installment.interest_paid)),
+  penalty: roundMoney(parseFloat(installment.penalty_accrued) - parseFloat(installment.penalty_paid))
+});
+
+/**
+ * What it takes to close a loan today: all principal left, with interest
+ * and penalties accrued so far
+ */
+const summarizeBalance = (installments) => {
+  const balance = installments.reduce((acc, installment) => {
+    const owed = installmentOwed(installment);
+    acc.principal += owed.principal;
+    acc.interest += owed.interest;
+    acc.penalty += owed.penalty;
+    return acc;
+  }, { principal: 0, interest: 0, penalty: 0 });
+
+  balance.principal = roundMoney(balance.principal);
+  balance.interest = roundMoney(balance.interest);
+  balance.penalty = roundMoney(balance.penalty);
+  balance.payoff = roundMoney(balance.principal + balance.interest + balance.penalty);
+  return balance;
+};
+
+/**
+ * Split a repayment across a loan's installments: penalties first, then
+ * accrued interest, then principal, each oldest installment first. Paying
+ * principal ahead of schedule is allowed, and clearing the whole balance
+ * early closes the loan without the interest not yet accrued.
+ * Writes nothing; returns the split, the amount left over and the
+ * installments as they would stand.
+ */
+const allocateRepayment = (installments, amount) => {
+  const updated = installments.map(installment => ({ ...installment }));
+  let remaining = roundMoney(parseFloat(amount));
+  const split = { penalty: 0, interest: 0, principal: 0 };
+
+  const pay = (kind, paidColumn) => {
+    for (const installment of updated) {
+      if (remaining <= 0) return;
+
+      const take = Math.min(remaining, installmentOwed(installment)[kind]);
+
+      if (take > 0) {
+        installment[paidColumn] = roundMoney(parseFloat(installment[paidColumn]) + take);
+        split[kind] = roundMoney(split[kind] + take);
+        remaining = roundMoney(remaining - take);
+      }
+    }
+  };
+
+  pay('penalty', 'penalty_paid');
+  pay('interest', 'interest_paid');
+  pay('principal', 'principal_paid');
+
+  const cleared = summarizeBalance(updated).payoff <= 0;
+
+  for (const installment of updated) {
+    const owed = installmentOwed(installment);
+    const settled = owed.principal <= 0 && owed.penalty <= 0 &&
+      parseFloat(installment.interest_paid) >= parseFloat(installment.interest_due);
+
+    if (cleared || settled) {
+      installment.status = 'paid';
+    } else if (parseFloat(installment.principal_paid) > 0 || parseFloat(installment.interest_paid) > 0 ||
+      parseFloat(installment.penalty_paid) > 0) {
+      installment.status = 'partial';
+    }
+  }
+
+  return { ...split, excess: remaining, cleared, installments: updated };
+};
+
+/**
+ * Record a repayment on a loan and apply it to the installments.
+ * Money beyond the payoff amount is refused, unless allowExcess is set for
+ * money that has already arrived (M-Pesa); that excess goes to the
+ * member's wallet. A loan whose balance is cleared becomes repaid.
+ * Returns { success: false, status, message } when the repayment is not allowed.
+ *
+ * Runs on the caller's connection; the caller owns the transaction.
+ */
+const applyRepayment = async (connection, {
+  loanId,
+  amount,
+  paymentMethod,
+  paymentReference = null,
+  mpesaPaymentId = null,
+  notes = null,
+  recordedBy = null,
+  allowExcess = false
+}) => {
+  const [loans] = await connection.execute(
+    'SELECT * FROM loans WHERE id = ? FOR UPDATE',
+    [loanId]
+  );
+
+  if (loans.length === 0) {
+    return { success: false, status: 404, message: 'Loan not found' };
+  }
+
+  const loan = loans[0];
+  const repayable = REPAYABLE_STATUSES.includes(loan.status);
+
+  if (!repayable && !allowExcess) {
+    return { success: false, status: 400, message: `Loan is ${loan.status} and takes no repayments` };
+  }
+
+  const [installments] = await connection.execute(
+    'SELECT * FROM loan_installments WHERE loan_id = ? ORDER BY installment_number ASC FOR UPDATE',
+    [loan.id]
+  );
+
+  const allocation = repayable
+    ? allocateRepayment(installments, amount)
+    : { penalty: 0, interest: 0, principal: 0, excess: roundMoney(parseFloat(amount)), cleared: false, installments: [] };
+
+  if (allocation.excess > 0 && !allowExcess) {
+    return {
+      success: false,
+      status: 400,
+      message: `Repayment of KES ${amount} is more than the KES ${summarizeBalance(installments).payoff} needed to clear the loan`
+    };
+  }
+
+  const [result] = await connection.execute(
+    `INSERT INTO loan_repayments
+     (loan_id, chama_id, member_id, amount, penalty_paid, interest_paid, principal_paid, excess_amount,
+      payment_method, payment_reference, mpesa_payment_id, notes, recorded_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      loan.id,
+      loan.chama_id,
+      loan.member_id,
+      roundMoney(parseFloat(amount)),
+      allocation.penalty,
+      allocation.interest,
+      allocation.principal,
+      allocation.excess,
+      paymentMethod,
+      paymentReference,
+      mpesaPaymentId,
+      notes,
+      recordedBy
+    ]
+  );
+
+  for (const installment of allocation.installments) {
+    await connection.execute(
+      `UPDATE loan_installments
+       SET principal_paid = ?, interest_paid = ?, penalty_paid = ?, status = ?,
+           paid_at = IF(? = 'paid', COALESCE(paid_at, CURRENT_TIMESTAMP), NULL)
+       WHERE id = ?`,
+      [
+        installment.principal_paid,
+        installment.interest_paid,
+        installment.penalty_paid,
+        installment.status,
+        installment.status,
+        installment.id
+      ]
+    );
+  }
+
+  if (allocation.cleared) {
+    await connection.execute(
+      "UPDATE loans SET status = 'repaid' WHERE id = ?",
+      [loan.id]
+    );
+  }
+
+  if (allocation.excess > 0) {
+    await postWalletEntry(connection, {
+      memberId: loan.member_id,
+      chamaId: loan.chama_id,
+      amount: allocation.excess,
+      entryType: 'overpayment',
+      description: `Paid beyond the balance of loan #${loan.id}`,
+      userId: recordedBy
+    });
+  }
+
+  const [repayments] = await connection.execute(
+    'SELECT * FROM loan_repayments WHERE id = ?',
+    [result.insertId]
+  );
+
+  return {
+    success: true,
+    data: { ...repayments[0], loan_status: allocation.cleared ? 'repaid' : loan.status }
+  };
+};
+
+/**
+ * Record a repayment made in cash, by bank or straight to the chama's till.
+ * Returns { success: false, status, message } when it is not allowed.
+ */
+const recordRepayment = async (loanId, { amount, paymentMethod, paymentReference, notes }, userId) => {
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const outcome = await applyRepayment(connection, {
+      loanId,
+      amount,
+      paymentMethod,
+      paymentReference: paymentReference || null,
+      notes: notes || null,
+      recordedBy: userId
+    });
+
+    if (!outcome.success) {
+      await connection.rollback();
+      return outcome;
+    }
+
+    await connection.commit();
+    return outcome;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * The loan an STK payment was made for, or null when it was made for
+ * contributions
+ */
+const getStkLoanId = async (executor, mpesaPaymentId) => {
+  const [links] = await executor.execute(
+    'SELECT loan_id FROM loan_stk_payments WHERE mpesa_payment_id = ?',
+    [mpesaPaymentId]
+  );
+  return links.length > 0 ? links[0].loan_id : null;
+};
+
+/**
+ * Send an STK push for a loan repayment, to the borrower's phone unless
+ * another is given. The repayment is applied when the payment completes
+ * (see mpesaPayments.completeMpesaPayment).
+ * Returns { success: false, status, message } when it is not allowed.
+ */
+const initiateStkRepayment = async (loanId, { amount, phone }, userId) => {
+  const loan = await getLoan(loanId);
+
+  if (!loan) {
+    return { success: false, status: 404, message: 'Loan not found' };
+  }
+
+  if (!REPAYABLE_STATUSES.includes(loan.status)) {
+    return { success: false, status: 400, message: `Loan is ${loan.status} and takes no repayments` };
+  }
+
+  const phoneNumber = phone || loan.member_phone;
+
+  if (!phoneNumber) {
+    return { success: false, status: 400, message: 'A phone number is required for the payment' };
+  }
+
+  const balance = summarizeBalance(await getInstallments(loan.id));
+
+  if (parseFloat(amount) > balance.payoff) {
+    return {
+      success: false,
+      status: 400,
+      message: `Repayment of KES ${amount} is more than the KES ${balance.payoff} needed to clear the loan`
+    };
+  }
+
+  const reference = `LOAN${String(loan.id).padStart(5, '0')}${Date.now().toString().slice(-6)}`;
+  const description = `Loan #${loan.id} repayment`;
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [paymentResult] = await connection.execute(
+      `INSERT INTO mpesa_payments
+       (chama_id, member_id, contribution_id, phone_number, amount,
+        expected_amount, reference, description, status, initiated_by)
+       VALUES (?, ?, NULL, ?, ?, ?, ?, ?, 'pending', ?)`,
+      [loan.chama_id, loan.member_id, phoneNumber, amount, amount, reference, description, userId]
+    );
+
+    const mpesaPaymentId = paymentResult.insertId;
+
+    await connection.execute(
+      'INSERT INTO loan_stk_payments (mpesa_payment_id, loan_id) VALUES (?, ?)',
+      [mpesaPaymentId, loan.id]
+    );
+
+    const collection = await getProvider('mpesa').collect({ phone: phoneNumber, amount, reference, description });
+
+    await connection.execute(
+      `UPDATE mpesa_payments
+       SET checkout_request_id = ?,
+           merchant_request_id = ?,
+           response_code = ?,
+           customer_message = ?,
+           status = 'initiated'
+       WHERE id = ?`,
+      [collection.providerReference, collection.requestId, collection.responseCode, collection.message, mpesaPaymentId]
+    );
+
+    await recordProviderTransaction(connection, {
+      provider: 'mpesa',
+      direction: 'collection',
+      chamaId: loan.chama_id,
+      memberId: loan.member_id,
+      amount,
+      account: phoneNumber,
+      reference,
+      providerReference: collection.providerReference,
+      resultCode: collection.responseCode,
+      sourceType: 'mpesa_payment',
+      sourceId: mpesaPaymentId
+    });
+
+    await connection.commit();
+
+    return {
+      success: true,
+      data: {
+        paymentId: mpesaPaymentId,
+        loanId: loan.id,
+        checkoutRequestID: collection.providerReference,
+        merchantRequestID: collection.requestId,
+        customerMessage: collection.message,
+        phone: phoneNumber,
+        amount,
+        reference,
+        transactionStatus: 'initiated'
+      }
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Apply a completed STK payment to the loan it was made for. The money has
+ * arrived, so anything beyond the balance goes to the member's wallet.
+ *
+ * Runs on the caller's connection; the caller owns the transaction.
+ */
+const completeStkRepayment = async (connection, payment, loanId) => {
+  const outcome = await applyRepayment(connection, {
+    loanId,
+    amount: parseFloat(payment.amount),
+    paymentMethod: 'mpesa',
+    paymentReference: payment.mpesa_receipt_number || payment.reference,
+    mpesaPaymentId: payment.id,
+    notes: `M-Pesa payment via STK Push. Receipt: ${payment.mpesa_receipt_number || payment.reference}`,
+    recordedBy: payment.initiated_by,
+    allowExcess: true
+  });
+
+  return outcome.data;
+};
+
+/**
+ * Charge one day's accrual to an installment: interest builds up evenly
+ * over its period until the full interest due is reached on the due date,
+ * and once it is overdue a penalty is charged at the monthly penalty rate
+ * on the principal and interest still unpaid, for each day since the last
+ * accrual. Writes nothing; returns { interest, penalty }.
+ */
+const accrueInstallment = (installment, today, penaltyRate) => {
+  const day = moment(today).startOf('day');
+  const periodStart = moment(installment.period_start).startOf('day');
+  const dueDate = moment(installment.due_date).startOf('day');
+  const periodDays = Math.max(dueDate.diff(periodStart, 'days'), 1);
+  const elapsed = Math.min(Math.max(day.diff(periodStart, 'days'), 0), periodDays);
+
+  const interestTarget = roundMoney(parseFloat(installment.interest_due) * elapsed / periodDays);
+  const interest = Math.max(roundMoney(interestTarget - parseFloat(installment.interest_accrued)), 0);
+
+  let penalty = 0;
+
+  if (penaltyRate > 0 && day.isAfter(dueDate)) {
+    const from = installment.accrued_through && moment(installment.accrued_through).isAfter(dueDate)
+      ? moment(installment.accrued_through).startOf('day')
+      : dueDate;
+    const days = day.diff(from, 'days');
+    const overdue = parseFloat(installment.principal_due) - parseFloat(installment.principal_paid) +
+      parseFloat(installment.interest_due) - parseFloat(installment.interest_paid);
+
+    if (days > 0 && overdue > 0) {
+      penalty = roundMoney(overdue * (penaltyRate / 100 / 30) * days);
+    }
+  }
+
+  return { interest, penalty };
+};
+
+/**
+ * Accrue interest and penalties on one loan up to today, and mark it in
+ * default once an installment has been overdue longer than the chama allows.
+ */
+const accrueLoan = async (loan, today, settings) => {
+  const connection = await db.getConnection();
+  const result = { interest: 0, penalty: 0, defaulted: false };
+
+  try {
+    await connection.beginTransaction();
+
+    const [installments] = await connection.execute(
+      `SELECT * FROM loan_installments
+       WHERE loan_id = ? AND status != 'paid'
+         AND period_start < ? AND (accrued_through IS NULL OR accrued_through < ?)
+       ORDER BY installment_number ASC
+       FOR UPDATE`,
+      [loan.id, today, today]
+    );
+
+    const penaltyRate = parseFloat(settings.loan_penalty_rate) || 0;
+
+    for (const installment of installments) {
+      const accrual = accrueInstallment(installment, today, penaltyRate);
+
+      for (const [type, amount] of [['interest', accrual.interest], ['penalty', accrual.penalty]]) {
+        if (amount > 0) {
+          await connection.execute(
+            `INSERT INTO loan_accruals (loan_id, installment_id, accrual_type, amount, accrual_date)
+             VALUES (?, ?, ?, ?, ?)`,
+            [loan.id, installment.id, type, amount, today]
+          );
+        }
+      }
+
+      await connection.execute(
+        `UPDATE loan_installments
+         SET interest_accrued = interest_accrued + ?, penalty_accrued = penalty_accrued + ?,
+             accrued_through = ?
+         WHERE id = ?`,
+        [accrual.interest, accrual.penalty, today, installment.id]
+      );
+
+      result.interest = roundMoney(result.interest + accrual.interest);
+      result.penalty = roundMoney(result.penalty + accrual.penalty);
+    }
+
+    if (loan.status === 'active') {
+      const defaultDays = parseInt(settings.loan_default_days) || 0;
+      const [overdue] = await connection.execute(
+        `SELECT id FROM loan_installments
+         WHERE loan_id = ? AND status != 'paid' AND due_date < DATE_SUB(?, INTERVAL ? DAY)
+         LIMIT 1`,
+        [loan.id, today, defaultDays]
+      );
+
+      if (overdue.length > 0) {
+        await connection.execute(
+          "UPDATE loans SET status = 'defaulted' WHERE id = ? AND status = 'active'",
+          [loan.id]
+        );
+        result.defaulted = true;
+      }
+    }
+
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Daily job: accrue interest and penalties on every loan being repaid and
+ * mark loans in default. Safe to run more than once a day; each installment
+ * accrues at most once per date.
+ */
+const runLoanAccruals = async (today = moment().format('YYYY-MM-DD')) => {
+  const [loans] = await db.execute(
+    `SELECT id, chama_id, status FROM loans
+     WHERE status IN (${REPAYABLE_STATUSES.map(() => '?').join(', ')})
+     ORDER BY chama_id, id`,
+    REPAYABLE_STATUSES
+  );
+
+  const summary = { loans: loans.length, interest: 0, penalty: 0, defaulted: [], errors: 0 };
+  const settingsByChama = {};
+
+  for (const loan of loans) {
+    try {
+      if (!settingsByChama[loan.chama_id]) {
+        settingsByChama[loan.chama_id] = await getSettings(loan.chama_id);
+      }
+
+      const result = await accrueLoan(loan, today, settingsByChama[loan.chama_id]);
+
+      summary.interest = roundMoney(summary.interest + result.interest);
+      summary.penalty = roundMoney(summary.penalty + result.penalty);
+      if (result.defaulted) {
+        summary.defaulted.push(loan.id);
+      }
+    } catch (error) {
+      console.error(`❌ Loan accrual failed for loan ${loan.id}:`, error.message);
+      summary.errors++;
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * A loan's statement: its schedule with what has been paid on each
+ * installment, every repayment with its split, and what is owed now
+ */
+const getLoanStatement = async (loanId, executor = db) => {
+  const loan = await getLoan(loanId, executor);
+
+  if (!loan) {
+    return null;
+  }
+
+  const installments = await getInstallments(loan.id, executor);
+
+  const [repayments] = await executor.execute(
+    `SELECT lr.*, u.name as recorded_by_name
+     FROM loan_repayments lr
+     LEFT JOIN users u ON lr.recorded_by = u.id
+     WHERE lr.loan_id = ?
+     ORDER BY lr.paid_at ASC, lr.id ASC`,
+    [loan.id]
+  );
+
+  const today = moment().format('YYYY-MM-DD');
+  const balance = summarizeBalance(installments);
+
+  const overdue = installments
+    .filter(installment => installment.status !== 'paid' && moment(installment.due_date).format('YYYY-MM-DD') < today)
+    .reduce((sum, installment) => {
+      const owed = installmentOwed(installment);
+      return sum + owed.principal + owed.penalty +
+        parseFloat(installment.interest_due) - parseFloat(installment.interest_paid);
+    }, 0);
+
+  const paid = repayments.reduce((acc, repayment) => {
+    acc.penalty += parseFloat(repayment.penalty_paid);
+    acc.interest += parseFloat(repayment.interest_paid);
+    acc.principal += parseFloat(repayment.principal_paid);
+    acc.total += parseFloat(repayment.amount) - parseFloat(repayment.excess_amount);
+    return acc;
+  }, { penalty: 0, interest: 0, principal: 0, total: 0 });
+
+  return {
+    loan,
+    installments: installments.map(installment => ({
+      ...installment,
+      owed: installmentOwed(installment)
+    })),
+    repayments,
+    paid: {
+      penalty: roundMoney(paid.penalty),
+      interest: roundMoney(paid.interest),
+      principal: roundMoney(paid.principal),
+      total: roundMoney(paid.total)
+    },
+    balance,
+    amount_overdue: roundMoney(overdue),
+    next_installment: installments.find(installment => installment.status !== 'paid') || null
+  };
+};
+
+/**
+ * Statements for a member's disbursed loans, newest first
+ */
+const getMemberLoanStatements = async (memberId, executor = db) => {
+  const [loans] = await executor.execute(
+    `SELECT id FROM loans
+     WHERE member_id = ? AND status IN ('active', 'defaulted', 'repaid')
+     ORDER BY disbursed_at DESC, id DESC`,
+    [memberId]
+  );
+
+  const statements = [];
+
+  for (const loan of loans) {
+    statements.push(await getLoanStatement(loan.id, executor));
+  }
+
+  return statements;
+};
+
+module.exports = {
+  initializeLoanRepaymentTables,
+  summarizeBalance,
+  allocateRepayment,
+  applyRepayment,
+  recordRepayment,
+  getStkLoanId,
+  initiateStkRepayment,
+  completeStkRepayment,
+  accrueInstallment,
+  runLoanAccruals,
+  getLoanStatement,
+  getMemberLoanStatements
+};
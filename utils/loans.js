@@ -0,0 +1,678 @@
+// utils/loans.js
+const moment = require('moment');
+const db = require('../config/database');
+const { getAvailablePool } = require('./payoutEligibility');
+
+// Table banking: a chama lends its pool to members on the terms of a loan
+// product. Approving a loan creates a pending payout for the principal, so
+// the money goes out through the usual payout flow (signatures, M-Pesa).
+const createLoanProductsTable = `
+CREATE TABLE IF NOT EXISTS loan_products (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  chama_id INT NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  description VARCHAR(500) NULL,
+  interest_type ENUM('flat', 'reducing') NOT NULL,
+  interest_rate DECIMAL(5, 2) NOT NULL,
+  max_term_months INT NOT NULL,
+  savings_multiple DECIMAL(5, 2) NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_chama_product (chama_id, name),
+  FOREIGN KEY (chama_id) REFERENCES chamas(id) ON DELETE CASCADE
+);
+`;
+
+// A loan keeps a copy of its product's terms so later product changes do
+// not touch loans already applied for
+const createLoansTable = `
+CREATE TABLE IF NOT EXISTS loans (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  chama_id INT NOT NULL,
+  member_id INT NOT NULL,
+  product_id INT NOT NULL,
+  principal DECIMAL(10, 2) NOT NULL,
+  interest_type ENUM('flat', 'reducing') NOT NULL,
+  interest_rate DECIMAL(5, 2) NOT NULL,
+  term_months INT NOT NULL,
+  installment_amount DECIMAL(10, 2) NOT NULL,
+  total_interest DECIMAL(10, 2) NOT NULL,
+  total_repayable DECIMAL(10, 2) NOT NULL,
+  purpose VARCHAR(500) NULL,
+  status ENUM('pending', 'approved', 'rejected', 'cancelled', 'active', 'repaid', 'defaulted')
+    NOT NULL DEFAULT 'pending',
+  applied_by INT NOT NULL,
+  reviewed_by INT NULL,
+  reviewed_at TIMESTAMP NULL,
+  review_notes VARCHAR(500) NULL,
+  payout_id INT NULL UNIQUE,
+  disbursed_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (chama_id) REFERENCES chamas(id) ON DELETE CASCADE,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  FOREIGN KEY (product_id) REFERENCES loan_products(id),
+  INDEX idx_chama_status (chama_id, status),
+  INDEX idx_member_status (member_id, status)
+);
+`;
+
+// The installments a loan is repaid in, built when the loan is disbursed.
+// Interest and penalties accrue against them daily (see loanRepayments) up
+// to accrued_through; the paid columns record what repayments have covered.
+const createLoanInstallmentsTable = `
+CREATE TABLE IF NOT EXISTS loan_installments (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  loan_id INT NOT NULL,
+  installment_number INT NOT NULL,
+  period_start DATE NOT NULL,
+  due_date DATE NOT NULL,
+  principal_due DECIMAL(10, 2) NOT NULL,
+  interest_due DECIMAL(10, 2) NOT NULL,
+  interest_accrued DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  penalty_accrued DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  accrued_through DATE NULL,
+  principal_paid DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  interest_paid DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  penalty_paid DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  status ENUM('pending', 'partial', 'paid') NOT NULL DEFAULT 'pending',
+  paid_at TIMESTAMP NULL,
+  UNIQUE KEY unique_loan_installment (loan_id, installment_number),
+  FOREIGN KEY (loan_id) REFERENCES loans(id) ON DELETE CASCADE,
+  INDEX idx_due_date (due_date)
+);
+`;
+
+// Loans still drawing on a member's borrowing limit
+const OPEN_LOAN_STATUSES = ['pending', 'approved', 'active', 'defaulted'];
+
+/**
+ * Payouts made to disburse loans, so rotation checks can skip them
+ */
+const LOAN_PAYOUT_FILTER = 'NOT EXISTS (SELECT 1 FROM loans ln WHERE ln.payout_id = p.id)';
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Create the tables used for loans
+ */
+const initializeLoanTables = async () => {
+  try {
+    await db.execute(createLoanProductsTable);
+    await db.execute(createLoansTable);
+    await db.execute(createLoanInstallmentsTable);
+    console.log('✅ Loan tables created/verified');
+  } catch (error) {
+    console.error('❌ Failed to create loan tables:', error);
+  }
+};
+
+/**
+ * Build a loan's monthly installments, the first due a month after the
+ * start date. The rate is a percentage per month. Flat interest is charged
+ * on the full principal every month; reducing interest is charged on the
+ * balance still owed, with equal installments. Rounding is settled on the
+ * last installment.
+ */
+const buildSchedule = ({ principal, interest_type: interestType, interest_rate: interestRate, term_months: termMonths }, startDate) => {
+  const amount = roundMoney(parseFloat(principal));
+  const rate = parseFloat(interestRate) / 100;
+  const months = parseInt(termMonths);
+  const installment = interestType === 'reducing' && rate > 0
+    ? roundMoney((amount * rate) / (1 - Math.pow(1 + rate, -months)))
+    : null;
+
+  const installments = [];
+  let balance = amount;
+
+  for (let number = 1; number <= months; number++) {
+    const last = number === months;
+    let interestDue;
+    let principalDue;
+
+    if (installment === null) {
+      interestDue = roundMoney(amount * rate);
+      principalDue = last ? balance : roundMoney(amount / months);
+    } else {
+      interestDue = roundMoney(balance * rate);
+      principalDue = last ? balance : roundMoney(installment - interestDue);
+    }
+
+    balance = roundMoney(balance - principalDue);
+
+    installments.push({
+      installment_number: number,
+      period_start: moment(startDate).add(number - 1, 'months').format('YYYY-MM-DD'),
+      due_date: moment(startDate).add(number, 'months').format('YYYY-MM-DD'),
+      principal_due: principalDue,
+      interest_due: interestDue,
+      total_due: roundMoney(principalDue + interestDue)
+    });
+  }
+
+  return installments;
+};
+
+/**
+ * Work out the monthly installment and total interest for a loan
+ */
+const quoteLoan = ({ interest_type: interestType, interest_rate: interestRate }, principal, termMonths) => {
+  const installments = buildSchedule({
+    principal,
+    interest_type: interestType,
+    interest_rate: interestRate,
+    term_months: termMonths
+  }, moment().format('YYYY-MM-DD'));
+
+  const totalInterest = roundMoney(installments.reduce((sum, item) => sum + item.interest_due, 0));
+
+  return {
+    principal: roundMoney(parseFloat(principal)),
+    term_months: parseInt(termMonths),
+    installment_amount: installments[0].total_due,
+    total_interest: totalInterest,
+    total_repayable: roundMoney(parseFloat(principal) + totalInterest)
+  };
+};
+
+/**
+ * A loan's installments in order
+ */
+const getInstallments = async (loanId, executor = db) => {
+  const [installments] = await executor.execute(
+    'SELECT * FROM loan_installments WHERE loan_id = ? ORDER BY installment_number ASC',
+    [loanId]
+  );
+  return installments;
+};
+
+/**
+ * A chama's loan products, active ones first
+ */
+const listProducts = async (chamaId, { activeOnly = false } = {}) => {
+  const [products] = await db.execute(
+    `SELECT * FROM loan_products
+     WHERE chama_id = ? ${activeOnly ? 'AND is_active = TRUE' : ''}
+     ORDER BY is_active DESC, name ASC`,
+    [chamaId]
+  );
+  return products;
+};
+
+/**
+ * A loan product by id, or null
+ */
+const getProduct = async (productId, executor = db) => {
+  const [products] = await executor.execute(
+    'SELECT * FROM loan_products WHERE id = ?',
+    [productId]
+  );
+  return products[0] || null;
+};
+
+/**
+ * Create a loan product.
+ * Returns { success: false, status, message } when the name is taken.
+ */
+const createProduct = async (chamaId, {
+  name,
+  description = null,
+  interestType,
+  interestRate,
+  maxTermMonths,
+  savingsMultiple
+}, userId) => {
+  const [existing] = await db.execute(
+    'SELECT id FROM loan_products WHERE chama_id = ? AND name = ?',
+    [chamaId, name]
+  );
+
+  if (existing.length > 0) {
+    return { success: false, status: 400, message: `A loan product called ${name} already exists` };
+  }
+
+  const [result] = await db.execute(
+    `INSERT INTO loan_products
+     (chama_id, name, description, interest_type, interest_rate, max_term_months, savings_multiple, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [chamaId, name, description, interestType, interestRate, maxTermMonths, savingsMultiple, userId]
+  );
+
+  return { success: true, data: await getProduct(result.insertId) };
+};
+
+/**
+ * Change a loan product's terms or switch it off. Loans already applied
+ * for keep the terms they were quoted.
+ */
+const updateProduct = async (productId, changes) => {
+  const columns = {
+    name: 'name',
+    description: 'description',
+    interestType: 'interest_type',
+    interestRate: 'interest_rate',
+    maxTermMonths: 'max_term_months',
+    savingsMultiple: 'savings_multiple',
+    isActive: 'is_active'
+  };
+
+  const updates = [];
+  const params = [];
+
+  for (const [field, column] of Object.entries(columns)) {
+    if (changes[field] !== undefined) {
+      updates.push(`${column} = ?`);
+      params.push(changes[field]);
+    }
+  }
+
+  if (updates.length === 0) {
+    return { success: false, status: 400, message: 'No changes to apply' };
+  }
+
+  try {
+    await db.execute(
+      `UPDATE loan_products SET ${updates.join(', ')} WHERE id = ?`,
+      [...params, productId]
+    );
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return { success: false, status: 400, message: `A loan product called ${changes.name} already exists` };
+    }
+    throw error;
+  }
+
+  return { success: true, data: await getProduct(productId) };
+};
+
+/**
+ * What a member has saved: every contribution received from them
+ */
+const getMemberSavings = async (memberId, executor = db) => {
+  const [savings] = await executor.execute(
+    `SELECT COALESCE(SUM(amount), 0) as total
+     FROM contributions
+     WHERE member_id = ? AND status NOT IN ('pending', 'cancelled', 'waived')`,
+    [memberId]
+  );
+  return parseFloat(savings[0].total);
+};
+
+/**
+ * Principal the member owes or has asked for on loans not yet closed,
+ * less principal already repaid
+ */
+const getOutstandingPrincipal = async (memberId, executor = db) => {
+  const [loans] = await executor.execute(
+    `SELECT COALESCE(SUM(l.principal), 0) -
+            COALESCE((SELECT SUM(li.principal_paid)
+                      FROM loan_installments li
+                      JOIN loans pl ON li.loan_id = pl.id
+                      WHERE pl.member_id = ? AND pl.status IN ('active', 'defaulted')), 0) as total
+     FROM loans l
+     WHERE l.member_id = ? AND l.status IN (${OPEN_LOAN_STATUSES.map(() => '?').join(', ')})`,
+    [memberId, memberId, ...OPEN_LOAN_STATUSES]
+  );
+  return roundMoney(parseFloat(loans[0].total));
+};
+
+/**
+ * How much more a member can borrow on a product: their savings times the
+ * product's multiple, less what they already owe or have applied for.
+ * Pass excludeLoanId to leave a loan being reviewed out of what is owed.
+ */
+const getBorrowingLimit = async (memberId, product, executor = db, { excludeLoanId = null } = {}) => {
+  const savings = await getMemberSavings(memberId, executor);
+  let outstanding = await getOutstandingPrincipal(memberId, executor);
+
+  if (excludeLoanId) {
+    const [loans] = await executor.execute(
+      'SELECT principal FROM loans WHERE id = ?',
+      [excludeLoanId]
+    );
+    outstanding = roundMoney(outstanding - (loans.length > 0 ? parseFloat(loans[0].principal) : 0));
+  }
+
+  const limit = roundMoney(savings * parseFloat(product.savings_multiple));
+
+  return {
+    product_id: product.id,
+    savings,
+    savings_multiple: parseFloat(product.savings_multiple),
+    limit,
+    outstanding,
+    available: Math.max(roundMoney(limit - outstanding), 0)
+  };
+};
+
+const LOAN_SELECT = `
+  SELECT l.*, lp.name as product_name, u.name as member_name, u.phone as member_phone,
+         m.user_id as member_user_id,
+         ru.name as reviewed_by_name, p.status as payout_status
+  FROM loans l
+  JOIN loan_products lp ON l.product_id = lp.id
+  JOIN members m ON l.member_id = m.id
+  JOIN users u ON m.user_id = u.id
+  LEFT JOIN users ru ON l.reviewed_by = ru.id
+  LEFT JOIN payouts p ON l.payout_id = p.id
+`;
+
+/**
+ * A loan by id with product and member names, or null
+ */
+const getLoan = async (loanId, executor = db) => {
+  const [loans] = await executor.execute(`${LOAN_SELECT} WHERE l.id = ?`, [loanId]);
+  return loans[0] || null;
+};
+
+/**
+ * Loans for a chama or a member, newest first
+ */
+const listLoans = async ({ chamaId = null, memberId = null, status = null }) => {
+  const conditions = [];
+  const params = [];
+
+  if (chamaId) {
+    conditions.push('l.chama_id = ?');
+    params.push(chamaId);
+  }
+  if (memberId) {
+    conditions.push('l.member_id = ?');
+    params.push(memberId);
+  }
+  if (status) {
+    conditions.push('l.status = ?');
+    params.push(status);
+  }
+
+  const [loans] = await db.execute(
+    `${LOAN_SELECT} WHERE ${conditions.join(' AND ')} ORDER BY l.created_at DESC`,
+    params
+  );
+  return loans;
+};
+
+/**
+ * Apply for a loan on a product.
+ * Returns { success: false, status, message } when the application is not allowed.
+ */
+const applyForLoan = async (productId, memberId, { amount, termMonths, purpose = null }, userId) => {
+  const product = await getProduct(productId);
+
+  if (!product || !product.is_active) {
+    return { success: false, status: 404, message: 'Loan product not found' };
+  }
+
+  const [members] = await db.execute(
+    "SELECT id FROM members WHERE id = ? AND chama_id = ? AND status = 'active'",
+    [memberId, product.chama_id]
+  );
+
+  if (members.length === 0) {
+    return { success: false, status: 400, message: 'Only active members of the chama can borrow' };
+  }
+
+  if (parseInt(termMonths) > product.max_term_months) {
+    return {
+      success: false,
+      status: 400,
+      message: `${product.name} loans run for at most ${product.max_term_months} months`
+    };
+  }
+
+  const [defaulted] = await db.execute(
+    "SELECT id FROM loans WHERE member_id = ? AND status = 'defaulted'",
+    [memberId]
+  );
+
+  if (defaulted.length > 0) {
+    return { success: false, status: 400, message: 'Members with a loan in default cannot borrow' };
+  }
+
+  const limit = await getBorrowingLimit(memberId, product);
+
+  if (parseFloat(amount) > limit.available) {
+    return {
+      success: false,
+      status: 400,
+      message: `You can borrow up to KES ${limit.available} on ${product.name} ` +
+        `(${limit.savings_multiple} times savings of KES ${limit.savings}, less KES ${limit.outstanding} already borrowed)`
+    };
+  }
+
+  const quote = quoteLoan(product, amount, termMonths);
+
+  const [result] = await db.execute(
+    `INSERT INTO loans
+     (chama_id, member_id, product_id, principal, interest_type, interest_rate, term_months,
+      installment_amount, total_interest, total_repayable, purpose, applied_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      product.chama_id,
+      memberId,
+      product.id,
+      quote.principal,
+      product.interest_type,
+      product.interest_rate,
+      quote.term_months,
+      quote.installment_amount,
+      quote.total_interest,
+      quote.total_repayable,
+      purpose,
+      userId
+    ]
+  );
+
+  return { success: true, data: await getLoan(result.insertId) };
+};
+
+/**
+ * Approve a pending loan and create the payout that disburses it.
+ * The borrowing limit and the chama's pool are checked again, since both
+ * may have moved since the member applied.
+ * Returns { success: false, status, message } when it cannot be approved.
+ */
+const approveLoan = async (loanId, notes, userId) => {
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [loans] = await connection.execute(
+      `SELECT l.*, m.user_id as member_user_id
+       FROM loans l
+       JOIN members m ON l.member_id = m.id
+       WHERE l.id = ? FOR UPDATE`,
+      [loanId]
+    );
+
+    if (loans.length === 0) {
+      await connection.rollback();
+      return { success: false, status: 404, message: 'Loan not found' };
+    }
+
+    const loan = loans[0];
+
+    if (loan.status !== 'pending') {
+      await connection.rollback();
+      return { success: false, status: 400, message: `Loan is already ${loan.status}` };
+    }
+
+    if (loan.member_user_id === userId) {
+      await connection.rollback();
+      return { success: false, status: 403, message: 'A loan must be approved by someone other than the borrower' };
+    }
+
+    const product = await getProduct(loan.product_id, connection);
+    const limit = await getBorrowingLimit(loan.member_id, product, connection, { excludeLoanId: loan.id });
+
+    if (parseFloat(loan.principal) > limit.available) {
+      await connection.rollback();
+      return {
+        success: false,
+        status: 400,
+        message: `Loan is more than the member can now borrow (KES ${limit.available})`
+      };
+    }
+
+    // Payouts lock the chama row before measuring the pool too
+    await connection.execute('SELECT id FROM chamas WHERE id = ? FOR UPDATE', [loan.chama_id]);
+    const pool = await getAvailablePool(loan.chama_id, connection);
+
+    if (parseFloat(loan.principal) > pool.available) {
+      await connection.rollback();
+      return {
+        success: false,
+        status: 400,
+        message: `Loan of KES ${loan.principal} is more than the available pool of KES ${pool.available}`
+      };
+    }
+
+    // Payouts belong to a cycle; loans go on the latest one
+    const [cycles] = await connection.execute(
+      `SELECT id FROM contribution_cycles
+       WHERE chama_id = ?
+       ORDER BY (status = 'active') DESC, cycle_number DESC
+       LIMIT 1`,
+      [loan.chama_id]
+    );
+
+    if (cycles.length === 0) {
+      await connection.rollback();
+      return { success: false, status: 400, message: 'Chama has no contribution cycle to pay the loan from' };
+    }
+
+    const [payoutResult] = await connection.execute(
+      `INSERT INTO payouts
+       (chama_id, member_id, cycle_id, amount, payout_date, status, notes)
+       VALUES (?, ?, ?, ?, ?, 'pending', ?)`,
+      [
+        loan.chama_id,
+        loan.member_id,
+        cycles[0].id,
+        loan.principal,
+        new Date().toISOString().split('T')[0],
+        `Loan #${loan.id} disbursement`
+      ]
+    );
+
+    await connection.execute(
+      `UPDATE loans
+       SET status = 'approved', payout_id = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP,
+           review_notes = ?
+       WHERE id = ?`,
+      [payoutResult.insertId, userId, notes || null, loan.id]
+    );
+
+    await connection.commit();
+
+    return { success: true, data: await getLoan(loan.id) };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Close a pending loan without lending: rejected by an admin, or
+ * cancelled by the borrower
+ */
+const closeApplication = async (loanId, status, notes, userId) => {
+  const [result] = await db.execute(
+    `UPDATE loans
+     SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_notes = ?
+     WHERE id = ? AND status = 'pending'`,
+    [status, userId, notes || null, loanId]
+  );
+
+  if (result.affectedRows === 0) {
+    const loan = await getLoan(loanId);
+    return loan
+      ? { success: false, status: 400, message: `Loan is already ${loan.status}` }
+      : { success: false, status: 404, message: 'Loan not found' };
+  }
+
+  return { success: true, data: await getLoan(loanId) };
+};
+
+const rejectLoan = (loanId, reason, userId) => closeApplication(loanId, 'rejected', reason, userId);
+
+const cancelLoan = (loanId, userId) => closeApplication(loanId, 'cancelled', 'Withdrawn by the borrower', userId);
+
+/**
+ * Follow a loan's disbursement payout: the loan becomes active once the
+ * money is paid, and is cancelled if the payout is called off.
+ * Does nothing for payouts that are not loans.
+ *
+ * Pass a connection as executor to run inside the caller's transaction.
+ */
+const settleLoanPayout = async (payoutId, status, userId, executor = db) => {
+  const [loans] = await executor.execute(
+    "SELECT * FROM loans WHERE payout_id = ? AND status = 'approved'",
+    [payoutId]
+  );
+
+  if (loans.length === 0 || status === 'pending') {
+    return null;
+  }
+
+  const loan = loans[0];
+
+  if (status === 'paid') {
+    const installments = buildSchedule(loan, moment().format('YYYY-MM-DD'));
+
+    for (const item of installments) {
+      await executor.execute(
+        `INSERT INTO loan_installments
+         (loan_id, installment_number, period_start, due_date, principal_due, interest_due)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [loan.id, item.installment_number, item.period_start, item.due_date, item.principal_due, item.interest_due]
+      );
+    }
+
+    // The schedule starts from the disbursement date, so the totals quoted
+    // at application are restated from it
+    const totalInterest = roundMoney(installments.reduce((sum, item) => sum + item.interest_due, 0));
+
+    await executor.execute(
+      `UPDATE loans
+       SET status = 'active', disbursed_at = CURRENT_TIMESTAMP,
+           installment_amount = ?, total_interest = ?, total_repayable = ?
+       WHERE id = ?`,
+      [installments[0].total_due, totalInterest, roundMoney(parseFloat(loan.principal) + totalInterest), loan.id]
+    );
+    return 'active';
+  }
+
+  await executor.execute(
+    "UPDATE loans SET status = 'cancelled', review_notes = ? WHERE id = ?",
+    [`Disbursement payout #${payoutId} was ${status}`, loan.id]
+  );
+  return 'cancelled';
+};
+
+module.exports = {
+  LOAN_PAYOUT_FILTER,
+  OPEN_LOAN_STATUSES,
+  initializeLoanTables,
+  buildSchedule,
+  quoteLoan,
+  getInstallments,
+  listProducts,
+  getProduct,
+  createProduct,
+  updateProduct,
+  getMemberSavings,
+  getBorrowingLimit,
+  getLoan,
+  listLoans,
+  applyForLoan,
+  approveLoan,
+  rejectLoan,
+  cancelLoan,
+  settleLoanPayout
+};
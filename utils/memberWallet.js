@@ -0,0 +1,498 @@
+// utils/memberWallet.js
+const db = require('../config/database');
+
+// A member's wallet holds money paid in beyond what they owe. It is kept
+// apart from contribution_balance so credit is never mistaken for a
+// contribution; members apply it to cycles or ask for it back.
+const createMemberWalletsTable = `
+CREATE TABLE IF NOT EXISTS member_wallets (
+  member_id INT PRIMARY KEY,
+  chama_id INT NOT NULL,
+  balance DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  FOREIGN KEY (chama_id) REFERENCES chamas(id) ON DELETE CASCADE
+);
+`;
+
+const createWalletTransactionsTable = `
+CREATE TABLE IF NOT EXISTS wallet_transactions (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  member_id INT NOT NULL,
+  chama_id INT NOT NULL,
+  entry_type ENUM('overpayment', 'applied', 'refund', 'refund_returned') NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  balance_before DECIMAL(10, 2) NOT NULL,
+  balance_after DECIMAL(10, 2) NOT NULL,
+  receipt_id INT NULL,
+  refund_id INT NULL,
+  cycle_id INT NULL,
+  description VARCHAR(255) NOT NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  INDEX idx_member_created (member_id, created_at),
+  INDEX idx_refund (refund_id)
+);
+`;
+
+const createWalletRefundsTable = `
+CREATE TABLE IF NOT EXISTS wallet_refunds (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  chama_id INT NOT NULL,
+  member_id INT NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  phone_number VARCHAR(20) NOT NULL,
+  reason VARCHAR(500) NULL,
+  status ENUM('pending', 'approved', 'paid', 'rejected', 'cancelled') NOT NULL DEFAULT 'pending',
+  payout_id INT NULL UNIQUE,
+  requested_by INT NOT NULL,
+  reviewed_by INT NULL,
+  reviewed_at TIMESTAMP NULL,
+  review_notes VARCHAR(500) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (chama_id) REFERENCES chamas(id) ON DELETE CASCADE,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  FOREIGN KEY (requested_by) REFERENCES users(id),
+  INDEX idx_chama_status (chama_id, status),
+  INDEX idx_member_status (member_id, status)
+);
+`;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Create the tables used for member wallets and refunds
+ */
+const initializeWalletTables = async () => {
+  try {
+    await db.execute(createMemberWalletsTable);
+    await db.execute(createWalletTransactionsTable);
+    await db.execute(createWalletRefundsTable);
+    console.log('✅ Member wallet tables created/verified');
+  } catch (error) {
+    console.error('❌ Failed to create member wallet tables:', error);
+  }
+};
+
+/**
+ * Post a credit (positive) or debit (negative) to a member's wallet and
+ * write its history entry. A wallet never goes below zero.
+ *
+ * Runs on the caller's connection; the caller owns the transaction.
+ * Returns { id, balance_after } of the history entry.
+ */
+const postWalletEntry = async (connection, {
+  memberId,
+  chamaId,
+  amount,
+  entryType,
+  description,
+  userId = null,
+  receiptId = null,
+  refundId = null,
+  cycleId = null
+}) => {
+  await connection.execute(
+    'INSERT IGNORE INTO member_wallets (member_id, chama_id) VALUES (?, ?)',
+    [memberId, chamaId]
+  );
+
+  const [wallets] = await connection.execute(
+    'SELECT balance FROM member_wallets WHERE member_id = ? FOR UPDATE',
+    [memberId]
+  );
+
+  const balanceBefore = parseFloat(wallets[0].balance);
+  const balanceAfter = roundMoney(balanceBefore + parseFloat(amount));
+
+  if (balanceAfter < 0) {
+    throw new Error(`Wallet balance of ${balanceBefore} cannot cover ${Math.abs(amount)}`);
+  }
+
+  await connection.execute(
+    'UPDATE member_wallets SET balance = ? WHERE member_id = ?',
+    [balanceAfter, memberId]
+  );
+
+  const [result] = await connection.execute(
+    `INSERT INTO wallet_transactions
+     (member_id, chama_id, entry_type, amount, balance_before, balance_after,
+      receipt_id, refund_id, cycle_id, description, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      memberId,
+      chamaId,
+      entryType,
+      roundMoney(parseFloat(amount)),
+      balanceBefore,
+      balanceAfter,
+      receiptId,
+      refundId,
+      cycleId,
+      String(description).slice(0, 255),
+      userId
+    ]
+  );
+
+  return { id: result.insertId, balance_after: balanceAfter };
+};
+
+/**
+ * A member's wallet balance, and how much of it is free to use once
+ * refunds still waiting for approval are set aside
+ */
+const getWallet = async (memberId, executor = db) => {
+  const [wallets] = await executor.execute(
+    'SELECT balance FROM member_wallets WHERE member_id = ?',
+    [memberId]
+  );
+
+  const [pending] = await executor.execute(
+    `SELECT COALESCE(SUM(amount), 0) as pending_refunds
+     FROM wallet_refunds
+     WHERE member_id = ? AND status = 'pending'`,
+    [memberId]
+  );
+
+  const balance = wallets.length > 0 ? parseFloat(wallets[0].balance) : 0;
+  const pendingRefunds = parseFloat(pending[0].pending_refunds) || 0;
+
+  return {
+    member_id: parseInt(memberId),
+    balance,
+    pending_refunds: pendingRefunds,
+    available: roundMoney(Math.max(0, balance - pendingRefunds))
+  };
+};
+
+/**
+ * Wallet history for a member, newest first
+ */
+const listWalletTransactions = async (memberId, limit = 50) => {
+  const [transactions] = await db.execute(
+    `SELECT wt.*, u.name as created_by_name, pr.receipt_number, cc.cycle_number
+     FROM wallet_transactions wt
+     LEFT JOIN users u ON wt.created_by = u.id
+     LEFT JOIN payment_receipts pr ON wt.receipt_id = pr.id
+     LEFT JOIN contribution_cycles cc ON wt.cycle_id = cc.id
+     WHERE wt.member_id = ?
+     ORDER BY wt.created_at DESC, wt.id DESC
+     LIMIT ${parseInt(limit) || 50}`,
+    [memberId]
+  );
+  return transactions;
+};
+
+/**
+ * Load a single refund request
+ */
+const getRefund = async (refundId, executor = db) => {
+  const [refunds] = await executor.execute(
+    `SELECT wr.*, m.user_id as member_user_id, u.name as member_name,
+            ru.name as requested_by_name, vu.name as reviewed_by_name,
+            p.status as payout_status
+     FROM wallet_refunds wr
+     JOIN members m ON wr.member_id = m.id
+     JOIN users u ON m.user_id = u.id
+     LEFT JOIN users ru ON wr.requested_by = ru.id
+     LEFT JOIN users vu ON wr.reviewed_by = vu.id
+     LEFT JOIN payouts p ON wr.payout_id = p.id
+     WHERE wr.id = ?`,
+    [refundId]
+  );
+  return refunds.length > 0 ? refunds[0] : null;
+};
+
+/**
+ * Refund requests for a chama or a member, newest first
+ */
+const listRefunds = async ({ chamaId = null, memberId = null, status = null }) => {
+  const conditions = [];
+  const params = [];
+
+  if (chamaId) {
+    conditions.push('wr.chama_id = ?');
+    params.push(chamaId);
+  }
+
+  if (memberId) {
+    conditions.push('wr.member_id = ?');
+    params.push(memberId);
+  }
+
+  if (status) {
+    conditions.push('wr.status = ?');
+    params.push(status);
+  }
+
+  const [refunds] = await db.execute(
+    `SELECT wr.*, u.name as member_name, vu.name as reviewed_by_name, p.status as payout_status
+     FROM wallet_refunds wr
+     JOIN members m ON wr.member_id = m.id
+     JOIN users u ON m.user_id = u.id
+     LEFT JOIN users vu ON wr.reviewed_by = vu.id
+     LEFT JOIN payouts p ON wr.payout_id = p.id
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY wr.created_at DESC
+     LIMIT 500`,
+    params
+  );
+  return refunds;
+};
+
+/**
+ * Ask for wallet credit to be sent back to the member's phone.
+ * Returns { success: false, status, message } when it cannot be requested.
+ */
+const requestRefund = async (memberId, { amount, phone, reason, userId }) => {
+  const [members] = await db.execute(
+    `SELECT m.id, m.chama_id, u.phone
+     FROM members m
+     JOIN users u ON m.user_id = u.id
+     WHERE m.id = ?`,
+    [memberId]
+  );
+
+  if (members.length === 0) {
+    return { success: false, status: 404, message: 'Member not found' };
+  }
+
+  const member = members[0];
+  const refundAmount = roundMoney(parseFloat(amount));
+  const phoneNumber = phone || member.phone;
+
+  if (!phoneNumber) {
+    return { success: false, status: 400, message: 'A phone number is required for the refund' };
+  }
+
+  // M-Pesa B2C only sends whole shillings
+  if (!Number.isInteger(refundAmount) || refundAmount <= 0) {
+    return { success: false, status: 400, message: 'Refund amount must be a whole number of shillings' };
+  }
+
+  const wallet = await getWallet(member.id);
+
+  if (refundAmount > wallet.available) {
+    return {
+      success: false,
+      status: 400,
+      message: `Refund exceeds the available wallet balance of ${wallet.available}`
+    };
+  }
+
+  const [result] = await db.execute(
+    `INSERT INTO wallet_refunds
+     (chama_id, member_id, amount, phone_number, reason, requested_by)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [member.chama_id, member.id, refundAmount, phoneNumber, reason || null, userId]
+  );
+
+  return { success: true, data: await getRefund(result.insertId) };
+};
+
+/**
+ * Withdraw a refund request before an admin reviews it
+ */
+const cancelRefund = async (refundId, userId) => {
+  const [result] = await db.execute(
+    `UPDATE wallet_refunds
+     SET status = 'cancelled', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'pending'`,
+    [userId, refundId]
+  );
+
+  if (result.affectedRows === 0) {
+    return { success: false, status: 400, message: 'Only pending refunds can be cancelled' };
+  }
+
+  return { success: true, data: await getRefund(refundId) };
+};
+
+/**
+ * Turn down a refund request; the credit stays in the wallet
+ */
+const rejectRefund = async (refundId, reason, userId) => {
+  const [result] = await db.execute(
+    `UPDATE wallet_refunds
+     SET status = 'rejected', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_notes = ?
+     WHERE id = ? AND status = 'pending'`,
+    [userId, reason, refundId]
+  );
+
+  if (result.affectedRows === 0) {
+    return { success: false, status: 400, message: 'Only pending refunds can be rejected' };
+  }
+
+  return { success: true, data: await getRefund(refundId) };
+};
+
+/**
+ * Approve a refund: take the amount out of the wallet and create a pending
+ * payout for it, which is then sent over M-Pesa B2C like any other payout.
+ * Returns { success: false, status, message } when it cannot be approved.
+ */
+const approveRefund = async (refundId, notes, userId) => {
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [refunds] = await connection.execute(
+      `SELECT wr.*, m.user_id as member_user_id
+       FROM wallet_refunds wr
+       JOIN members m ON wr.member_id = m.id
+       WHERE wr.id = ? FOR UPDATE`,
+      [refundId]
+    );
+
+    if (refunds.length === 0) {
+      await connection.rollback();
+      return { success: false, status: 404, message: 'Refund request not found' };
+    }
+
+    const refund = refunds[0];
+
+    if (refund.status !== 'pending') {
+      await connection.rollback();
+      return { success: false, status: 400, message: `Refund is already ${refund.status}` };
+    }
+
+    if (refund.requested_by === userId || refund.member_user_id === userId) {
+      await connection.rollback();
+      return { success: false, status: 403, message: 'A refund must be approved by someone other than the member or requester' };
+    }
+
+    // Payouts belong to a cycle; refunds go on the latest one
+    const [cycles] = await connection.execute(
+      `SELECT id FROM contribution_cycles
+       WHERE chama_id = ?
+       ORDER BY (status = 'active') DESC, cycle_number DESC
+       LIMIT 1`,
+      [refund.chama_id]
+    );
+
+    if (cycles.length === 0) {
+      await connection.rollback();
+      return { success: false, status: 400, message: 'Chama has no contribution cycle to pay the refund from' };
+    }
+
+    const [wallets] = await connection.execute(
+      'SELECT balance FROM member_wallets WHERE member_id = ? FOR UPDATE',
+      [refund.member_id]
+    );
+
+    if (wallets.length === 0 || parseFloat(wallets[0].balance) < parseFloat(refund.amount)) {
+      await connection.rollback();
+      return { success: false, status: 400, message: 'Wallet balance no longer covers this refund' };
+    }
+
+    const [payoutResult] = await connection.execute(
+      `INSERT INTO payouts
+       (chama_id, member_id, cycle_id, amount, payout_date, status, notes)
+       VALUES (?, ?, ?, ?, ?, 'pending', ?)`,
+      [
+        refund.chama_id,
+        refund.member_id,
+        cycles[0].id,
+        refund.amount,
+        new Date().toISOString().split('T')[0],
+        `Wallet refund #${refund.id}`
+      ]
+    );
+
+    await postWalletEntry(connection, {
+      memberId: refund.member_id,
+      chamaId: refund.chama_id,
+      amount: -parseFloat(refund.amount),
+      entryType: 'refund',
+      description: `Refund #${refund.id} to ${refund.phone_number}`,
+      userId,
+      refundId: refund.id,
+      cycleId: cycles[0].id
+    });
+
+    await connection.execute(
+      `UPDATE wallet_refunds
+       SET status = 'approved', payout_id = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP,
+           review_notes = ?
+       WHERE id = ?`,
+      [payoutResult.insertId, userId, notes || null, refund.id]
+    );
+
+    await connection.commit();
+
+    return { success: true, data: await getRefund(refund.id) };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Follow a refund's payout: mark the refund paid when the payout is paid,
+ * and put the money back in the wallet if the payout is called off.
+ * Does nothing for payouts that are not refunds.
+ *
+ * Pass a connection as executor to run inside the caller's transaction.
+ */
+const settleRefundPayout = async (payoutId, status, userId, executor = db) => {
+  const [refunds] = await executor.execute(
+    "SELECT * FROM wallet_refunds WHERE payout_id = ? AND status = 'approved'",
+    [payoutId]
+  );
+
+  if (refunds.length === 0 || status === 'pending') {
+    return null;
+  }
+
+  const refund = refunds[0];
+
+  if (status === 'paid') {
+    await executor.execute(
+      "UPDATE wallet_refunds SET status = 'paid' WHERE id = ?",
+      [refund.id]
+    );
+    return 'paid';
+  }
+
+  await postWalletEntry(executor, {
+    memberId: refund.member_id,
+    chamaId: refund.chama_id,
+    amount: parseFloat(refund.amount),
+    entryType: 'refund_returned',
+    description: `Refund #${refund.id} payout ${status}; credit returned`,
+    userId,
+    refundId: refund.id
+  });
+
+  await executor.execute(
+    "UPDATE wallet_refunds SET status = 'cancelled', review_notes = ? WHERE id = ?",
+    [`Payout ${status}`, refund.id]
+  );
+  return 'returned';
+};
+
+/**
+ * Payouts created for wallet refunds, so rotation checks can skip them
+ */
+const REFUND_PAYOUT_FILTER = 'NOT EXISTS (SELECT 1 FROM wallet_refunds wr WHERE wr.payout_id = p.id)';
+
+module.exports = {
+  REFUND_PAYOUT_FILTER,
+  initializeWalletTables,
+  postWalletEntry,
+  getWallet,
+  listWalletTransactions,
+  getRefund,
+  listRefunds,
+  requestRefund,
+  cancelRefund,
+  rejectRefund,
+  approveRefund,
+  settleRefundPayout
+};
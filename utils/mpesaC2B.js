@@ -0,0 +1,430 @@
+// utils/mpesaC2B.js
+const db = require('../config/database');
+const paymentAllocator = require('./paymentAllocator');
+const mpesaService = require('./mpesaService');
+const { parseTransactionDate } = require('./mpesaPayments');
+const { recordProviderTransaction, updateProviderTransaction } = require('./providerTransactions');
+
+// Paybill payments for chamas without their own paybill_number land on this one
+const DEFAULT_SHORTCODE = mpesaService.shortCode;
+
+// Daraja result codes for the validation response
+const C2B_ACCEPTED = '0';
+const C2B_INVALID_ACCOUNT = 'C2B00012';
+const C2B_INVALID_AMOUNT = 'C2B00013';
+
+const createC2BPaymentsTable = `
+CREATE TABLE IF NOT EXISTS mpesa_c2b_payments (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  trans_id VARCHAR(50) NOT NULL UNIQUE,
+  trans_type VARCHAR(50) NULL,
+  trans_time DATETIME NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  business_short_code VARCHAR(20) NOT NULL,
+  bill_ref_number VARCHAR(100) NULL,
+  msisdn VARCHAR(100) NULL,
+  payer_name VARCHAR(255) NULL,
+  chama_id INT NULL,
+  member_id INT NULL,
+  status ENUM('allocated', 'suspense', 'assigned') NOT NULL,
+  suspense_reason VARCHAR(255) NULL,
+  receipt_id INT NULL,
+  callback_id INT NULL,
+  assigned_by INT NULL,
+  assigned_at TIMESTAMP NULL,
+  assignment_notes VARCHAR(500) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (chama_id) REFERENCES chamas(id) ON DELETE SET NULL,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE SET NULL,
+  INDEX idx_status_chama (status, chama_id),
+  INDEX idx_short_code (business_short_code, status)
+);
+`;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Create the tables used for paybill payments
+ */
+const initializeC2BTables = async () => {
+  try {
+    await db.execute(createC2BPaymentsTable);
+    console.log('✅ M-Pesa C2B payments table created/verified');
+  } catch (error) {
+    console.error('❌ Failed to create M-Pesa C2B payments table:', error);
+  }
+};
+
+/**
+ * Read a member number from a paybill account reference.
+ * Members type it in by hand, so "12", "012", "M12" and "m-12" all give 12.
+ */
+const parseAccountReference = (accountReference) => {
+  const match = String(accountReference || '').trim().match(/^[A-Za-z]*[\s-]*0*(\d{1,9})$/);
+  return match ? parseInt(match[1]) : null;
+};
+
+// The chama's own paybill, or the default one
+const getChamaShortCode = async (executor, chamaId) => {
+  const [settings] = await executor.execute(
+    `SELECT setting_value FROM chama_settings
+     WHERE chama_id = ? AND setting_key = 'paybill_number'`,
+    [chamaId]
+  );
+
+  const paybill = settings.length > 0 ? JSON.parse(settings[0].setting_value) : '';
+  return paybill || DEFAULT_SHORTCODE;
+};
+
+/**
+ * Find the active member an account reference points to, on this paybill.
+ * Returns { member } or { reason } explaining why there is no match.
+ */
+const findAccountMember = async (executor, accountReference, shortCode) => {
+  const memberId = parseAccountReference(accountReference);
+
+  if (!memberId) {
+    return { reason: `Account reference "${accountReference || ''}" is not a member number` };
+  }
+
+  const [members] = await executor.execute(
+    `SELECT m.id, m.chama_id, m.user_id, m.status, c.created_by as chama_created_by
+     FROM members m
+     JOIN chamas c ON m.chama_id = c.id
+     WHERE m.id = ?`,
+    [memberId]
+  );
+
+  if (members.length === 0) {
+    return { reason: `No member with number ${memberId}` };
+  }
+
+  const member = members[0];
+
+  if (member.status !== 'active') {
+    return { reason: `Member ${memberId} is not active` };
+  }
+
+  const chamaShortCode = await getChamaShortCode(executor, member.chama_id);
+
+  if (shortCode && chamaShortCode && String(shortCode) !== String(chamaShortCode)) {
+    return { reason: `Member ${memberId} pays into paybill ${chamaShortCode}` };
+  }
+
+  return { member };
+};
+
+// The one chama that has this paybill as its own, if any
+const findPaybillChama = async (executor, shortCode) => {
+  const [chamas] = await executor.execute(
+    `SELECT chama_id FROM chama_settings
+     WHERE setting_key = 'paybill_number' AND setting_value = ?`,
+    [JSON.stringify(String(shortCode))]
+  );
+
+  return chamas.length === 1 ? chamas[0].chama_id : null;
+};
+
+/**
+ * Decide whether M-Pesa should accept a paybill payment.
+ * Returns { accepted, resultCode, reason }.
+ */
+const validateC2BPayment = async (payload) => {
+  const amount = parseFloat(payload.TransAmount);
+
+  if (!(amount > 0)) {
+    return { accepted: false, resultCode: C2B_INVALID_AMOUNT, reason: 'Invalid amount' };
+  }
+
+  const { member, reason } = await findAccountMember(db, payload.BillRefNumber, payload.BusinessShortCode);
+
+  if (!member) {
+    return { accepted: false, resultCode: C2B_INVALID_ACCOUNT, reason };
+  }
+
+  return { accepted: true, resultCode: C2B_ACCEPTED, member };
+};
+
+// Record the payment transaction alongside the receipt
+const recordPaymentRow = async (connection, c2bPayment, memberId, chamaId, receipt, recordedBy) => {
+  await connection.execute(
+    `INSERT INTO payments
+     (chama_id, member_id, contribution_id, amount, payment_method,
+      payment_date, reference_number, recorded_by, notes)
+     VALUES (?, ?, ?, ?, 'mpesa', ?, ?, ?, ?)`,
+    [
+      chamaId,
+      memberId,
+      receipt.contribution_ids[0] || null,
+      c2bPayment.amount,
+      c2bPayment.trans_time,
+      c2bPayment.trans_id,
+      recordedBy,
+      `M-Pesa paybill payment. Receipt: ${c2bPayment.trans_id} (${receipt.receipt_number})`
+    ]
+  );
+};
+
+/**
+ * Store a confirmed paybill payment and allocate it to the member named in
+ * the account reference. Payments that match no member go to the suspense
+ * queue instead. The trans_id column is unique, so a payment is stored once.
+ *
+ * Runs on the caller's connection; the caller owns the transaction.
+ * Returns { payment, receipt, member }; receipt and member are null for suspense.
+ */
+const confirmC2BPayment = async (connection, payload, callbackId = null) => {
+  const shortCode = String(payload.BusinessShortCode || '');
+  const amount = roundMoney(parseFloat(payload.TransAmount));
+  const payerName = [payload.FirstName, payload.MiddleName, payload.LastName]
+    .filter(Boolean)
+    .join(' ') || null;
+
+  let { member, reason } = await findAccountMember(connection, payload.BillRefNumber, shortCode);
+
+  if (!(amount > 0)) {
+    member = null;
+    reason = 'Invalid amount';
+  }
+
+  const chamaId = member ? member.chama_id : await findPaybillChama(connection, shortCode);
+
+  const c2bPayment = {
+    trans_id: payload.TransID,
+    trans_type: payload.TransactionType || null,
+    trans_time: parseTransactionDate(payload.TransTime),
+    amount: amount > 0 ? amount : 0,
+    business_short_code: shortCode,
+    bill_ref_number: payload.BillRefNumber || null,
+    msisdn: payload.MSISDN ? String(payload.MSISDN) : null,
+    payer_name: payerName,
+    chama_id: chamaId,
+    member_id: member ? member.id : null,
+    status: member ? 'allocated' : 'suspense',
+    suspense_reason: member ? null : reason
+  };
+
+  const [result] = await connection.execute(
+    `INSERT INTO mpesa_c2b_payments
+     (trans_id, trans_type, trans_time, amount, business_short_code, bill_ref_number,
+      msisdn, payer_name, chama_id, member_id, status, suspense_reason, callback_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      c2bPayment.trans_id,
+      c2bPayment.trans_type,
+      c2bPayment.trans_time,
+      c2bPayment.amount,
+      c2bPayment.business_short_code,
+      c2bPayment.bill_ref_number,
+      c2bPayment.msisdn,
+      c2bPayment.payer_name,
+      c2bPayment.chama_id,
+      c2bPayment.member_id,
+      c2bPayment.status,
+      c2bPayment.suspense_reason,
+      callbackId
+    ]
+  );
+
+  c2bPayment.id = result.insertId;
+
+  // Suspense payments are completed collections that wait for a receipt
+  await recordProviderTransaction(connection, {
+    provider: 'mpesa',
+    direction: 'collection',
+    chamaId,
+    memberId: c2bPayment.member_id,
+    amount: c2bPayment.amount,
+    account: c2bPayment.bill_ref_number,
+    reference: c2bPayment.trans_id,
+    providerReference: c2bPayment.trans_id,
+    externalReceipt: c2bPayment.trans_id,
+    status: 'completed',
+    resultCode: '0',
+    sourceType: 'c2b_payment',
+    sourceId: c2bPayment.id
+  });
+
+  if (!member) {
+    return { payment: c2bPayment, receipt: null, member: null };
+  }
+
+  // Nobody records a paybill payment by hand; attribute it to the chama's creator
+  const receipt = await paymentAllocator.allocatePayment(connection, {
+    chamaId: member.chama_id,
+    memberId: member.id,
+    amount,
+    paymentMethod: 'mpesa',
+    paymentReference: c2bPayment.trans_id,
+    notes: `M-Pesa paybill payment. Receipt: ${c2bPayment.trans_id}`,
+    recordedBy: member.chama_created_by,
+    source: 'c2b',
+    sourceId: c2bPayment.id
+  });
+
+  await recordPaymentRow(connection, c2bPayment, member.id, member.chama_id, receipt, member.chama_created_by);
+
+  await connection.execute(
+    'UPDATE mpesa_c2b_payments SET receipt_id = ? WHERE id = ?',
+    [receipt.id, c2bPayment.id]
+  );
+
+  await updateProviderTransaction(connection, 'c2b_payment', c2bPayment.id, { receipt_id: receipt.id });
+
+  return { payment: { ...c2bPayment, receipt_id: receipt.id }, receipt, member };
+};
+
+/**
+ * Load a single paybill payment
+ */
+const getC2BPayment = async (paymentId, executor = db) => {
+  const [payments] = await executor.execute(
+    'SELECT * FROM mpesa_c2b_payments WHERE id = ?',
+    [paymentId]
+  );
+  return payments.length > 0 ? payments[0] : null;
+};
+
+/**
+ * Paybill payments a chama's admins can see: those matched to the chama,
+ * and unmatched ones that landed on the chama's paybill
+ */
+const listChamaC2BPayments = async (chamaId, status = 'suspense') => {
+  const shortCode = await getChamaShortCode(db, chamaId);
+
+  const [payments] = await db.execute(
+    `SELECT p.*, u.name as member_name, au.name as assigned_by_name, pr.receipt_number
+     FROM mpesa_c2b_payments p
+     LEFT JOIN members m ON p.member_id = m.id
+     LEFT JOIN users u ON m.user_id = u.id
+     LEFT JOIN users au ON p.assigned_by = au.id
+     LEFT JOIN payment_receipts pr ON p.receipt_id = pr.id
+     WHERE p.status = ?
+       AND (p.chama_id = ? OR (p.chama_id IS NULL AND p.business_short_code = ?))
+     ORDER BY p.trans_time DESC
+     LIMIT 500`,
+    [status, chamaId, shortCode]
+  );
+
+  return payments;
+};
+
+/**
+ * Check whether a chama may take a suspense payment
+ */
+const isVisibleToChama = async (executor, payment, chamaId) => {
+  if (payment.chama_id) {
+    return parseInt(payment.chama_id) === parseInt(chamaId);
+  }
+
+  const shortCode = await getChamaShortCode(executor, chamaId);
+  return String(payment.business_short_code) === String(shortCode);
+};
+
+/**
+ * Assign a suspense payment to a member and allocate it.
+ * Returns { success: false, status, message } when it cannot be assigned.
+ */
+const assignSuspensePayment = async (paymentId, { memberId, cycleId, typeId, notes, userId }) => {
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [payments] = await connection.execute(
+      'SELECT * FROM mpesa_c2b_payments WHERE id = ? FOR UPDATE',
+      [paymentId]
+    );
+
+    if (payments.length === 0) {
+      await connection.rollback();
+      return { success: false, status: 404, message: 'Paybill payment not found' };
+    }
+
+    const payment = payments[0];
+
+    if (payment.status !== 'suspense') {
+      await connection.rollback();
+      return { success: false, status: 400, message: `Payment is already ${payment.status}` };
+    }
+
+    const [members] = await connection.execute(
+      'SELECT id, chama_id, user_id FROM members WHERE id = ?',
+      [memberId]
+    );
+
+    if (members.length === 0) {
+      await connection.rollback();
+      return { success: false, status: 400, message: 'Member not found' };
+    }
+
+    const member = members[0];
+
+    if (!(await isVisibleToChama(connection, payment, member.chama_id))) {
+      await connection.rollback();
+      return { success: false, status: 400, message: "This payment was not made to the member's chama" };
+    }
+
+    if (!(parseFloat(payment.amount) > 0)) {
+      await connection.rollback();
+      return { success: false, status: 400, message: 'Payment has no amount to allocate' };
+    }
+
+    const receipt = await paymentAllocator.allocatePayment(connection, {
+      chamaId: member.chama_id,
+      memberId: member.id,
+      amount: parseFloat(payment.amount),
+      paymentMethod: 'mpesa',
+      paymentReference: payment.trans_id,
+      notes: `M-Pesa paybill payment assigned from suspense. Receipt: ${payment.trans_id}${notes ? ` - ${notes}` : ''}`,
+      recordedBy: userId,
+      cycleId,
+      typeId,
+      source: 'c2b',
+      sourceId: payment.id
+    });
+
+    await recordPaymentRow(connection, payment, member.id, member.chama_id, receipt, userId);
+
+    await connection.execute(
+      `UPDATE mpesa_c2b_payments
+       SET status = 'assigned', chama_id = ?, member_id = ?, receipt_id = ?,
+           assigned_by = ?, assigned_at = CURRENT_TIMESTAMP, assignment_notes = ?
+       WHERE id = ?`,
+      [member.chama_id, member.id, receipt.id, userId, notes || null, payment.id]
+    );
+
+    await updateProviderTransaction(connection, 'c2b_payment', payment.id, {
+      chama_id: member.chama_id,
+      member_id: member.id,
+      receipt_id: receipt.id
+    });
+
+    await connection.commit();
+
+    return {
+      success: true,
+      data: {
+        payment: await getC2BPayment(payment.id),
+        receipt: await paymentAllocator.getReceipt(receipt.id),
+        member
+      }
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  initializeC2BTables,
+  parseAccountReference,
+  findAccountMember,
+  validateC2BPayment,
+  confirmC2BPayment,
+  getC2BPayment,
+  listChamaC2BPayments,
+  assignSuspensePayment
+};
@@ -0,0 +1,374 @@
+// utils/mpesaCallbacks.js
+const db = require('../config/database');
+const { completeMpesaPayment, closeMpesaPayment } = require('./mpesaPayments');
+const { getProvider } = require('./paymentProviders');
+const { updateProviderTransaction } = require('./providerTransactions');
+const { confirmC2BPayment } = require('./mpesaC2B');
+const { applyB2CResult, applyB2CTimeout } = require('./mpesaDisbursements');
+
+// Failed callbacks are retried by a scheduled job up to this many attempts
+const MAX_CALLBACK_ATTEMPTS = parseInt(process.env.MPESA_CALLBACK_MAX_ATTEMPTS) || 5;
+
+// checkout_request_id holds the CheckoutRequestID of STK callbacks, the
+// TransID of paybill confirmations and the OriginatorConversationID of B2C results
+const createMpesaCallbacksTable = `
+CREATE TABLE IF NOT EXISTS mpesa_callbacks (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  callback_type VARCHAR(30) NOT NULL,
+  checkout_request_id VARCHAR(100) NULL,
+  result_code VARCHAR(10) NULL,
+  payload JSON NOT NULL,
+  source_ip VARCHAR(45) NULL,
+  status ENUM('received', 'processed', 'duplicate', 'failed') DEFAULT 'received',
+  processed_key VARCHAR(150) NULL UNIQUE,
+  attempts INT NOT NULL DEFAULT 0,
+  error_message VARCHAR(500) NULL,
+  processed_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_checkout_request (checkout_request_id),
+  INDEX idx_status (status, attempts)
+);
+`;
+
+/**
+ * Create the tables used for raw M-Pesa callbacks
+ */
+const initializeCallbackTables = async () => {
+  try {
+    await db.execute(createMpesaCallbacksTable);
+    console.log('✅ M-Pesa callbacks table created/verified');
+  } catch (error) {
+    console.error('❌ Failed to create M-Pesa callbacks table:', error);
+  }
+};
+
+/**
+ * Store a callback exactly as received, before anything else touches it
+ */
+const recordCallback = async (callbackType, payload, sourceIp, { checkoutRequestId = null, resultCode = null } = {}) => {
+  const [result] = await db.execute(
+    `INSERT INTO mpesa_callbacks
+     (callback_type, checkout_request_id, result_code, payload, source_ip)
+     VALUES (?, ?, ?, ?, ?)`,
+    [
+      callbackType,
+      checkoutRequestId,
+      resultCode !== null && resultCode !== undefined ? String(resultCode) : null,
+      JSON.stringify(payload),
+      sourceIp || null
+    ]
+  );
+  return result.insertId;
+};
+
+const markCallback = async (callbackId, status, errorMessage = null) => {
+  await db.execute(
+    `UPDATE mpesa_callbacks
+     SET status = ?, error_message = ?, attempts = attempts + 1
+     WHERE id = ?`,
+    [status, errorMessage ? String(errorMessage).slice(0, 500) : null, callbackId]
+  );
+};
+
+// Load a stored callback that still needs processing.
+// Returns { callback, payload }, or { outcome } when there is nothing to do.
+const loadCallback = async (callbackId) => {
+  const [callbacks] = await db.execute(
+    'SELECT * FROM mpesa_callbacks WHERE id = ?',
+    [callbackId]
+  );
+
+  if (callbacks.length === 0) {
+    return { outcome: { status: 'failed', message: 'Callback not found' } };
+  }
+
+  const callback = callbacks[0];
+
+  if (['processed', 'duplicate'].includes(callback.status)) {
+    return { outcome: { status: callback.status, message: 'Callback already handled' } };
+  }
+
+  const payload = typeof callback.payload === 'string' ? JSON.parse(callback.payload) : callback.payload;
+  return { callback, payload };
+};
+
+/**
+ * Apply a stored STK callback to its payment. Each CheckoutRequestID is
+ * processed once: the processed_key column is unique, so a replayed
+ * callback rolls back and is marked duplicate. A callback that fails is
+ * left 'failed' and retried later from the stored payload.
+ *
+ * Returns { status, message, payment, receipt }.
+ */
+const processStkCallback = async (callbackId) => {
+  const { outcome: loadOutcome, payload } = await loadCallback(callbackId);
+  if (loadOutcome) return loadOutcome;
+
+  const parsed = getProvider('mpesa').parseCallback('stk', payload);
+  const checkoutRequestId = parsed.providerReference;
+  const processedKey = `stk:${checkoutRequestId}`;
+
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    // Lock the payment so concurrent deliveries of the same callback queue up
+    const [payments] = await connection.execute(
+      'SELECT * FROM mpesa_payments WHERE checkout_request_id = ? FOR UPDATE',
+      [checkoutRequestId]
+    );
+
+    if (payments.length === 0) {
+      // The callback can arrive before the initiating request has committed
+      throw new Error(`Payment record not found for ${checkoutRequestId}`);
+    }
+
+    const payment = payments[0];
+
+    const [processed] = await connection.execute(
+      'SELECT id FROM mpesa_callbacks WHERE processed_key = ?',
+      [processedKey]
+    );
+
+    if (processed.length > 0) {
+      await connection.rollback();
+      await markCallback(callbackId, 'duplicate', `Already processed by callback #${processed[0].id}`);
+      return { status: 'duplicate', message: 'Callback already processed', payment };
+    }
+
+    let outcome = { status: 'processed', payment };
+
+    if (parsed.status === 'completed') {
+      const completed = await completeMpesaPayment(connection, payment.id, {
+        receiptNumber: parsed.externalReceipt,
+        transactionDate: parsed.transactionDate,
+        phoneNumber: parsed.phone,
+        amount: parsed.amount,
+        resultCode: parsed.resultCode,
+        resultDesc: parsed.resultDesc
+      });
+
+      if (completed) {
+        outcome = { status: 'processed', payment: completed.payment, receipt: completed.receipt };
+      } else if (parsed.externalReceipt) {
+        // Completed earlier without a receipt number
+        await connection.execute(
+          `UPDATE mpesa_payments SET mpesa_receipt_number = COALESCE(mpesa_receipt_number, ?)
+           WHERE id = ?`,
+          [parsed.externalReceipt, payment.id]
+        );
+        await connection.execute(
+          `UPDATE payment_receipts SET payment_reference = ?
+           WHERE source = 'mpesa' AND source_id = ? AND payment_reference IS NULL`,
+          [parsed.externalReceipt, payment.id]
+        );
+        await connection.execute(
+          `UPDATE loan_repayments SET payment_reference = ?
+           WHERE mpesa_payment_id = ? AND payment_reference = ?`,
+          [parsed.externalReceipt, payment.id, payment.reference]
+        );
+        await updateProviderTransaction(connection, 'mpesa_payment', payment.id, {
+          external_receipt: payment.mpesa_receipt_number || parsed.externalReceipt
+        });
+      }
+    } else {
+      await closeMpesaPayment(connection, payment.id, parsed.status, parsed.resultCode, parsed.resultDesc);
+    }
+
+    await connection.execute(
+      `UPDATE mpesa_callbacks
+       SET status = 'processed', processed_key = ?, processed_at = CURRENT_TIMESTAMP,
+           error_message = NULL, attempts = attempts + 1
+       WHERE id = ?`,
+      [processedKey, callbackId]
+    );
+
+    await connection.commit();
+    return outcome;
+  } catch (error) {
+    await connection.rollback();
+
+    if (error.code === 'ER_DUP_ENTRY') {
+      await markCallback(callbackId, 'duplicate', 'Already processed by another callback');
+      return { status: 'duplicate', message: 'Callback already processed' };
+    }
+
+    console.error(`❌ Failed to process M-Pesa callback ${callbackId}:`, error.message);
+    await markCallback(callbackId, 'failed', error.message);
+    return { status: 'failed', message: error.message };
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Apply a stored paybill confirmation. Each TransID is processed once, the
+ * same way as STK callbacks. Payments that match no member are kept in the
+ * suspense queue, which still counts as processed.
+ *
+ * Returns { status, message, payment, receipt, member }.
+ */
+const processC2BCallback = async (callbackId) => {
+  const { outcome: loadOutcome, payload } = await loadCallback(callbackId);
+  if (loadOutcome) return loadOutcome;
+
+  const processedKey = `c2b:${getProvider('mpesa').parseCallback('c2b', payload).providerReference}`;
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [processed] = await connection.execute(
+      'SELECT id FROM mpesa_callbacks WHERE processed_key = ?',
+      [processedKey]
+    );
+
+    if (processed.length > 0) {
+      await connection.rollback();
+      await markCallback(callbackId, 'duplicate', `Already processed by callback #${processed[0].id}`);
+      return { status: 'duplicate', message: 'Callback already processed' };
+    }
+
+    const confirmed = await confirmC2BPayment(connection, payload, callbackId);
+
+    await connection.execute(
+      `UPDATE mpesa_callbacks
+       SET status = 'processed', processed_key = ?, processed_at = CURRENT_TIMESTAMP,
+           error_message = NULL, attempts = attempts + 1
+       WHERE id = ?`,
+      [processedKey, callbackId]
+    );
+
+    await connection.commit();
+    return { status: 'processed', ...confirmed };
+  } catch (error) {
+    await connection.rollback();
+
+    if (error.code === 'ER_DUP_ENTRY') {
+      await markCallback(callbackId, 'duplicate', 'Already processed by another callback');
+      return { status: 'duplicate', message: 'Callback already processed' };
+    }
+
+    console.error(`❌ Failed to process M-Pesa callback ${callbackId}:`, error.message);
+    await markCallback(callbackId, 'failed', error.message);
+    return { status: 'failed', message: error.message };
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Apply a stored B2C result or queue timeout to its payout disbursement.
+ * Each is processed once per OriginatorConversationID.
+ *
+ * Returns { status, message, disbursement, changed }.
+ */
+const processB2CCallback = async (callbackId) => {
+  const { outcome: loadOutcome, callback, payload } = await loadCallback(callbackId);
+  if (loadOutcome) return loadOutcome;
+
+  const parsed = getProvider('mpesa').parseCallback(callback.callback_type, payload);
+  const originatorConversationId = parsed.providerReference;
+  const conversationId = parsed.requestId;
+  const processedKey = `${callback.callback_type}:${originatorConversationId || conversationId}`;
+
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [processed] = await connection.execute(
+      'SELECT id FROM mpesa_callbacks WHERE processed_key = ?',
+      [processedKey]
+    );
+
+    if (processed.length > 0) {
+      await connection.rollback();
+      await markCallback(callbackId, 'duplicate', `Already processed by callback #${processed[0].id}`);
+      return { status: 'duplicate', message: 'Callback already processed' };
+    }
+
+    let applied;
+
+    if (callback.callback_type === 'b2c_timeout') {
+      applied = await applyB2CTimeout(connection, { originatorConversationId, conversationId });
+    } else {
+      applied = await applyB2CResult(connection, {
+        originatorConversationId,
+        conversationId,
+        resultCode: parsed.resultCode,
+        resultDesc: parsed.resultDesc,
+        transactionId: parsed.externalReceipt,
+        receiverName: parsed.payerName
+      });
+    }
+
+    await connection.execute(
+      `UPDATE mpesa_callbacks
+       SET status = 'processed', processed_key = ?, processed_at = CURRENT_TIMESTAMP,
+           error_message = NULL, attempts = attempts + 1
+       WHERE id = ?`,
+      [processedKey, callbackId]
+    );
+
+    await connection.commit();
+    return { status: 'processed', ...applied };
+  } catch (error) {
+    await connection.rollback();
+
+    if (error.code === 'ER_DUP_ENTRY') {
+      await markCallback(callbackId, 'duplicate', 'Already processed by another callback');
+      return { status: 'duplicate', message: 'Callback already processed' };
+    }
+
+    console.error(`❌ Failed to process M-Pesa callback ${callbackId}:`, error.message);
+    await markCallback(callbackId, 'failed', error.message);
+    return { status: 'failed', message: error.message };
+  } finally {
+    connection.release();
+  }
+};
+
+// How each stored callback type is processed
+const CALLBACK_PROCESSORS = {
+  stk: processStkCallback,
+  c2b: processC2BCallback,
+  b2c_result: processB2CCallback,
+  b2c_timeout: processB2CCallback
+};
+
+/**
+ * Scheduled job: retry callbacks whose processing failed
+ */
+const retryFailedCallbacks = async () => {
+  const types = Object.keys(CALLBACK_PROCESSORS);
+
+  const [callbacks] = await db.execute(
+    `SELECT id, callback_type FROM mpesa_callbacks
+     WHERE status = 'failed' AND callback_type IN (${types.map(() => '?').join(', ')}) AND attempts < ?
+       AND updated_at < DATE_SUB(NOW(), INTERVAL 1 MINUTE)
+     ORDER BY created_at ASC
+     LIMIT 50`,
+    [...types, MAX_CALLBACK_ATTEMPTS]
+  );
+
+  const summary = { retried: callbacks.length, processed: 0, duplicate: 0, failed: 0 };
+
+  for (const callback of callbacks) {
+    const outcome = await CALLBACK_PROCESSORS[callback.callback_type](callback.id);
+    summary[outcome.status] = (summary[outcome.status] || 0) + 1;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  initializeCallbackTables,
+  recordCallback,
+  processStkCallback,
+  processC2BCallback,
+  processB2CCallback,
+  retryFailedCallbacks
+};
@@ -0,0 +1,344 @@
+// utils/mpesaDisbursements.js
+const db = require('../config/database');
+const { applyPayoutStatus } = require('./financialEdits');
+const { checkReleaseQuorum } = require('./payoutSignatures');
+const { getProvider } = require('./paymentProviders');
+const { recordProviderTransaction, updateProviderTransaction } = require('./providerTransactions');
+
+const createPayoutDisbursementsTable = `
+CREATE TABLE IF NOT EXISTS payout_disbursements (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  payout_id INT NOT NULL,
+  chama_id INT NOT NULL,
+  member_id INT NOT NULL,
+  attempt_number INT NOT NULL,
+  phone_number VARCHAR(20) NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  originator_conversation_id VARCHAR(100) NOT NULL UNIQUE,
+  conversation_id VARCHAR(100) NULL,
+  status ENUM('queued', 'sent', 'completed', 'failed', 'timeout') NOT NULL DEFAULT 'queued',
+  result_code VARCHAR(20) NULL,
+  result_description VARCHAR(255) NULL,
+  transaction_id VARCHAR(50) NULL,
+  receiver_name VARCHAR(255) NULL,
+  initiated_by INT NOT NULL,
+  sent_at TIMESTAMP NULL,
+  completed_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (payout_id) REFERENCES payouts(id) ON DELETE CASCADE,
+  FOREIGN KEY (initiated_by) REFERENCES users(id),
+  UNIQUE KEY uniq_payout_attempt (payout_id, attempt_number),
+  INDEX idx_conversation (conversation_id),
+  INDEX idx_chama_status (chama_id, status)
+);
+`;
+
+// Attempts that still hold the payout; a new one may only start after these end
+const OPEN_STATUSES = ['queued', 'sent', 'completed'];
+
+/**
+ * Create the tables used for payout disbursements
+ */
+const initializeDisbursementTables = async () => {
+  try {
+    await db.execute(createPayoutDisbursementsTable);
+    console.log('✅ Payout disbursements table created/verified');
+  } catch (error) {
+    console.error('❌ Failed to create payout disbursements table:', error);
+  }
+};
+
+/**
+ * Load a single disbursement attempt
+ */
+const getDisbursement = async (disbursementId, executor = db) => {
+  const [disbursements] = await executor.execute(
+    'SELECT * FROM payout_disbursements WHERE id = ?',
+    [disbursementId]
+  );
+  return disbursements.length > 0 ? disbursements[0] : null;
+};
+
+/**
+ * All disbursement attempts for a payout, newest first
+ */
+const listPayoutDisbursements = async (payoutId) => {
+  const [disbursements] = await db.execute(
+    `SELECT pd.*, u.name as initiated_by_name
+     FROM payout_disbursements pd
+     LEFT JOIN users u ON pd.initiated_by = u.id
+     WHERE pd.payout_id = ?
+     ORDER BY pd.attempt_number DESC`,
+    [payoutId]
+  );
+  return disbursements;
+};
+
+/**
+ * Send a pending payout to the member's phone over M-Pesa B2C.
+ * A failed or timed-out attempt can be retried by calling this again.
+ * Returns { success: false, status, message } when it cannot be sent.
+ */
+const disbursePayout = async (payoutId, userId) => {
+  const connection = await db.getConnection();
+  let disbursementId;
+  let originatorConversationId;
+  let payout;
+
+  try {
+    await connection.beginTransaction();
+
+    // Lock the payout so two officers cannot send it at the same time
+    const [payouts] = await connection.execute(
+      `SELECT p.*, m.user_id as member_user_id, u.phone, u.name as member_name
+       FROM payouts p
+       JOIN members m ON p.member_id = m.id
+       JOIN users u ON m.user_id = u.id
+       WHERE p.id = ?
+       FOR UPDATE`,
+      [payoutId]
+    );
+
+    if (payouts.length === 0) {
+      await connection.rollback();
+      return { success: false, status: 404, message: 'Payout not found' };
+    }
+
+    payout = payouts[0];
+
+    if (payout.status !== 'pending') {
+      await connection.rollback();
+      return { success: false, status: 400, message: `Payout is already ${payout.status}` };
+    }
+
+    const quorum = await checkReleaseQuorum(payout.id, connection);
+
+    if (!quorum.success) {
+      await connection.rollback();
+      return quorum;
+    }
+
+    if (!payout.phone) {
+      await connection.rollback();
+      return { success: false, status: 400, message: 'Member has no phone number to pay to' };
+    }
+
+    if (!Number.isInteger(parseFloat(payout.amount))) {
+      await connection.rollback();
+      return { success: false, status: 400, message: 'M-Pesa can only send whole shillings' };
+    }
+
+    const [attempts] = await connection.execute(
+      'SELECT attempt_number, status FROM payout_disbursements WHERE payout_id = ? ORDER BY attempt_number DESC',
+      [payoutId]
+    );
+
+    const open = attempts.find(a => OPEN_STATUSES.includes(a.status));
+    if (open) {
+      await connection.rollback();
+      return {
+        success: false,
+        status: 400,
+        message: open.status === 'completed'
+          ? 'Payout has already been sent'
+          : `Attempt ${open.attempt_number} is still ${open.status}`
+      };
+    }
+
+    const attemptNumber = attempts.length > 0 ? attempts[0].attempt_number + 1 : 1;
+    originatorConversationId = `PAYOUT-${payout.id}-${attemptNumber}`;
+
+    const [result] = await connection.execute(
+      `INSERT INTO payout_disbursements
+       (payout_id, chama_id, member_id, attempt_number, phone_number, amount,
+        originator_conversation_id, initiated_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        payout.id,
+        payout.chama_id,
+        payout.member_id,
+        attemptNumber,
+        payout.phone,
+        payout.amount,
+        originatorConversationId,
+        userId
+      ]
+    );
+
+    disbursementId = result.insertId;
+
+    await recordProviderTransaction(connection, {
+      provider: 'mpesa',
+      direction: 'disbursement',
+      chamaId: payout.chama_id,
+      memberId: payout.member_id,
+      amount: payout.amount,
+      account: payout.phone,
+      reference: originatorConversationId,
+      providerReference: originatorConversationId,
+      sourceType: 'payout_disbursement',
+      sourceId: disbursementId,
+      payoutId: payout.id
+    });
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  // Call M-Pesa outside the transaction; the queued attempt keeps others out
+  try {
+    const response = await getProvider('mpesa').disburse({
+      phone: payout.phone,
+      amount: parseFloat(payout.amount),
+      reference: originatorConversationId,
+      remarks: `Chama payout #${payout.id}`
+    });
+
+    await db.execute(
+      `UPDATE payout_disbursements
+       SET status = 'sent', conversation_id = ?, sent_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'queued'`,
+      [response.requestId, disbursementId]
+    );
+
+    return { success: true, data: await getDisbursement(disbursementId) };
+  } catch (error) {
+    await db.execute(
+      `UPDATE payout_disbursements
+       SET status = 'failed', result_description = ?
+       WHERE id = ? AND status = 'queued'`,
+      [String(error.message).slice(0, 255), disbursementId]
+    );
+
+    await updateProviderTransaction(db, 'payout_disbursement', disbursementId, {
+      status: 'failed',
+      result_description: error.message
+    });
+
+    return {
+      success: false,
+      status: 502,
+      message: error.message,
+      data: await getDisbursement(disbursementId)
+    };
+  }
+};
+
+// Find the attempt a B2C callback is about and lock it
+const lockDisbursement = async (connection, originatorConversationId, conversationId) => {
+  const [disbursements] = await connection.execute(
+    `SELECT * FROM payout_disbursements
+     WHERE originator_conversation_id = ? OR conversation_id = ?
+     LIMIT 1
+     FOR UPDATE`,
+    [originatorConversationId || '', conversationId || '']
+  );
+
+  if (disbursements.length === 0) {
+    // A result matched only by ConversationID can beat the save of that ID; it is retried
+    throw new Error(`Disbursement not found for ${originatorConversationId || conversationId}`);
+  }
+
+  return disbursements[0];
+};
+
+/**
+ * Apply a B2C result to its disbursement, marking the payout paid on success.
+ * Attempts that failed before M-Pesa answered still accept a result, since
+ * the money may have gone out anyway.
+ *
+ * Runs on the caller's connection; the caller owns the transaction.
+ * Returns { disbursement, changed }.
+ */
+const applyB2CResult = async (connection, {
+  originatorConversationId,
+  conversationId,
+  resultCode,
+  resultDesc,
+  transactionId = null,
+  receiverName = null
+}) => {
+  const disbursement = await lockDisbursement(connection, originatorConversationId, conversationId);
+
+  const settled = disbursement.status === 'completed' ||
+    (disbursement.status === 'failed' && disbursement.result_code !== null);
+
+  if (settled) {
+    return { disbursement, changed: false };
+  }
+
+  const succeeded = String(resultCode) === '0';
+
+  await connection.execute(
+    `UPDATE payout_disbursements
+     SET status = ?, result_code = ?, result_description = ?, transaction_id = ?,
+         receiver_name = ?, conversation_id = COALESCE(conversation_id, ?),
+         completed_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [
+      succeeded ? 'completed' : 'failed',
+      String(resultCode),
+      resultDesc ? String(resultDesc).slice(0, 255) : null,
+      transactionId,
+      receiverName,
+      conversationId || null,
+      disbursement.id
+    ]
+  );
+
+  await updateProviderTransaction(connection, 'payout_disbursement', disbursement.id, {
+    status: succeeded ? 'completed' : 'failed',
+    external_receipt: transactionId,
+    result_code: resultCode,
+    result_description: resultDesc
+  });
+
+  if (succeeded) {
+    await applyPayoutStatus(disbursement.payout_id, 'paid', disbursement.initiated_by, connection, { disbursed: true });
+  }
+
+  return { disbursement: await getDisbursement(disbursement.id, connection), changed: true };
+};
+
+/**
+ * Mark an attempt timed out when M-Pesa gave up on it in the queue.
+ * A result that arrives later still wins.
+ *
+ * Runs on the caller's connection; the caller owns the transaction.
+ * Returns { disbursement, changed }.
+ */
+const applyB2CTimeout = async (connection, { originatorConversationId, conversationId }) => {
+  const disbursement = await lockDisbursement(connection, originatorConversationId, conversationId);
+
+  if (!['queued', 'sent'].includes(disbursement.status)) {
+    return { disbursement, changed: false };
+  }
+
+  await connection.execute(
+    `UPDATE payout_disbursements
+     SET status = 'timeout', result_description = 'M-Pesa timed out before processing the payment'
+     WHERE id = ?`,
+    [disbursement.id]
+  );
+
+  await updateProviderTransaction(connection, 'payout_disbursement', disbursement.id, {
+    status: 'expired',
+    result_description: 'M-Pesa timed out before processing the payment'
+  });
+
+  return { disbursement: await getDisbursement(disbursement.id, connection), changed: true };
+};
+
+module.exports = {
+  initializeDisbursementTables,
+  getDisbursement,
+  listPayoutDisbursements,
+  disbursePayout,
+  applyB2CResult,
+  applyB2CTimeout
+};
@@ -0,0 +1,345 @@
+// utils/mpesaPayments.js
+const moment = require('moment');
+const db = require('../config/database');
+const paymentAllocator = require('./paymentAllocator');
+const loanRepayments = require('./loanRepayments');
+const mpesaService = require('./mpesaService');
+const { getProvider } = require('./paymentProviders');
+const { updateProviderTransaction } = require('./providerTransactions');
+
+// STK payments with no callback after this long are queried one last time, then expired
+const STK_EXPIRY_MINUTES = parseInt(process.env.MPESA_STK_EXPIRY_MINUTES) || 15;
+
+// Wait this long after initiation before querying, to give the callback a chance
+const STK_QUERY_DELAY_MINUTES = parseInt(process.env.MPESA_STK_QUERY_DELAY_MINUTES) || 2;
+
+const createMpesaPaymentsTable = `
+CREATE TABLE IF NOT EXISTS mpesa_payments (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  chama_id INT NOT NULL,
+  member_id INT NOT NULL,
+  contribution_id INT NULL,
+  phone_number VARCHAR(20) NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  expected_amount DECIMAL(10, 2) NOT NULL,
+  reference VARCHAR(50) NOT NULL UNIQUE,
+  description VARCHAR(255),
+  checkout_request_id VARCHAR(100),
+  merchant_request_id VARCHAR(100),
+  response_code VARCHAR(10),
+  customer_message VARCHAR(255),
+  result_code VARCHAR(10),
+  result_description VARCHAR(255),
+  mpesa_receipt_number VARCHAR(50),
+  transaction_date VARCHAR(20),
+  status ENUM('pending', 'initiated', 'completed', 'failed', 'cancelled', 'expired') DEFAULT 'pending',
+  initiated_by INT NOT NULL,
+  callback_received_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (chama_id) REFERENCES chamas(id) ON DELETE CASCADE,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  FOREIGN KEY (contribution_id) REFERENCES contributions(id) ON DELETE SET NULL,
+  FOREIGN KEY (initiated_by) REFERENCES users(id),
+  INDEX idx_checkout_request (checkout_request_id),
+  INDEX idx_reference (reference),
+  INDEX idx_status (status),
+  INDEX idx_created_at (created_at),
+  INDEX idx_chama_member (chama_id, member_id)
+);
+`;
+
+// Tables created before payments could expire lack the 'expired' status
+const addExpiredStatus = `
+ALTER TABLE mpesa_payments
+MODIFY status ENUM('pending', 'initiated', 'completed', 'failed', 'cancelled', 'expired') DEFAULT 'pending'
+`;
+
+/**
+ * Create the tables used for M-Pesa STK payments
+ */
+const initializeMpesaTables = async () => {
+  try {
+    await db.execute(createMpesaPaymentsTable);
+    await db.execute(addExpiredStatus);
+    console.log('✅ M-Pesa payments table created/verified');
+  } catch (error) {
+    console.error('❌ Failed to create M-Pesa payments table:', error);
+  }
+};
+
+// Daraja sends TransactionDate as a YYYYMMDDHHmmss number
+const parseTransactionDate = (transactionDate) => {
+  if (!transactionDate) return new Date();
+
+  const parsed = moment(String(transactionDate), 'YYYYMMDDHHmmss', true);
+  return parsed.isValid() ? parsed.toDate() : new Date();
+};
+
+/**
+ * Mark an STK payment completed and allocate it to the member's contributions,
+ * or to the loan it was made for. A payment is only ever completed once: returns null when another callback
+ * already completed it, or when neither a receipt nor an amount confirms the
+ * money arrived. Expired payments can still complete, since the money did arrive.
+ *
+ * Runs on the caller's connection; the caller owns the transaction.
+ */
+const completeMpesaPayment = async (connection, paymentId, {
+  receiptNumber = null,
+  transactionDate = null,
+  phoneNumber = null,
+  amount = null,
+  resultCode = '0',
+  resultDesc = null
+} = {}) => {
+  // A bare success code does not say how much arrived; wait for a receipt
+  if (!receiptNumber && (amount === null || amount === undefined)) {
+    return null;
+  }
+
+  const [claim] = await connection.execute(
+    `UPDATE mpesa_payments
+     SET status = 'completed',
+         result_code = ?,
+         result_description = ?,
+         mpesa_receipt_number = COALESCE(?, mpesa_receipt_number),
+         transaction_date = COALESCE(?, transaction_date),
+         phone_number = COALESCE(?, phone_number),
+         amount = COALESCE(?, amount),
+         callback_received_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status IN ('pending', 'initiated', 'expired')`,
+    [
+      resultCode,
+      resultDesc,
+      receiptNumber,
+      transactionDate ? String(transactionDate) : null,
+      phoneNumber ? String(phoneNumber) : null,
+      amount,
+      paymentId
+    ]
+  );
+
+  if (claim.affectedRows === 0) {
+    return null;
+  }
+
+  const [payments] = await connection.execute(
+    'SELECT * FROM mpesa_payments WHERE id = ?',
+    [paymentId]
+  );
+  const payment = payments[0];
+
+  const loanId = await loanRepayments.getStkLoanId(connection, payment.id);
+
+  if (loanId) {
+    const repayment = await loanRepayments.completeStkRepayment(connection, payment, loanId);
+
+    await updateProviderTransaction(connection, 'mpesa_payment', payment.id, {
+      status: 'completed',
+      amount: payment.amount,
+      external_receipt: payment.mpesa_receipt_number,
+      result_code: resultCode,
+      result_description: resultDesc
+    });
+
+    await connection.execute(
+      `INSERT INTO payments
+       (chama_id, member_id, contribution_id, amount, payment_method,
+        payment_date, reference_number, recorded_by, notes)
+       VALUES (?, ?, NULL, ?, 'mpesa', ?, ?, ?, ?)`,
+      [
+        payment.chama_id,
+        payment.member_id,
+        payment.amount,
+        parseTransactionDate(payment.transaction_date),
+        payment.mpesa_receipt_number || payment.reference,
+        payment.initiated_by,
+        `M-Pesa loan repayment via STK Push. Receipt: ${payment.mpesa_receipt_number || payment.reference} (loan #${loanId})`
+      ]
+    );
+
+    return { payment, receipt: null, loan_repayment: repayment };
+  }
+
+  // Allocate the payment according to the chama's allocation policy
+  const receipt = await paymentAllocator.allocatePayment(connection, {
+    chamaId: payment.chama_id,
+    memberId: payment.member_id,
+    amount: parseFloat(payment.amount),
+    paymentMethod: 'mpesa',
+    paymentReference: payment.mpesa_receipt_number,
+    notes: `M-Pesa payment via STK Push. Receipt: ${payment.mpesa_receipt_number || payment.reference}`,
+    recordedBy: payment.initiated_by,
+    source: 'mpesa',
+    sourceId: payment.id
+  });
+
+  const contributionId = receipt.contribution_ids[0] || payment.contribution_id;
+
+  await connection.execute(
+    'UPDATE mpesa_payments SET contribution_id = ? WHERE id = ?',
+    [contributionId, payment.id]
+  );
+
+  await updateProviderTransaction(connection, 'mpesa_payment', payment.id, {
+    status: 'completed',
+    amount: payment.amount,
+    external_receipt: payment.mpesa_receipt_number,
+    result_code: resultCode,
+    result_description: resultDesc,
+    receipt_id: receipt.id
+  });
+
+  // Record payment transaction
+  await connection.execute(
+    `INSERT INTO payments
+     (chama_id, member_id, contribution_id, amount, payment_method,
+      payment_date, reference_number, recorded_by, notes)
+     VALUES (?, ?, ?, ?, 'mpesa', ?, ?, ?, ?)`,
+    [
+      payment.chama_id,
+      payment.member_id,
+      contributionId,
+      payment.amount,
+      parseTransactionDate(payment.transaction_date),
+      payment.mpesa_receipt_number || payment.reference,
+      payment.initiated_by,
+      `M-Pesa payment via STK Push. Receipt: ${payment.mpesa_receipt_number || payment.reference} (${receipt.receipt_number})`
+    ]
+  );
+
+  // Update chama statistics
+  await connection.execute(
+    `UPDATE chamas
+     SET updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [payment.chama_id]
+  );
+
+  return { payment: { ...payment, contribution_id: contributionId }, receipt };
+};
+
+/**
+ * Close an STK payment that did not go through (failed, cancelled or expired).
+ * Returns false when the payment was already closed.
+ */
+const closeMpesaPayment = async (executor, paymentId, status, resultCode, resultDesc) => {
+  const [result] = await executor.execute(
+    `UPDATE mpesa_payments
+     SET status = ?, result_code = ?, result_description = ?
+     WHERE id = ? AND status IN ('pending', 'initiated')`,
+    [status, resultCode, resultDesc, paymentId]
+  );
+
+  if (result.affectedRows === 0) {
+    return false;
+  }
+
+  await updateProviderTransaction(executor, 'mpesa_payment', paymentId, {
+    status,
+    result_code: resultCode,
+    result_description: resultDesc
+  });
+
+  return true;
+};
+
+/**
+ * Ask Daraja about one stuck payment and complete or close it.
+ * Returns the outcome: completed, failed, cancelled, expired or pending.
+ */
+const reconcileStkPayment = async (payment) => {
+  let status = null;
+
+  try {
+    status = await getProvider('mpesa').queryStatus(payment.checkout_request_id);
+  } catch (error) {
+    // Daraja answers with an error while the customer is still on the prompt
+    status = null;
+  }
+
+  const isExpired = moment(payment.created_at).add(STK_EXPIRY_MINUTES, 'minutes').isBefore(moment());
+
+  // The status query carries no receipt or amount, so a success here is not
+  // enough to allocate money. Leave it for the callback or a paybill match.
+  if (status && status.status === 'completed') {
+    if (isExpired) {
+      await closeMpesaPayment(
+        db,
+        payment.id,
+        'expired',
+        status.resultCode,
+        'M-Pesa reported success but no receipt was received; reconcile manually'
+      );
+      return 'expired';
+    }
+
+    return 'pending';
+  }
+
+  if (status && ['failed', 'cancelled'].includes(status.status)) {
+    await closeMpesaPayment(db, payment.id, status.status, status.resultCode, status.resultDesc);
+    return status.status;
+  }
+
+  if (isExpired) {
+    await closeMpesaPayment(
+      db,
+      payment.id,
+      'expired',
+      null,
+      `No confirmation received within ${STK_EXPIRY_MINUTES} minutes`
+    );
+    return 'expired';
+  }
+
+  return 'pending';
+};
+
+/**
+ * Scheduled job: query Daraja for STK payments still waiting on a callback,
+ * and expire the ones that never got one
+ */
+const pollPendingMpesaPayments = async () => {
+  // In simulation mode there is no Daraja to ask
+  if (!mpesaService.isConfigured) {
+    return { skipped: true, reason: 'M-Pesa is not configured' };
+  }
+
+  const [payments] = await db.execute(
+    `SELECT * FROM mpesa_payments
+     WHERE status IN ('pending', 'initiated')
+       AND created_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)
+     ORDER BY created_at ASC
+     LIMIT 100`,
+    [STK_QUERY_DELAY_MINUTES]
+  );
+
+  const summary = { checked: payments.length, completed: 0, failed: 0, cancelled: 0, expired: 0, pending: 0, errors: 0 };
+
+  for (const payment of payments) {
+    try {
+      // Never initiated with Daraja, so there is nothing to query
+      const outcome = payment.checkout_request_id
+        ? await reconcileStkPayment(payment)
+        : (await closeMpesaPayment(db, payment.id, 'expired', null, 'STK push was never initiated')) ? 'expired' : 'pending';
+
+      summary[outcome]++;
+    } catch (error) {
+      console.error(`❌ STK poll failed for payment ${payment.id}:`, error.message);
+      summary.errors++;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  STK_EXPIRY_MINUTES,
+  initializeMpesaTables,
+  parseTransactionDate,
+  completeMpesaPayment,
+  closeMpesaPayment,
+  reconcileStkPayment,
+  pollPendingMpesaPayments
+};
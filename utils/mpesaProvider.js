@@ -0,0 +1,159 @@
+// utils/mpesaProvider.js
+const mpesaService = require('./mpesaService');
+const { PaymentProvider } = require('./paymentProvider');
+
+// Daraja result code when the customer dismisses the prompt
+const RESULT_CANCELLED_BY_USER = '1032';
+
+// Map a Daraja result code onto a normalized transaction status
+const statusFromResultCode = (resultCode) => {
+  if (resultCode === undefined || resultCode === null || resultCode === '') return 'pending';
+
+  const code = String(resultCode);
+  if (code === '0') return 'completed';
+  if (code === RESULT_CANCELLED_BY_USER) return 'cancelled';
+  return 'failed';
+};
+
+// Pull the STK CallbackMetadata items into an object
+const readCallbackMetadata = (stkCallback) => {
+  const metadata = {};
+  const items = (stkCallback.CallbackMetadata && stkCallback.CallbackMetadata.Item) || [];
+
+  items.forEach(item => {
+    metadata[item.Name] = item.Value;
+  });
+
+  return metadata;
+};
+
+// Pull the B2C ResultParameters into an object
+const readResultParameters = (result) => {
+  const parameters = {};
+  const items = (result.ResultParameters && result.ResultParameters.ResultParameter) || [];
+
+  [].concat(items).forEach(item => {
+    parameters[item.Key] = item.Value;
+  });
+
+  return parameters;
+};
+
+/**
+ * M-Pesa (Daraja) adapter: STK push collections, B2C disbursements,
+ * STK status queries and the STK, paybill and B2C callbacks
+ */
+class MpesaProvider extends PaymentProvider {
+  constructor(service = mpesaService) {
+    super('mpesa', 'M-Pesa');
+    this.service = service;
+  }
+
+  async collect({ phone, amount, reference, description }) {
+    const response = await this.service.initiateSTKPush(phone, amount, reference, description);
+
+    return {
+      providerReference: response.checkoutRequestID,
+      requestId: response.merchantRequestID,
+      responseCode: response.responseCode,
+      message: response.customerMessage,
+      raw: response
+    };
+  }
+
+  async disburse({ phone, amount, reference, remarks }) {
+    const response = await this.service.initiateB2C(phone, amount, reference, remarks);
+
+    return {
+      providerReference: response.originatorConversationID || reference,
+      requestId: response.conversationID || null,
+      responseCode: response.responseCode,
+      message: response.responseDescription,
+      raw: response
+    };
+  }
+
+  async queryStatus(providerReference) {
+    const response = await this.service.checkSTKStatus(providerReference);
+
+    return {
+      status: statusFromResultCode(response.resultCode),
+      resultCode: response.resultCode !== undefined && response.resultCode !== null
+        ? String(response.resultCode)
+        : null,
+      resultDesc: response.resultDesc || null,
+      raw: response
+    };
+  }
+
+  parseCallback(type, payload) {
+    if (type === 'stk') {
+      const stkCallback = payload.Body.stkCallback;
+      const metadata = readCallbackMetadata(stkCallback);
+
+      return {
+        providerReference: stkCallback.CheckoutRequestID,
+        requestId: stkCallback.MerchantRequestID || null,
+        status: statusFromResultCode(stkCallback.ResultCode),
+        externalReceipt: metadata.MpesaReceiptNumber || null,
+        amount: metadata.Amount || null,
+        account: null,
+        phone: metadata.PhoneNumber ? String(metadata.PhoneNumber) : null,
+        payerName: null,
+        resultCode: String(stkCallback.ResultCode),
+        resultDesc: stkCallback.ResultDesc || null,
+        transactionDate: metadata.TransactionDate || null,
+        raw: payload
+      };
+    }
+
+    if (type === 'c2b') {
+      const payerName = [payload.FirstName, payload.MiddleName, payload.LastName]
+        .filter(Boolean)
+        .join(' ') || null;
+
+      return {
+        providerReference: payload.TransID,
+        requestId: null,
+        status: 'completed',
+        externalReceipt: payload.TransID,
+        amount: payload.TransAmount !== undefined ? parseFloat(payload.TransAmount) : null,
+        account: payload.BillRefNumber || null,
+        phone: payload.MSISDN ? String(payload.MSISDN) : null,
+        payerName,
+        resultCode: '0',
+        resultDesc: null,
+        transactionDate: payload.TransTime || null,
+        raw: payload
+      };
+    }
+
+    if (type === 'b2c_result' || type === 'b2c_timeout') {
+      const result = payload.Result || payload;
+      const timedOut = type === 'b2c_timeout';
+      const parameters = timedOut ? {} : readResultParameters(result);
+
+      return {
+        providerReference: result.OriginatorConversationID || null,
+        requestId: result.ConversationID || null,
+        status: timedOut ? 'expired' : statusFromResultCode(result.ResultCode),
+        externalReceipt: parameters.TransactionReceipt || result.TransactionID || null,
+        amount: parameters.TransactionAmount || null,
+        account: null,
+        phone: null,
+        payerName: parameters.ReceiverPartyPublicName || null,
+        resultCode: timedOut || result.ResultCode === undefined ? null : String(result.ResultCode),
+        resultDesc: result.ResultDesc || null,
+        transactionDate: parameters.TransactionCompletedDateTime || null,
+        raw: payload
+      };
+    }
+
+    return super.parseCallback(type, payload);
+  }
+}
+
+module.exports = {
+  RESULT_CANCELLED_BY_USER,
+  MpesaProvider
+};
@@ -0,0 +1,724 @@
+// utils/mpesaReconciliation.js
+const moment = require('moment');
+const db = require('../config/database');
+const paymentAllocator = require('./paymentAllocator');
+const { readSpreadsheet } = require('./spreadsheet');
+const { normalizePhone, phonesMatch } = require('./phone');
+const { findByExternalReceipt } = require('./providerTransactions');
+
+// How far apart a statement line and a recorded payment may be to match by phone
+const MATCH_WINDOW_MINUTES = parseInt(process.env.MPESA_RECONCILIATION_WINDOW_MINUTES) || 30;
+
+const createStatementsTable = `
+CREATE TABLE IF NOT EXISTS mpesa_statements (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  chama_id INT NOT NULL,
+  file_name VARCHAR(255) NOT NULL,
+  period_start DATETIME NULL,
+  period_end DATETIME NULL,
+  total_lines INT NOT NULL DEFAULT 0,
+  skipped_lines INT NOT NULL DEFAULT 0,
+  total_amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  uploaded_by INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (chama_id) REFERENCES chamas(id) ON DELETE CASCADE,
+  FOREIGN KEY (uploaded_by) REFERENCES users(id),
+  INDEX idx_chama_period (chama_id, period_start)
+);
+`;
+
+const createStatementLinesTable = `
+CREATE TABLE IF NOT EXISTS mpesa_statement_lines (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  statement_id INT NOT NULL,
+  chama_id INT NOT NULL,
+  line_number INT NOT NULL,
+  receipt_number VARCHAR(50) NOT NULL,
+  completed_at DATETIME NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  phone VARCHAR(20) NULL,
+  payer_name VARCHAR(255) NULL,
+  account_reference VARCHAR(100) NULL,
+  details VARCHAR(500) NULL,
+  match_status ENUM('matched', 'unmatched', 'duplicate', 'amount_mismatch', 'resolved', 'ignored') NOT NULL,
+  match_method ENUM('receipt', 'phone_time') NULL,
+  match_note VARCHAR(255) NULL,
+  member_id INT NULL,
+  matched_receipt_id INT NULL,
+  matched_mpesa_payment_id INT NULL,
+  system_amount DECIMAL(10, 2) NULL,
+  resolved_receipt_id INT NULL,
+  resolved_by INT NULL,
+  resolved_at TIMESTAMP NULL,
+  resolution_notes VARCHAR(500) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (statement_id) REFERENCES mpesa_statements(id) ON DELETE CASCADE,
+  FOREIGN KEY (chama_id) REFERENCES chamas(id) ON DELETE CASCADE,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE SET NULL,
+  INDEX idx_statement (statement_id),
+  INDEX idx_chama_status (chama_id, match_status),
+  INDEX idx_receipt_number (receipt_number),
+  INDEX idx_matched_receipt (matched_receipt_id)
+);
+`;
+
+// Statement column headings, compared lowercase with punctuation removed
+const COLUMN_ALIASES = {
+  receiptNumber: ['receiptno', 'receiptnumber', 'receipt', 'transactionid', 'transid'],
+  completedAt: ['completiontime', 'completiondate', 'transactiontime', 'transactiondate', 'date'],
+  details: ['details', 'description'],
+  transactionStatus: ['transactionstatus', 'status'],
+  paidIn: ['paidin', 'credit', 'amount'],
+  otherParty: ['otherpartyinfo', 'otherparty', 'sender'],
+  accountReference: ['acno', 'accountno', 'accountnumber', 'billrefnumber', 'account']
+};
+
+const DATE_FORMATS = [
+  'YYYY-MM-DD HH:mm:ss',
+  'YYYY-MM-DD HH:mm',
+  'DD-MM-YYYY HH:mm:ss',
+  'DD-MM-YYYY HH:mm',
+  'DD/MM/YYYY HH:mm:ss',
+  'DD/MM/YYYY HH:mm',
+  'YYYYMMDDHHmmss'
+];
+
+// Statuses an admin still has to act on
+const OPEN_STATUSES = ['unmatched', 'duplicate', 'amount_mismatch'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const normalizeLabel = (label) => String(label || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const parseAmount = (value) => {
+  const amount = parseFloat(String(value || '').replace(/[^\d.-]/g, ''));
+  return Number.isNaN(amount) ? 0 : roundMoney(amount);
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+
+  const parsed = moment(value, DATE_FORMATS, true);
+  if (parsed.isValid()) return parsed.toDate();
+
+  const fallback = new Date(value);
+  return Number.isNaN(fallback.getTime()) ? null : fallback;
+};
+
+// "254712345678 - JANE DOE" or "Pay Bill from 2547****678 - JANE DOE Acc. 12"
+const parseParty = (otherParty, details) => {
+  const text = otherParty || details || '';
+  const phoneMatch = /(\+?[\d*]{9,15})/.exec(text);
+  const nameMatch = /-\s*([^-]+?)(?:\s+Acc\..*)?$/i.exec(text);
+
+  return {
+    phone: phoneMatch ? phoneMatch[1] : null,
+    payerName: nameMatch ? nameMatch[1].trim() : null
+  };
+};
+
+class MpesaReconciliation {
+  /**
+   * Create the tables used for statement reconciliation
+   */
+  async initializeTables() {
+    try {
+      await db.execute(createStatementsTable);
+      await db.execute(createStatementLinesTable);
+      console.log('✅ M-Pesa reconciliation tables created/verified');
+    } catch (error) {
+      console.error('❌ Failed to create M-Pesa reconciliation tables:', error);
+    }
+  }
+
+  /**
+   * Read an M-Pesa statement export into money-in lines.
+   * Statements start with a few summary rows, so the header row is found
+   * by looking for the receipt and paid-in columns.
+   */
+  async parseStatement(file) {
+    const table = await readSpreadsheet(file);
+
+    let headerIndex = -1;
+    let columns = [];
+
+    for (let i = 0; i < Math.min(table.length, 30); i++) {
+      const mapped = table[i].map(label => {
+        const normalized = normalizeLabel(label);
+        return Object.keys(COLUMN_ALIASES)
+          .find(column => COLUMN_ALIASES[column].includes(normalized)) || null;
+      });
+
+      if (mapped.includes('receiptNumber') && mapped.includes('paidIn')) {
+        headerIndex = i;
+        columns = mapped;
+        break;
+      }
+    }
+
+    if (headerIndex === -1) {
+      throw new Error('Could not find the statement header (Receipt No. and Paid In columns)');
+    }
+
+    const lines = [];
+    let skipped = 0;
+
+    table.slice(headerIndex + 1).forEach((cells, index) => {
+      const row = {};
+      columns.forEach((column, col) => {
+        if (column && !row[column]) row[column] = String(cells[col] || '').trim();
+      });
+
+      if (!row.receiptNumber) return;
+
+      const amount = parseAmount(row.paidIn);
+      const isCompleted = !row.transactionStatus || /completed/i.test(row.transactionStatus);
+
+      // Only completed money-in lines are contributions
+      if (amount <= 0 || !isCompleted) {
+        skipped++;
+        return;
+      }
+
+      const { phone, payerName } = parseParty(row.otherParty, row.details);
+
+      lines.push({
+        lineNumber: headerIndex + index + 2,
+        receiptNumber: row.receiptNumber.toUpperCase(),
+        completedAt: parseDate(row.completedAt),
+        amount,
+        phone,
+        payerName,
+        accountReference: row.accountReference || null,
+        details: row.details ? row.details.slice(0, 500) : null
+      });
+    });
+
+    return { lines, skipped };
+  }
+
+  /**
+   * Find what a statement line corresponds to in the system.
+   * claimed holds payment receipt ids already matched in this run.
+   */
+  async matchLine(connection, chamaId, line, members, seenReceipts, claimed) {
+    const result = {
+      match_status: 'unmatched',
+      match_method: null,
+      match_note: null,
+      member_id: null,
+      matched_receipt_id: null,
+      matched_mpesa_payment_id: null,
+      system_amount: null
+    };
+
+    // Suggest the member paying from this number, for unmatched lines
+    const payers = line.phone ? members.filter(m => phonesMatch(m.phone, line.phone)) : [];
+    if (payers.length === 1) result.member_id = payers[0].id;
+
+    // Same receipt twice in the file or on an earlier statement
+    if (seenReceipts.has(line.receiptNumber)) {
+      return { ...result, match_status: 'duplicate', match_note: 'Receipt appears more than once in this statement' };
+    }
+    seenReceipts.add(line.receiptNumber);
+
+    const [previous] = await connection.execute(
+      `SELECT statement_id FROM mpesa_statement_lines
+       WHERE chama_id = ? AND receipt_number = ? AND match_status != 'duplicate'
+       LIMIT 1`,
+      [chamaId, line.receiptNumber]
+    );
+
+    if (previous.length > 0) {
+      return {
+        ...result,
+        match_status: 'duplicate',
+        match_note: `Receipt already imported on statement #${previous[0].statement_id}`
+      };
+    }
+
+    // 1. Receipt number recorded against a payment
+    const [byReceipt] = await connection.execute(
+      `SELECT id, member_id, amount FROM payment_receipts
+       WHERE chama_id = ? AND payment_reference = ?`,
+      [chamaId, line.receiptNumber]
+    );
+
+    if (byReceipt.length > 1) {
+      return {
+        ...result,
+        match_status: 'duplicate',
+        match_method: 'receipt',
+        member_id: byReceipt[0].member_id,
+        matched_receipt_id: byReceipt[0].id,
+        system_amount: roundMoney(byReceipt.reduce((sum, r) => sum + parseFloat(r.amount), 0)),
+        match_note: `Receipt was recorded ${byReceipt.length} times`
+      };
+    }
+
+    if (byReceipt.length === 1) {
+      const systemAmount = parseFloat(byReceipt[0].amount);
+      claimed.add(byReceipt[0].id);
+
+      return {
+        ...result,
+        match_status: systemAmount === line.amount ? 'matched' : 'amount_mismatch',
+        match_method: 'receipt',
+        member_id: byReceipt[0].member_id,
+        matched_receipt_id: byReceipt[0].id,
+        system_amount: systemAmount
+      };
+    }
+
+    // Completed M-Pesa transactions with no receipt, e.g. STK payments made before receipts were issued
+    const byProviderReceipt = (await findByExternalReceipt(connection, 'mpesa', line.receiptNumber, chamaId))
+      .filter(t => t.direction === 'collection' && t.member_id);
+
+    if (byProviderReceipt.length > 0) {
+      const transaction = byProviderReceipt[0];
+      const systemAmount = parseFloat(transaction.amount);
+
+      return {
+        ...result,
+        match_status: systemAmount === line.amount ? 'matched' : 'amount_mismatch',
+        match_method: 'receipt',
+        member_id: transaction.member_id,
+        matched_mpesa_payment_id: transaction.source_type === 'mpesa_payment' ? transaction.source_id : null,
+        system_amount: systemAmount
+      };
+    }
+
+    // Paybill payments waiting in suspense are assigned from the queue, not here
+    const [inSuspense] = await connection.execute(
+      `SELECT id FROM mpesa_c2b_payments
+       WHERE trans_id = ? AND status = 'suspense'`,
+      [line.receiptNumber]
+    );
+
+    if (inSuspense.length > 0) {
+      return { ...result, match_note: `Paybill payment #${inSuspense[0].id} is in the suspense queue` };
+    }
+
+    // 2. M-Pesa payment without a receipt number, from the same phone around the same time
+    if (!line.phone || !line.completedAt) {
+      return result;
+    }
+
+    const windowStart = moment(line.completedAt).subtract(MATCH_WINDOW_MINUTES, 'minutes').toDate();
+    const windowEnd = moment(line.completedAt).add(MATCH_WINDOW_MINUTES, 'minutes').toDate();
+
+    const [candidates] = await connection.execute(
+      `SELECT pr.id, pr.member_id, pr.amount, pr.created_at, u.phone
+       FROM payment_receipts pr
+       JOIN members m ON pr.member_id = m.id
+       JOIN users u ON m.user_id = u.id
+       WHERE pr.chama_id = ? AND pr.payment_method = 'mpesa'
+         AND pr.created_at BETWEEN ? AND ?
+         AND (pr.payment_reference IS NULL OR pr.payment_reference = '')
+         AND NOT EXISTS (
+           SELECT 1 FROM mpesa_statement_lines l
+           WHERE l.matched_receipt_id = pr.id
+             AND l.match_status IN ('matched', 'amount_mismatch', 'resolved')
+         )`,
+      [chamaId, windowStart, windowEnd]
+    );
+
+    const closestFirst = (a, b) =>
+      Math.abs(new Date(a.created_at) - line.completedAt) - Math.abs(new Date(b.created_at) - line.completedAt);
+
+    const samePhone = candidates
+      .filter(c => !claimed.has(c.id) && phonesMatch(c.phone, line.phone))
+      .sort(closestFirst);
+
+    if (samePhone.length === 0) {
+      return result;
+    }
+
+    const match = samePhone.find(c => parseFloat(c.amount) === line.amount) || samePhone[0];
+    const systemAmount = parseFloat(match.amount);
+    claimed.add(match.id);
+
+    return {
+      ...result,
+      match_status: systemAmount === line.amount ? 'matched' : 'amount_mismatch',
+      match_method: 'phone_time',
+      member_id: match.member_id,
+      matched_receipt_id: match.id,
+      system_amount: systemAmount
+    };
+  }
+
+  /**
+   * Store a parsed statement and auto-match each line
+   */
+  async importStatement({ chamaId, fileName, lines, skipped, userId }) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const dates = lines.map(l => l.completedAt).filter(Boolean).sort((a, b) => a - b);
+      const totalAmount = roundMoney(lines.reduce((sum, l) => sum + l.amount, 0));
+
+      const [statementResult] = await connection.execute(
+        `INSERT INTO mpesa_statements
+         (chama_id, file_name, period_start, period_end, total_lines, skipped_lines, total_amount, uploaded_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          chamaId,
+          fileName,
+          dates[0] || null,
+          dates[dates.length - 1] || null,
+          lines.length,
+          skipped,
+          totalAmount,
+          userId
+        ]
+      );
+
+      const statementId = statementResult.insertId;
+
+      const [members] = await connection.execute(
+        `SELECT m.id, u.phone FROM members m
+         JOIN users u ON m.user_id = u.id
+         WHERE m.chama_id = ?`,
+        [chamaId]
+      );
+
+      const seenReceipts = new Set();
+      const claimed = new Set();
+
+      for (const line of lines) {
+        const match = await this.matchLine(connection, chamaId, line, members, seenReceipts, claimed);
+
+        await connection.execute(
+          `INSERT INTO mpesa_statement_lines
+           (statement_id, chama_id, line_number, receipt_number, completed_at, amount,
+            phone, payer_name, account_reference, details,
+            match_status, match_method, match_note, member_id,
+            matched_receipt_id, matched_mpesa_payment_id, system_amount)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            statementId,
+            chamaId,
+            line.lineNumber,
+            line.receiptNumber,
+            line.completedAt,
+            line.amount,
+            line.phone ? normalizePhone(line.phone) : null,
+            line.payerName,
+            line.accountReference,
+            line.details,
+            match.match_status,
+            match.match_method,
+            match.match_note,
+            match.member_id,
+            match.matched_receipt_id,
+            match.matched_mpesa_payment_id,
+            match.system_amount
+          ]
+        );
+      }
+
+      await connection.commit();
+      return this.getStatement(statementId);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Count and total lines by match status
+   */
+  summarizeLines(lines) {
+    const summary = {};
+    for (const status of ['matched', 'unmatched', 'duplicate', 'amount_mismatch', 'resolved', 'ignored']) {
+      const group = lines.filter(l => l.match_status === status);
+      summary[status] = {
+        count: group.length,
+        amount: roundMoney(group.reduce((sum, l) => sum + parseFloat(l.amount), 0))
+      };
+    }
+    summary.open = lines.filter(l => OPEN_STATUSES.includes(l.match_status)).length;
+    return summary;
+  }
+
+  /**
+   * Load a statement with its lines, optionally filtered by match status
+   */
+  async getStatement(statementId, status = null) {
+    const [statements] = await db.execute(
+      `SELECT s.*, u.name as uploaded_by_name
+       FROM mpesa_statements s
+       JOIN users u ON s.uploaded_by = u.id
+       WHERE s.id = ?`,
+      [statementId]
+    );
+
+    if (statements.length === 0) {
+      return null;
+    }
+
+    const [lines] = await db.execute(
+      `SELECT l.*, mu.name as member_name, ru.name as resolved_by_name
+       FROM mpesa_statement_lines l
+       LEFT JOIN members m ON l.member_id = m.id
+       LEFT JOIN users mu ON m.user_id = mu.id
+       LEFT JOIN users ru ON l.resolved_by = ru.id
+       WHERE l.statement_id = ?
+       ORDER BY l.line_number ASC`,
+      [statementId]
+    );
+
+    return {
+      ...statements[0],
+      summary: this.summarizeLines(lines),
+      lines: status ? lines.filter(l => l.match_status === status) : lines
+    };
+  }
+
+  /**
+   * List statements for a chama with their open line counts
+   */
+  async listStatements(chamaId) {
+    const [statements] = await db.execute(
+      `SELECT s.*, u.name as uploaded_by_name,
+              SUM(CASE WHEN l.match_status IN ('unmatched', 'duplicate', 'amount_mismatch') THEN 1 ELSE 0 END) as open_lines
+       FROM mpesa_statements s
+       JOIN users u ON s.uploaded_by = u.id
+       LEFT JOIN mpesa_statement_lines l ON l.statement_id = s.id
+       WHERE s.chama_id = ?
+       GROUP BY s.id, u.name
+       ORDER BY s.created_at DESC`,
+      [chamaId]
+    );
+
+    return statements.map(s => ({ ...s, open_lines: parseInt(s.open_lines) || 0 }));
+  }
+
+  /**
+   * Load a single statement line
+   */
+  async getLine(lineId) {
+    const [lines] = await db.execute(
+      'SELECT * FROM mpesa_statement_lines WHERE id = ?',
+      [lineId]
+    );
+    return lines.length > 0 ? lines[0] : null;
+  }
+
+  /**
+   * Record an open statement line as a contribution payment.
+   * For amount mismatches only the unrecorded difference is paid in by default.
+   * Returns { success: false, status, message } when the line cannot be resolved.
+   */
+  async resolveLine(lineId, { memberId, amount, cycleId, typeId, notes, userId }) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [lines] = await connection.execute(
+        'SELECT * FROM mpesa_statement_lines WHERE id = ? FOR UPDATE',
+        [lineId]
+      );
+
+      if (lines.length === 0) {
+        await connection.rollback();
+        return { success: false, status: 404, message: 'Statement line not found' };
+      }
+
+      const line = lines[0];
+
+      if (!['unmatched', 'amount_mismatch'].includes(line.match_status)) {
+        await connection.rollback();
+        return { success: false, status: 400, message: `Cannot record a ${line.match_status} line` };
+      }
+
+      const [inSuspense] = await connection.execute(
+        `SELECT id FROM mpesa_c2b_payments
+         WHERE trans_id = ? AND status = 'suspense'`,
+        [line.receipt_number]
+      );
+
+      if (inSuspense.length > 0) {
+        await connection.rollback();
+        return {
+          success: false,
+          status: 400,
+          message: `Assign paybill payment #${inSuspense[0].id} from the suspense queue instead`
+        };
+      }
+
+      const targetMemberId = memberId || line.member_id;
+
+      if (!targetMemberId) {
+        await connection.rollback();
+        return { success: false, status: 400, message: 'memberId is required: no member matches this phone number' };
+      }
+
+      const [memberCheck] = await connection.execute(
+        'SELECT id FROM members WHERE id = ? AND chama_id = ?',
+        [targetMemberId, line.chama_id]
+      );
+
+      if (memberCheck.length === 0) {
+        await connection.rollback();
+        return { success: false, status: 400, message: 'Member not found in this chama' };
+      }
+
+      const outstanding = line.match_status === 'amount_mismatch'
+        ? roundMoney(parseFloat(line.amount) - parseFloat(line.system_amount || 0))
+        : parseFloat(line.amount);
+      const paymentAmount = amount !== undefined && amount !== null ? roundMoney(parseFloat(amount)) : outstanding;
+
+      if (!(paymentAmount > 0)) {
+        await connection.rollback();
+        return {
+          success: false,
+          status: 400,
+          message: 'Nothing left to record for this line. Ignore it instead, or give an amount.'
+        };
+      }
+
+      const receipt = await paymentAllocator.allocatePayment(connection, {
+        chamaId: line.chama_id,
+        memberId: targetMemberId,
+        amount: paymentAmount,
+        paymentMethod: 'mpesa',
+        paymentReference: line.receipt_number,
+        notes: `Reconciled from M-Pesa statement. Receipt: ${line.receipt_number}${notes ? ` - ${notes}` : ''}`,
+        recordedBy: userId,
+        cycleId,
+        typeId,
+        source: 'mpesa'
+      });
+
+      await connection.execute(
+        `INSERT INTO payments
+         (chama_id, member_id, contribution_id, amount, payment_method,
+          payment_date, reference_number, recorded_by, notes)
+         VALUES (?, ?, ?, ?, 'mpesa', ?, ?, ?, ?)`,
+        [
+          line.chama_id,
+          targetMemberId,
+          receipt.contribution_ids[0] || null,
+          paymentAmount,
+          line.completed_at || new Date(),
+          line.receipt_number,
+          userId,
+          `M-Pesa statement reconciliation. Receipt: ${line.receipt_number} (${receipt.receipt_number})`
+        ]
+      );
+
+      await connection.execute(
+        `UPDATE mpesa_statement_lines
+         SET match_status = 'resolved', member_id = ?, resolved_receipt_id = ?,
+             resolved_by = ?, resolved_at = CURRENT_TIMESTAMP, resolution_notes = ?
+         WHERE id = ?`,
+        [targetMemberId, receipt.id, userId, notes || null, lineId]
+      );
+
+      await connection.commit();
+
+      return {
+        success: true,
+        data: {
+          line: await this.getLine(lineId),
+          receipt
+        }
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Close an open line without recording money, e.g. a confirmed duplicate
+   * or a payment that was not for the chama
+   */
+  async ignoreLine(lineId, reason, userId) {
+    const line = await this.getLine(lineId);
+
+    if (!line) {
+      return { success: false, status: 404, message: 'Statement line not found' };
+    }
+
+    const [result] = await db.execute(
+      `UPDATE mpesa_statement_lines
+       SET match_status = 'ignored', resolved_by = ?, resolved_at = CURRENT_TIMESTAMP, resolution_notes = ?
+       WHERE id = ? AND match_status IN ('unmatched', 'duplicate', 'amount_mismatch')`,
+      [userId, reason, lineId]
+    );
+
+    if (result.affectedRows === 0) {
+      return { success: false, status: 400, message: `Cannot ignore a ${line.match_status} line` };
+    }
+
+    return { success: true, data: await this.getLine(lineId) };
+  }
+
+  /**
+   * Reconciliation report for a period: statement lines by status, plus
+   * M-Pesa payments recorded in the system that no statement line covers
+   */
+  async getReport(chamaId, startDate, endDate) {
+    const [lines] = await db.execute(
+      `SELECT l.*, mu.name as member_name
+       FROM mpesa_statement_lines l
+       LEFT JOIN members m ON l.member_id = m.id
+       LEFT JOIN users mu ON m.user_id = mu.id
+       WHERE l.chama_id = ? AND DATE(l.completed_at) BETWEEN ? AND ?
+       ORDER BY l.completed_at ASC`,
+      [chamaId, startDate, endDate]
+    );
+
+    const [notOnStatement] = await db.execute(
+      `SELECT pr.id, pr.receipt_number, pr.payment_reference, pr.amount, pr.created_at,
+              u.name as member_name
+       FROM payment_receipts pr
+       JOIN members m ON pr.member_id = m.id
+       JOIN users u ON m.user_id = u.id
+       WHERE pr.chama_id = ? AND pr.payment_method = 'mpesa'
+         AND DATE(pr.created_at) BETWEEN ? AND ?
+         AND NOT EXISTS (
+           SELECT 1 FROM mpesa_statement_lines l
+           WHERE l.chama_id = pr.chama_id
+             AND (l.matched_receipt_id = pr.id OR l.resolved_receipt_id = pr.id
+                  OR l.receipt_number = pr.payment_reference)
+         )
+       ORDER BY pr.created_at ASC`,
+      [chamaId, startDate, endDate]
+    );
+
+    const summary = this.summarizeLines(lines);
+    const statementTotal = roundMoney(lines.reduce((sum, l) => sum + parseFloat(l.amount), 0));
+    const reconciledTotal = roundMoney(summary.matched.amount + summary.resolved.amount);
+
+    return {
+      period: { start_date: startDate, end_date: endDate },
+      totals: {
+        statement_amount: statementTotal,
+        reconciled_amount: reconciledTotal,
+        open_amount: roundMoney(
+          summary.unmatched.amount + summary.duplicate.amount + summary.amount_mismatch.amount
+        ),
+        ignored_amount: summary.ignored.amount,
+        not_on_statement_amount: roundMoney(
+          notOnStatement.reduce((sum, p) => sum + parseFloat(p.amount), 0)
+        )
+      },
+      summary,
+      open_lines: lines.filter(l => OPEN_STATUSES.includes(l.match_status)),
+      not_on_statement: notOnStatement
+    };
+  }
+}
+
+module.exports = new MpesaReconciliation();
@@ -0,0 +1,407 @@
+// utils/mpesaService.js
+const axios = require('axios');
+
+const environment = process.env.MPESA_ENVIRONMENT || 'sandbox'; // sandbox, production or local
+const isLocal = environment === 'local';
+
+// Daraja hosts. "local" is the built-in simulator (utils/darajaSimulator.js).
+const MPESA_BASE_URLS = {
+  production: 'https://api.safaricom.co.ke',
+  sandbox: 'https://sandbox.safaricom.co.ke',
+  local: process.env.MPESA_LOCAL_URL || `http://localhost:${process.env.MPESA_SIMULATOR_PORT || 4000}`
+};
+
+// In local mode callbacks come back to this server, and credentials can be left out
+const callbackBase = isLocal ? `http://localhost:${process.env.PORT || 5000}` : 'https://yourdomain.com';
+const localDefault = (value) => (isLocal ? value : '');
+
+// Callbacks are only accepted when they carry MPESA_CALLBACK_SECRET (see
+// verifyMpesaCallback), so it goes on every URL Daraja calls back on
+const withCallbackSecret = (url) => {
+  const secret = process.env.MPESA_CALLBACK_SECRET;
+
+  if (!secret || /[?&]secret=/.test(url)) {
+    return url;
+  }
+
+  return `${url}${url.includes('?') ? '&' : '?'}secret=${encodeURIComponent(secret)}`;
+};
+
+// M-Pesa Configuration
+const MPESA_CONFIG = {
+  consumerKey: process.env.MPESA_CONSUMER_KEY || localDefault('local-key'),
+  consumerSecret: process.env.MPESA_CONSUMER_SECRET || localDefault('local-secret'),
+  shortCode: process.env.MPESA_SHORTCODE || localDefault('174379'),
+  passkey: process.env.MPESA_PASSKEY || localDefault('local-passkey'),
+  callbackURL: withCallbackSecret(process.env.MPESA_CALLBACK_URL || `${callbackBase}/api/chamas/payments/mpesa-callback`),
+  environment,
+  baseURL: MPESA_BASE_URLS[environment] || MPESA_BASE_URLS.sandbox,
+  transactionType: 'CustomerPayBillOnline',
+  // Paybill (C2B) URLs must not contain "mpesa" or "safaricom"
+  c2bValidationURL: withCallbackSecret(process.env.MPESA_C2B_VALIDATION_URL || `${callbackBase}/api/paybill/validation`),
+  c2bConfirmationURL: withCallbackSecret(process.env.MPESA_C2B_CONFIRMATION_URL || `${callbackBase}/api/paybill/confirmation`),
+  // What M-Pesa does when the validation URL cannot be reached: Completed or Cancelled
+  c2bResponseType: process.env.MPESA_C2B_RESPONSE_TYPE || 'Completed',
+  // B2C (payouts to members)
+  b2cShortCode: process.env.MPESA_B2C_SHORTCODE || process.env.MPESA_SHORTCODE || localDefault('600000'),
+  initiatorName: process.env.MPESA_INITIATOR_NAME || localDefault('testapi'),
+  securityCredential: process.env.MPESA_SECURITY_CREDENTIAL || localDefault('local-credential'), // initiator password encrypted with the M-Pesa certificate
+  b2cResultURL: withCallbackSecret(process.env.MPESA_B2C_RESULT_URL || `${callbackBase}/api/payouts/b2c/result`),
+  b2cTimeoutURL: withCallbackSecret(process.env.MPESA_B2C_TIMEOUT_URL || `${callbackBase}/api/payouts/b2c/timeout`),
+  b2cCommandID: 'BusinessPayment',
+  // Give up on a Daraja request after this many milliseconds
+  requestTimeout: parseInt(process.env.MPESA_REQUEST_TIMEOUT_MS) || 30000
+};
+
+// M-Pesa STK Push Service
+class MpesaService {
+  constructor() {
+    this.isConfigured = false;
+    this.environment = MPESA_CONFIG.environment;
+    this.shortCode = MPESA_CONFIG.shortCode;
+    
+    if (MPESA_CONFIG.consumerKey && MPESA_CONFIG.consumerSecret) {
+      this.isConfigured = true;
+      console.log(isLocal
+        ? `✅ M-Pesa service using the local simulator at ${MPESA_CONFIG.baseURL}`
+        : '✅ M-Pesa service configured');
+    } else {
+      console.warn('⚠️ M-Pesa credentials not found. Running in simulation mode.');
+    }
+  }
+
+  /**
+   * Get M-Pesa access token
+   */
+  async getAccessToken() {
+    try {
+      const auth = Buffer.from(`${MPESA_CONFIG.consumerKey}:${MPESA_CONFIG.consumerSecret}`).toString('base64');
+      
+      const response = await axios.get(
+        `${MPESA_CONFIG.baseURL}/oauth/v1/generate?grant_type=client_credentials`,
+        {
+          timeout: MPESA_CONFIG.requestTimeout,
+          headers: {
+            Authorization: `Basic ${auth}`
+          }
+        }
+      );
+      
+      return response.data.access_token;
+    } catch (error) {
+      console.error('❌ M-Pesa access token error:', error.response?.data || error.message);
+      throw new Error('Failed to get M-Pesa access token');
+    }
+  }
+
+  /**
+   * Generate timestamp in M-Pesa format (YYYYMMDDHHmmss)
+   */
+  generateTimestamp() {
+    const now = new Date();
+    return now.getFullYear().toString() +
+           (now.getMonth() + 1).toString().padStart(2, '0') +
+           now.getDate().toString().padStart(2, '0') +
+           now.getHours().toString().padStart(2, '0') +
+           now.getMinutes().toString().padStart(2, '0') +
+           now.getSeconds().toString().padStart(2, '0');
+  }
+
+  /**
+   * Generate password for STK Push
+   */
+  generatePassword(shortCode, passkey, timestamp) {
+    const str = shortCode + passkey + timestamp;
+    return Buffer.from(str).toString('base64');
+  }
+
+  /**
+   * Format a phone number as M-Pesa expects it (2547XXXXXXXX)
+   */
+  formatPhoneNumber(phone) {
+    // Remove + and leading 0
+    const digits = String(phone).replace(/\D/g, '');
+    if (digits.startsWith('0')) {
+      return '254' + digits.substring(1);
+    }
+    if (digits.startsWith('254')) {
+      return digits;
+    }
+    return '254' + digits;
+  }
+
+  /**
+   * Initiate STK Push payment
+   */
+  async initiateSTKPush(phone, amount, reference, description = 'Chama Contribution') {
+    try {
+      if (!this.isConfigured) {
+        // Simulation mode
+        console.log(`📱 [SIMULATION] STK Push for ${phone}: KES ${amount}`);
+        console.log(`📱 Reference: ${reference}, Description: ${description}`);
+        
+        // Simulate successful payment after delay
+        return new Promise(resolve => {
+          setTimeout(() => {
+            resolve({
+              success: true,
+              mode: 'simulation',
+              checkoutRequestID: `SIM-${Date.now()}`,
+              merchantRequestID: `SIM-MR-${Date.now()}`,
+              customerMessage: 'Success. Request accepted for processing',
+              responseCode: '0',
+              phone: phone,
+              amount: amount,
+              reference: reference,
+              description: description
+            });
+          }, 2000);
+        });
+      }
+
+      const accessToken = await this.getAccessToken();
+      const timestamp = this.generateTimestamp();
+      const password = this.generatePassword(MPESA_CONFIG.shortCode, MPESA_CONFIG.passkey, timestamp);
+      
+      const formattedPhone = this.formatPhoneNumber(phone);
+
+      const requestData = {
+        BusinessShortCode: MPESA_CONFIG.shortCode,
+        Password: password,
+        Timestamp: timestamp,
+        TransactionType: MPESA_CONFIG.transactionType,
+        Amount: Math.round(amount), // Amount in whole shillings
+        PartyA: formattedPhone,
+        PartyB: MPESA_CONFIG.shortCode,
+        PhoneNumber: formattedPhone,
+        CallBackURL: MPESA_CONFIG.callbackURL,
+        AccountReference: reference.substring(0, 12), // Max 12 chars
+        TransactionDesc: description.substring(0, 13) // Max 13 chars
+      };
+
+      console.log('🔍 Initiating STK Push with data:', requestData);
+
+      const response = await axios.post(
+        `${MPESA_CONFIG.baseURL}/mpesa/stkpush/v1/processrequest`,
+        requestData,
+        {
+          timeout: MPESA_CONFIG.requestTimeout,
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      console.log('✅ STK Push initiated:', response.data);
+
+      return {
+        success: true,
+        mode: 'production',
+        checkoutRequestID: response.data.CheckoutRequestID,
+        merchantRequestID: response.data.MerchantRequestID,
+        customerMessage: response.data.CustomerMessage,
+        responseCode: response.data.ResponseCode,
+        phone: phone,
+        amount: amount,
+        reference: reference,
+        description: description,
+        rawResponse: response.data
+      };
+    } catch (error) {
+      console.error('❌ STK Push error:', error.response?.data || error.message);
+      
+      const errorData = error.response?.data || {};
+      let errorMessage = 'Failed to initiate payment';
+      
+      if (errorData.errorCode === '400.002.02') {
+        errorMessage = 'Invalid phone number format';
+      } else if (errorData.errorCode === '500.001.1001') {
+        errorMessage = 'Insufficient balance';
+      } else if (errorData.errorCode) {
+        errorMessage = errorData.errorMessage || `Payment error: ${errorData.errorCode}`;
+      }
+      
+      throw new Error(errorMessage);
+    }
+  }
+
+  /**
+   * Check STK Push status
+   */
+  async checkSTKStatus(checkoutRequestID) {
+    try {
+      if (!this.isConfigured) {
+        // Simulation mode - nothing to ask, so the payment stays pending
+        return {
+          success: true,
+          mode: 'simulation',
+          resultCode: null,
+          resultDesc: 'Simulation mode: payment status is unknown',
+          transactionComplete: false
+        };
+      }
+
+      const accessToken = await this.getAccessToken();
+      const timestamp = this.generateTimestamp();
+      const password = this.generatePassword(MPESA_CONFIG.shortCode, MPESA_CONFIG.passkey, timestamp);
+
+      const requestData = {
+        BusinessShortCode: MPESA_CONFIG.shortCode,
+        Password: password,
+        Timestamp: timestamp,
+        CheckoutRequestID: checkoutRequestID
+      };
+
+      const response = await axios.post(
+        `${MPESA_CONFIG.baseURL}/mpesa/stkpushquery/v1/query`,
+        requestData,
+        {
+          timeout: MPESA_CONFIG.requestTimeout,
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      const result = response.data;
+      const transactionComplete = result.ResultCode === '0';
+      
+      return {
+        success: true,
+        mode: 'production',
+        resultCode: result.ResultCode,
+        resultDesc: result.ResultDesc,
+        transactionComplete: transactionComplete,
+        rawResponse: result
+      };
+    } catch (error) {
+      console.error('❌ STK Status check error:', error.response?.data || error.message);
+      throw new Error('Failed to check payment status');
+    }
+  }
+
+  /**
+   * Send money to a phone (B2C). The outcome arrives later on the result URL,
+   * keyed by the originatorConversationID passed in.
+   */
+  async initiateB2C(phone, amount, originatorConversationID, remarks = 'Chama payout', occasion = '') {
+    try {
+      if (!this.isConfigured) {
+        // Simulation mode
+        console.log(`📱 [SIMULATION] B2C payment to ${phone}: KES ${amount}`);
+
+        return {
+          success: true,
+          mode: 'simulation',
+          originatorConversationID,
+          conversationID: `SIM-AG-${Date.now()}`,
+          responseCode: '0',
+          responseDescription: 'Accept the service request successfully.'
+        };
+      }
+
+      const accessToken = await this.getAccessToken();
+
+      const requestData = {
+        OriginatorConversationID: originatorConversationID,
+        InitiatorName: MPESA_CONFIG.initiatorName,
+        SecurityCredential: MPESA_CONFIG.securityCredential,
+        CommandID: MPESA_CONFIG.b2cCommandID,
+        Amount: Math.round(amount), // Amount in whole shillings
+        PartyA: MPESA_CONFIG.b2cShortCode,
+        PartyB: this.formatPhoneNumber(phone),
+        Remarks: remarks.substring(0, 100),
+        QueueTimeOutURL: MPESA_CONFIG.b2cTimeoutURL,
+        ResultURL: MPESA_CONFIG.b2cResultURL,
+        Occasion: occasion.substring(0, 100)
+      };
+
+      const response = await axios.post(
+        `${MPESA_CONFIG.baseURL}/mpesa/b2c/v3/paymentrequest`,
+        requestData,
+        {
+          timeout: MPESA_CONFIG.requestTimeout,
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      console.log('✅ B2C payment requested:', response.data);
+
+      return {
+        success: true,
+        mode: 'production',
+        originatorConversationID: response.data.OriginatorConversationID || originatorConversationID,
+        conversationID: response.data.ConversationID,
+        responseCode: response.data.ResponseCode,
+        responseDescription: response.data.ResponseDescription,
+        rawResponse: response.data
+      };
+    } catch (error) {
+      console.error('❌ B2C payment error:', error.response?.data || error.message);
+
+      const errorData = error.response?.data || {};
+      throw new Error(errorData.errorMessage || 'Failed to send M-Pesa payment');
+    }
+  }
+
+  /**
+   * Register the paybill validation and confirmation URLs with M-Pesa
+   */
+  async registerC2BUrls(shortCode = MPESA_CONFIG.shortCode) {
+    const requestData = {
+      ShortCode: shortCode,
+      ResponseType: MPESA_CONFIG.c2bResponseType,
+      ConfirmationURL: MPESA_CONFIG.c2bConfirmationURL,
+      ValidationURL: MPESA_CONFIG.c2bValidationURL
+    };
+
+    try {
+      if (!this.isConfigured) {
+        // Simulation mode
+        console.log('📱 [SIMULATION] C2B URL registration:', requestData);
+        return {
+          success: true,
+          mode: 'simulation',
+          responseDescription: 'Success',
+          ...requestData
+        };
+      }
+
+      const accessToken = await this.getAccessToken();
+
+      const response = await axios.post(
+        `${MPESA_CONFIG.baseURL}/mpesa/c2b/${MPESA_CONFIG.environment === 'production' ? 'v2' : 'v1'}/registerurl`,
+        requestData,
+        {
+          timeout: MPESA_CONFIG.requestTimeout,
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      console.log('✅ C2B URLs registered:', response.data);
+
+      return {
+        success: true,
+        mode: 'production',
+        responseDescription: response.data.ResponseDescription,
+        ...requestData,
+        rawResponse: response.data
+      };
+    } catch (error) {
+      console.error('❌ C2B URL registration error:', error.response?.data || error.message);
+
+      const errorData = error.response?.data || {};
+      throw new Error(errorData.errorMessage || 'Failed to register C2B URLs');
+    }
+  }
+}
+
+module.exports = new MpesaService();
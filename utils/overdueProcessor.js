@@ -0,0 +1,82 @@
+// utils/overdueProcessor.js
+const db = require('../config/database');
+const fineEngine = require('./fineEngine');
+
+/**
+ * Mark unpaid contributions in cycles past their due date as late,
+ * charge late-payment fines and complete active cycles whose due date
+ * has passed.
+ * Returns a summary per chama.
+ */
+const processOverdueCycles = async () => {
+  const [chamas] = await db.execute(
+    `SELECT DISTINCT c.id, c.name
+     FROM chamas c
+     JOIN contribution_cycles cc ON cc.chama_id = c.id
+     WHERE cc.due_date < CURDATE() AND cc.status IN ('active', 'completed')`
+  );
+
+  const summary = [];
+
+  for (const chama of chamas) {
+    try {
+      const [lateMembers] = await db.execute(
+        `SELECT DISTINCT c.member_id
+         FROM contributions c
+         JOIN contribution_cycles cc ON c.cycle_id = cc.id
+         WHERE cc.chama_id = ? AND cc.due_date < CURDATE()
+           AND cc.status IN ('active', 'completed')
+           AND c.status IN ('pending', 'partial')`,
+        [chama.id]
+      );
+
+      const [lateResult] = await db.execute(
+        `UPDATE contributions c
+         JOIN contribution_cycles cc ON c.cycle_id = cc.id
+         SET c.status = 'late', c.updated_at = CURRENT_TIMESTAMP
+         WHERE cc.chama_id = ? AND cc.due_date < CURDATE()
+           AND cc.status IN ('active', 'completed')
+           AND c.status IN ('pending', 'partial')`,
+        [chama.id]
+      );
+
+      const [completedCycles] = await db.execute(
+        `SELECT id, cycle_number FROM contribution_cycles
+         WHERE chama_id = ? AND status = 'active' AND due_date < CURDATE()`,
+        [chama.id]
+      );
+
+      if (completedCycles.length > 0) {
+        await db.execute(
+          `UPDATE contribution_cycles
+           SET status = 'completed'
+           WHERE chama_id = ? AND status = 'active' AND due_date < CURDATE()`,
+          [chama.id]
+        );
+      }
+
+      const fines = await fineEngine.applyFines(chama.id);
+
+      summary.push({
+        chama_id: chama.id,
+        chama_name: chama.name,
+        contributions_marked_late: lateResult.affectedRows,
+        members_late: lateMembers.length,
+        fines_charged: fines.fines_charged,
+        fine_amount_charged: fines.amount_charged,
+        cycles_completed: completedCycles.map(cycle => cycle.cycle_number)
+      });
+    } catch (error) {
+      console.error(`❌ Overdue processing failed for chama ${chama.id}:`, error.message);
+      summary.push({
+        chama_id: chama.id,
+        chama_name: chama.name,
+        error: error.message
+      });
+    }
+  }
+
+  return summary;
+};
+
+module.exports = { processOverdueCycles };
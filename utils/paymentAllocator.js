@@ -0,0 +1,670 @@
+// utils/paymentAllocator.js
+const db = require('../config/database');
+const { getSetting } = require('./chamaSettings');
+const { updateMemberBalance } = require('./ledger');
+const { postWalletEntry, getWallet } = require('./memberWallet');
+
+const createPaymentReceiptsTable = `
+CREATE TABLE IF NOT EXISTS payment_receipts (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  receipt_number VARCHAR(50) NULL UNIQUE,
+  chama_id INT NOT NULL,
+  member_id INT NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  payment_method VARCHAR(50) NOT NULL,
+  payment_reference VARCHAR(100) NULL,
+  source ENUM('manual', 'bulk', 'mpesa', 'c2b', 'wallet', 'payout') NOT NULL DEFAULT 'manual',
+  source_id INT NULL,
+  allocation_policy VARCHAR(50) NOT NULL,
+  recorded_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (chama_id) REFERENCES chamas(id) ON DELETE CASCADE,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  INDEX idx_member (member_id, created_at),
+  INDEX idx_source (source, source_id)
+);
+`;
+
+const createPaymentAllocationsTable = `
+CREATE TABLE IF NOT EXISTS payment_allocations (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  receipt_id INT NOT NULL,
+  allocation_type ENUM('contribution', 'advance', 'fine', 'balance', 'overpayment') NOT NULL,
+  contribution_id INT NULL,
+  fine_id INT NULL,
+  cycle_id INT NULL,
+  type_id INT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (receipt_id) REFERENCES payment_receipts(id) ON DELETE CASCADE,
+  INDEX idx_receipt (receipt_id),
+  INDEX idx_contribution (contribution_id)
+);
+`;
+
+// Tables created before paybill payments, wallets and payout netting lack
+// the 'c2b', 'wallet' and 'payout' sources
+const addReceiptSources = `
+ALTER TABLE payment_receipts
+MODIFY source ENUM('manual', 'bulk', 'mpesa', 'c2b', 'wallet', 'payout') NOT NULL DEFAULT 'manual'
+`;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+class PaymentAllocator {
+  /**
+   * Create the tables used for receipts and allocations
+   */
+  async initializeTables() {
+    try {
+      await db.execute(createPaymentReceiptsTable);
+      await db.execute(createPaymentAllocationsTable);
+      await db.execute(addReceiptSources);
+      console.log('✅ Payment receipt tables created/verified');
+    } catch (error) {
+      console.error('❌ Failed to create payment receipt tables:', error);
+    }
+  }
+
+  /**
+   * Outstanding contribution lines (one per cycle and type) for a member
+   * in cycles that are active or already due
+   */
+  async getArrearsLines(connection, memberId, chamaId, cycleStatuses) {
+    const placeholders = cycleStatuses.map(() => '?').join(', ');
+
+    const [lines] = await connection.execute(
+      `SELECT cc.id as cycle_id, cc.cycle_number, cc.status as cycle_status,
+              ct.type_id, t.name as type_name, ct.amount as expected_amount,
+              COALESCE(SUM(CASE WHEN c.status NOT IN ('cancelled', 'waived') THEN c.amount ELSE 0 END), 0) as paid_amount,
+              SUM(CASE WHEN c.status = 'waived' THEN 1 ELSE 0 END) as waived_count
+       FROM contribution_cycles cc
+       JOIN cycle_types ct ON ct.cycle_id = cc.id
+       JOIN contribution_types t ON ct.type_id = t.id
+       JOIN members m ON m.id = ?
+       LEFT JOIN contributions c
+         ON c.member_id = m.id AND c.cycle_id = cc.id AND c.type_id = ct.type_id
+       WHERE cc.chama_id = ? AND cc.status IN (${placeholders})
+         AND cc.due_date >= DATE(m.joined_at)
+       GROUP BY cc.id, cc.cycle_number, cc.status, ct.type_id, t.name, ct.amount, t.is_required
+       ORDER BY cc.cycle_number ASC, t.is_required DESC, ct.type_id ASC`,
+      [memberId, chamaId, ...cycleStatuses]
+    );
+
+    return lines
+      .filter(line => parseInt(line.waived_count) === 0)
+      .map(line => ({
+        kind: 'contribution',
+        cycle_id: line.cycle_id,
+        cycle_number: line.cycle_number,
+        type_id: line.type_id,
+        type_name: line.type_name,
+        expected: parseFloat(line.expected_amount),
+        outstanding: roundMoney(parseFloat(line.expected_amount) - parseFloat(line.paid_amount))
+      }))
+      .filter(line => line.outstanding > 0);
+  }
+
+  /**
+   * Outstanding fines for a member, oldest first
+   */
+  async getOutstandingFines(connection, memberId) {
+    try {
+      const [fines] = await connection.execute(
+        `SELECT mf.id, mf.cycle_id, mf.contribution_id, fr.name as rule_name,
+                (mf.amount - mf.paid_amount - mf.waived_amount) as outstanding
+         FROM member_fines mf
+         JOIN fine_rules fr ON mf.rule_id = fr.id
+         WHERE mf.member_id = ? AND mf.status = 'outstanding'
+         ORDER BY mf.created_at ASC, mf.id ASC`,
+        [memberId]
+      );
+
+      return fines
+        .map(fine => ({
+          kind: 'fine',
+          fine_id: fine.id,
+          cycle_id: fine.cycle_id,
+          contribution_id: fine.contribution_id,
+          rule_name: fine.rule_name,
+          outstanding: roundMoney(parseFloat(fine.outstanding))
+        }))
+        .filter(fine => fine.outstanding > 0);
+    } catch (error) {
+      console.log('Fine tables might not exist, skipping fines in allocation');
+      return [];
+    }
+  }
+
+  /**
+   * Order outstanding items according to the chama's allocation policy.
+   * A targeted type in the current cycle is always settled first.
+   */
+  orderItems(policy, lines, fines, currentCycleId, targetTypeId) {
+    const isCurrent = line => line.cycle_id === currentCycleId;
+    const isTarget = line => targetTypeId && isCurrent(line) && line.type_id === targetTypeId;
+
+    const targeted = lines.filter(isTarget);
+    const rest = lines.filter(line => !isTarget(line));
+
+    switch (policy) {
+      case 'fines_first':
+        return { sequential: [...targeted, ...fines, ...rest], proRata: [], after: [] };
+      case 'oldest_first':
+        return { sequential: [...targeted, ...rest, ...fines], proRata: [], after: [] };
+      case 'pro_rata':
+        return { sequential: targeted, proRata: rest, after: fines };
+      default: // current_first
+        return {
+          sequential: [
+            ...targeted,
+            ...rest.filter(isCurrent),
+            ...rest.filter(line => !isCurrent(line)),
+            ...fines
+          ],
+          proRata: [],
+          after: []
+        };
+    }
+  }
+
+  /**
+   * Split an amount across items in proportion to what each owes. No share
+   * is more than its item owes: rounding leftovers go to items with room,
+   * and anything still unplaced is left for the caller to carry on with.
+   */
+  splitProRata(items, amount) {
+    const totalOutstanding = items.reduce((sum, item) => sum + item.outstanding, 0);
+
+    if (amount >= totalOutstanding) {
+      return items.map(item => ({ item, amount: item.outstanding }));
+    }
+
+    let remaining = roundMoney(amount);
+    const shares = items.map(item => {
+      const share = Math.min(remaining, item.outstanding, roundMoney(amount * item.outstanding / totalOutstanding));
+      remaining = roundMoney(remaining - share);
+      return { item, amount: share };
+    });
+
+    for (const share of shares) {
+      if (remaining <= 0) break;
+      const top = Math.min(remaining, roundMoney(share.item.outstanding - share.amount));
+      share.amount = roundMoney(share.amount + top);
+      remaining = roundMoney(remaining - top);
+    }
+
+    return shares;
+  }
+
+  /**
+   * Add a payment to the member's contribution row for a cycle and type,
+   * creating the row if there is none yet
+   */
+  async applyToContribution(connection, line, amount, payment) {
+    const [existing] = await connection.execute(
+      `SELECT * FROM contributions
+       WHERE member_id = ? AND cycle_id = ? AND type_id = ?
+         AND status NOT IN ('cancelled', 'waived')
+       ORDER BY id ASC LIMIT 1`,
+      [payment.memberId, line.cycle_id, line.type_id]
+    );
+
+    const fullyPaid = amount >= line.outstanding - 0.01;
+    let contributionId;
+
+    if (existing.length > 0) {
+      const contribution = existing[0];
+      const status = fullyPaid
+        ? 'paid'
+        : (contribution.status === 'late' ? 'late' : 'partial');
+
+      await connection.execute(
+        `UPDATE contributions
+         SET amount = amount + ?, expected_amount = ?, status = ?,
+             payment_method = ?, payment_reference = ?,
+             payment_date = CURRENT_TIMESTAMP, recorded_by = ?,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [
+          amount,
+          line.expected,
+          status,
+          payment.paymentMethod,
+          payment.paymentReference,
+          payment.recordedBy,
+          contribution.id
+        ]
+      );
+
+      contributionId = contribution.id;
+    } else {
+      const [result] = await connection.execute(
+        `INSERT INTO contributions
+         (member_id, cycle_id, type_id, amount, expected_amount,
+          payment_method, payment_reference, payment_date, notes,
+          recorded_by, status)
+         VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, ?, ?, ?)`,
+        [
+          payment.memberId,
+          line.cycle_id,
+          line.type_id,
+          amount,
+          line.expected,
+          payment.paymentMethod,
+          payment.paymentReference,
+          payment.notes,
+          payment.recordedBy,
+          fullyPaid ? 'paid' : 'partial'
+        ]
+      );
+
+      contributionId = result.insertId;
+    }
+
+    await connection.execute(
+      `UPDATE contribution_cycles
+       SET collected_amount = collected_amount + ?
+       WHERE id = ?`,
+      [amount, line.cycle_id]
+    );
+
+    return contributionId;
+  }
+
+  /**
+   * Pay down an outstanding fine and credit the member's ledger
+   */
+  async applyToFine(connection, fine, amount, payment) {
+    await connection.execute(
+      `UPDATE member_fines
+       SET paid_amount = paid_amount + ?,
+           status = CASE WHEN amount - paid_amount - waived_amount <= 0.01 THEN 'paid' ELSE status END
+       WHERE id = ?`,
+      [amount, fine.fine_id]
+    );
+
+    await updateMemberBalance(
+      payment.memberId,
+      amount,
+      `Fine payment (${fine.rule_name})`,
+      payment.recordedBy,
+      fine.cycle_id,
+      fine.contribution_id,
+      'fine_payment',
+      connection
+    );
+  }
+
+  /**
+   * Allocate a payment across a member's arrears, fines and future cycles
+   * according to the chama's allocation policy, and write a receipt that
+   * records the split.
+   *
+   * Runs on the caller's connection; the caller owns the transaction.
+   */
+  async allocatePayment(connection, {
+    chamaId,
+    memberId,
+    amount,
+    paymentMethod = 'cash',
+    paymentReference = null,
+    notes = null,
+    recordedBy = null,
+    cycleId = null,
+    typeId = null,
+    applyToBalance = false,
+    source = 'manual',
+    sourceId = null
+  }) {
+    const payment = {
+      memberId,
+      paymentMethod,
+      paymentReference: paymentReference || null,
+      notes: notes || null,
+      recordedBy
+    };
+    const policy = await getSetting(chamaId, 'allocation_policy', connection);
+
+    // Lock the member row so concurrent payments allocate one after another
+    const [members] = await connection.execute(
+      'SELECT id, contribution_balance FROM members WHERE id = ? AND chama_id = ? FOR UPDATE',
+      [memberId, chamaId]
+    );
+
+    if (members.length === 0) {
+      throw new Error('Member not found in chama');
+    }
+
+    let currentCycleId = cycleId ? parseInt(cycleId) : null;
+    let currentCycleNumber = null;
+
+    const [currentCycles] = currentCycleId
+      ? await connection.execute(
+        'SELECT id, cycle_number FROM contribution_cycles WHERE id = ? AND chama_id = ?',
+        [currentCycleId, chamaId]
+      )
+      : await connection.execute(
+        `SELECT id, cycle_number FROM contribution_cycles
+         WHERE chama_id = ? AND status = 'active'
+         ORDER BY cycle_number DESC LIMIT 1`,
+        [chamaId]
+      );
+
+    if (currentCycles.length > 0) {
+      currentCycleId = currentCycles[0].id;
+      currentCycleNumber = currentCycles[0].cycle_number;
+    }
+
+    const [receiptResult] = await connection.execute(
+      `INSERT INTO payment_receipts
+       (chama_id, member_id, amount, payment_method, payment_reference,
+        source, source_id, allocation_policy, recorded_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [chamaId, memberId, amount, paymentMethod, payment.paymentReference, source, sourceId, policy, recordedBy]
+    );
+
+    const receiptId = receiptResult.insertId;
+    const receiptNumber = `RCPT-${String(chamaId).padStart(4, '0')}-${String(receiptId).padStart(6, '0')}`;
+
+    await connection.execute(
+      'UPDATE payment_receipts SET receipt_number = ? WHERE id = ?',
+      [receiptNumber, receiptId]
+    );
+
+    const allocations = [];
+    let remaining = roundMoney(parseFloat(amount));
+
+    const recordAllocation = async (allocation) => {
+      await connection.execute(
+        `INSERT INTO payment_allocations
+         (receipt_id, allocation_type, contribution_id, fine_id, cycle_id, type_id, amount)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          receiptId,
+          allocation.allocation_type,
+          allocation.contribution_id || null,
+          allocation.fine_id || null,
+          allocation.cycle_id || null,
+          allocation.type_id || null,
+          allocation.amount
+        ]
+      );
+      allocations.push(allocation);
+      remaining = roundMoney(remaining - allocation.amount);
+    };
+
+    const applyItem = async (item, itemAmount, allocationType = 'contribution') => {
+      if (itemAmount <= 0) return;
+
+      if (item.kind === 'fine') {
+        await this.applyToFine(connection, item, itemAmount, payment);
+        await recordAllocation({
+          allocation_type: 'fine',
+          fine_id: item.fine_id,
+          cycle_id: item.cycle_id,
+          description: `Fine: ${item.rule_name}`,
+          amount: itemAmount
+        });
+        return;
+      }
+
+      const contributionId = await this.applyToContribution(connection, item, itemAmount, payment);
+      await recordAllocation({
+        allocation_type: allocationType,
+        contribution_id: contributionId,
+        cycle_id: item.cycle_id,
+        cycle_number: item.cycle_number,
+        type_id: item.type_id,
+        description: `Cycle ${item.cycle_number} - ${item.type_name}`,
+        amount: itemAmount
+      });
+    };
+
+    // 1. Clear balance arrears not already explained by fines, if requested
+    const fines = await this.getOutstandingFines(connection, memberId);
+
+    if (applyToBalance) {
+      const finesOutstanding = fines.reduce((sum, fine) => sum + fine.outstanding, 0);
+      const balanceArrears = roundMoney(
+        Math.max(0, -parseFloat(members[0].contribution_balance || 0) - finesOutstanding)
+      );
+      const balancePayment = Math.min(remaining, balanceArrears);
+
+      if (balancePayment > 0) {
+        await updateMemberBalance(
+          memberId,
+          balancePayment,
+          'Balance clearance',
+          recordedBy,
+          currentCycleId,
+          null,
+          'balance_payment',
+          connection
+        );
+        await recordAllocation({
+          allocation_type: 'balance',
+          cycle_id: currentCycleId,
+          description: 'Balance arrears',
+          amount: balancePayment
+        });
+      }
+    }
+
+    // 2. Arrears and fines, in policy order
+    const lines = await this.getArrearsLines(connection, memberId, chamaId, ['active', 'completed']);
+    const ordered = this.orderItems(policy, lines, fines, currentCycleId, typeId ? parseInt(typeId) : null);
+
+    for (const item of ordered.sequential) {
+      if (remaining <= 0) break;
+      await applyItem(item, Math.min(remaining, item.outstanding));
+    }
+
+    if (remaining > 0 && ordered.proRata.length > 0) {
+      for (const share of this.splitProRata(ordered.proRata, remaining)) {
+        await applyItem(share.item, share.amount);
+      }
+    }
+
+    for (const item of ordered.after) {
+      if (remaining <= 0) break;
+      await applyItem(item, Math.min(remaining, item.outstanding));
+    }
+
+    // 3. Pay ahead into the next upcoming cycle
+    if (remaining > 0) {
+      const upcoming = await this.getArrearsLines(connection, memberId, chamaId, ['upcoming']);
+      const nextCycleNumber = upcoming.length > 0 ? upcoming[0].cycle_number : null;
+
+      for (const line of upcoming.filter(l => l.cycle_number === nextCycleNumber)) {
+        if (remaining <= 0) break;
+        await applyItem(line, Math.min(remaining, line.outstanding), 'advance');
+      }
+    }
+
+    // 4. Anything left is credited to the member's wallet
+    if (remaining > 0) {
+      await postWalletEntry(connection, {
+        memberId,
+        chamaId,
+        amount: remaining,
+        entryType: 'overpayment',
+        description: `${currentCycleNumber ? `Overpayment from cycle ${currentCycleNumber}` : 'Overpayment'} (${receiptNumber})`,
+        userId: recordedBy,
+        receiptId,
+        cycleId: currentCycleId
+      });
+      await recordAllocation({
+        allocation_type: 'overpayment',
+        cycle_id: currentCycleId,
+        description: 'Credited to member wallet',
+        amount: remaining
+      });
+    }
+
+    const totals = allocations.reduce((acc, allocation) => {
+      acc[allocation.allocation_type] = roundMoney((acc[allocation.allocation_type] || 0) + allocation.amount);
+      return acc;
+    }, { contribution: 0, advance: 0, fine: 0, balance: 0, overpayment: 0 });
+
+    return {
+      id: receiptId,
+      receipt_number: receiptNumber,
+      chama_id: chamaId,
+      member_id: memberId,
+      amount: parseFloat(amount),
+      payment_method: paymentMethod,
+      payment_reference: payment.paymentReference,
+      source,
+      allocation_policy: policy,
+      current_cycle_id: currentCycleId,
+      allocations,
+      totals,
+      contribution_ids: [...new Set(allocations.filter(a => a.contribution_id).map(a => a.contribution_id))]
+    };
+  }
+
+  /**
+   * How much a payment could settle before any of it would be left over:
+   * arrears and fines, plus the next upcoming cycle
+   */
+  async getApplicableAmount(connection, memberId, chamaId) {
+    const lines = await this.getArrearsLines(connection, memberId, chamaId, ['active', 'completed']);
+    const fines = await this.getOutstandingFines(connection, memberId);
+    const upcoming = await this.getArrearsLines(connection, memberId, chamaId, ['upcoming']);
+    const nextCycleNumber = upcoming.length > 0 ? upcoming[0].cycle_number : null;
+
+    return roundMoney(
+      [...lines, ...fines, ...upcoming.filter(line => line.cycle_number === nextCycleNumber)]
+        .reduce((sum, item) => sum + item.outstanding, 0)
+    );
+  }
+
+  /**
+   * Spend wallet credit on the member's arrears, fines and next cycle, the
+   * same way as a payment. Without an amount, uses as much as can be applied.
+   * Returns { success: false, status, message } when nothing can be applied.
+   */
+  async applyWalletCredit(memberId, { amount = null, userId }) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [members] = await connection.execute(
+        'SELECT id, chama_id FROM members WHERE id = ?',
+        [memberId]
+      );
+
+      if (members.length === 0) {
+        await connection.rollback();
+        return { success: false, status: 404, message: 'Member not found' };
+      }
+
+      const chamaId = members[0].chama_id;
+      const wallet = await getWallet(memberId, connection);
+      const applicable = await this.getApplicableAmount(connection, memberId, chamaId);
+
+      if (amount !== null && roundMoney(parseFloat(amount)) > wallet.available) {
+        await connection.rollback();
+        return {
+          success: false,
+          status: 400,
+          message: `Amount exceeds the available wallet balance of ${wallet.available}`
+        };
+      }
+
+      const toApply = roundMoney(Math.min(
+        amount !== null ? parseFloat(amount) : wallet.available,
+        wallet.available,
+        applicable
+      ));
+
+      if (toApply <= 0) {
+        await connection.rollback();
+        return {
+          success: false,
+          status: 400,
+          message: applicable <= 0 ? 'Nothing is due to apply the wallet to' : 'Wallet has no available balance'
+        };
+      }
+
+      const entry = await postWalletEntry(connection, {
+        memberId,
+        chamaId,
+        amount: -toApply,
+        entryType: 'applied',
+        description: 'Applied to contributions',
+        userId
+      });
+
+      const receipt = await this.allocatePayment(connection, {
+        chamaId,
+        memberId,
+        amount: toApply,
+        paymentMethod: 'wallet',
+        notes: 'Paid from member wallet',
+        recordedBy: userId,
+        source: 'wallet'
+      });
+
+      await connection.execute(
+        'UPDATE wallet_transactions SET receipt_id = ?, description = ? WHERE id = ?',
+        [receipt.id, `Applied to contributions (${receipt.receipt_number})`, entry.id]
+      );
+
+      await connection.commit();
+
+      return {
+        success: true,
+        data: {
+          applied: toApply,
+          receipt,
+          wallet: await getWallet(memberId)
+        }
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Load a stored receipt with its allocation lines
+   */
+  async getReceipt(receiptId, executor = db) {
+    const [receipts] = await executor.execute(
+      `SELECT pr.*, u.name as member_name, ru.name as recorded_by_name, ch.name as chama_name
+       FROM payment_receipts pr
+       JOIN members m ON pr.member_id = m.id
+       JOIN users u ON m.user_id = u.id
+       JOIN chamas ch ON pr.chama_id = ch.id
+       LEFT JOIN users ru ON pr.recorded_by = ru.id
+       WHERE pr.id = ?`,
+      [receiptId]
+    );
+
+    if (receipts.length === 0) {
+      return null;
+    }
+
+    const [allocations] = await executor.execute(
+      `SELECT pa.*, cc.cycle_number, cc.cycle_name, ct.name as type_name,
+              fr.name as fine_rule_name
+       FROM payment_allocations pa
+       LEFT JOIN contribution_cycles cc ON pa.cycle_id = cc.id
+       LEFT JOIN contribution_types ct ON pa.type_id = ct.id
+       LEFT JOIN member_fines mf ON pa.fine_id = mf.id
+       LEFT JOIN fine_rules fr ON mf.rule_id = fr.id
+       WHERE pa.receipt_id = ?
+       ORDER BY pa.id ASC`,
+      [receiptId]
+    );
+
+    return { ...receipts[0], allocations };
+  }
+}
+
+module.exports = new PaymentAllocator();
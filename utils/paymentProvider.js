@@ -0,0 +1,67 @@
+// utils/paymentProvider.js
+
+// What a provider can do; adapters override the matching method
+const CAPABILITIES = ['collect', 'disburse', 'queryStatus', 'parseCallback'];
+
+// Normalized transaction statuses shared by every provider
+const TRANSACTION_STATUSES = ['pending', 'completed', 'failed', 'cancelled', 'expired'];
+
+/**
+ * Base class for payment channels. Each adapter talks to its own API and
+ * hands back results in the same shape, so the rest of the app never needs
+ * to know which channel moved the money.
+ *
+ *   collect({ phone, amount, reference, description })
+ *     -> { providerReference, requestId, responseCode, message, raw }
+ *   disburse({ phone, amount, reference, remarks })
+ *     -> { providerReference, requestId, responseCode, message, raw }
+ *   queryStatus(providerReference)
+ *     -> { status, resultCode, resultDesc, raw }  (status: completed, failed, cancelled or pending)
+ *   parseCallback(type, payload)
+ *     -> { providerReference, requestId, status, externalReceipt, amount,
+ *          account, phone, payerName, resultCode, resultDesc, transactionDate, raw }
+ */
+class PaymentProvider {
+  constructor(name, displayName) {
+    this.name = name;
+    this.displayName = displayName || name;
+  }
+
+  /**
+   * Whether this provider implements a capability
+   */
+  supports(capability) {
+    return CAPABILITIES.includes(capability) &&
+      this[capability] !== PaymentProvider.prototype[capability];
+  }
+
+  async collect() {
+    throw new Error(`${this.displayName} does not support collections`);
+  }
+
+  async disburse() {
+    throw new Error(`${this.displayName} does not support disbursements`);
+  }
+
+  async queryStatus() {
+    throw new Error(`${this.displayName} does not support status queries`);
+  }
+
+  parseCallback(type) {
+    throw new Error(`${this.displayName} does not support ${type} callbacks`);
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      displayName: this.displayName,
+      capabilities: CAPABILITIES.filter(capability => this.supports(capability))
+    };
+  }
+}
+
+module.exports = {
+  CAPABILITIES,
+  TRANSACTION_STATUSES,
+  PaymentProvider
+};
@@ -0,0 +1,47 @@
+// utils/paymentProviders.js
+const { PaymentProvider } = require('./paymentProvider');
+const { MpesaProvider } = require('./mpesaProvider');
+
+// Registered payment channels, keyed by provider name
+const providers = new Map();
+
+/**
+ * Make a payment channel available to the rest of the app
+ */
+const registerProvider = (provider) => {
+  if (!(provider instanceof PaymentProvider)) {
+    throw new Error('Payment providers must extend PaymentProvider');
+  }
+
+  providers.set(provider.name, provider);
+  return provider;
+};
+
+/**
+ * Look up a registered provider by name
+ */
+const getProvider = (name) => {
+  const provider = providers.get(name);
+
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+
+  return provider;
+};
+
+const hasProvider = (name) => providers.has(name);
+
+/**
+ * Registered providers and what each one supports
+ */
+const listProviders = () => Array.from(providers.values()).map(provider => provider.describe());
+
+registerProvider(new MpesaProvider());
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  hasProvider,
+  listProviders
+};
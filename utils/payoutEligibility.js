@@ -0,0 +1,270 @@
+// utils/payoutEligibility.js
+const db = require('../config/database');
+const { getSettings } = require('./chamaSettings');
+const { REFUND_PAYOUT_FILTER } = require('./memberWallet');
+const paymentAllocator = require('./paymentAllocator');
+
+// Payouts a second admin let through despite failing eligibility or the
+// pool guard, with the reason given and the checks that failed
+const createPayoutOverridesTable = `
+CREATE TABLE IF NOT EXISTS payout_overrides (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  chama_id INT NOT NULL,
+  member_id INT NOT NULL,
+  payout_id INT NULL UNIQUE,
+  approval_request_id INT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  failures JSON NOT NULL,
+  reason VARCHAR(500) NOT NULL,
+  requested_by INT NOT NULL,
+  approved_by INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (chama_id) REFERENCES chamas(id) ON DELETE CASCADE,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  INDEX idx_chama_created (chama_id, created_at)
+);
+`;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Create the tables used for payout overrides
+ */
+const initializePayoutEligibilityTables = async () => {
+  try {
+    await db.execute(createPayoutOverridesTable);
+    console.log('✅ Payout override table created/verified');
+  } catch (error) {
+    console.error('❌ Failed to create payout override table:', error);
+  }
+};
+
+// Run a sum that depends on a table another feature creates, treating a
+// missing table as zero
+const optionalSum = async (executor, sql, params) => {
+  try {
+    const [rows] = await executor.execute(sql, params);
+    return parseFloat(rows[0].total) || 0;
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE') {
+      return 0;
+    }
+    throw error;
+  }
+};
+
+/**
+ * The money a chama can pay out: contributions, fines and loan repayments
+ * collected, less payouts already made or pending and the reserve the chama
+ * holds back.
+ * Refund payouts are paid from wallet credit, not the pool, and are left out.
+ */
+const getAvailablePool = async (chamaId, executor = db) => {
+  const settings = await getSettings(chamaId, executor);
+
+  const [contributions] = await executor.execute(
+    `SELECT COALESCE(SUM(c.amount), 0) as total
+     FROM contributions c
+     JOIN members m ON c.member_id = m.id
+     WHERE m.chama_id = ? AND c.status NOT IN ('pending', 'cancelled', 'waived')`,
+    [chamaId]
+  );
+
+  const finesCollected = await optionalSum(
+    executor,
+    `SELECT COALESCE(SUM(mf.paid_amount), 0) as total
+     FROM member_fines mf
+     JOIN members m ON mf.member_id = m.id
+     WHERE m.chama_id = ?`,
+    [chamaId]
+  );
+
+  // Loan repayments return to the pool; anything paid beyond the loan
+  // balance is the member's wallet credit. Amounts called from guarantors
+  // come out of savings already counted, so they add nothing.
+  const loansRepaid = await optionalSum(
+    executor,
+    `SELECT COALESCE(SUM(amount - excess_amount), 0) as total
+     FROM loan_repayments
+     WHERE chama_id = ? AND payment_method != 'guarantor_recovery'`,
+    [chamaId]
+  );
+
+  const [payouts] = await executor.execute(
+    `SELECT
+       COALESCE(SUM(CASE WHEN p.status = 'paid' THEN p.amount ELSE 0 END), 0) as disbursed,
+       COALESCE(SUM(CASE WHEN p.status = 'pending' THEN p.amount ELSE 0 END), 0) as committed
+     FROM payouts p
+     WHERE p.chama_id = ? AND ${REFUND_PAYOUT_FILTER}`,
+    [chamaId]
+  );
+
+  const collections = roundMoney(parseFloat(contributions[0].total) + finesCollected + loansRepaid);
+  const disbursed = parseFloat(payouts[0].disbursed);
+  const committed = parseFloat(payouts[0].committed);
+  const reserves = parseFloat(settings.payout_reserve_amount) || 0;
+
+  return {
+    collections,
+    disbursed,
+    committed,
+    reserves,
+    available: roundMoney(collections - disbursed - committed - reserves)
+  };
+};
+
+/**
+ * Check a member against the chama's payout eligibility rules.
+ * Pass the netting plan when the payout will be netted, so past-cycle
+ * arrears it clears do not count against the member.
+ * Returns a list of { rule, message } for each rule that fails.
+ */
+const checkEligibility = async (chamaId, memberId, { nettingPlan = null } = {}, executor = db) => {
+  const settings = await getSettings(chamaId, executor);
+  const failures = [];
+
+  const [members] = await executor.execute(
+    `SELECT id, status, joined_at,
+            TIMESTAMPDIFF(MONTH, joined_at, CURDATE()) as months_in_chama
+     FROM members
+     WHERE id = ? AND chama_id = ?`,
+    [memberId, chamaId]
+  );
+
+  if (members.length === 0) {
+    return [{ rule: 'membership', message: 'Member does not belong to this chama' }];
+  }
+
+  const member = members[0];
+
+  if (member.status && member.status !== 'active') {
+    failures.push({ rule: 'membership', message: `Member is ${member.status}` });
+  }
+
+  const minimumMonths = parseFloat(settings.payout_min_membership_months) || 0;
+  if (minimumMonths > 0 && parseInt(member.months_in_chama) < minimumMonths) {
+    failures.push({
+      rule: 'min_membership_months',
+      message: `Member has belonged for ${member.months_in_chama} of the ${minimumMonths} months required`
+    });
+  }
+
+  if (settings.payout_require_no_arrears) {
+    const lines = await paymentAllocator.getArrearsLines(executor, memberId, chamaId, ['completed']);
+
+    // Arrears the payout's netting will clear do not count
+    const netted = (line) => (nettingPlan ? nettingPlan.deductions : [])
+      .filter(deduction => deduction.deduction_type === 'contribution' &&
+        deduction.cycle_id === line.cycle_id && deduction.type_id === line.type_id)
+      .reduce((sum, deduction) => sum + deduction.amount, 0);
+
+    const outstanding = roundMoney(lines.reduce(
+      (sum, line) => sum + Math.max(line.outstanding - netted(line), 0),
+      0
+    ));
+
+    if (outstanding > 0) {
+      failures.push({
+        rule: 'no_arrears',
+        message: `Member has KES ${outstanding} in unpaid contributions from past cycles`
+      });
+    }
+  }
+
+  if (settings.payout_block_loan_default) {
+    const defaulted = await optionalSum(
+      executor,
+      "SELECT COUNT(*) as total FROM loans WHERE member_id = ? AND status = 'defaulted'",
+      [memberId]
+    );
+
+    if (defaulted > 0) {
+      failures.push({ rule: 'loan_default', message: 'Member has a loan in default' });
+    }
+  }
+
+  return failures;
+};
+
+/**
+ * Run the eligibility rules and the pool guard for a payout.
+ * Returns { eligible, failures, pool }.
+ */
+const evaluatePayout = async (executor, { chamaId, memberId, amount, nettingPlan = null }) => {
+  const failures = await checkEligibility(chamaId, memberId, { nettingPlan }, executor);
+  const pool = await getAvailablePool(chamaId, executor);
+
+  if (pool.available < parseFloat(amount)) {
+    failures.push({
+      rule: 'pool_balance',
+      message: `Payout of KES ${amount} is more than the available pool of KES ${pool.available}`
+    });
+  }
+
+  return { eligible: failures.length === 0, failures, pool };
+};
+
+/**
+ * Record that a payout went ahead on an approved override.
+ * Runs on the caller's executor so it joins the caller's transaction.
+ */
+const recordOverride = async (executor, {
+  chamaId,
+  memberId,
+  payoutId,
+  approvalRequestId = null,
+  amount,
+  failures,
+  reason,
+  requestedBy,
+  approvedBy
+}) => {
+  await executor.execute(
+    `INSERT INTO payout_overrides
+     (chama_id, member_id, payout_id, approval_request_id, amount, failures, reason,
+      requested_by, approved_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      chamaId,
+      memberId,
+      payoutId,
+      approvalRequestId,
+      amount,
+      JSON.stringify(failures),
+      reason,
+      requestedBy,
+      approvedBy
+    ]
+  );
+};
+
+/**
+ * A chama's payout overrides, newest first
+ */
+const listOverrides = async (chamaId) => {
+  const [overrides] = await db.execute(
+    `SELECT po.*, mu.name as member_name, ru.name as requested_by_name, au.name as approved_by_name
+     FROM payout_overrides po
+     JOIN members m ON po.member_id = m.id
+     JOIN users mu ON m.user_id = mu.id
+     JOIN users ru ON po.requested_by = ru.id
+     JOIN users au ON po.approved_by = au.id
+     WHERE po.chama_id = ?
+     ORDER BY po.created_at DESC`,
+    [chamaId]
+  );
+
+  return overrides.map(override => ({
+    ...override,
+    failures: typeof override.failures === 'string' ? JSON.parse(override.failures) : override.failures
+  }));
+};
+
+module.exports = {
+  initializePayoutEligibilityTables,
+  getAvailablePool,
+  checkEligibility,
+  evaluatePayout,
+  recordOverride,
+  listOverrides
+};
@@ -0,0 +1,398 @@
+// utils/payoutNetting.js
+const db = require('../config/database');
+const paymentAllocator = require('./paymentAllocator');
+const { getSetting } = require('./chamaSettings');
+const { applyRepayment } = require('./loanRepayments');
+
+// Netting takes what a member owes out of their payout. The deductions are
+// worked out when the payout is created, and the payout carries only the
+// net amount. When the payout is marked paid, the deducted amount is run
+// through the payment allocator as a payment from the member, so arrears
+// and fines are settled and the ledger records it like any other payment.
+// Overdue loan installments are deducted after arrears and fines, and are
+// settled as a repayment on their loan.
+const createPayoutNettingTable = `
+CREATE TABLE IF NOT EXISTS payout_netting (
+  payout_id INT PRIMARY KEY,
+  chama_id INT NOT NULL,
+  member_id INT NOT NULL,
+  gross_amount DECIMAL(10, 2) NOT NULL,
+  total_deducted DECIMAL(10, 2) NOT NULL,
+  net_amount DECIMAL(10, 2) NOT NULL,
+  status ENUM('pending', 'settled', 'cancelled') NOT NULL DEFAULT 'pending',
+  receipt_id INT NULL,
+  created_by INT NULL,
+  settled_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (chama_id) REFERENCES chamas(id) ON DELETE CASCADE,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  INDEX idx_member (member_id)
+);
+`;
+
+const createPayoutDeductionsTable = `
+CREATE TABLE IF NOT EXISTS payout_deductions (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  payout_id INT NOT NULL,
+  deduction_type ENUM('contribution', 'fine', 'loan_installment') NOT NULL,
+  cycle_id INT NULL,
+  type_id INT NULL,
+  fine_id INT NULL,
+  loan_id INT NULL,
+  description VARCHAR(255) NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (payout_id) REFERENCES payout_netting(payout_id) ON DELETE CASCADE,
+  INDEX idx_payout (payout_id)
+);
+`;
+
+// Tables created before loans could be netted lack the 'loan_installment'
+// type and its loan_id column
+const addLoanDeductions = [
+  `ALTER TABLE payout_deductions
+   MODIFY deduction_type ENUM('contribution', 'fine', 'loan_installment') NOT NULL`,
+  'ALTER TABLE payout_deductions ADD COLUMN loan_id INT NULL AFTER fine_id'
+];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Create the tables used for payout netting
+ */
+const initializePayoutNettingTables = async () => {
+  try {
+    await db.execute(createPayoutNettingTable);
+    await db.execute(createPayoutDeductionsTable);
+
+    for (const statement of addLoanDeductions) {
+      try {
+        await db.execute(statement);
+      } catch (error) {
+        // Column already exists
+        if (error.code !== 'ER_DUP_FIELDNAME') throw error;
+      }
+    }
+
+    console.log('✅ Payout netting tables created/verified');
+  } catch (error) {
+    console.error('❌ Failed to create payout netting tables:', error);
+  }
+};
+
+/**
+ * Whether a payout should be netted: the request decides when it says so,
+ * otherwise the chama's payout_netting setting does
+ */
+const shouldNet = async (chamaId, requested, executor = db) => {
+  if (requested !== undefined && requested !== null) {
+    return requested === true || requested === 'true';
+  }
+  return !!(await getSetting(chamaId, 'payout_netting', executor));
+};
+
+/**
+ * Overdue installments on the member's running loans in this chama, with
+ * what each still owes, oldest first
+ */
+const getOverdueInstallments = async (executor, memberId, chamaId) => {
+  const [installments] = await executor.execute(
+    `SELECT li.*
+     FROM loan_installments li
+     JOIN loans l ON li.loan_id = l.id
+     WHERE l.member_id = ? AND l.chama_id = ?
+       AND l.status IN ('active', 'defaulted')
+       AND li.status != 'paid'
+       AND li.due_date < CURDATE()
+     ORDER BY li.due_date ASC, li.installment_number ASC`,
+    [memberId, chamaId]
+  );
+
+  return installments
+    .map(installment => ({
+      ...installment,
+      outstanding: roundMoney(
+        parseFloat(installment.principal_due) - parseFloat(installment.principal_paid) +
+        parseFloat(installment.interest_due) - parseFloat(installment.interest_paid) +
+        parseFloat(installment.penalty_accrued) - parseFloat(installment.penalty_paid)
+      )
+    }))
+    .filter(installment => installment.outstanding > 0);
+};
+
+/**
+ * Work out what would be deducted from a payout: the member's arrears and
+ * fines, in the chama's allocation order, then overdue loan installments,
+ * up to the gross amount. Writes nothing.
+ */
+const planDeductions = async (executor, { chamaId, memberId, grossAmount }) => {
+  const gross = roundMoney(parseFloat(grossAmount));
+  const policy = await getSetting(chamaId, 'allocation_policy', executor);
+
+  const lines = await paymentAllocator.getArrearsLines(executor, memberId, chamaId, ['active', 'completed']);
+  const fines = await paymentAllocator.getOutstandingFines(executor, memberId);
+  const ordered = paymentAllocator.orderItems(policy, lines, fines, null, null);
+
+  const deductions = [];
+  let remaining = gross;
+
+  const take = (item, amount) => {
+    if (amount <= 0) return;
+    deductions.push(item.kind === 'fine'
+      ? {
+        deduction_type: 'fine',
+        fine_id: item.fine_id,
+        cycle_id: item.cycle_id,
+        description: `Fine: ${item.rule_name}`,
+        amount
+      }
+      : {
+        deduction_type: 'contribution',
+        cycle_id: item.cycle_id,
+        type_id: item.type_id,
+        description: `Cycle ${item.cycle_number} - ${item.type_name} arrears`,
+        amount
+      });
+    remaining = roundMoney(remaining - amount);
+  };
+
+  for (const item of ordered.sequential) {
+    if (remaining <= 0) break;
+    take(item, Math.min(remaining, item.outstanding));
+  }
+
+  if (remaining > 0 && ordered.proRata.length > 0) {
+    for (const share of paymentAllocator.splitProRata(ordered.proRata, remaining)) {
+      take(share.item, share.amount);
+    }
+  }
+
+  for (const item of ordered.after) {
+    if (remaining <= 0) break;
+    take(item, Math.min(remaining, item.outstanding));
+  }
+
+  for (const installment of await getOverdueInstallments(executor, memberId, chamaId)) {
+    if (remaining <= 0) break;
+    const amount = Math.min(remaining, installment.outstanding);
+    deductions.push({
+      deduction_type: 'loan_installment',
+      loan_id: installment.loan_id,
+      description: `Loan #${installment.loan_id} installment ${installment.installment_number} overdue`,
+      amount
+    });
+    remaining = roundMoney(remaining - amount);
+  }
+
+  const totalDeducted = roundMoney(gross - remaining);
+
+  return {
+    gross_amount: gross,
+    total_deducted: totalDeducted,
+    net_amount: remaining,
+    deductions
+  };
+};
+
+/**
+ * Store a payout's netting plan.
+ * Runs on the caller's executor so it joins the caller's transaction.
+ */
+const recordNetting = async (executor, payoutId, plan, { chamaId, memberId, userId }) => {
+  await executor.execute(
+    `INSERT INTO payout_netting
+     (payout_id, chama_id, member_id, gross_amount, total_deducted, net_amount, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [payoutId, chamaId, memberId, plan.gross_amount, plan.total_deducted, plan.net_amount, userId]
+  );
+
+  for (const deduction of plan.deductions) {
+    await executor.execute(
+      `INSERT INTO payout_deductions
+       (payout_id, deduction_type, cycle_id, type_id, fine_id, loan_id, description, amount)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        payoutId,
+        deduction.deduction_type,
+        deduction.cycle_id || null,
+        deduction.type_id || null,
+        deduction.fine_id || null,
+        deduction.loan_id || null,
+        String(deduction.description).slice(0, 255),
+        deduction.amount
+      ]
+    );
+  }
+};
+
+/**
+ * Follow a netted payout: once it is paid, settle the deducted arrears and
+ * fines through the payment allocator and the loan deductions as repayments
+ * on their loans; if it is called off, drop the deductions.
+ * Does nothing for payouts that were not netted.
+ *
+ * Pass a connection as executor to run inside the caller's transaction.
+ */
+const settleNettingPayout = async (payoutId, status, userId, executor = db) => {
+  const [nettings] = await executor.execute(
+    "SELECT * FROM payout_netting WHERE payout_id = ? AND status = 'pending'",
+    [payoutId]
+  );
+
+  if (nettings.length === 0 || status === 'pending') {
+    return null;
+  }
+
+  const netting = nettings[0];
+
+  if (status !== 'paid') {
+    await executor.execute(
+      "UPDATE payout_netting SET status = 'cancelled' WHERE payout_id = ?",
+      [payoutId]
+    );
+    return 'cancelled';
+  }
+
+  const [loanDeductions] = await executor.execute(
+    `SELECT loan_id, SUM(amount) as amount
+     FROM payout_deductions
+     WHERE payout_id = ? AND deduction_type = 'loan_installment'
+     GROUP BY loan_id
+     ORDER BY MIN(id) ASC`,
+    [payoutId]
+  );
+
+  let loanTotal = 0;
+
+  for (const deduction of loanDeductions) {
+    // The money has already been kept back, so anything beyond the loan
+    // balance by now goes to the member's wallet
+    const repayment = await applyRepayment(executor, {
+      loanId: deduction.loan_id,
+      amount: parseFloat(deduction.amount),
+      paymentMethod: 'payout_netting',
+      paymentReference: `PAYOUT-${payoutId}`,
+      notes: `Deducted from payout #${payoutId}`,
+      recordedBy: userId,
+      allowExcess: true
+    });
+
+    if (!repayment.success) {
+      throw new Error(`Could not settle loan #${deduction.loan_id} from payout #${payoutId}: ${repayment.message}`);
+    }
+
+    loanTotal = roundMoney(loanTotal + parseFloat(deduction.amount));
+  }
+
+  let receiptId = null;
+  const allocatable = roundMoney(parseFloat(netting.total_deducted) - loanTotal);
+
+  if (allocatable > 0) {
+    const receipt = await paymentAllocator.allocatePayment(executor, {
+      chamaId: netting.chama_id,
+      memberId: netting.member_id,
+      amount: allocatable,
+      paymentMethod: 'payout_netting',
+      paymentReference: `PAYOUT-${payoutId}`,
+      notes: `Deducted from payout #${payoutId}`,
+      recordedBy: userId,
+      source: 'payout',
+      sourceId: payoutId
+    });
+    receiptId = receipt.id;
+  }
+
+  await executor.execute(
+    `UPDATE payout_netting
+     SET status = 'settled', receipt_id = ?, settled_at = CURRENT_TIMESTAMP
+     WHERE payout_id = ?`,
+    [receiptId, payoutId]
+  );
+
+  return 'settled';
+};
+
+/**
+ * A payout's netting with its deduction lines, or null when it was not netted
+ */
+const getPayoutNetting = async (payoutId, executor = db) => {
+  const [nettings] = await executor.execute(
+    'SELECT * FROM payout_netting WHERE payout_id = ?',
+    [payoutId]
+  );
+
+  if (nettings.length === 0) {
+    return null;
+  }
+
+  const [deductions] = await executor.execute(
+    `SELECT pd.*, cc.cycle_number
+     FROM payout_deductions pd
+     LEFT JOIN contribution_cycles cc ON pd.cycle_id = cc.id
+     WHERE pd.payout_id = ?
+     ORDER BY pd.id ASC`,
+    [payoutId]
+  );
+
+  return { ...nettings[0], deductions };
+};
+
+/**
+ * The member's statement for a payout: gross, each deduction and the net
+ * amount sent, with the settlement receipt once the payout is paid
+ */
+const getNetStatement = async (payoutId) => {
+  const [payouts] = await db.execute(
+    `SELECT p.*, u.name as member_name, u.phone as member_phone,
+            ch.name as chama_name, cc.cycle_number
+     FROM payouts p
+     JOIN members m ON p.member_id = m.id
+     JOIN users u ON m.user_id = u.id
+     JOIN chamas ch ON p.chama_id = ch.id
+     LEFT JOIN contribution_cycles cc ON p.cycle_id = cc.id
+     WHERE p.id = ?`,
+    [payoutId]
+  );
+
+  if (payouts.length === 0) {
+    return null;
+  }
+
+  const payout = payouts[0];
+  const netting = await getPayoutNetting(payout.id);
+  const deductions = netting ? netting.deductions : [];
+
+  const totals = deductions.reduce((acc, deduction) => {
+    acc[deduction.deduction_type] = roundMoney((acc[deduction.deduction_type] || 0) + parseFloat(deduction.amount));
+    return acc;
+  }, { contribution: 0, fine: 0, loan_installment: 0 });
+
+  return {
+    payout_id: payout.id,
+    chama_name: payout.chama_name,
+    member_id: payout.member_id,
+    member_name: payout.member_name,
+    cycle_number: payout.cycle_number,
+    payout_date: payout.payout_date,
+    status: payout.status,
+    gross_amount: netting ? parseFloat(netting.gross_amount) : parseFloat(payout.amount),
+    deductions,
+    deduction_totals: totals,
+    total_deducted: netting ? parseFloat(netting.total_deducted) : 0,
+    net_amount: parseFloat(payout.amount),
+    netting_status: netting ? netting.status : null,
+    settlement_receipt: netting && netting.receipt_id
+      ? await paymentAllocator.getReceipt(netting.receipt_id)
+      : null
+  };
+};
+
+module.exports = {
+  initializePayoutNettingTables,
+  shouldNet,
+  planDeductions,
+  recordNetting,
+  settleNettingPayout,
+  getPayoutNetting,
+  getNetStatement
+};
@@ -0,0 +1,314 @@
+// utils/payoutSignatures.js
+const db = require('../config/database');
+const { getSettings } = require('./chamaSettings');
+
+// The offices whose holders sign for money leaving the chama
+const OFFICES = ['chairperson', 'treasurer', 'secretary'];
+
+// Who holds each office. A member holds at most one office, so one person
+// cannot sign a payout twice.
+const createChamaOfficersTable = `
+CREATE TABLE IF NOT EXISTS chama_officers (
+  chama_id INT NOT NULL,
+  office ENUM('chairperson', 'treasurer', 'secretary') NOT NULL,
+  member_id INT NOT NULL,
+  assigned_by INT NOT NULL,
+  assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (chama_id, office),
+  UNIQUE KEY unique_member_office (chama_id, member_id),
+  FOREIGN KEY (chama_id) REFERENCES chamas(id) ON DELETE CASCADE,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE
+);
+`;
+
+// One signature per office per payout, recorded with the officer who held
+// the office when they signed. A member signs a payout once, even if they
+// move to another office before it is released.
+const createPayoutSignaturesTable = `
+CREATE TABLE IF NOT EXISTS payout_signatures (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  payout_id INT NOT NULL,
+  chama_id INT NOT NULL,
+  office ENUM('chairperson', 'treasurer', 'secretary') NOT NULL,
+  member_id INT NOT NULL,
+  signed_by INT NOT NULL,
+  notes VARCHAR(500) NULL,
+  signed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_payout_office (payout_id, office),
+  UNIQUE KEY unique_payout_member (payout_id, member_id),
+  FOREIGN KEY (payout_id) REFERENCES payouts(id) ON DELETE CASCADE,
+  FOREIGN KEY (chama_id) REFERENCES chamas(id) ON DELETE CASCADE,
+  INDEX idx_chama (chama_id)
+);
+`;
+
+// Tables created before members were limited to one signature per payout
+const addMemberSignatureKey = `
+ALTER TABLE payout_signatures
+ADD UNIQUE KEY unique_payout_member (payout_id, member_id)
+`;
+
+/**
+ * Create the tables used for officers and payout signatures
+ */
+const initializeSignatureTables = async () => {
+  try {
+    await db.execute(createChamaOfficersTable);
+    await db.execute(createPayoutSignaturesTable);
+
+    try {
+      await db.execute(addMemberSignatureKey);
+    } catch (error) {
+      // Key already exists
+      if (error.code !== 'ER_DUP_KEYNAME') throw error;
+    }
+
+    console.log('✅ Payout signature tables created/verified');
+  } catch (error) {
+    console.error('❌ Failed to create payout signature tables:', error);
+  }
+};
+
+/**
+ * A chama's officers, one entry per office with null for vacant offices
+ */
+const getOfficers = async (chamaId, executor = db) => {
+  const [officers] = await executor.execute(
+    `SELECT co.office, co.member_id, co.assigned_at, m.user_id, u.name as member_name
+     FROM chama_officers co
+     JOIN members m ON co.member_id = m.id
+     JOIN users u ON m.user_id = u.id
+     WHERE co.chama_id = ?`,
+    [chamaId]
+  );
+
+  return OFFICES.map(office => ({
+    office,
+    ...(officers.find(officer => officer.office === office) || { member_id: null, user_id: null, member_name: null })
+  }));
+};
+
+/**
+ * Put a member in an office, or leave the office vacant when memberId is null.
+ * A member moved from another office leaves it vacant.
+ * Returns { success: false, status, message } when the change is not allowed.
+ */
+const assignOfficer = async (chamaId, office, memberId, userId) => {
+  if (!OFFICES.includes(office)) {
+    return { success: false, status: 400, message: `Office must be one of: ${OFFICES.join(', ')}` };
+  }
+
+  if (memberId === null || memberId === undefined) {
+    await db.execute(
+      'DELETE FROM chama_officers WHERE chama_id = ? AND office = ?',
+      [chamaId, office]
+    );
+    return { success: true, data: await getOfficers(chamaId) };
+  }
+
+  const [members] = await db.execute(
+    "SELECT id FROM members WHERE id = ? AND chama_id = ? AND status = 'active'",
+    [memberId, chamaId]
+  );
+
+  if (members.length === 0) {
+    return { success: false, status: 400, message: 'Officers must be active members of the chama' };
+  }
+
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    await connection.execute(
+      'DELETE FROM chama_officers WHERE chama_id = ? AND member_id = ? AND office != ?',
+      [chamaId, memberId, office]
+    );
+
+    await connection.execute(
+      `INSERT INTO chama_officers (chama_id, office, member_id, assigned_by)
+       VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE member_id = VALUES(member_id), assigned_by = VALUES(assigned_by)`,
+      [chamaId, office, memberId, userId]
+    );
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  return { success: true, data: await getOfficers(chamaId) };
+};
+
+/**
+ * The signatures a payout of this amount needs, or null when it needs none.
+ * The quorum is capped at the number of signing offices; a stored value
+ * that is not a valid quorum needs every signing office.
+ */
+const getQuorum = async (chamaId, amount, executor = db) => {
+  const settings = await getSettings(chamaId, executor);
+  const threshold = parseFloat(settings.payout_signature_threshold) || 0;
+
+  if (threshold <= 0 || parseFloat(amount) <= threshold) {
+    return null;
+  }
+
+  const roles = settings.payout_signature_roles;
+
+  return {
+    threshold,
+    roles,
+    required: Math.min(parseInt(settings.payout_signature_quorum) || roles.length, roles.length)
+  };
+};
+
+/**
+ * Where a payout stands on signatures: the quorum it needs, who has signed
+ * and when, and which offices are still to sign. The quorum follows the
+ * gross amount, before any netting deductions, so netting cannot take a
+ * payout under the threshold.
+ */
+const getSignatureStatus = async (payoutId, executor = db) => {
+  const [payouts] = await executor.execute(
+    `SELECT p.id, p.chama_id, p.amount, p.status, pn.gross_amount
+     FROM payouts p
+     LEFT JOIN payout_netting pn ON pn.payout_id = p.id
+     WHERE p.id = ?`,
+    [payoutId]
+  );
+
+  if (payouts.length === 0) {
+    return null;
+  }
+
+  const payout = payouts[0];
+  const grossAmount = parseFloat(payout.gross_amount ?? payout.amount);
+  const quorum = await getQuorum(payout.chama_id, grossAmount, executor);
+
+  const [signatures] = await executor.execute(
+    `SELECT ps.office, ps.member_id, ps.signed_by, ps.notes, ps.signed_at, u.name as signed_by_name
+     FROM payout_signatures ps
+     JOIN users u ON ps.signed_by = u.id
+     WHERE ps.payout_id = ?
+     ORDER BY ps.signed_at ASC, ps.id ASC`,
+    [payout.id]
+  );
+
+  const counted = quorum
+    ? signatures.filter(signature => quorum.roles.includes(signature.office))
+    : [];
+
+  return {
+    payout_id: payout.id,
+    amount: parseFloat(payout.amount),
+    gross_amount: grossAmount,
+    required: !!quorum,
+    threshold: quorum ? quorum.threshold : null,
+    roles: quorum ? quorum.roles : [],
+    quorum: quorum ? quorum.required : 0,
+    signatures,
+    signed: counted.length,
+    awaiting: quorum
+      ? quorum.roles.filter(role => !signatures.some(signature => signature.office === role))
+      : [],
+    met: !quorum || counted.length >= quorum.required
+  };
+};
+
+/**
+ * Refuse to release a payout until its quorum of signatures is met.
+ * Returns { success: false, status, message } while signatures are missing.
+ */
+const checkReleaseQuorum = async (payoutId, executor = db) => {
+  const status = await getSignatureStatus(payoutId, executor);
+
+  if (!status || status.met) {
+    return { success: true };
+  }
+
+  return {
+    success: false,
+    status: 400,
+    message: `Payout needs ${status.quorum} officer signatures before release; ` +
+      `${status.signed} signed, awaiting ${status.awaiting.join(', ')}`
+  };
+};
+
+/**
+ * Sign a pending payout for the office the user holds.
+ * Returns { success: false, status, message } when the user cannot sign.
+ */
+const signPayout = async (payoutId, userId, notes = null) => {
+  const status = await getSignatureStatus(payoutId);
+
+  if (!status) {
+    return { success: false, status: 404, message: 'Payout not found' };
+  }
+
+  const [payouts] = await db.execute(
+    'SELECT chama_id, status FROM payouts WHERE id = ?',
+    [payoutId]
+  );
+  const payout = payouts[0];
+
+  if (payout.status !== 'pending') {
+    return { success: false, status: 400, message: `Payout is already ${payout.status}` };
+  }
+
+  if (!status.required) {
+    return { success: false, status: 400, message: 'This payout does not need officer signatures' };
+  }
+
+  const [offices] = await db.execute(
+    `SELECT co.office, co.member_id
+     FROM chama_officers co
+     JOIN members m ON co.member_id = m.id
+     WHERE co.chama_id = ? AND m.user_id = ?`,
+    [payout.chama_id, userId]
+  );
+
+  const office = offices.find(held => status.roles.includes(held.office));
+
+  if (!office) {
+    return {
+      success: false,
+      status: 403,
+      message: `Only the ${status.roles.join(', ')} can sign payouts`
+    };
+  }
+
+  const [signed] = await db.execute(
+    'SELECT office FROM payout_signatures WHERE payout_id = ? AND (signed_by = ? OR member_id = ?)',
+    [payoutId, userId, office.member_id]
+  );
+
+  if (signed.length > 0) {
+    return { success: false, status: 400, message: `You have already signed this payout as ${signed[0].office}` };
+  }
+
+  const [result] = await db.execute(
+    `INSERT IGNORE INTO payout_signatures (payout_id, chama_id, office, member_id, signed_by, notes)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [payoutId, payout.chama_id, office.office, office.member_id, userId, notes]
+  );
+
+  if (result.affectedRows === 0) {
+    return { success: false, status: 400, message: `The ${office.office} has already signed this payout` };
+  }
+
+  return { success: true, data: { office: office.office, ...(await getSignatureStatus(payoutId)) } };
+};
+
+module.exports = {
+  OFFICES,
+  initializeSignatureTables,
+  getOfficers,
+  assignOfficer,
+  getQuorum,
+  getSignatureStatus,
+  checkReleaseQuorum,
+  signPayout
+};
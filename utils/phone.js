@@ -0,0 +1,53 @@
+// utils/phone.js
+
+/**
+ * Reduce a phone number to digits with the country code, e.g. 0712 345 678,
+ * +254712345678 and 712345678 all become 254712345678.
+ * Masked digits from M-Pesa statements (2547******78) are kept as "*".
+ */
+const normalizePhone = (phone) => {
+  if (!phone) return null;
+
+  const countryCode = process.env.DEFAULT_COUNTRY_CODE || '254';
+  let digits = String(phone).replace(/[^\d*]/g, '');
+
+  if (!digits) return null;
+
+  if (digits.startsWith('0')) {
+    digits = countryCode + digits.replace(/^0+/, '');
+  } else if (!digits.startsWith(countryCode)) {
+    digits = countryCode + digits;
+  }
+
+  return digits;
+};
+
+/**
+ * Whether two phone numbers are the same. A masked number (2547****678)
+ * matches any number with the same leading and trailing digits.
+ */
+const phonesMatch = (a, b) => {
+  const first = normalizePhone(a);
+  const second = normalizePhone(b);
+
+  if (!first || !second) {
+    return false;
+  }
+
+  const masked = first.includes('*') ? first : second.includes('*') ? second : null;
+
+  if (!masked) {
+    return first === second;
+  }
+
+  const other = masked === first ? second : first;
+  const prefix = masked.slice(0, masked.indexOf('*'));
+  const suffix = masked.slice(masked.lastIndexOf('*') + 1);
+
+  return !other.includes('*') &&
+    other.length >= prefix.length + suffix.length &&
+    other.startsWith(prefix) &&
+    other.endsWith(suffix);
+};
+
+module.exports = { normalizePhone, phonesMatch };
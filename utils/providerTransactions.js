@@ -0,0 +1,303 @@
+// utils/providerTransactions.js
+const db = require('../config/database');
+
+// One row per money movement on any payment channel. Channel-specific
+// tables (mpesa_payments, mpesa_c2b_payments, payout_disbursements) keep
+// the provider's own fields; this table is what reports and reconciliation
+// read, so they work the same whichever provider carried the money.
+const createProviderTransactionsTable = `
+CREATE TABLE IF NOT EXISTS provider_transactions (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  provider VARCHAR(30) NOT NULL,
+  direction ENUM('collection', 'disbursement') NOT NULL,
+  chama_id INT NULL,
+  member_id INT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  currency CHAR(3) NOT NULL DEFAULT 'KES',
+  account VARCHAR(100) NULL,
+  reference VARCHAR(100) NULL,
+  provider_reference VARCHAR(100) NULL,
+  external_receipt VARCHAR(50) NULL,
+  status ENUM('pending', 'completed', 'failed', 'cancelled', 'expired') NOT NULL DEFAULT 'pending',
+  result_code VARCHAR(20) NULL,
+  result_description VARCHAR(255) NULL,
+  source_type VARCHAR(30) NOT NULL,
+  source_id INT NOT NULL,
+  receipt_id INT NULL,
+  payout_id INT NULL,
+  completed_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_source (source_type, source_id),
+  UNIQUE KEY uniq_provider_reference (provider, provider_reference),
+  INDEX idx_external_receipt (provider, external_receipt),
+  INDEX idx_chama_created (chama_id, created_at),
+  INDEX idx_status (status)
+);
+`;
+
+// Copy M-Pesa records made before this table existed. INSERT IGNORE on the
+// source key makes it safe to run on every start.
+const BACKFILLS = [
+  `INSERT IGNORE INTO provider_transactions
+   (provider, direction, chama_id, member_id, amount, reference, provider_reference,
+    external_receipt, status, result_code, result_description, source_type, source_id,
+    receipt_id, completed_at, created_at)
+   SELECT 'mpesa', 'collection', mp.chama_id, mp.member_id, mp.amount, mp.reference,
+          mp.checkout_request_id, mp.mpesa_receipt_number,
+          CASE mp.status WHEN 'initiated' THEN 'pending' ELSE mp.status END,
+          mp.result_code, mp.result_description, 'mpesa_payment', mp.id, pr.id,
+          CASE mp.status WHEN 'completed' THEN COALESCE(mp.callback_received_at, mp.updated_at) END,
+          mp.created_at
+   FROM mpesa_payments mp
+   LEFT JOIN payment_receipts pr ON pr.source = 'mpesa' AND pr.source_id = mp.id`,
+
+  `INSERT IGNORE INTO provider_transactions
+   (provider, direction, chama_id, member_id, amount, account, reference, provider_reference,
+    external_receipt, status, result_code, source_type, source_id, receipt_id, completed_at, created_at)
+   SELECT 'mpesa', 'collection', c.chama_id, c.member_id, c.amount, c.bill_ref_number, c.trans_id,
+          c.trans_id, c.trans_id, 'completed', '0', 'c2b_payment', c.id, c.receipt_id,
+          c.trans_time, c.created_at
+   FROM mpesa_c2b_payments c`,
+
+  `INSERT IGNORE INTO provider_transactions
+   (provider, direction, chama_id, member_id, amount, account, reference, provider_reference,
+    external_receipt, status, result_code, result_description, source_type, source_id,
+    payout_id, completed_at, created_at)
+   SELECT 'mpesa', 'disbursement', d.chama_id, d.member_id, d.amount, d.phone_number,
+          d.originator_conversation_id, d.originator_conversation_id, d.transaction_id,
+          CASE d.status WHEN 'queued' THEN 'pending' WHEN 'sent' THEN 'pending'
+                        WHEN 'timeout' THEN 'expired' ELSE d.status END,
+          d.result_code, d.result_description, 'payout_disbursement', d.id, d.payout_id,
+          d.completed_at, d.created_at
+   FROM payout_disbursements d`
+];
+
+// Columns updateProviderTransaction may change
+const UPDATABLE_COLUMNS = [
+  'chama_id',
+  'member_id',
+  'amount',
+  'account',
+  'provider_reference',
+  'external_receipt',
+  'status',
+  'result_code',
+  'result_description',
+  'receipt_id',
+  'completed_at'
+];
+
+/**
+ * Create the generic provider transactions table and backfill it
+ */
+const initializeProviderTransactionTables = async () => {
+  try {
+    await db.execute(createProviderTransactionsTable);
+    console.log('✅ Provider transactions table created/verified');
+  } catch (error) {
+    console.error('❌ Failed to create provider transactions table:', error);
+    return;
+  }
+
+  for (const backfill of BACKFILLS) {
+    try {
+      await db.execute(backfill);
+    } catch (error) {
+      // The source table may not exist yet on a fresh database
+      if (error.code !== 'ER_NO_SUCH_TABLE') {
+        console.error('❌ Failed to backfill provider transactions:', error.message);
+      }
+    }
+  }
+};
+
+/**
+ * Record a money movement in the generic store.
+ * Runs on the caller's executor so it joins the caller's transaction.
+ */
+const recordProviderTransaction = async (executor, {
+  provider,
+  direction,
+  chamaId = null,
+  memberId = null,
+  amount,
+  currency = 'KES',
+  account = null,
+  reference = null,
+  providerReference = null,
+  externalReceipt = null,
+  status = 'pending',
+  resultCode = null,
+  resultDesc = null,
+  sourceType,
+  sourceId,
+  receiptId = null,
+  payoutId = null
+}) => {
+  const [result] = await executor.execute(
+    `INSERT INTO provider_transactions
+     (provider, direction, chama_id, member_id, amount, currency, account, reference,
+      provider_reference, external_receipt, status, result_code, result_description,
+      source_type, source_id, receipt_id, payout_id, completed_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${status === 'completed' ? 'CURRENT_TIMESTAMP' : 'NULL'})`,
+    [
+      provider,
+      direction,
+      chamaId,
+      memberId,
+      amount,
+      currency,
+      account,
+      reference,
+      providerReference,
+      externalReceipt,
+      status,
+      resultCode !== null && resultCode !== undefined ? String(resultCode) : null,
+      resultDesc ? String(resultDesc).slice(0, 255) : null,
+      sourceType,
+      sourceId,
+      receiptId,
+      payoutId
+    ]
+  );
+
+  return result.insertId;
+};
+
+/**
+ * Update the transaction recorded for a channel-specific row.
+ * Moving to 'completed' stamps completed_at unless one is given.
+ * Returns false when no transaction was recorded for the source.
+ */
+const updateProviderTransaction = async (executor, sourceType, sourceId, changes) => {
+  const values = { ...changes };
+
+  if (values.status === 'completed' && values.completed_at === undefined) {
+    values.completed_at = new Date();
+  }
+
+  if (values.result_description) {
+    values.result_description = String(values.result_description).slice(0, 255);
+  }
+
+  if (values.result_code !== undefined && values.result_code !== null) {
+    values.result_code = String(values.result_code);
+  }
+
+  const columns = Object.keys(values).filter(column => UPDATABLE_COLUMNS.includes(column));
+
+  if (columns.length === 0) {
+    return false;
+  }
+
+  const [result] = await executor.execute(
+    `UPDATE provider_transactions
+     SET ${columns.map(column => `${column} = ?`).join(', ')}
+     WHERE source_type = ? AND source_id = ?`,
+    [...columns.map(column => values[column]), sourceType, sourceId]
+  );
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Find completed transactions carrying a provider's own receipt number
+ */
+const findByExternalReceipt = async (executor, provider, externalReceipt, chamaId = null) => {
+  const [transactions] = await executor.execute(
+    `SELECT * FROM provider_transactions
+     WHERE provider = ? AND external_receipt = ? AND status = 'completed'
+       ${chamaId ? 'AND chama_id = ?' : ''}
+     ORDER BY id ASC`,
+    chamaId ? [provider, externalReceipt, chamaId] : [provider, externalReceipt]
+  );
+  return transactions;
+};
+
+// Build the WHERE clause shared by the list and summary queries
+const buildFilters = (chamaId, { provider, direction, status, startDate, endDate } = {}) => {
+  const conditions = ['pt.chama_id = ?'];
+  const params = [chamaId];
+
+  if (provider) {
+    conditions.push('pt.provider = ?');
+    params.push(provider);
+  }
+
+  if (direction) {
+    conditions.push('pt.direction = ?');
+    params.push(direction);
+  }
+
+  if (status) {
+    conditions.push('pt.status = ?');
+    params.push(status);
+  }
+
+  if (startDate) {
+    conditions.push('DATE(pt.created_at) >= ?');
+    params.push(startDate);
+  }
+
+  if (endDate) {
+    conditions.push('DATE(pt.created_at) <= ?');
+    params.push(endDate);
+  }
+
+  return { where: conditions.join(' AND '), params };
+};
+
+/**
+ * A chama's transactions across every provider, newest first
+ */
+const listChamaTransactions = async (chamaId, filters = {}) => {
+  const { where, params } = buildFilters(chamaId, filters);
+
+  const [transactions] = await db.execute(
+    `SELECT pt.*, u.name as member_name, pr.receipt_number
+     FROM provider_transactions pt
+     LEFT JOIN members m ON pt.member_id = m.id
+     LEFT JOIN users u ON m.user_id = u.id
+     LEFT JOIN payment_receipts pr ON pt.receipt_id = pr.id
+     WHERE ${where}
+     ORDER BY pt.created_at DESC
+     LIMIT 500`,
+    params
+  );
+
+  return transactions;
+};
+
+/**
+ * Counts and totals per provider, direction and status
+ */
+const summarizeChamaTransactions = async (chamaId, filters = {}) => {
+  const { where, params } = buildFilters(chamaId, filters);
+
+  const [rows] = await db.execute(
+    `SELECT pt.provider, pt.direction, pt.status,
+            COUNT(*) as count,
+            SUM(pt.amount) as total_amount
+     FROM provider_transactions pt
+     WHERE ${where}
+     GROUP BY pt.provider, pt.direction, pt.status
+     ORDER BY pt.provider, pt.direction, pt.status`,
+    params
+  );
+
+  return rows.map(row => ({
+    ...row,
+    count: parseInt(row.count),
+    total_amount: parseFloat(row.total_amount) || 0
+  }));
+};
+
+module.exports = {
+  initializeProviderTransactionTables,
+  recordProviderTransaction,
+  updateProviderTransaction,
+  findByExternalReceipt,
+  listChamaTransactions,
+  summarizeChamaTransactions
+};
@@ -0,0 +1,181 @@
+// utils/reversals.js
+const db = require('../config/database');
+const { updateMemberBalance } = require('./ledger');
+
+const createContributionReversalsTable = `
+CREATE TABLE IF NOT EXISTS contribution_reversals (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  contribution_id INT NOT NULL UNIQUE,
+  chama_id INT NOT NULL,
+  member_id INT NOT NULL,
+  cycle_id INT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  balance_reversed DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  original_status VARCHAR(20) NOT NULL,
+  reason VARCHAR(500) NOT NULL,
+  reversed_by INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (chama_id) REFERENCES chamas(id) ON DELETE CASCADE,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  FOREIGN KEY (reversed_by) REFERENCES users(id),
+  INDEX idx_chama_created (chama_id, created_at),
+  INDEX idx_member (member_id)
+);
+`;
+
+/**
+ * Create the tables used for contribution reversals
+ */
+const initializeReversalTables = async () => {
+  try {
+    await db.execute(createContributionReversalsTable);
+    console.log('✅ Contribution reversals table created/verified');
+  } catch (error) {
+    console.error('❌ Failed to create contribution reversals table:', error);
+  }
+};
+
+/**
+ * A draft is a contribution row that never received any money,
+ * such as a generated placeholder: still pending, zero amount and no
+ * payment date. Only drafts may be deleted.
+ */
+const isDraftContribution = (contribution) =>
+  contribution.status === 'pending' &&
+  !(parseFloat(contribution.amount) > 0) &&
+  !contribution.payment_date;
+
+// Statuses whose amount has been added to the cycle's collected_amount:
+// paid rows, and partial payments, which the allocator adds as they come in
+const COLLECTED_STATUSES = ['paid', 'partial'];
+
+/**
+ * Reverse a contribution: cancel it, take its amount out of the cycle
+ * total if it was counted there, and post a reversing ledger entry
+ * linked to it.
+ *
+ * Payments allocated to contribution lines do not move the member balance,
+ * so the reversing entry only debits whatever earlier ledger entries for
+ * this contribution credited; the arrears reappear on the cycle itself.
+ *
+ * Runs on the caller's connection; the caller owns the transaction.
+ */
+const reverseContribution = async (connection, contribution, reason, userId) => {
+  const amount = parseFloat(contribution.amount) || 0;
+
+  let credited = 0;
+  try {
+    const [ledgerRows] = await connection.execute(
+      `SELECT COALESCE(SUM(amount), 0) as credited
+       FROM contribution_ledger
+       WHERE contribution_id = ? AND transaction_type = 'contribution'`,
+      [contribution.id]
+    );
+    credited = Math.max(0, parseFloat(ledgerRows[0].credited) || 0);
+  } catch (error) {
+    console.log('Ledger table might not exist, reversing without balance change');
+  }
+
+  const [result] = await connection.execute(
+    `INSERT INTO contribution_reversals
+     (contribution_id, chama_id, member_id, cycle_id, amount,
+      balance_reversed, original_status, reason, reversed_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      contribution.id,
+      contribution.chama_id,
+      contribution.member_id,
+      contribution.cycle_id,
+      amount,
+      credited,
+      contribution.status,
+      reason,
+      userId
+    ]
+  );
+
+  await connection.execute(
+    `UPDATE contributions
+     SET status = 'cancelled',
+         notes = CONCAT(COALESCE(notes, ''), ?),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [`${contribution.notes ? ' | ' : ''}Reversed: ${reason}`, contribution.id]
+  );
+
+  if (amount > 0 && COLLECTED_STATUSES.includes(contribution.status)) {
+    await connection.execute(
+      `UPDATE contribution_cycles
+       SET collected_amount = GREATEST(0, collected_amount - ?)
+       WHERE id = ?`,
+      [amount, contribution.cycle_id]
+    );
+  }
+
+  const newBalance = await updateMemberBalance(
+    contribution.member_id,
+    -credited,
+    `Reversal of contribution #${contribution.id} (${amount}): ${reason}`,
+    userId,
+    contribution.cycle_id,
+    contribution.id,
+    'reversal',
+    connection
+  );
+
+  return {
+    reversal_id: result.insertId,
+    contribution_id: contribution.id,
+    amount,
+    balance_reversed: credited,
+    new_member_balance: newBalance
+  };
+};
+
+/**
+ * Reversal history for a chama or a single member
+ */
+const getReversals = async ({ chamaId = null, memberId = null, startDate = null, endDate = null }) => {
+  let query = `
+    SELECT cr.*, u.name as member_name, ru.name as reversed_by_name,
+           cc.cycle_number, ct.name as type_name
+    FROM contribution_reversals cr
+    JOIN members m ON cr.member_id = m.id
+    JOIN users u ON m.user_id = u.id
+    JOIN users ru ON cr.reversed_by = ru.id
+    LEFT JOIN contribution_cycles cc ON cr.cycle_id = cc.id
+    LEFT JOIN contributions c ON cr.contribution_id = c.id
+    LEFT JOIN contribution_types ct ON c.type_id = ct.id
+    WHERE 1 = 1
+  `;
+  const params = [];
+
+  if (chamaId) {
+    query += ' AND cr.chama_id = ?';
+    params.push(chamaId);
+  }
+  if (memberId) {
+    query += ' AND cr.member_id = ?';
+    params.push(memberId);
+  }
+  if (startDate) {
+    query += ' AND DATE(cr.created_at) >= ?';
+    params.push(startDate);
+  }
+  if (endDate) {
+    query += ' AND DATE(cr.created_at) <= ?';
+    params.push(endDate);
+  }
+
+  query += ' ORDER BY cr.created_at DESC';
+
+  const [reversals] = await db.execute(query, params);
+  return reversals;
+};
+
+module.exports = {
+  initializeReversalTables,
+  isDraftContribution,
+  reverseContribution,
+  getReversals
+};
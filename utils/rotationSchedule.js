@@ -0,0 +1,883 @@
+// utils/rotationSchedule.js
+const crypto = require('crypto');
+const db = require('../config/database');
+const cycleGenerator = require('./cycleGenerator');
+const { REFUND_PAYOUT_FILTER } = require('./memberWallet');
+const { LOAN_PAYOUT_FILTER } = require('./loans');
+
+// A rotation schedule fixes the merry-go-round order for a chama up front:
+// one slot per member, each tied to a cycle number and the pot expected
+// that cycle. Only one schedule per chama is active at a time; drawing a
+// new one supersedes the old and its history is kept.
+const createRotationSchedulesTable = `
+CREATE TABLE IF NOT EXISTS rotation_schedules (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  chama_id INT NOT NULL,
+  method ENUM('join_date', 'random', 'manual') NOT NULL,
+  seed VARCHAR(64) NULL,
+  start_cycle_number INT NOT NULL,
+  status ENUM('active', 'completed', 'superseded') NOT NULL DEFAULT 'active',
+  previous_schedule_id INT NULL,
+  created_by INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (chama_id) REFERENCES chamas(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id),
+  INDEX idx_chama_status (chama_id, status)
+);
+`;
+
+const createRotationSlotsTable = `
+CREATE TABLE IF NOT EXISTS rotation_slots (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  schedule_id INT NOT NULL,
+  chama_id INT NOT NULL,
+  slot_number INT NOT NULL,
+  member_id INT NOT NULL,
+  cycle_number INT NOT NULL,
+  cycle_id INT NULL,
+  expected_date DATE NOT NULL,
+  expected_amount DECIMAL(10, 2) NOT NULL,
+  payout_id INT NULL UNIQUE,
+  status ENUM('scheduled', 'paid') NOT NULL DEFAULT 'scheduled',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (schedule_id) REFERENCES rotation_schedules(id) ON DELETE CASCADE,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_schedule_slot (schedule_id, slot_number),
+  UNIQUE KEY uniq_schedule_cycle (schedule_id, cycle_number),
+  INDEX idx_member (member_id)
+);
+`;
+
+// Members trade slots by swap request: the other member accepts, then an
+// admin approves and the two slots change hands. Every change a slot goes
+// through is written to rotation_slot_history.
+const createRotationSwapsTable = `
+CREATE TABLE IF NOT EXISTS rotation_swaps (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  chama_id INT NOT NULL,
+  schedule_id INT NOT NULL,
+  requester_member_id INT NOT NULL,
+  requester_slot_id INT NOT NULL,
+  counterparty_member_id INT NOT NULL,
+  counterparty_slot_id INT NOT NULL,
+  reason VARCHAR(500) NULL,
+  status ENUM('pending_acceptance', 'pending_approval', 'approved', 'declined', 'rejected', 'cancelled')
+    NOT NULL DEFAULT 'pending_acceptance',
+  requested_by INT NOT NULL,
+  responded_at TIMESTAMP NULL,
+  reviewed_by INT NULL,
+  reviewed_at TIMESTAMP NULL,
+  review_notes VARCHAR(500) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (schedule_id) REFERENCES rotation_schedules(id) ON DELETE CASCADE,
+  FOREIGN KEY (requester_member_id) REFERENCES members(id) ON DELETE CASCADE,
+  FOREIGN KEY (counterparty_member_id) REFERENCES members(id) ON DELETE CASCADE,
+  INDEX idx_chama_status (chama_id, status),
+  INDEX idx_schedule_status (schedule_id, status)
+);
+`;
+
+const createRotationSlotHistoryTable = `
+CREATE TABLE IF NOT EXISTS rotation_slot_history (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  slot_id INT NOT NULL,
+  schedule_id INT NOT NULL,
+  change_type ENUM('swap') NOT NULL,
+  previous_member_id INT NOT NULL,
+  new_member_id INT NOT NULL,
+  swap_id INT NULL,
+  changed_by INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (slot_id) REFERENCES rotation_slots(id) ON DELETE CASCADE,
+  INDEX idx_schedule (schedule_id)
+);
+`;
+
+const METHODS = ['join_date', 'random', 'manual'];
+
+const OPEN_SWAP_STATUSES = "('pending_acceptance', 'pending_approval')";
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Create the tables used for rotation schedules
+ */
+const initializeRotationTables = async () => {
+  try {
+    await db.execute(createRotationSchedulesTable);
+    await db.execute(createRotationSlotsTable);
+    await db.execute(createRotationSwapsTable);
+    await db.execute(createRotationSlotHistoryTable);
+    console.log('✅ Rotation schedule tables created/verified');
+  } catch (error) {
+    console.error('❌ Failed to create rotation schedule tables:', error);
+  }
+};
+
+/**
+ * Shuffle member ids with a generator seeded from the given seed, so anyone
+ * holding the seed can re-run the draw and get the same order
+ */
+const drawOrder = (memberIds, seed) => {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32BE(0);
+
+  // mulberry32
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const order = [...memberIds].sort((a, b) => a - b);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(next() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  return order;
+};
+
+// Slot rows with member names and the real cycle dates once cycles exist
+const SLOT_SELECT = `
+  SELECT rs.*, u.name as member_name, m.user_id as member_user_id,
+         cc.id as current_cycle_id, cc.status as cycle_status,
+         COALESCE(cc.due_date, rs.expected_date) as payout_date,
+         p.status as payout_status, p.amount as payout_amount
+  FROM rotation_slots rs
+  JOIN members m ON rs.member_id = m.id
+  JOIN users u ON m.user_id = u.id
+  LEFT JOIN contribution_cycles cc
+    ON cc.chama_id = rs.chama_id AND cc.cycle_number = rs.cycle_number AND cc.status != 'cancelled'
+  LEFT JOIN payouts p ON rs.payout_id = p.id`;
+
+/**
+ * A chama's active schedule with its slots in order, or null
+ */
+const getActiveSchedule = async (chamaId, executor = db) => {
+  const [schedules] = await executor.execute(
+    `SELECT rsc.*, u.name as created_by_name
+     FROM rotation_schedules rsc
+     LEFT JOIN users u ON rsc.created_by = u.id
+     WHERE rsc.chama_id = ? AND rsc.status = 'active'
+     ORDER BY rsc.id DESC
+     LIMIT 1`,
+    [chamaId]
+  );
+
+  if (schedules.length === 0) {
+    return null;
+  }
+
+  const [slots] = await executor.execute(
+    `${SLOT_SELECT}
+     WHERE rs.schedule_id = ?
+     ORDER BY rs.slot_number ASC`,
+    [schedules[0].id]
+  );
+
+  return { ...schedules[0], slots };
+};
+
+/**
+ * Every schedule a chama has drawn, newest first
+ */
+const listSchedules = async (chamaId) => {
+  const [schedules] = await db.execute(
+    `SELECT rsc.*, u.name as created_by_name,
+            COUNT(rs.id) as slot_count,
+            SUM(CASE WHEN rs.status = 'paid' THEN 1 ELSE 0 END) as paid_slots
+     FROM rotation_schedules rsc
+     LEFT JOIN users u ON rsc.created_by = u.id
+     LEFT JOIN rotation_slots rs ON rs.schedule_id = rsc.id
+     WHERE rsc.chama_id = ?
+     GROUP BY rsc.id
+     ORDER BY rsc.id DESC`,
+    [chamaId]
+  );
+
+  return schedules.map(schedule => ({
+    ...schedule,
+    slot_count: parseInt(schedule.slot_count),
+    paid_slots: parseInt(schedule.paid_slots) || 0
+  }));
+};
+
+/**
+ * Draw a new rotation for a chama's active members.
+ *
+ * method is 'join_date' (earliest joiner first), 'random' (seeded draw;
+ * a seed is generated when none is given) or 'manual' (memberOrder lists
+ * every member once). When the current schedule already has payouts, the
+ * new one covers only the members still waiting for their turn.
+ *
+ * Returns { success: false, status, message } when it cannot be drawn.
+ */
+const generateSchedule = async (chamaId, { method, seed = null, memberOrder = [], startCycleNumber = null, userId }) => {
+  if (!METHODS.includes(method)) {
+    return { success: false, status: 400, message: `Method must be one of: ${METHODS.join(', ')}` };
+  }
+
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [current] = await connection.execute(
+      `SELECT id FROM rotation_schedules
+       WHERE chama_id = ? AND status = 'active'
+       FOR UPDATE`,
+      [chamaId]
+    );
+
+    // Members who already had their turn (or have one in progress) this round
+    let servedIds = [];
+    if (current.length > 0) {
+      const [served] = await connection.execute(
+        `SELECT member_id FROM rotation_slots
+         WHERE schedule_id = ? AND (status = 'paid' OR payout_id IS NOT NULL)`,
+        [current[0].id]
+      );
+      servedIds = served.map(slot => slot.member_id);
+    }
+
+    const [members] = await connection.execute(
+      `SELECT id FROM members
+       WHERE chama_id = ? AND status = 'active'
+       ORDER BY joined_at ASC, id ASC`,
+      [chamaId]
+    );
+
+    const memberIds = members.map(member => member.id).filter(id => !servedIds.includes(id));
+
+    if (memberIds.length === 0) {
+      await connection.rollback();
+      return { success: false, status: 400, message: 'No active members are waiting for a payout turn' };
+    }
+
+    let order = memberIds;
+    let drawSeed = null;
+
+    if (method === 'random') {
+      drawSeed = seed ? String(seed) : crypto.randomBytes(8).toString('hex');
+      order = drawOrder(memberIds, drawSeed);
+    } else if (method === 'manual') {
+      const requested = memberOrder.map(id => parseInt(id));
+      const unknown = requested.filter(id => !memberIds.includes(id));
+      const missing = memberIds.filter(id => !requested.includes(id));
+
+      if (unknown.length > 0 || missing.length > 0 || new Set(requested).size !== requested.length) {
+        await connection.rollback();
+        return {
+          success: false,
+          status: 400,
+          message: 'Member order must list every member waiting for a turn exactly once',
+          data: { expected_member_ids: memberIds, unknown, missing }
+        };
+      }
+
+      order = requested;
+    }
+
+    // Start on the active cycle, or the next one to be generated
+    let firstCycle = startCycleNumber ? parseInt(startCycleNumber) : null;
+    if (!firstCycle) {
+      const [active] = await connection.execute(
+        `SELECT cycle_number FROM contribution_cycles
+         WHERE chama_id = ? AND status = 'active'
+         ORDER BY cycle_number DESC
+         LIMIT 1`,
+        [chamaId]
+      );
+
+      if (active.length > 0) {
+        firstCycle = active[0].cycle_number;
+      } else {
+        const plan = await cycleGenerator.planNextCycle(chamaId, connection);
+        firstCycle = plan.cycle_number;
+      }
+    }
+
+    // A cycle that already paid out cannot take a slot
+    const [paidCycles] = await connection.execute(
+      `SELECT DISTINCT cc.cycle_number
+       FROM payouts p
+       JOIN contribution_cycles cc ON p.cycle_id = cc.id
+       WHERE p.chama_id = ? AND cc.cycle_number >= ? AND p.status != 'cancelled'
+         AND ${REFUND_PAYOUT_FILTER} AND ${LOAN_PAYOUT_FILTER}`,
+      [chamaId, firstCycle]
+    );
+
+    if (paidCycles.length > 0) {
+      await connection.rollback();
+      return {
+        success: false,
+        status: 400,
+        message: `Cycle ${paidCycles[0].cycle_number} already has a payout; start the rotation after it`
+      };
+    }
+
+    const [openRounds] = await connection.execute(
+      "SELECT id FROM bidding_rounds WHERE chama_id = ? AND status = 'open'",
+      [chamaId]
+    );
+
+    if (openRounds.length > 0) {
+      await connection.rollback();
+      return {
+        success: false,
+        status: 400,
+        message: `Bidding round #${openRounds[0].id} is open; close or cancel it before drawing a rotation`
+      };
+    }
+
+    const cycles = await cycleGenerator.projectCycles(chamaId, firstCycle, order.length, connection);
+
+    if (current.length > 0) {
+      await connection.execute(
+        "UPDATE rotation_schedules SET status = 'superseded' WHERE id = ?",
+        [current[0].id]
+      );
+
+      // Swaps still in flight were against the old order
+      await connection.execute(
+        `UPDATE rotation_swaps
+         SET status = 'cancelled', review_notes = 'Rotation schedule was redrawn'
+         WHERE schedule_id = ? AND status IN ${OPEN_SWAP_STATUSES}`,
+        [current[0].id]
+      );
+    }
+
+    const [scheduleResult] = await connection.execute(
+      `INSERT INTO rotation_schedules
+       (chama_id, method, seed, start_cycle_number, previous_schedule_id, created_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [chamaId, method, drawSeed, firstCycle, current.length > 0 ? current[0].id : null, userId]
+    );
+
+    // The pot is what every active member pays in that cycle
+    for (let index = 0; index < order.length; index++) {
+      const cycle = cycles[index];
+
+      await connection.execute(
+        `INSERT INTO rotation_slots
+         (schedule_id, chama_id, slot_number, member_id, cycle_number, cycle_id,
+          expected_date, expected_amount)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          scheduleResult.insertId,
+          chamaId,
+          index + 1,
+          order[index],
+          cycle.cycle_number,
+          cycle.cycle_id,
+          cycle.due_date,
+          roundMoney(cycle.expected_per_member * members.length)
+        ]
+      );
+    }
+
+    await connection.commit();
+
+    return { success: true, data: await getActiveSchedule(chamaId) };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * A member's slot in their chama's active schedule, or null
+ */
+const getMemberSlot = async (memberId) => {
+  const [slots] = await db.execute(
+    `${SLOT_SELECT}
+     JOIN rotation_schedules rsc ON rs.schedule_id = rsc.id
+     WHERE rs.member_id = ? AND rsc.status = 'active'`,
+    [memberId]
+  );
+
+  return slots[0] || null;
+};
+
+/**
+ * The slot a cycle belongs to in the chama's active schedule.
+ * Returns { schedule_id: null } when the chama has no active schedule.
+ */
+const findSlotForCycle = async (chamaId, cycleNumber, executor = db) => {
+  const [schedules] = await executor.execute(
+    "SELECT id FROM rotation_schedules WHERE chama_id = ? AND status = 'active'",
+    [chamaId]
+  );
+
+  if (schedules.length === 0) {
+    return { schedule_id: null, slot: null };
+  }
+
+  const [slots] = await executor.execute(
+    `${SLOT_SELECT}
+     WHERE rs.schedule_id = ? AND rs.cycle_number = ?`,
+    [schedules[0].id, cycleNumber]
+  );
+
+  return { schedule_id: schedules[0].id, slot: slots[0] || null };
+};
+
+/**
+ * Check a payout about to be made against the active schedule: the cycle
+ * must have a slot, the slot must belong to the member, be free, and the
+ * amount may not exceed the slot's pot. Chamas without a schedule pass.
+ *
+ * Returns { success: true, slot } or { success: false, status, message }.
+ */
+const checkPayoutAgainstSchedule = async (executor, { chamaId, memberId, amount, cycleNumber }) => {
+  const { schedule_id: scheduleId, slot } = await findSlotForCycle(chamaId, cycleNumber, executor);
+
+  if (!scheduleId) {
+    return { success: true, slot: null };
+  }
+
+  if (!slot) {
+    return {
+      success: false,
+      status: 400,
+      message: `Cycle ${cycleNumber} has no slot in the rotation schedule`
+    };
+  }
+
+  if (slot.member_id !== parseInt(memberId)) {
+    return {
+      success: false,
+      status: 400,
+      message: `Cycle ${cycleNumber} is slot ${slot.slot_number}, scheduled for ${slot.member_name}`
+    };
+  }
+
+  if (slot.payout_id || slot.status === 'paid') {
+    return {
+      success: false,
+      status: 400,
+      message: `Slot ${slot.slot_number} already has payout #${slot.payout_id}`
+    };
+  }
+
+  if (parseFloat(amount) > parseFloat(slot.expected_amount)) {
+    return {
+      success: false,
+      status: 400,
+      message: `Amount exceeds the scheduled pot of ${slot.expected_amount} for slot ${slot.slot_number}`
+    };
+  }
+
+  return { success: true, slot };
+};
+
+/**
+ * Attach a payout to its slot
+ */
+const linkSlotPayout = async (executor, slotId, payoutId, cycleId) => {
+  await executor.execute(
+    'UPDATE rotation_slots SET payout_id = ?, cycle_id = ? WHERE id = ?',
+    [payoutId, cycleId, slotId]
+  );
+};
+
+/**
+ * Follow a scheduled payout: mark its slot paid, or free the slot again if
+ * the payout is called off. Completes the schedule once every slot is paid.
+ * Does nothing for payouts that are not on a schedule.
+ *
+ * Pass a connection as executor to run inside the caller's transaction.
+ */
+const settleSlotPayout = async (payoutId, status, executor = db) => {
+  const [slots] = await executor.execute(
+    'SELECT id, schedule_id FROM rotation_slots WHERE payout_id = ?',
+    [payoutId]
+  );
+
+  if (slots.length === 0 || status === 'pending') {
+    return null;
+  }
+
+  const slot = slots[0];
+
+  if (status !== 'paid') {
+    await executor.execute(
+      "UPDATE rotation_slots SET payout_id = NULL, status = 'scheduled' WHERE id = ?",
+      [slot.id]
+    );
+    return 'reopened';
+  }
+
+  await executor.execute(
+    "UPDATE rotation_slots SET status = 'paid' WHERE id = ?",
+    [slot.id]
+  );
+
+  await executor.execute(
+    `UPDATE rotation_schedules
+     SET status = 'completed'
+     WHERE id = ? AND status = 'active'
+       AND NOT EXISTS (
+         SELECT 1 FROM rotation_slots WHERE schedule_id = ? AND status != 'paid'
+       )`,
+    [slot.schedule_id, slot.schedule_id]
+  );
+
+  return 'paid';
+};
+
+/**
+ * The slot due next: the active cycle's slot if it is still open,
+ * otherwise the earliest slot without a payout
+ */
+const getNextSlot = async (chamaId) => {
+  const schedule = await getActiveSchedule(chamaId);
+
+  if (!schedule) {
+    return null;
+  }
+
+  const [active] = await db.execute(
+    `SELECT cycle_number FROM contribution_cycles
+     WHERE chama_id = ? AND status = 'active'
+     ORDER BY cycle_number DESC
+     LIMIT 1`,
+    [chamaId]
+  );
+
+  const open = schedule.slots.filter(slot => !slot.payout_id && slot.status !== 'paid');
+  const current = active.length > 0
+    ? open.find(slot => slot.cycle_number === active[0].cycle_number)
+    : null;
+
+  return current || open[0] || null;
+};
+
+// Swap rows with both members' names and slots
+const SWAP_SELECT = `
+  SELECT sw.*,
+         ru.name as requester_name, rm.user_id as requester_user_id,
+         rs.slot_number as requester_slot_number, rs.cycle_number as requester_cycle_number,
+         cu.name as counterparty_name, cm.user_id as counterparty_user_id,
+         cs.slot_number as counterparty_slot_number, cs.cycle_number as counterparty_cycle_number,
+         rv.name as reviewed_by_name
+  FROM rotation_swaps sw
+  JOIN members rm ON sw.requester_member_id = rm.id
+  JOIN users ru ON rm.user_id = ru.id
+  JOIN members cm ON sw.counterparty_member_id = cm.id
+  JOIN users cu ON cm.user_id = cu.id
+  JOIN rotation_slots rs ON sw.requester_slot_id = rs.id
+  JOIN rotation_slots cs ON sw.counterparty_slot_id = cs.id
+  LEFT JOIN users rv ON sw.reviewed_by = rv.id`;
+
+/**
+ * A swap request with names and slot details, or null
+ */
+const getSwap = async (swapId, executor = db) => {
+  const [swaps] = await executor.execute(
+    `${SWAP_SELECT}
+     WHERE sw.id = ?`,
+    [swapId]
+  );
+  return swaps[0] || null;
+};
+
+/**
+ * A chama's swap requests, newest first, optionally only those involving a member
+ */
+const listSwaps = async ({ chamaId, memberId = null, status = null }) => {
+  const conditions = ['sw.chama_id = ?'];
+  const params = [chamaId];
+
+  if (memberId) {
+    conditions.push('(sw.requester_member_id = ? OR sw.counterparty_member_id = ?)');
+    params.push(memberId, memberId);
+  }
+
+  if (status) {
+    conditions.push('sw.status = ?');
+    params.push(status);
+  }
+
+  const [swaps] = await db.execute(
+    `${SWAP_SELECT}
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY sw.created_at DESC
+     LIMIT 200`,
+    params
+  );
+
+  return swaps;
+};
+
+/**
+ * Slot changes on a schedule, oldest first
+ */
+const getSlotHistory = async (scheduleId) => {
+  const [history] = await db.execute(
+    `SELECT h.*, rs.slot_number, rs.cycle_number,
+            pu.name as previous_member_name, nu.name as new_member_name,
+            cu.name as changed_by_name
+     FROM rotation_slot_history h
+     JOIN rotation_slots rs ON h.slot_id = rs.id
+     JOIN members pm ON h.previous_member_id = pm.id
+     JOIN users pu ON pm.user_id = pu.id
+     JOIN members nm ON h.new_member_id = nm.id
+     JOIN users nu ON nm.user_id = nu.id
+     LEFT JOIN users cu ON h.changed_by = cu.id
+     WHERE h.schedule_id = ?
+     ORDER BY h.created_at ASC, h.id ASC`,
+    [scheduleId]
+  );
+  return history;
+};
+
+// A slot can change hands only while its payout has not been made
+const isSlotOpen = (slot) => slot.status !== 'paid' && !slot.payout_id;
+
+/**
+ * Ask to trade payout slots with another member of the same rotation.
+ * Returns { success: false, status, message } when the swap is not possible.
+ */
+const requestSwap = async (requesterId, counterpartyId, { reason = null, userId }) => {
+  const requesterMemberId = parseInt(requesterId);
+  const counterpartyMemberId = parseInt(counterpartyId);
+
+  if (requesterMemberId === counterpartyMemberId) {
+    return { success: false, status: 400, message: 'Pick another member to swap with' };
+  }
+
+  const [slots] = await db.execute(
+    `SELECT rs.* FROM rotation_slots rs
+     JOIN rotation_schedules rsc ON rs.schedule_id = rsc.id
+     WHERE rs.member_id IN (?, ?) AND rsc.status = 'active'`,
+    [requesterMemberId, counterpartyMemberId]
+  );
+
+  const requesterSlot = slots.find(slot => slot.member_id === requesterMemberId);
+  const counterpartySlot = slots.find(slot => slot.member_id === counterpartyMemberId);
+
+  if (!requesterSlot) {
+    return { success: false, status: 400, message: 'You have no slot in an active rotation schedule' };
+  }
+
+  if (!counterpartySlot || counterpartySlot.schedule_id !== requesterSlot.schedule_id) {
+    return { success: false, status: 400, message: 'That member has no slot in your rotation schedule' };
+  }
+
+  if (!isSlotOpen(requesterSlot) || !isSlotOpen(counterpartySlot)) {
+    return { success: false, status: 400, message: 'Slots that have already paid out cannot be swapped' };
+  }
+
+  const [open] = await db.execute(
+    `SELECT id FROM rotation_swaps
+     WHERE status IN ${OPEN_SWAP_STATUSES}
+       AND (requester_slot_id IN (?, ?) OR counterparty_slot_id IN (?, ?))`,
+    [requesterSlot.id, counterpartySlot.id, requesterSlot.id, counterpartySlot.id]
+  );
+
+  if (open.length > 0) {
+    return {
+      success: false,
+      status: 400,
+      message: `One of these slots already has swap request #${open[0].id} in progress`
+    };
+  }
+
+  const [result] = await db.execute(
+    `INSERT INTO rotation_swaps
+     (chama_id, schedule_id, requester_member_id, requester_slot_id,
+      counterparty_member_id, counterparty_slot_id, reason, requested_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      requesterSlot.chama_id,
+      requesterSlot.schedule_id,
+      requesterSlot.member_id,
+      requesterSlot.id,
+      counterpartySlot.member_id,
+      counterpartySlot.id,
+      reason || null,
+      userId
+    ]
+  );
+
+  return { success: true, data: await getSwap(result.insertId) };
+};
+
+/**
+ * The other member accepts or declines a swap request
+ */
+const respondToSwap = async (swapId, accept) => {
+  const swap = await getSwap(swapId);
+
+  if (!swap) {
+    return { success: false, status: 404, message: 'Swap request not found' };
+  }
+
+  if (swap.status !== 'pending_acceptance') {
+    return { success: false, status: 400, message: `Swap request is already ${swap.status.replace('_', ' ')}` };
+  }
+
+  await db.execute(
+    `UPDATE rotation_swaps
+     SET status = ?, responded_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [accept ? 'pending_approval' : 'declined', swap.id]
+  );
+
+  return { success: true, data: await getSwap(swap.id) };
+};
+
+/**
+ * Close a swap request without changing the schedule
+ */
+const closeSwap = async (swapId, status, notes, userId) => {
+  const swap = await getSwap(swapId);
+
+  if (!swap) {
+    return { success: false, status: 404, message: 'Swap request not found' };
+  }
+
+  const [result] = await db.execute(
+    `UPDATE rotation_swaps
+     SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_notes = ?
+     WHERE id = ? AND status IN ${OPEN_SWAP_STATUSES}`,
+    [status, userId, notes || null, swap.id]
+  );
+
+  if (result.affectedRows === 0) {
+    return { success: false, status: 400, message: `Swap request is already ${swap.status.replace('_', ' ')}` };
+  }
+
+  return { success: true, data: await getSwap(swap.id) };
+};
+
+const rejectSwap = (swapId, reason, userId) => closeSwap(swapId, 'rejected', reason, userId);
+
+const cancelSwap = (swapId, userId) => closeSwap(swapId, 'cancelled', 'Withdrawn', userId);
+
+/**
+ * Approve an accepted swap: the two members trade slots and both changes
+ * are written to the slot history
+ */
+const approveSwap = async (swapId, notes, userId) => {
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [swaps] = await connection.execute(
+      'SELECT * FROM rotation_swaps WHERE id = ? FOR UPDATE',
+      [swapId]
+    );
+
+    if (swaps.length === 0) {
+      await connection.rollback();
+      return { success: false, status: 404, message: 'Swap request not found' };
+    }
+
+    const swap = swaps[0];
+
+    if (swap.status !== 'pending_approval') {
+      await connection.rollback();
+      return {
+        success: false,
+        status: 400,
+        message: swap.status === 'pending_acceptance'
+          ? 'The other member has not accepted this swap yet'
+          : `Swap request is already ${swap.status}`
+      };
+    }
+
+    const [slots] = await connection.execute(
+      `SELECT rs.*, rsc.status as schedule_status
+       FROM rotation_slots rs
+       JOIN rotation_schedules rsc ON rs.schedule_id = rsc.id
+       WHERE rs.id IN (?, ?)
+       FOR UPDATE`,
+      [swap.requester_slot_id, swap.counterparty_slot_id]
+    );
+
+    const requesterSlot = slots.find(slot => slot.id === swap.requester_slot_id);
+    const counterpartySlot = slots.find(slot => slot.id === swap.counterparty_slot_id);
+
+    // The schedule may have moved on since the members agreed
+    if (!requesterSlot || !counterpartySlot ||
+        requesterSlot.schedule_status !== 'active' ||
+        requesterSlot.member_id !== swap.requester_member_id ||
+        counterpartySlot.member_id !== swap.counterparty_member_id ||
+        !isSlotOpen(requesterSlot) || !isSlotOpen(counterpartySlot)) {
+      await connection.rollback();
+      return {
+        success: false,
+        status: 400,
+        message: 'The slots have changed since this swap was requested; ask the members to request it again'
+      };
+    }
+
+    const changes = [
+      [requesterSlot, swap.counterparty_member_id],
+      [counterpartySlot, swap.requester_member_id]
+    ];
+
+    for (const [slot, newMemberId] of changes) {
+      await connection.execute(
+        'UPDATE rotation_slots SET member_id = ? WHERE id = ?',
+        [newMemberId, slot.id]
+      );
+
+      await connection.execute(
+        `INSERT INTO rotation_slot_history
+         (slot_id, schedule_id, change_type, previous_member_id, new_member_id, swap_id, changed_by)
+         VALUES (?, ?, 'swap', ?, ?, ?, ?)`,
+        [slot.id, slot.schedule_id, slot.member_id, newMemberId, swap.id, userId]
+      );
+    }
+
+    await connection.execute(
+      `UPDATE rotation_swaps
+       SET status = 'approved', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_notes = ?
+       WHERE id = ?`,
+      [userId, notes || null, swap.id]
+    );
+
+    await connection.commit();
+
+    return { success: true, data: await getSwap(swap.id) };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  METHODS,
+  initializeRotationTables,
+  drawOrder,
+  getActiveSchedule,
+  listSchedules,
+  generateSchedule,
+  getMemberSlot,
+  findSlotForCycle,
+  checkPayoutAgainstSchedule,
+  linkSlotPayout,
+  settleSlotPayout,
+  getNextSlot,
+  getSwap,
+  listSwaps,
+  getSlotHistory,
+  requestSwap,
+  respondToSwap,
+  approveSwap,
+  rejectSwap,
+  cancelSwap
+};
@@ -0,0 +1,87 @@
+// utils/spreadsheet.js
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+/**
+ * Split CSV text into rows of cells. Handles quoted cells with commas,
+ * escaped quotes and line breaks.
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Read the first worksheet of an XLSX file into rows of cell text
+ */
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: true }, (row) => {
+    const cells = [];
+    for (let col = 1; col <= worksheet.columnCount; col++) {
+      cells.push(row.getCell(col).text);
+    }
+    rows.push(cells);
+  });
+
+  return rows;
+};
+
+/**
+ * Read an uploaded CSV or XLSX file (from multer memory storage)
+ * into rows of cell text
+ */
+const readSpreadsheet = async (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+
+  if (extension === '.xlsx') {
+    return parseXlsx(file.buffer);
+  }
+
+  return parseCsv(file.buffer.toString('utf8').replace(/^\uFEFF/, ''));
+};
+
+module.exports = { parseCsv, readSpreadsheet };
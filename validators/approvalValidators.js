@@ -0,0 +1,19 @@
+// validators/approvalValidators.js
+const { check } = require('express-validator');
+
+// Approval Validators
+exports.validateApproval = [
+  check('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be less than 500 characters')
+];
+
+// Rejection Validators
+exports.validateRejection = [
+  check('reason')
+    .notEmpty()
+    .withMessage('Reason for rejection is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters')
+];
@@ -0,0 +1,43 @@
+// validators/biddingValidators.js
+const { check, query } = require('express-validator');
+
+// Round Validators
+exports.validateOpenRound = [
+  check('potAmount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Pot amount must be greater than 0'),
+
+  check('closesAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Closing time must be a valid date'),
+
+  check('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be less than 500 characters')
+];
+
+exports.validateRoundQueue = [
+  query('status')
+    .optional()
+    .isIn(['open', 'closed', 'cancelled', 'voided'])
+    .withMessage('Status must be open, closed, cancelled or voided')
+];
+
+exports.validateCancelRound = [
+  check('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters')
+];
+
+// Bid Validators
+exports.validateBid = [
+  check('discount')
+    .isFloat({ min: 0 })
+    .withMessage('Discount must be 0 or more')
+];
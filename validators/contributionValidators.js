@@ -163,6 +163,15 @@ exports.validateContributionUpdate = [
     .withMessage('Invalid status value')
 ];
 
+// Contribution Reversal Validators
+exports.validateReversal = [
+  check('reason')
+    .notEmpty()
+    .withMessage('Reason for reversal is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters')
+];
+
 // Balance Adjustment Validators
 exports.validateBalanceAdjustment = [
   check('memberId')
@@ -217,4 +226,23 @@ exports.validateBulkContributions = [
     .optional()
     .isLength({ max: 500 })
     .withMessage('Notes must be less than 500 characters')
-];
\ No newline at end of file
+];
+
+// Spreadsheet Import Validators
+exports.validateContributionImport = [
+  check('chamaId')
+    .isInt()
+    .withMessage('Valid chama ID is required'),
+  
+  check('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be less than 500 characters')
+];
+
+exports.validateImportConfirmation = [
+  check('skipInvalid')
+    .optional()
+    .isBoolean()
+    .withMessage('skipInvalid must be true or false')
+];
@@ -0,0 +1,94 @@
+// validators/fineValidators.js
+const { check } = require('express-validator');
+const { FINE_TYPES } = require('../utils/fineEngine');
+
+// Fine Rule Validators
+exports.validateFineRule = [
+  check('chamaId')
+    .isInt()
+    .withMessage('Valid chama ID is required'),
+
+  check('typeId')
+    .optional({ nullable: true })
+    .isInt()
+    .withMessage('Valid type ID is required'),
+
+  check('name')
+    .notEmpty()
+    .withMessage('Rule name is required')
+    .isLength({ max: 100 })
+    .withMessage('Rule name must be less than 100 characters'),
+
+  check('fineType')
+    .isIn(FINE_TYPES)
+    .withMessage('Fine type must be flat, percentage or per_day'),
+
+  check('amount')
+    .if(check('fineType').isIn(['flat', 'per_day']))
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount is required for flat and per-day fines'),
+
+  check('percentage')
+    .if(check('fineType').equals('percentage'))
+    .isFloat({ min: 0.01, max: 100 })
+    .withMessage('Percentage between 0 and 100 is required for percentage fines'),
+
+  check('maxAmount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Maximum amount must be a positive number'),
+
+  check('graceDays')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Grace days must be zero or more')
+];
+
+// Fine Rule Update Validators
+exports.validateFineRuleUpdate = [
+  check('name')
+    .optional()
+    .notEmpty()
+    .withMessage('Rule name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Rule name must be less than 100 characters'),
+
+  check('fineType')
+    .optional()
+    .isIn(FINE_TYPES)
+    .withMessage('Fine type must be flat, percentage or per_day'),
+
+  check('amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Amount must be a positive number'),
+
+  check('percentage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Percentage must be between 0 and 100'),
+
+  check('maxAmount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Maximum amount must be a positive number'),
+
+  check('graceDays')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Grace days must be zero or more'),
+
+  check('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+];
+
+// Fine Waiver Validators
+exports.validateFineWaiver = [
+  check('reason')
+    .notEmpty()
+    .withMessage('Reason for waiving the fine is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters')
+];
@@ -0,0 +1,182 @@
+// validators/loanValidators.js
+const { check, query } = require('express-validator');
+const { normalizePhone } = require('../utils/phone');
+
+// Product Validators
+exports.validateLoanProduct = [
+  check('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Product name is required')
+    .isLength({ max: 100 })
+    .withMessage('Product name must be less than 100 characters'),
+
+  check('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters'),
+
+  check('interestType')
+    .isIn(['flat', 'reducing'])
+    .withMessage('Interest type must be flat or reducing'),
+
+  check('interestRate')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Interest rate must be a monthly percentage between 0 and 100'),
+
+  check('maxTermMonths')
+    .isInt({ min: 1, max: 120 })
+    .withMessage('Maximum term must be between 1 and 120 months'),
+
+  check('savingsMultiple')
+    .isFloat({ gt: 0, max: 100 })
+    .withMessage('Savings multiple must be greater than 0')
+];
+
+exports.validateLoanProductUpdate = [
+  check('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Product name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Product name must be less than 100 characters'),
+
+  check('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters'),
+
+  check('interestType')
+    .optional()
+    .isIn(['flat', 'reducing'])
+    .withMessage('Interest type must be flat or reducing'),
+
+  check('interestRate')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Interest rate must be a monthly percentage between 0 and 100'),
+
+  check('maxTermMonths')
+    .optional()
+    .isInt({ min: 1, max: 120 })
+    .withMessage('Maximum term must be between 1 and 120 months'),
+
+  check('savingsMultiple')
+    .optional()
+    .isFloat({ gt: 0, max: 100 })
+    .withMessage('Savings multiple must be greater than 0'),
+
+  check('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+];
+
+// Application Validators
+exports.validateLoanApplication = [
+  check('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Loan amount must be greater than 0'),
+
+  check('termMonths')
+    .isInt({ min: 1 })
+    .withMessage('Term must be at least 1 month'),
+
+  check('purpose')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Purpose must be less than 500 characters'),
+
+  check('guarantors')
+    .optional()
+    .isArray()
+    .withMessage('Guarantors must be a list'),
+
+  check('guarantors.*.memberId')
+    .isInt({ min: 1 })
+    .withMessage('Each guarantor needs a valid member ID'),
+
+  check('guarantors.*.amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Each guarantor needs an amount greater than 0')
+];
+
+// Queue Validators
+exports.validateLoanQueue = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected', 'cancelled', 'active', 'repaid', 'defaulted'])
+    .withMessage('Status must be pending, approved, rejected, cancelled, active, repaid or defaulted')
+];
+
+// Review Validators
+exports.validateLoanApproval = [
+  check('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be less than 500 characters')
+];
+
+exports.validateLoanRejection = [
+  check('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters')
+];
+
+// Repayment Validators
+exports.validateLoanRepayment = [
+  check('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Repayment amount must be greater than 0'),
+
+  check('paymentMethod')
+    .isIn(['cash', 'mpesa', 'bank_transfer', 'cheque', 'other'])
+    .withMessage('Invalid payment method'),
+
+  check('paymentReference')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Payment reference must be less than 100 characters'),
+
+  check('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be less than 500 characters')
+];
+
+exports.validateLoanMpesaRepayment = [
+  check('amount')
+    .isInt({ gt: 0 })
+    .withMessage('Repayment amount must be a whole number of shillings'),
+
+  check('phone')
+    .optional()
+    .custom(value => /^\d{12}$/.test(normalizePhone(value) || ''))
+    .withMessage('Valid phone number is required')
+];
+
+// Guarantor Validators
+exports.validateGuarantorNomination = [
+  check('guarantors')
+    .isArray({ min: 1 })
+    .withMessage('Nominate at least one guarantor'),
+
+  check('guarantors.*.memberId')
+    .isInt({ min: 1 })
+    .withMessage('Each guarantor needs a valid member ID'),
+
+  check('guarantors.*.amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Each guarantor needs an amount greater than 0')
+];
+
+exports.validateGuaranteeResponse = [
+  check('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be less than 500 characters')
+];
@@ -0,0 +1,40 @@
+// validators/paybillValidators.js
+const { check, query } = require('express-validator');
+
+// URL Registration Validators
+exports.validateUrlRegistration = [
+  check('shortCode')
+    .optional()
+    .matches(/^\d{5,7}$/)
+    .withMessage('Short code must be 5 to 7 digits')
+];
+
+// Queue Validators
+exports.validatePaybillQueue = [
+  query('status')
+    .optional()
+    .isIn(['allocated', 'suspense', 'assigned'])
+    .withMessage('Status must be allocated, suspense or assigned')
+];
+
+// Assignment Validators
+exports.validatePaybillAssignment = [
+  check('memberId')
+    .isInt()
+    .withMessage('Valid member ID is required'),
+
+  check('cycleId')
+    .optional({ nullable: true })
+    .isInt()
+    .withMessage('Valid cycle ID is required'),
+
+  check('typeId')
+    .optional({ nullable: true })
+    .isInt()
+    .withMessage('Valid type ID is required'),
+
+  check('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be less than 500 characters')
+];
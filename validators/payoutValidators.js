@@ -0,0 +1,90 @@
+// validators/payoutValidators.js
+const { check, query } = require('express-validator');
+
+// Payout Validators
+exports.validatePayoutOverride = [
+  check('overrideReason')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Override reason cannot be empty')
+    .isLength({ max: 500 })
+    .withMessage('Override reason must be less than 500 characters')
+];
+
+exports.validatePayoutSignature = [
+  check('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be less than 500 characters')
+];
+
+// Rotation Schedule Validators
+exports.validateRotationSchedule = [
+  check('method')
+    .isIn(['join_date', 'random', 'manual'])
+    .withMessage('Method must be join_date, random or manual'),
+
+  check('seed')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('Seed must be between 1 and 64 characters'),
+
+  check('memberOrder')
+    .if(check('method').equals('manual'))
+    .isArray({ min: 1 })
+    .withMessage('Member order is required for a manual schedule'),
+
+  check('memberOrder.*')
+    .optional()
+    .isInt({ gt: 0 })
+    .withMessage('Member order must contain member IDs'),
+
+  check('startCycleNumber')
+    .optional()
+    .isInt({ gt: 0 })
+    .withMessage('Start cycle number must be a positive number')
+];
+
+// Swap Request Validators
+exports.validateSwapRequest = [
+  check('withMemberId')
+    .isInt({ gt: 0 })
+    .withMessage('Member to swap with is required'),
+
+  check('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters')
+];
+
+// Swap Queue Validators
+exports.validateSwapQueue = [
+  query('status')
+    .optional()
+    .isIn(['pending_acceptance', 'pending_approval', 'approved', 'declined', 'rejected', 'cancelled'])
+    .withMessage('Status must be pending_acceptance, pending_approval, approved, declined, rejected or cancelled'),
+
+  query('memberId')
+    .optional()
+    .isInt({ gt: 0 })
+    .withMessage('Member ID must be a number')
+];
+
+// Swap Review Validators
+exports.validateSwapApproval = [
+  check('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be less than 500 characters')
+];
+
+exports.validateSwapRejection = [
+  check('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters')
+];
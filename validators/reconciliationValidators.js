@@ -0,0 +1,56 @@
+// validators/reconciliationValidators.js
+const { check, query } = require('express-validator');
+
+// Statement Upload Validators
+exports.validateStatementUpload = [
+  check('chamaId')
+    .isInt()
+    .withMessage('Valid chama ID is required')
+];
+
+// Line Resolution Validators
+exports.validateLineResolution = [
+  check('memberId')
+    .optional({ nullable: true })
+    .isInt()
+    .withMessage('Valid member ID is required'),
+
+  check('amount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be a positive number'),
+
+  check('cycleId')
+    .optional({ nullable: true })
+    .isInt()
+    .withMessage('Valid cycle ID is required'),
+
+  check('typeId')
+    .optional({ nullable: true })
+    .isInt()
+    .withMessage('Valid type ID is required'),
+
+  check('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be less than 500 characters')
+];
+
+exports.validateLineIgnore = [
+  check('reason')
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters')
+];
+
+// Report Validators
+exports.validateReconciliationReport = [
+  query('startDate')
+    .isDate()
+    .withMessage('Valid start date is required'),
+
+  query('endDate')
+    .isDate()
+    .withMessage('Valid end date is required')
+];
@@ -0,0 +1,53 @@
+// validators/walletValidators.js
+const { check, query } = require('express-validator');
+const { normalizePhone } = require('../utils/phone');
+
+// Apply Validators
+exports.validateWalletApplication = [
+  check('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0')
+];
+
+// Refund Request Validators
+exports.validateRefundRequest = [
+  check('amount')
+    .isInt({ gt: 0 })
+    .withMessage('Refund amount must be a whole number of shillings'),
+
+  check('phone')
+    .optional()
+    .custom(value => /^\d{12}$/.test(normalizePhone(value) || ''))
+    .withMessage('Valid phone number is required'),
+
+  check('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters')
+];
+
+// Queue Validators
+exports.validateRefundQueue = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'paid', 'rejected', 'cancelled'])
+    .withMessage('Status must be pending, approved, paid, rejected or cancelled')
+];
+
+// Review Validators
+exports.validateRefundApproval = [
+  check('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be less than 500 characters')
+];
+
+exports.validateRefundRejection = [
+  check('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters')
+];